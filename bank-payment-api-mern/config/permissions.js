@@ -0,0 +1,67 @@
+/**
+ * Role Permissions
+ * What each employee role may do. Routes check permissions, not roles
+ * (see requirePermission in middleware/auth.js); the role travels in the
+ * access token's role claim.
+ */
+
+export const PERMISSIONS = {
+  // View payments, their history and SWIFT batches
+  PAYMENTS_READ: 'payments:read',
+  // Verify or reject pending payments
+  PAYMENTS_VERIFY: 'payments:verify',
+  // Submit verified payments to SWIFT, dispatch batches, export ISO 20022 messages
+  PAYMENTS_SUBMIT: 'payments:submit',
+  // Reassign claimed payments to another employee
+  PAYMENTS_ASSIGN: 'payments:assign',
+  // Set employees' approval limits and work the Requires Manager queue
+  APPROVALS_MANAGE: 'approvals:manage',
+  // Help customers at the branch (password resets, unlocking accounts)
+  CUSTOMERS_ASSIST: 'customers:assist',
+  // Open customer accounts and deactivate them
+  CUSTOMERS_ONBOARD: 'customers:onboard',
+  // Create, change and deactivate employee accounts
+  EMPLOYEES_MANAGE: 'employees:manage',
+  // Revoke every session of any user
+  SESSIONS_REVOKE: 'sessions:revoke'
+};
+
+const EMPLOYEE_PERMISSIONS = [
+  PERMISSIONS.PAYMENTS_READ,
+  PERMISSIONS.PAYMENTS_VERIFY,
+  PERMISSIONS.CUSTOMERS_ASSIST,
+  PERMISSIONS.CUSTOMERS_ONBOARD
+];
+
+const MANAGER_PERMISSIONS = [
+  ...EMPLOYEE_PERMISSIONS,
+  PERMISSIONS.PAYMENTS_SUBMIT,
+  PERMISSIONS.PAYMENTS_ASSIGN,
+  PERMISSIONS.APPROVALS_MANAGE
+];
+
+export const ROLE_PERMISSIONS = {
+  Employee: EMPLOYEE_PERMISSIONS,
+  Manager: MANAGER_PERMISSIONS,
+  Admin: Object.values(PERMISSIONS)
+};
+
+// Roles an employee can have
+export const ROLES = Object.keys(ROLE_PERMISSIONS);
+
+/**
+ * Permissions granted to a role
+ * @param {string} role - 'Employee', 'Manager' or 'Admin'
+ * @returns {string[]} Empty for unknown roles (and customers)
+ */
+export const getPermissions = (role) => (
+  Object.prototype.hasOwnProperty.call(ROLE_PERMISSIONS, role) ? ROLE_PERMISSIONS[role] : []
+);
+
+/**
+ * Whether a role has a permission
+ * @param {string} role
+ * @param {string} permission
+ * @returns {boolean}
+ */
+export const hasPermission = (role, permission) => getPermissions(role).includes(permission);
@@ -1,10 +1,16 @@
 import tokenService from '../services/tokenService.js';
+import tokenRevocationService from '../services/tokenRevocationService.js';
+import { hasPermission } from '../config/permissions.js';
 
 /**
  * Authentication Middleware
- * Verifies JWT token and attaches user info to request
+ * Verifies JWT token, rejects revoked tokens and attaches user info to request
+ * While a staff-issued temporary password is still in use the token is only
+ * accepted where allowPendingPasswordChange is set (changing the password and
+ * logging out).
+ * @param {Object} options - { allowPendingPasswordChange }
  */
-export const authenticateToken = (req, res, next) => {
+const authenticate = ({ allowPendingPasswordChange = false } = {}) => async (req, res, next) => {
   try {
     const authHeader = req.headers['authorization'];
     const token = tokenService.extractTokenFromHeader(authHeader);
@@ -18,20 +24,39 @@ export const authenticateToken = (req, res, next) => {
 
     const decoded = tokenService.verifyToken(token);
 
-    if (!decoded) {
+    if (!decoded || !decoded.jti) {
       return res.status(401).json({
         success: false,
         message: 'Invalid or expired token.'
       });
     }
 
+    if (await tokenRevocationService.isRevoked(decoded)) {
+      return res.status(401).json({
+        success: false,
+        message: 'Session has been revoked. Please login again.'
+      });
+    }
+
+    if (decoded.mustChangePassword && !allowPendingPasswordChange) {
+      return res.status(403).json({
+        success: false,
+        message: 'You must change your password before continuing.',
+        mustChangePassword: true
+      });
+    }
+
     // Attach user info to request
     req.user = {
       userId: decoded.userId,
       username: decoded.username,
-      userType: decoded.userType
+      userType: decoded.userType,
+      role: decoded.role
     };
 
+    // Token details needed to log out
+    req.token = decoded;
+
     next();
 
   } catch (error) {
@@ -43,6 +68,13 @@ export const authenticateToken = (req, res, next) => {
   }
 };
 
+export const authenticateToken = authenticate();
+
+/**
+ * Authentication for the routes a user with a pending password change may use
+ */
+export const authenticatePendingPasswordChange = authenticate({ allowPendingPasswordChange: true });
+
 /**
  * Require Customer Role Middleware
  */
@@ -68,3 +100,22 @@ export const requireEmployee = (req, res, next) => {
   }
   next();
 };
+
+/**
+ * Require Permission Middleware
+ * Allows the request only if the role in the access token grants every
+ * listed permission (see config/permissions.js)
+ * @param {...string} permissions - e.g. 'payments:verify'
+ */
+export const requirePermission = (...permissions) => (req, res, next) => {
+  const missing = permissions.filter((permission) => !hasPermission(req.user.role, permission));
+
+  // Customers have no role, so they never pass
+  if (missing.length > 0) {
+    return res.status(403).json({
+      success: false,
+      message: `Access denied. Missing permission: ${missing.join(', ')}.`
+    });
+  }
+  next();
+};
@@ -17,7 +17,32 @@ const auditLogSchema = new mongoose.Schema({
       'account_locked',
       'suspicious_activity',
       'password_reset',
-      'unauthorized_access'
+      'unauthorized_access',
+      'four_eyes_violation',
+      'payment_cancelled',
+      'sessions_revoked',
+      'mfa_enrolled',
+      'mfa_disabled',
+      'passkey_registered',
+      'passkey_removed',
+      'step_up_verified',
+      'step_up_failed',
+      'password_changed',
+      'password_reset_initiated',
+      'password_reset_failed',
+      'account_unlocked',
+      'new_device_login',
+      'employee_created',
+      'employee_deactivated',
+      'employee_reactivated',
+      'employee_role_changed',
+      'employee_password_reset',
+      'customer_created',
+      'customer_deactivated',
+      'payment_escalated',
+      'approval_limit_override',
+      'approval_limits_changed',
+      'payment_reassigned'
     ],
     index: true
   },
@@ -138,6 +163,559 @@ auditLogSchema.statics.logSuccessfulLogin = async function(data) {
   }
 };
 
+/**
+ * Static method to log suspicious activity (e.g. a stolen token being replayed)
+ */
+auditLogSchema.statics.logSuspiciousActivity = async function(data) {
+  try {
+    await this.create({
+      eventType: 'suspicious_activity',
+      userType: data.userType || 'unknown',
+      username: data.username || 'unknown',
+      ipAddress: data.ipAddress,
+      userAgent: data.userAgent || 'unknown',
+      message: data.message,
+      failureReason: data.failureReason || null,
+      severity: 'critical',
+      metadata: data.metadata || {}
+    });
+  } catch (error) {
+    console.error('Error logging suspicious activity:', error);
+  }
+};
+
+/**
+ * Static method to log a four-eyes (dual control) policy violation
+ */
+auditLogSchema.statics.logFourEyesViolation = async function(data) {
+  try {
+    await this.create({
+      eventType: 'four_eyes_violation',
+      userType: 'employee',
+      username: data.username,
+      ipAddress: data.ipAddress,
+      userAgent: data.userAgent || 'unknown',
+      message: `Four-eyes violation by employee ${data.username}: ${data.action}`,
+      failureReason: data.reason,
+      severity: 'warning',
+      metadata: data.metadata || {}
+    });
+  } catch (error) {
+    console.error('Error logging four-eyes violation:', error);
+  }
+};
+
+/**
+ * Static method to log a customer cancelling a pending payment
+ */
+auditLogSchema.statics.logPaymentCancelled = async function(data) {
+  try {
+    await this.create({
+      eventType: 'payment_cancelled',
+      userType: 'customer',
+      username: data.username,
+      ipAddress: data.ipAddress,
+      userAgent: data.userAgent || 'unknown',
+      message: `Payment ${data.paymentId} cancelled by customer: ${data.username}`,
+      severity: 'info',
+      metadata: {
+        paymentId: data.paymentId,
+        reason: data.reason || null
+      }
+    });
+  } catch (error) {
+    console.error('Error logging payment cancellation:', error);
+  }
+};
+
+/**
+ * Static method to log an admin revoking all sessions of a user
+ */
+auditLogSchema.statics.logSessionsRevoked = async function(data) {
+  try {
+    await this.create({
+      eventType: 'sessions_revoked',
+      userType: data.userType,
+      username: data.username,
+      ipAddress: data.ipAddress,
+      userAgent: data.userAgent || 'unknown',
+      message: `All sessions for ${data.userType} ${data.username} revoked by ${data.revokedBy}`,
+      severity: 'warning',
+      metadata: {
+        revokedBy: data.revokedBy,
+        reason: data.reason || null,
+        revokedSessions: data.revokedSessions
+      }
+    });
+  } catch (error) {
+    console.error('Error logging session revocation:', error);
+  }
+};
+
+/**
+ * Static method to log a user enrolling in two-factor authentication
+ */
+auditLogSchema.statics.logMfaEnrolled = async function(data) {
+  try {
+    await this.create({
+      eventType: 'mfa_enrolled',
+      userType: data.userType,
+      username: data.username,
+      ipAddress: data.ipAddress,
+      userAgent: data.userAgent || 'unknown',
+      message: `Two-factor authentication enabled for ${data.userType}: ${data.username}`,
+      severity: 'info',
+      metadata: data.metadata || {}
+    });
+  } catch (error) {
+    console.error('Error logging MFA enrolment:', error);
+  }
+};
+
+/**
+ * Static method to log a user switching off two-factor authentication
+ */
+auditLogSchema.statics.logMfaDisabled = async function(data) {
+  try {
+    await this.create({
+      eventType: 'mfa_disabled',
+      userType: data.userType,
+      username: data.username,
+      ipAddress: data.ipAddress,
+      userAgent: data.userAgent || 'unknown',
+      message: `Two-factor authentication disabled for ${data.userType}: ${data.username}`,
+      severity: 'warning',
+      metadata: data.metadata || {}
+    });
+  } catch (error) {
+    console.error('Error logging MFA disable:', error);
+  }
+};
+
+/**
+ * Static method to log an employee registering a passkey
+ */
+auditLogSchema.statics.logPasskeyRegistered = async function(data) {
+  try {
+    await this.create({
+      eventType: 'passkey_registered',
+      userType: 'employee',
+      username: data.username,
+      ipAddress: data.ipAddress,
+      userAgent: data.userAgent || 'unknown',
+      message: `Passkey "${data.name}" registered for employee: ${data.username}`,
+      severity: 'info',
+      metadata: {
+        credentialId: data.credentialId
+      }
+    });
+  } catch (error) {
+    console.error('Error logging passkey registration:', error);
+  }
+};
+
+/**
+ * Static method to log an employee removing a passkey
+ */
+auditLogSchema.statics.logPasskeyRemoved = async function(data) {
+  try {
+    await this.create({
+      eventType: 'passkey_removed',
+      userType: 'employee',
+      username: data.username,
+      ipAddress: data.ipAddress,
+      userAgent: data.userAgent || 'unknown',
+      message: `Passkey removed by employee: ${data.username}`,
+      severity: 'warning',
+      metadata: {
+        credentialId: data.credentialId
+      }
+    });
+  } catch (error) {
+    console.error('Error logging passkey removal:', error);
+  }
+};
+
+/**
+ * Static method to log a customer confirming a high-value payment
+ */
+auditLogSchema.statics.logStepUpVerified = async function(data) {
+  try {
+    await this.create({
+      eventType: 'step_up_verified',
+      userType: 'customer',
+      username: data.username,
+      ipAddress: data.ipAddress,
+      userAgent: data.userAgent || 'unknown',
+      message: `High-value payment confirmed by customer: ${data.username}`,
+      severity: 'info',
+      metadata: {
+        method: data.method
+      }
+    });
+  } catch (error) {
+    console.error('Error logging step-up verification:', error);
+  }
+};
+
+/**
+ * Static method to log a failed attempt to confirm a high-value payment
+ */
+auditLogSchema.statics.logStepUpFailed = async function(data) {
+  try {
+    await this.create({
+      eventType: 'step_up_failed',
+      userType: 'customer',
+      username: data.username,
+      ipAddress: data.ipAddress,
+      userAgent: data.userAgent || 'unknown',
+      message: `Failed high-value payment confirmation by customer: ${data.username}`,
+      severity: 'warning',
+      metadata: {
+        method: data.method || null,
+        failureReason: data.failureReason
+      }
+    });
+  } catch (error) {
+    console.error('Error logging step-up failure:', error);
+  }
+};
+
+/**
+ * Static method to log a user changing their password
+ */
+auditLogSchema.statics.logPasswordChanged = async function(data) {
+  try {
+    await this.create({
+      eventType: 'password_changed',
+      userType: data.userType,
+      username: data.username,
+      ipAddress: data.ipAddress,
+      userAgent: data.userAgent || 'unknown',
+      message: `Password changed by ${data.userType}: ${data.username}`,
+      severity: 'info',
+      metadata: data.metadata || {}
+    });
+  } catch (error) {
+    console.error('Error logging password change:', error);
+  }
+};
+
+/**
+ * Static method to log an employee starting a branch-assisted password reset
+ */
+auditLogSchema.statics.logPasswordResetInitiated = async function(data) {
+  try {
+    await this.create({
+      eventType: 'password_reset_initiated',
+      userType: 'employee',
+      username: data.username,
+      ipAddress: data.ipAddress,
+      userAgent: data.userAgent || 'unknown',
+      message: `Password reset for customer ${data.customerUsername} started by employee: ${data.username}`,
+      severity: 'warning',
+      metadata: {
+        customerUsername: data.customerUsername,
+        expiresAt: data.expiresAt,
+        notifier: data.notifier,
+        reference: data.reference
+      }
+    });
+  } catch (error) {
+    console.error('Error logging password reset initiation:', error);
+  }
+};
+
+/**
+ * Static method to log a customer completing a password reset
+ */
+auditLogSchema.statics.logPasswordReset = async function(data) {
+  try {
+    await this.create({
+      eventType: 'password_reset',
+      userType: 'customer',
+      accountNumber: data.accountNumber,
+      username: data.username,
+      ipAddress: data.ipAddress,
+      userAgent: data.userAgent || 'unknown',
+      message: `Password reset completed by customer: ${data.username}`,
+      severity: 'info',
+      metadata: {
+        initiatedBy: data.initiatedBy,
+        revokedSessions: data.revokedSessions
+      }
+    });
+  } catch (error) {
+    console.error('Error logging password reset:', error);
+  }
+};
+
+/**
+ * Static method to log a refused password reset step
+ */
+auditLogSchema.statics.logPasswordResetFailed = async function(data) {
+  try {
+    await this.create({
+      eventType: 'password_reset_failed',
+      userType: data.userType,
+      username: data.username || 'unknown',
+      ipAddress: data.ipAddress,
+      userAgent: data.userAgent || 'unknown',
+      message: `Password reset ${data.step} failed: ${data.failureReason}`,
+      failureReason: data.failureReason,
+      severity: 'warning',
+      metadata: {
+        step: data.step,
+        ...(data.metadata || {})
+      }
+    });
+  } catch (error) {
+    console.error('Error logging password reset failure:', error);
+  }
+};
+
+/**
+ * Static method to log an account being locked after repeated failed sign-ins
+ */
+auditLogSchema.statics.logAccountLocked = async function(data) {
+  try {
+    await this.create({
+      eventType: 'account_locked',
+      userType: data.userType,
+      username: data.username,
+      accountNumber: data.accountNumber || null,
+      ipAddress: data.ipAddress,
+      userAgent: data.userAgent || 'unknown',
+      message: `Account locked after repeated failed sign-ins for ${data.userType}: ${data.username}`,
+      severity: 'critical',
+      metadata: {
+        lockedUntil: data.lockedUntil
+      }
+    });
+  } catch (error) {
+    console.error('Error logging account lock:', error);
+  }
+};
+
+/**
+ * Static method to log an employee unlocking a customer account
+ */
+auditLogSchema.statics.logAccountUnlocked = async function(data) {
+  try {
+    await this.create({
+      eventType: 'account_unlocked',
+      userType: 'employee',
+      username: data.username,
+      accountNumber: data.accountNumber || null,
+      ipAddress: data.ipAddress,
+      userAgent: data.userAgent || 'unknown',
+      message: `Customer account ${data.customerUsername} unlocked by employee: ${data.username}`,
+      severity: 'warning',
+      metadata: {
+        customerUsername: data.customerUsername,
+        wasLocked: data.wasLocked
+      }
+    });
+  } catch (error) {
+    console.error('Error logging account unlock:', error);
+  }
+};
+
+/**
+ * Static method to log a customer signing in from a new device
+ */
+auditLogSchema.statics.logNewDeviceLogin = async function(data) {
+  try {
+    await this.create({
+      eventType: 'new_device_login',
+      userType: 'customer',
+      username: data.username,
+      accountNumber: data.accountNumber || null,
+      ipAddress: data.ipAddress,
+      userAgent: data.userAgent || 'unknown',
+      message: `Sign-in from a new device for customer: ${data.username}`,
+      severity: 'warning',
+      metadata: {
+        notifier: data.notifier || null,
+        reference: data.reference || null
+      }
+    });
+  } catch (error) {
+    console.error('Error logging new device login:', error);
+  }
+};
+
+/**
+ * Static method to log a user signing their own sessions out on other devices
+ */
+auditLogSchema.statics.logSessionsSignedOut = async function(data) {
+  try {
+    await this.create({
+      eventType: 'sessions_revoked',
+      userType: data.userType,
+      username: data.username,
+      ipAddress: data.ipAddress,
+      userAgent: data.userAgent || 'unknown',
+      message: `${data.signedOut} other session(s) signed out by ${data.userType}: ${data.username}`,
+      severity: 'info',
+      metadata: {
+        revokedBy: data.username,
+        sessionIds: data.sessionIds
+      }
+    });
+  } catch (error) {
+    console.error('Error logging session sign-out:', error);
+  }
+};
+
+/**
+ * Static method to log an admin change to an employee account
+ * action: created, deactivated, reactivated, role_changed or password_reset
+ */
+auditLogSchema.statics.logEmployeeChange = async function(data) {
+  try {
+    await this.create({
+      eventType: `employee_${data.action}`,
+      userType: 'employee',
+      username: data.username,
+      ipAddress: data.ipAddress,
+      userAgent: data.userAgent || 'unknown',
+      message: `Employee ${data.action.replace('_', ' ')}: ${data.username} by admin: ${data.changedBy}`,
+      severity: data.action === 'created' || data.action === 'reactivated' ? 'info' : 'warning',
+      metadata: {
+        changedBy: data.changedBy,
+        ...data.details
+      }
+    });
+  } catch (error) {
+    console.error('Error logging employee change:', error);
+  }
+};
+
+/**
+ * Static method to log branch staff opening or deactivating a customer account
+ * action: created or deactivated
+ */
+auditLogSchema.statics.logCustomerChange = async function(data) {
+  try {
+    await this.create({
+      eventType: `customer_${data.action}`,
+      userType: 'employee',
+      username: data.username,
+      accountNumber: data.accountNumber,
+      ipAddress: data.ipAddress,
+      userAgent: data.userAgent || 'unknown',
+      message: `Customer ${data.action.replace('_', ' ')}: ${data.customerUsername} by employee: ${data.username}`,
+      severity: data.action === 'created' ? 'info' : 'warning',
+      metadata: {
+        customerUsername: data.customerUsername
+      }
+    });
+  } catch (error) {
+    console.error('Error logging customer change:', error);
+  }
+};
+
+/**
+ * Static method to log a payment sent to the Requires Manager queue because
+ * it exceeded the verifier's approval limit
+ */
+auditLogSchema.statics.logPaymentEscalated = async function(data) {
+  try {
+    await this.create({
+      eventType: 'payment_escalated',
+      userType: 'employee',
+      username: data.username,
+      ipAddress: data.ipAddress,
+      userAgent: data.userAgent || 'unknown',
+      message: `Payment ${data.paymentId} (${data.amount} ${data.currency}) escalated to a Manager: above the approval limit of employee ${data.username}`,
+      severity: 'info',
+      metadata: {
+        paymentId: data.paymentId,
+        amount: data.amount,
+        currency: data.currency,
+        limit: data.limit
+      }
+    });
+  } catch (error) {
+    console.error('Error logging payment escalation:', error);
+  }
+};
+
+/**
+ * Static method to log a Manager verifying an escalated payment
+ */
+auditLogSchema.statics.logApprovalOverride = async function(data) {
+  try {
+    await this.create({
+      eventType: 'approval_limit_override',
+      userType: 'employee',
+      username: data.username,
+      ipAddress: data.ipAddress,
+      userAgent: data.userAgent || 'unknown',
+      message: `Escalated payment ${data.paymentId} (${data.amount} ${data.currency}) verified by: ${data.username}`,
+      severity: 'warning',
+      metadata: {
+        paymentId: data.paymentId,
+        amount: data.amount,
+        currency: data.currency,
+        escalatedBy: data.escalatedBy,
+        escalationLimit: data.escalationLimit
+      }
+    });
+  } catch (error) {
+    console.error('Error logging approval override:', error);
+  }
+};
+
+/**
+ * Static method to log a Manager changing an employee's approval limits
+ */
+auditLogSchema.statics.logApprovalLimitsChanged = async function(data) {
+  try {
+    await this.create({
+      eventType: 'approval_limits_changed',
+      userType: 'employee',
+      username: data.username,
+      ipAddress: data.ipAddress,
+      userAgent: data.userAgent || 'unknown',
+      message: `Approval limits of employee ${data.employeeUsername} changed by: ${data.username}`,
+      severity: 'warning',
+      metadata: {
+        employeeUsername: data.employeeUsername,
+        previous: data.previous,
+        current: data.current
+      }
+    });
+  } catch (error) {
+    console.error('Error logging approval limit change:', error);
+  }
+};
+
+/**
+ * Static method to log a Manager reassigning a claimed payment
+ */
+auditLogSchema.statics.logPaymentReassigned = async function(data) {
+  try {
+    await this.create({
+      eventType: 'payment_reassigned',
+      userType: 'employee',
+      username: data.username,
+      ipAddress: data.ipAddress,
+      userAgent: data.userAgent || 'unknown',
+      message: `Payment ${data.paymentId} assigned to ${data.assignedTo} by: ${data.username}`,
+      severity: 'info',
+      metadata: {
+        paymentId: data.paymentId,
+        previousAssignee: data.previousAssignee,
+        assignedTo: data.assignedTo
+      }
+    });
+  } catch (error) {
+    console.error('Error logging payment reassignment:', error);
+  }
+};
+
 /**
  * Static method to get failed login attempts by IP
  */
@@ -1,4 +1,5 @@
 import mongoose from 'mongoose';
+import { recoveryCodeSchema, passwordHistorySchema } from './credentialSchemas.js';
 
 const employeeSchema = new mongoose.Schema({
   fullName: {
@@ -25,11 +26,42 @@ const employeeSchema = new mongoose.Schema({
     type: String,
     required: [true, 'Password salt is required']
   },
+  // Set for passwords issued by staff; the user must choose their own at next sign-in
+  mustChangePassword: {
+    type: Boolean,
+    default: false
+  },
+  // Sessions started before this were revoked when the password changed
+  passwordChangedAt: {
+    type: Date,
+    default: null
+  },
+  passwordHistory: {
+    type: [passwordHistorySchema],
+    default: [],
+    select: false
+  },
+  // Consecutive failed sign-ins; reaching the limit locks the account until lockedUntil
+  failedLoginCount: {
+    type: Number,
+    default: 0
+  },
+  lockedUntil: {
+    type: Date,
+    default: null
+  },
   role: {
     type: String,
     enum: ['Employee', 'Manager', 'Admin'],
     default: 'Employee'
   },
+  // Largest amount per currency this employee may verify ('*' for other
+  // currencies), set by Managers. See approvalLimitService.
+  approvalLimits: {
+    type: Map,
+    of: Number,
+    default: undefined
+  },
   isActive: {
     type: Boolean,
     default: true
@@ -40,6 +72,33 @@ const employeeSchema = new mongoose.Schema({
   },
   lastLoginAt: {
     type: Date
+  },
+  // Two-factor authentication (TOTP). Secrets are AES-256 encrypted.
+  mfaEnabled: {
+    type: Boolean,
+    default: false
+  },
+  mfaSecret: {
+    type: String,
+    default: null
+  },
+  // Secret awaiting its first code during enrolment
+  mfaPendingSecret: {
+    type: String,
+    default: null
+  },
+  mfaEnrolledAt: {
+    type: Date,
+    default: null
+  },
+  // Last accepted time step, so a code cannot be replayed
+  mfaLastUsedStep: {
+    type: Number,
+    default: null
+  },
+  mfaRecoveryCodes: {
+    type: [recoveryCodeSchema],
+    default: []
   }
 }, {
   timestamps: true
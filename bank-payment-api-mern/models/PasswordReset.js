@@ -0,0 +1,55 @@
+import mongoose from 'mongoose';
+
+/**
+ * Password Reset Model
+ * Branch-assisted password resets started by an employee for a customer
+ *
+ * Only a SHA-256 hash of the reset token is stored. A reset can be completed
+ * once (usedAt) and is superseded when a newer one is started (revokedAt).
+ * Expired resets are removed; the audit log keeps the history.
+ */
+const passwordResetSchema = new mongoose.Schema({
+  customerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Customer',
+    required: true
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  initiatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Employee',
+    required: true
+  },
+  initiatedByUsername: {
+    type: String,
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  usedAt: {
+    type: Date,
+    default: null
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for performance
+passwordResetSchema.index({ customerId: 1, usedAt: 1, revokedAt: 1 });
+
+// TTL index - remove resets once expired
+passwordResetSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const PasswordReset = mongoose.model('PasswordReset', passwordResetSchema);
+
+export default PasswordReset;
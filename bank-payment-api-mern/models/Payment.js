@@ -1,5 +1,111 @@
 import mongoose from 'mongoose';
 
+/**
+ * Structured rejection codes an employee can choose when rejecting a payment
+ */
+export const REJECTION_CODES = [
+  'SANCTIONS_HIT',
+  'INVALID_BENEFICIARY',
+  'INVALID_SWIFT_CODE',
+  'SUSPECTED_FRAUD',
+  'DUPLICATE_PAYMENT',
+  'CUSTOMER_REQUEST',
+  'OTHER'
+];
+
+/**
+ * Status History Entry
+ * One entry is appended for every status transition (see paymentWorkflowService)
+ */
+const statusHistorySchema = new mongoose.Schema({
+  from: {
+    type: String,
+    default: null
+  },
+  to: {
+    type: String,
+    required: true
+  },
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  actorUsername: {
+    type: String,
+    default: 'system'
+  },
+  actorType: {
+    type: String,
+    enum: ['customer', 'employee', 'system'],
+    required: true
+  },
+  reason: {
+    type: String,
+    default: null
+  },
+  timestamp: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  _id: false
+});
+
+/**
+ * Verification by one employee (see fourEyesService)
+ * Large payments need more than one before they become Verified
+ */
+const verificationSchema = new mongoose.Schema({
+  employee: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Employee',
+    required: true
+  },
+  employeeUsername: {
+    type: String,
+    required: true
+  },
+  verifiedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  _id: false
+});
+
+/**
+ * Generated SWIFT message (see mt103Service)
+ */
+const swiftMessageSchema = new mongoose.Schema({
+  format: {
+    type: String,
+    enum: ['MT103'],
+    default: 'MT103'
+  },
+  reference: {
+    type: String,
+    required: true
+  },
+  uetr: {
+    type: String,
+    required: true
+  },
+  content: {
+    type: String,
+    required: true
+  },
+  checksum: {
+    type: String,
+    required: true
+  },
+  generatedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  _id: false
+});
+
 const paymentSchema = new mongoose.Schema({
   customerId: {
     type: mongoose.Schema.Types.ObjectId,
@@ -52,7 +158,7 @@ const paymentSchema = new mongoose.Schema({
   },
   status: {
     type: String,
-    enum: ['Pending', 'Verified', 'Submitted', 'Completed', 'Rejected'],
+    enum: ['Pending', 'Verified', 'Submitted', 'Completed', 'Rejected', 'Failed', 'Returned', 'Cancelled'],
     default: 'Pending'
   },
   verifiedBy: {
@@ -65,21 +171,149 @@ const paymentSchema = new mongoose.Schema({
   verifiedAt: {
     type: Date
   },
+  verifications: {
+    type: [verificationSchema],
+    default: []
+  },
+  // Set when a payment exceeded its verifier's approval limit: it waits in
+  // the Requires Manager queue (see approvalLimitService)
+  escalatedAt: {
+    type: Date,
+    default: null
+  },
+  escalatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Employee',
+    default: null
+  },
+  escalatedByUsername: {
+    type: String,
+    default: null
+  },
+  escalationLimit: {
+    type: Number,
+    default: null
+  },
+  // Work-queue claim: while claimExpiresAt is in the future only the
+  // assignee may verify or reject (see paymentClaimService)
+  assignedTo: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Employee',
+    default: null
+  },
+  assignedToUsername: {
+    type: String,
+    default: null
+  },
+  claimedAt: {
+    type: Date,
+    default: null
+  },
+  claimExpiresAt: {
+    type: Date,
+    default: null
+  },
+  rejectedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Employee'
+  },
+  rejectedByUsername: {
+    type: String
+  },
+  rejectedAt: {
+    type: Date
+  },
+  rejectionCode: {
+    type: String,
+    enum: REJECTION_CODES
+  },
+  rejectionReason: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Rejection reason must not exceed 500 characters']
+  },
   submittedToSwiftAt: {
     type: Date
   },
+  swiftBatchId: {
+    type: String,
+    index: true
+  },
+  // Set when the customer withdraws a pending payment
+  cancelledAt: {
+    type: Date
+  },
+  cancellationReason: {
+    type: String,
+    default: null,
+    maxlength: [500, 'Cancellation reason cannot exceed 500 characters']
+  },
+  // Set when the customer re-authenticated to confirm a high-value payment (see stepUpService)
+  stepUpMethod: {
+    type: String,
+    enum: ['password', 'totp'],
+    default: null
+  },
+  stepUpVerifiedAt: {
+    type: Date,
+    default: null
+  },
+  // Outcome reported by the SWIFT gateway (see swiftGatewayService)
+  completedAt: {
+    type: Date
+  },
+  failedAt: {
+    type: Date
+  },
+  returnedAt: {
+    type: Date
+  },
+  // ISO 20022 status reason code and text, set when Failed or Returned
+  failureCode: {
+    type: String,
+    default: null
+  },
+  failureReason: {
+    type: String,
+    default: null
+  },
+  swiftMessage: {
+    type: swiftMessageSchema,
+    default: undefined
+  },
+  statusHistory: {
+    type: [statusHistorySchema],
+    default: []
+  },
   createdAt: {
     type: Date,
     default: Date.now
   }
 }, {
-  timestamps: true
+  timestamps: true,
+  // Reject saves of a stale document (e.g. two employees acting at once)
+  optimisticConcurrency: true
 });
 
 // Indexes for performance
 paymentSchema.index({ customerId: 1, status: 1 });
 paymentSchema.index({ status: 1, createdAt: -1 });
 paymentSchema.index({ customerUsername: 1 });
+paymentSchema.index({ assignedTo: 1, claimExpiresAt: 1 });
+
+/**
+ * Guard against status changes that bypass paymentWorkflowService
+ * The latest history entry must always describe the current status
+ */
+paymentSchema.pre('validate', function (next) {
+  if (this.isModified('status')) {
+    const last = this.statusHistory[this.statusHistory.length - 1];
+    if (!last || last.to !== this.status) {
+      return next(new Error('Payment status must be changed through paymentWorkflowService'));
+    }
+  }
+  next();
+});
 
 const Payment = mongoose.model('Payment', paymentSchema);
 
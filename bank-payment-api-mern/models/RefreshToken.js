@@ -0,0 +1,72 @@
+import mongoose from 'mongoose';
+
+/**
+ * Refresh Token Model
+ * Opaque refresh tokens, stored as SHA-256 hashes (see refreshTokenService)
+ *
+ * Every login starts a new family. Each refresh marks the presented token
+ * as used and issues its successor in the same family, so presenting a used
+ * token again means it was stolen and the whole family is revoked.
+ */
+const refreshTokenSchema = new mongoose.Schema({
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  familyId: {
+    type: String,
+    required: true,
+    index: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  userType: {
+    type: String,
+    enum: ['customer', 'employee'],
+    required: true
+  },
+  username: {
+    type: String,
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  // Set when the token is exchanged for its successor
+  usedAt: {
+    type: Date,
+    default: null
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  revokedReason: {
+    type: String,
+    default: null
+  },
+  ipAddress: {
+    type: String,
+    default: 'unknown'
+  },
+  userAgent: {
+    type: String,
+    default: 'unknown'
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for performance
+refreshTokenSchema.index({ userId: 1, userType: 1 });
+
+// TTL index - remove tokens once expired
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const RefreshToken = mongoose.model('RefreshToken', refreshTokenSchema);
+
+export default RefreshToken;
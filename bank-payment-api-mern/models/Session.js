@@ -0,0 +1,64 @@
+import mongoose from 'mongoose';
+
+/**
+ * Session Model
+ * One entry per login, shown to customers as a signed-in device (see sessionService)
+ *
+ * sessionId is the refresh token family of the login and the sid claim of
+ * its access tokens. A session is active while its family still has an
+ * unused, unrevoked and unexpired refresh token.
+ */
+const sessionSchema = new mongoose.Schema({
+  sessionId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  userType: {
+    type: String,
+    enum: ['customer', 'employee'],
+    required: true
+  },
+  username: {
+    type: String,
+    required: true
+  },
+  // Where the login came from
+  ipAddress: {
+    type: String,
+    default: 'unknown'
+  },
+  userAgent: {
+    type: String,
+    default: 'unknown'
+  },
+  // Updated each time the session's refresh token is exchanged
+  lastSeenAt: {
+    type: Date,
+    default: Date.now
+  },
+  lastSeenIp: {
+    type: String,
+    default: 'unknown'
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for performance
+sessionSchema.index({ userId: 1, userType: 1 });
+
+// TTL index - remove sessions once their refresh token has expired
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const Session = mongoose.model('Session', sessionSchema);
+
+export default Session;
@@ -0,0 +1,38 @@
+import mongoose from 'mongoose';
+
+/**
+ * Step-Up Attempt Model
+ * Wrong answers given to one step-up challenge (see stepUpService)
+ *
+ * Keyed by the challenge's jti; once too many answers fail the challenge is
+ * used up and the customer has to start the confirmation again. Entries
+ * expire with the challenge they count.
+ */
+const stepUpAttemptSchema = new mongoose.Schema({
+  jti: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  failures: {
+    type: Number,
+    default: 0
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// TTL index - remove counters once their challenge has expired
+stepUpAttemptSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const StepUpAttempt = mongoose.model('StepUpAttempt', stepUpAttemptSchema);
+
+export default StepUpAttempt;
@@ -0,0 +1,147 @@
+import mongoose from 'mongoose';
+
+/**
+ * SWIFT Batch Model
+ * One document per submit-to-swift call, tying the submitted payments to the
+ * file that was handed to the SWIFT operator (used during reconciliation)
+ */
+const currencyTotalSchema = new mongoose.Schema({
+  currency: {
+    type: String,
+    required: true
+  },
+  amount: {
+    type: Number,
+    required: true
+  },
+  count: {
+    type: Number,
+    required: true
+  }
+}, {
+  _id: false
+});
+
+/**
+ * Summary of a status report received from the SWIFT gateway
+ */
+const statusReportSchema = new mongoose.Schema({
+  messageType: {
+    type: String,
+    required: true
+  },
+  messageId: {
+    type: String,
+    required: true
+  },
+  receivedAt: {
+    type: Date,
+    default: Date.now
+  },
+  completed: {
+    type: Number,
+    default: 0
+  },
+  failed: {
+    type: Number,
+    default: 0
+  },
+  returned: {
+    type: Number,
+    default: 0
+  },
+  unmatched: {
+    type: Number,
+    default: 0
+  }
+}, {
+  _id: false
+});
+
+const swiftBatchSchema = new mongoose.Schema({
+  // Also used as the ISO 20022 group header MsgId
+  batchId: {
+    type: String,
+    required: [true, 'Batch ID is required'],
+    unique: true
+  },
+  submittedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Employee',
+    required: [true, 'Submitting employee is required']
+  },
+  submittedByUsername: {
+    type: String,
+    required: true
+  },
+  submittedAt: {
+    type: Date,
+    required: true
+  },
+  // Value date used in MT103 field 32A and the ISO 20022 settlement date
+  valueDate: {
+    type: Date
+  },
+  paymentIds: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payment'
+  }],
+  paymentCount: {
+    type: Number,
+    required: true
+  },
+  totals: {
+    type: [currencyTotalSchema],
+    default: []
+  },
+  // Sum of all amounts irrespective of currency (ISO 20022 CtrlSum)
+  controlSum: {
+    type: String,
+    required: true
+  },
+  // pacs.008.001.08 file as handed off, and its SHA-256 checksum
+  messageType: {
+    type: String,
+    default: 'pacs.008.001.08'
+  },
+  document: {
+    type: String,
+    required: true
+  },
+  fileChecksum: {
+    type: String,
+    required: true
+  },
+  // Submitted until the gateway's status report arrives
+  status: {
+    type: String,
+    enum: ['Submitted', 'Acknowledged', 'PartiallyFailed', 'Failed'],
+    default: 'Submitted'
+  },
+  gateway: {
+    type: String,
+    default: null
+  },
+  gatewayReference: {
+    type: String,
+    default: null
+  },
+  dispatchedAt: {
+    type: Date,
+    default: null
+  },
+  statusReports: {
+    type: [statusReportSchema],
+    default: []
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for performance
+swiftBatchSchema.index({ submittedAt: -1 });
+swiftBatchSchema.index({ paymentIds: 1 });
+
+const SwiftBatch = mongoose.model('SwiftBatch', swiftBatchSchema);
+
+export default SwiftBatch;
@@ -0,0 +1,66 @@
+import mongoose from 'mongoose';
+
+/**
+ * Token Revocation Model
+ * Revocation store consulted on every authenticated request (see tokenRevocationService)
+ *
+ *   kind 'token'   - a single access token, by its jti (logout)
+ *   kind 'session' - every access token of one login, by its sid (signing out a device)
+ *   kind 'user'    - every access token issued to a user before the second of revokedAt
+ *
+ * Entries expire once no token they could match is still valid.
+ */
+const tokenRevocationSchema = new mongoose.Schema({
+  kind: {
+    type: String,
+    enum: ['token', 'session', 'user'],
+    required: true
+  },
+  jti: {
+    type: String,
+    default: null
+  },
+  sessionId: {
+    type: String,
+    default: null
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  userType: {
+    type: String,
+    enum: ['customer', 'employee'],
+    required: true
+  },
+  revokedAt: {
+    type: Date,
+    default: Date.now
+  },
+  revokedBy: {
+    type: String,
+    default: null
+  },
+  reason: {
+    type: String,
+    default: null
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for performance
+tokenRevocationSchema.index({ jti: 1 }, { unique: true, partialFilterExpression: { kind: 'token' } });
+tokenRevocationSchema.index({ sessionId: 1 }, { partialFilterExpression: { kind: 'session' } });
+tokenRevocationSchema.index({ userId: 1, userType: 1, kind: 1, revokedAt: -1 });
+
+// TTL index - drop entries once the tokens they cover have expired
+tokenRevocationSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const TokenRevocation = mongoose.model('TokenRevocation', tokenRevocationSchema);
+
+export default TokenRevocation;
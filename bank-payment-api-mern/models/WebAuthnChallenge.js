@@ -0,0 +1,41 @@
+import mongoose from 'mongoose';
+
+/**
+ * WebAuthn Challenge Model
+ * Outstanding registration and authentication challenges
+ *
+ * Each challenge is deleted when a response is verified against it, so it can
+ * only be answered once. Unanswered challenges expire after a few minutes.
+ */
+const webAuthnChallengeSchema = new mongoose.Schema({
+  // Random challenge as base64url, as echoed back in clientDataJSON
+  challenge: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  purpose: {
+    type: String,
+    enum: ['registration', 'authentication'],
+    required: true
+  },
+  // Employee registering a credential; null for usernameless sign-in
+  employeeId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Employee',
+    default: null
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// TTL index - remove challenges once expired
+webAuthnChallengeSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const WebAuthnChallenge = mongoose.model('WebAuthnChallenge', webAuthnChallengeSchema);
+
+export default WebAuthnChallenge;
@@ -0,0 +1,65 @@
+import mongoose from 'mongoose';
+
+/**
+ * WebAuthn Credential Model
+ * Passkeys registered by employees (see webauthnService)
+ *
+ * Only the public key is stored. The signature counter is kept so a cloned
+ * authenticator can be detected when its counter goes backwards.
+ */
+const webAuthnCredentialSchema = new mongoose.Schema({
+  employeeId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Employee',
+    required: true
+  },
+  // Credential ID as base64url, as sent by the browser
+  credentialId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // COSE-encoded public key, base64url
+  publicKey: {
+    type: String,
+    required: true
+  },
+  counter: {
+    type: Number,
+    default: 0
+  },
+  // How the browser can reach the authenticator (internal, usb, nfc, ble, hybrid)
+  transports: {
+    type: [String],
+    default: []
+  },
+  // 'singleDevice' or 'multiDevice' (synced passkey)
+  deviceType: {
+    type: String,
+    default: 'singleDevice'
+  },
+  backedUp: {
+    type: Boolean,
+    default: false
+  },
+  // Label chosen by the employee, e.g. the workstation name
+  name: {
+    type: String,
+    trim: true,
+    maxlength: 100,
+    default: 'Passkey'
+  },
+  lastUsedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for performance
+webAuthnCredentialSchema.index({ employeeId: 1 });
+
+const WebAuthnCredential = mongoose.model('WebAuthnCredential', webAuthnCredentialSchema);
+
+export default WebAuthnCredential;
@@ -0,0 +1,41 @@
+import mongoose from 'mongoose';
+
+/**
+ * Credential subdocument schemas shared by the Customer and Employee models
+ */
+
+/**
+ * One-time recovery code for two-factor authentication (stored hashed)
+ */
+export const recoveryCodeSchema = new mongoose.Schema({
+  codeHash: {
+    type: String,
+    required: true
+  },
+  usedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  _id: false
+});
+
+/**
+ * Previous password, kept so it cannot be chosen again
+ */
+export const passwordHistorySchema = new mongoose.Schema({
+  hash: {
+    type: String,
+    required: true
+  },
+  salt: {
+    type: String,
+    required: true
+  },
+  changedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  _id: false
+});
@@ -0,0 +1,311 @@
+import express from 'express';
+import Customer from '../models/Customer.js';
+import Employee from '../models/Employee.js';
+import AuditLog from '../models/AuditLog.js';
+import tokenRevocationService from '../services/tokenRevocationService.js';
+import employeeManagementService, { EmployeeManagementError } from '../services/employeeManagementService.js';
+import validator from '../utils/validators.js';
+import { authenticateToken, requireEmployee, requirePermission } from '../middleware/auth.js';
+import { PERMISSIONS } from '../config/permissions.js';
+
+const router = express.Router();
+
+// All routes require employee authentication, and each route an Admin-only
+// permission; role changes and deactivation revoke the employee's sessions,
+// so the token's role claim is current
+router.use(authenticateToken);
+router.use(requireEmployee);
+
+/**
+ * POST /api/admin/users/:userType/:userId/revoke-sessions
+ * Revoke every session of a customer or employee (e.g. when an employee leaves)
+ * Body: { reason? }
+ */
+router.post('/users/:userType/:userId/revoke-sessions', requirePermission(PERMISSIONS.SESSIONS_REVOKE), async (req, res) => {
+  try {
+    const { userType, userId } = req.params;
+    const { reason } = req.body;
+
+    if (!['customer', 'employee'].includes(userType)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid user type. Must be customer or employee.'
+      });
+    }
+
+    if (!validator.isValidObjectId(userId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid user ID format.'
+      });
+    }
+
+    if (reason && !validator.isValidReason(reason)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid reason. Must be 5-500 characters, letters, numbers and basic punctuation only.'
+      });
+    }
+
+    const Model = userType === 'employee' ? Employee : Customer;
+    const user = await Model.findById(userId).select('username');
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found.'
+      });
+    }
+
+    const revokedSessions = await tokenRevocationService.revokeAllForUser(userId, userType, {
+      revokedBy: req.user.username,
+      reason: reason ? reason.trim() : 'admin_revoked'
+    });
+
+    await AuditLog.logSessionsRevoked({
+      userType,
+      username: user.username,
+      ipAddress: req.ip || req.connection.remoteAddress || 'unknown',
+      userAgent: req.headers['user-agent'] || 'unknown',
+      revokedBy: req.user.username,
+      reason: reason ? reason.trim() : null,
+      revokedSessions
+    });
+
+    res.json({
+      success: true,
+      message: `All sessions for ${user.username} have been revoked`,
+      revokedSessions
+    });
+
+  } catch (error) {
+    console.error('Revoke sessions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to revoke sessions.'
+    });
+  }
+});
+
+/**
+ * Employee as shown to admins (never the password fields)
+ * @param {Object} employee - Employee document
+ * @returns {Object}
+ */
+const toEmployeeView = (employee) => ({
+  id: employee._id,
+  fullName: employee.fullName,
+  username: employee.username,
+  role: employee.role,
+  isActive: employee.isActive,
+  mustChangePassword: employee.mustChangePassword,
+  locked: Boolean(employee.lockedUntil && employee.lockedUntil > new Date()),
+  lastLoginAt: employee.lastLoginAt,
+  createdAt: employee.createdAt
+});
+
+/**
+ * Audit an employee change made through these routes
+ * @param {Object} req - Express request
+ * @param {string} action
+ * @param {Object} employee
+ * @param {Object} details - Extra metadata
+ */
+const auditEmployeeChange = (req, action, employee, details = {}) => AuditLog.logEmployeeChange({
+  action,
+  username: employee.username,
+  ipAddress: req.ip || req.connection.remoteAddress || 'unknown',
+  userAgent: req.headers['user-agent'] || 'unknown',
+  changedBy: req.user.username,
+  details
+});
+
+/**
+ * Load the employee named by :id, or answer 400/404
+ * @returns {Promise<Object|null>} Employee document, or null once a response was sent
+ */
+const findEmployee = async (req, res, select = '') => {
+  if (!validator.isValidObjectId(req.params.id)) {
+    res.status(400).json({
+      success: false,
+      message: 'Invalid employee ID format.'
+    });
+    return null;
+  }
+
+  const employee = await Employee.findById(req.params.id).select(select);
+
+  if (!employee) {
+    res.status(404).json({
+      success: false,
+      message: 'Employee not found.'
+    });
+    return null;
+  }
+
+  return employee;
+};
+
+/**
+ * Answer an error from an employee route
+ */
+const sendEmployeeError = (res, error, logLabel, message) => {
+  if (error instanceof EmployeeManagementError) {
+    return res.status(error.status).json({
+      success: false,
+      message: error.message
+    });
+  }
+
+  console.error(`${logLabel} error:`, error);
+  res.status(500).json({
+    success: false,
+    message
+  });
+};
+
+/**
+ * GET /api/admin/employees
+ * List all employee accounts
+ */
+router.get('/employees', requirePermission(PERMISSIONS.EMPLOYEES_MANAGE), async (req, res) => {
+  try {
+    const employees = await Employee.find().sort({ fullName: 1 });
+
+    res.json({
+      success: true,
+      count: employees.length,
+      employees: employees.map(toEmployeeView)
+    });
+
+  } catch (error) {
+    console.error('Get employees error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve employees.'
+    });
+  }
+});
+
+/**
+ * POST /api/admin/employees
+ * Create an employee account. The temporary password is returned once;
+ * the employee must change it at first sign-in.
+ * Body: { fullName, username, role }
+ */
+router.post('/employees', requirePermission(PERMISSIONS.EMPLOYEES_MANAGE), async (req, res) => {
+  try {
+    const { fullName, username, role } = req.body;
+
+    const { employee, temporaryPassword } = await employeeManagementService.create({ fullName, username, role });
+
+    await auditEmployeeChange(req, 'created', employee, { role: employee.role });
+
+    res.status(201).json({
+      success: true,
+      message: `Employee ${employee.username} created. Share the temporary password securely; it is not shown again.`,
+      employee: toEmployeeView(employee),
+      temporaryPassword
+    });
+
+  } catch (error) {
+    sendEmployeeError(res, error, 'Create employee', 'Failed to create employee.');
+  }
+});
+
+/**
+ * POST /api/admin/employees/:id/deactivate
+ * Deactivate an employee and end their sessions
+ */
+router.post('/employees/:id/deactivate', requirePermission(PERMISSIONS.EMPLOYEES_MANAGE), async (req, res) => {
+  try {
+    const employee = await findEmployee(req, res);
+    if (!employee) return;
+
+    await employeeManagementService.setActive(employee, false, req.user);
+    await auditEmployeeChange(req, 'deactivated', employee);
+
+    res.json({
+      success: true,
+      message: `Employee ${employee.username} deactivated and signed out.`,
+      employee: toEmployeeView(employee)
+    });
+
+  } catch (error) {
+    sendEmployeeError(res, error, 'Deactivate employee', 'Failed to deactivate employee.');
+  }
+});
+
+/**
+ * POST /api/admin/employees/:id/reactivate
+ * Reactivate a deactivated employee
+ */
+router.post('/employees/:id/reactivate', requirePermission(PERMISSIONS.EMPLOYEES_MANAGE), async (req, res) => {
+  try {
+    const employee = await findEmployee(req, res);
+    if (!employee) return;
+
+    await employeeManagementService.setActive(employee, true, req.user);
+    await auditEmployeeChange(req, 'reactivated', employee);
+
+    res.json({
+      success: true,
+      message: `Employee ${employee.username} reactivated.`,
+      employee: toEmployeeView(employee)
+    });
+
+  } catch (error) {
+    sendEmployeeError(res, error, 'Reactivate employee', 'Failed to reactivate employee.');
+  }
+});
+
+/**
+ * POST /api/admin/employees/:id/role
+ * Change an employee's role and end their sessions
+ * Body: { role }
+ */
+router.post('/employees/:id/role', requirePermission(PERMISSIONS.EMPLOYEES_MANAGE), async (req, res) => {
+  try {
+    const employee = await findEmployee(req, res);
+    if (!employee) return;
+
+    const previousRole = await employeeManagementService.changeRole(employee, req.body.role, req.user);
+    await auditEmployeeChange(req, 'role_changed', employee, { previousRole, role: employee.role });
+
+    res.json({
+      success: true,
+      message: `${employee.username} is now ${employee.role}. They must sign in again.`,
+      employee: toEmployeeView(employee)
+    });
+
+  } catch (error) {
+    sendEmployeeError(res, error, 'Change employee role', 'Failed to change employee role.');
+  }
+});
+
+/**
+ * POST /api/admin/employees/:id/password-reset
+ * Replace an employee's password with a temporary one (returned once),
+ * unlock the account and end their sessions
+ */
+router.post('/employees/:id/password-reset', requirePermission(PERMISSIONS.EMPLOYEES_MANAGE), async (req, res) => {
+  try {
+    const employee = await findEmployee(req, res, '+passwordHistory');
+    if (!employee) return;
+
+    const temporaryPassword = await employeeManagementService.forcePasswordReset(employee, req.user);
+    await auditEmployeeChange(req, 'password_reset', employee);
+
+    res.json({
+      success: true,
+      message: `Password reset for ${employee.username}. Share the temporary password securely; it is not shown again.`,
+      employee: toEmployeeView(employee),
+      temporaryPassword
+    });
+
+  } catch (error) {
+    sendEmployeeError(res, error, 'Reset employee password', 'Failed to reset employee password.');
+  }
+});
+
+export default router;
@@ -0,0 +1,388 @@
+import express from 'express';
+import Customer from '../models/Customer.js';
+import Employee from '../models/Employee.js';
+import AuditLog from '../models/AuditLog.js';
+import tokenService from '../services/tokenService.js';
+import refreshTokenService, { RefreshTokenError } from '../services/refreshTokenService.js';
+import tokenRevocationService from '../services/tokenRevocationService.js';
+import sessionService from '../services/sessionService.js';
+import mfaService, { MfaError } from '../services/mfaService.js';
+import passwordChangeService, { PasswordChangeError } from '../services/passwordChangeService.js';
+import validator from '../utils/validators.js';
+import { authenticatePendingPasswordChange } from '../middleware/auth.js';
+import { setRefreshCookie, clearRefreshCookie, readRefreshCookie } from '../utils/refreshCookie.js';
+
+const router = express.Router();
+
+/**
+ * Load the user behind a valid, unused MFA challenge token
+ * @param {string} challengeToken
+ * @param {string} purpose - 'verify' or 'enrol'
+ * @returns {Promise<{challenge: Object, user: Object}|null>}
+ */
+async function loadChallenge(challengeToken, purpose) {
+  const challenge = typeof challengeToken === 'string'
+    ? tokenService.verifyMfaChallengeToken(challengeToken)
+    : null;
+
+  if (!challenge || challenge.purpose !== purpose || await tokenRevocationService.isRevoked(challenge)) {
+    return null;
+  }
+
+  const Model = challenge.userType === 'employee' ? Employee : Customer;
+  const user = await Model.findOne({ _id: challenge.userId, isActive: true });
+
+  return user ? { challenge, user } : null;
+}
+
+const INVALID_CHALLENGE = {
+  success: false,
+  message: 'Invalid or expired login challenge. Please login again.'
+};
+
+/**
+ * POST /api/auth/refresh
+ * Exchange the refresh token cookie for a new access token and refresh token
+ * The presented refresh token is single-use; reusing it revokes the session.
+ */
+router.post('/refresh', async (req, res) => {
+  try {
+    const refreshToken = readRefreshCookie(req);
+
+    // Get request metadata for audit logging
+    const ipAddress = req.ip || req.connection.remoteAddress || 'unknown';
+    const userAgent = req.headers['user-agent'] || 'unknown';
+
+    if (typeof refreshToken !== 'string' || !/^[A-Za-z0-9_-]{64}$/.test(refreshToken)) {
+      clearRefreshCookie(res);
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid refresh token format.'
+      });
+    }
+
+    const rotated = await refreshTokenService.rotate(refreshToken, { ipAddress, userAgent });
+    const { user } = rotated;
+
+    // The account must still be active; the employee role and any pending
+    // password change are read again so changes apply
+    const Model = user.userType === 'employee' ? Employee : Customer;
+    const account = await Model.findOne({ _id: user.userId, isActive: true }).select('role mustChangePassword');
+
+    if (!account) {
+      await refreshTokenService.revokeFamily(rotated.familyId, 'account_inactive');
+      clearRefreshCookie(res);
+      return res.status(401).json({
+        success: false,
+        message: 'Account is no longer active.'
+      });
+    }
+
+    const token = tokenService.generateToken({
+      ...user,
+      role: account.role,
+      mustChangePassword: account.mustChangePassword,
+      sessionId: rotated.familyId
+    });
+    await sessionService.touch(rotated.familyId, { ipAddress, expiresAt: rotated.expiresAt });
+    setRefreshCookie(res, { refreshToken: rotated.refreshToken, refreshTokenExpiresAt: rotated.expiresAt });
+
+    res.json({
+      success: true,
+      token,
+      refreshTokenExpiresAt: rotated.expiresAt
+    });
+
+  } catch (error) {
+    if (error instanceof RefreshTokenError) {
+      if (error.reuseDetected) {
+        await AuditLog.logSuspiciousActivity({
+          ...error.user,
+          ipAddress: req.ip || req.connection.remoteAddress || 'unknown',
+          userAgent: req.headers['user-agent'] || 'unknown',
+          message: 'Refresh token reuse detected; session revoked',
+          failureReason: 'refresh_token_reuse'
+        });
+      }
+
+      clearRefreshCookie(res);
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Token refresh error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to refresh session.'
+    });
+  }
+});
+
+/**
+ * POST /api/auth/mfa/verify
+ * Second login step for enrolled users
+ * Body: { challengeToken, code } or { challengeToken, recoveryCode }
+ */
+router.post('/mfa/verify', async (req, res) => {
+  try {
+    const { challengeToken, code, recoveryCode } = req.body;
+
+    // Get request metadata for audit logging
+    const ipAddress = req.ip || req.connection.remoteAddress || 'unknown';
+    const userAgent = req.headers['user-agent'] || 'unknown';
+
+    const hasCode = code !== undefined && code !== null && code !== '';
+    const hasRecoveryCode = recoveryCode !== undefined && recoveryCode !== null && recoveryCode !== '';
+
+    if (hasCode === hasRecoveryCode) {
+      return res.status(400).json({
+        success: false,
+        message: 'Provide either a verification code or a recovery code.'
+      });
+    }
+
+    if (hasCode && !validator.isValidTotpCode(code)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid verification code format. Must be 6 digits.'
+      });
+    }
+
+    if (hasRecoveryCode && !validator.isValidRecoveryCode(recoveryCode)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid recovery code format.'
+      });
+    }
+
+    const loaded = await loadChallenge(challengeToken, 'verify');
+    if (!loaded) {
+      return res.status(401).json(INVALID_CHALLENGE);
+    }
+
+    const { challenge, user } = loaded;
+    let mfaMethod;
+
+    try {
+      mfaMethod = await mfaService.verify(user, challenge.userType, hasCode ? { code } : { recoveryCode });
+    } catch (error) {
+      if (!(error instanceof MfaError)) {
+        throw error;
+      }
+
+      await AuditLog.logFailedLogin({
+        userType: challenge.userType,
+        accountNumber: user.accountNumber,
+        username: user.username,
+        ipAddress,
+        userAgent,
+        failureReason: hasCode ? 'Invalid MFA code' : 'Invalid MFA recovery code'
+      });
+
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    // The challenge is single-use
+    await tokenRevocationService.revokeToken(challenge, 'mfa_challenge_used');
+
+    const session = await sessionService.start(user, challenge.userType, { ipAddress, userAgent, mfaMethod });
+    setRefreshCookie(res, session);
+    const response = sessionService.buildLoginResponse(user, challenge.userType, session);
+
+    // The user was loaded before the recovery code was consumed
+    if (mfaMethod === 'recovery_code') {
+      response.remainingRecoveryCodes = mfaService.countRemainingRecoveryCodes(user) - 1;
+    }
+
+    res.json(response);
+
+  } catch (error) {
+    console.error('MFA verification error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Verification failed. Please try again.'
+    });
+  }
+});
+
+/**
+ * POST /api/auth/mfa/enrol
+ * Start the enrolment a user must complete before their first login
+ * Body: { challengeToken }
+ * Returns the secret and otpauth URI to show as a QR code.
+ */
+router.post('/mfa/enrol', async (req, res) => {
+  try {
+    const loaded = await loadChallenge(req.body.challengeToken, 'enrol');
+    if (!loaded) {
+      return res.status(401).json(INVALID_CHALLENGE);
+    }
+
+    const { secret, otpauthUri } = await mfaService.startEnrolment(loaded.user);
+
+    res.json({
+      success: true,
+      secret,
+      otpauthUri
+    });
+
+  } catch (error) {
+    if (error instanceof MfaError) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('MFA enrolment error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to start two-factor enrolment.'
+    });
+  }
+});
+
+/**
+ * POST /api/auth/mfa/enrol/confirm
+ * Confirm enrolment with a first code and complete the login
+ * Body: { challengeToken, code }
+ * Returns the session tokens and the one-time recovery codes.
+ */
+router.post('/mfa/enrol/confirm', async (req, res) => {
+  try {
+    const { challengeToken, code } = req.body;
+
+    // Get request metadata for audit logging
+    const ipAddress = req.ip || req.connection.remoteAddress || 'unknown';
+    const userAgent = req.headers['user-agent'] || 'unknown';
+
+    if (!validator.isValidTotpCode(code)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid verification code format. Must be 6 digits.'
+      });
+    }
+
+    const loaded = await loadChallenge(challengeToken, 'enrol');
+    if (!loaded) {
+      return res.status(401).json(INVALID_CHALLENGE);
+    }
+
+    const { challenge, user } = loaded;
+    const recoveryCodes = await mfaService.confirmEnrolment(user, code);
+
+    await tokenRevocationService.revokeToken(challenge, 'mfa_challenge_used');
+
+    await AuditLog.logMfaEnrolled({
+      userType: challenge.userType,
+      username: user.username,
+      ipAddress,
+      userAgent
+    });
+
+    const session = await sessionService.start(user, challenge.userType, { ipAddress, userAgent, mfaMethod: 'totp' });
+    setRefreshCookie(res, session);
+
+    res.json({
+      ...sessionService.buildLoginResponse(user, challenge.userType, session),
+      recoveryCodes
+    });
+
+  } catch (error) {
+    if (error instanceof MfaError) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('MFA enrolment confirmation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to confirm two-factor enrolment.'
+    });
+  }
+});
+
+/**
+ * POST /api/auth/change-password
+ * Change the signed-in user's password (customers and employees)
+ * Body: { currentPassword, newPassword }
+ * Every session issued before the change is revoked, including the current
+ * one, so the user signs in again with the new password.
+ */
+router.post('/change-password', authenticatePendingPasswordChange, async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+
+    // Get request metadata for audit logging
+    const ipAddress = req.ip || req.connection.remoteAddress || 'unknown';
+    const userAgent = req.headers['user-agent'] || 'unknown';
+
+    if (!currentPassword || !newPassword) {
+      return res.status(400).json({
+        success: false,
+        message: 'Current password and new password are required.'
+      });
+    }
+
+    const { userId, userType } = req.user;
+    const Model = userType === 'employee' ? Employee : Customer;
+    const user = await Model.findOne({ _id: userId, isActive: true }).select('+passwordHistory');
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'Account not found.'
+      });
+    }
+
+    const wasRequired = user.mustChangePassword;
+    const changedAt = await passwordChangeService.change(user, currentPassword, newPassword);
+
+    // Reject every token issued before the change
+    const revokedSessions = await tokenRevocationService.revokeAllForUser(userId, userType, {
+      reason: 'password_changed',
+      revokedBy: user.username
+    });
+
+    await AuditLog.logPasswordChanged({
+      userType,
+      username: user.username,
+      ipAddress,
+      userAgent,
+      metadata: {
+        changedAt,
+        wasRequired,
+        revokedSessions
+      }
+    });
+
+    res.json({
+      success: true,
+      message: 'Password changed successfully. Please sign in with your new password.'
+    });
+
+  } catch (error) {
+    // Wrong current password is 400, not 401: the session stays valid
+    if (error instanceof PasswordChangeError) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Change password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to change password.'
+    });
+  }
+});
+
+export default router;
@@ -2,15 +2,23 @@ import express from 'express';
 import Customer from '../models/Customer.js';
 import AuditLog from '../models/AuditLog.js';
 import passwordService from '../services/passwordService.js';
+import accountLockoutService, { INVALID_CREDENTIALS_MESSAGE } from '../services/accountLockoutService.js';
 import tokenService from '../services/tokenService.js';
+import sessionService from '../services/sessionService.js';
+import mfaService, { MfaError } from '../services/mfaService.js';
+import tokenRevocationService from '../services/tokenRevocationService.js';
+import passwordResetService, { PasswordResetError } from '../services/passwordResetService.js';
+import { PasswordChangeError } from '../services/passwordChangeService.js';
 import validator from '../utils/validators.js';
+import { authenticateToken, authenticatePendingPasswordChange, requireCustomer } from '../middleware/auth.js';
+import { setRefreshCookie, clearRefreshCookie } from '../utils/refreshCookie.js';
 
 const router = express.Router();
 
 /**
  * POST /api/customer/auth/register
  * DISABLED - Customer registration is not allowed via public API
- * Customers must be created by bank staff using the createCustomer.js script
+ * Customers are onboarded by branch staff (POST /api/employee/customers)
  */
 router.post('/register', async (req, res) => {
   return res.status(403).json({
@@ -19,103 +27,6 @@ router.post('/register', async (req, res) => {
   });
 });
 
-// Original registration code preserved for reference (used by createCustomer.js script)
-// Kept here for script usage, not exposed via API
-/*
-router.post('/register', async (req, res) => {
-  try {
-    const { fullName, idNumber, accountNumber, username, password } = req.body;
-
-    // Validate all inputs using RegEx whitelisting
-    if (!validator.isValidFullName(fullName)) {
-      return res.status(400).json({
-        success: false,
-        message: 'Invalid full name. Must be 2-100 characters, letters, spaces, hyphens, and apostrophes only.'
-      });
-    }
-
-    if (!validator.isValidIdNumber(idNumber)) {
-      return res.status(400).json({
-        success: false,
-        message: 'Invalid ID number. Must be exactly 13 digits.'
-      });
-    }
-
-    if (!validator.isValidAccountNumber(accountNumber)) {
-      return res.status(400).json({
-        success: false,
-        message: 'Invalid account number. Must be 10-16 digits.'
-      });
-    }
-
-    if (!validator.isValidUsername(username)) {
-      return res.status(400).json({
-        success: false,
-        message: 'Invalid username. Must be 3-50 characters, letters, numbers, and underscores only.'
-      });
-    }
-
-    if (!validator.isValidPassword(password)) {
-      return res.status(400).json({
-        success: false,
-        message: 'Invalid password. Must be 8-100 characters with uppercase, lowercase, digit, and special character.'
-      });
-    }
-
-    // Check if customer already exists
-    const existingCustomer = await Customer.findOne({
-      $or: [
-        { idNumber },
-        { accountNumber },
-        { username: username.toLowerCase() }
-      ]
-    });
-
-    if (existingCustomer) {
-      if (existingCustomer.username === username.toLowerCase()) {
-        return res.status(409).json({
-          success: false,
-          message: 'Username already taken. Please choose a different username.'
-        });
-      }
-      return res.status(409).json({
-        success: false,
-        message: 'Customer with this ID number or account number already exists.'
-      });
-    }
-
-    // Hash password
-    const { hash, salt } = await passwordService.hashPassword(password);
-
-    // Create customer with user-provided username
-    const customer = new Customer({
-      fullName,
-      idNumber,
-      accountNumber,
-      username: username.toLowerCase(),
-      passwordHash: hash,
-      passwordSalt: salt,
-      isActive: true
-    });
-
-    await customer.save();
-
-    res.status(201).json({
-      success: true,
-      message: 'Customer registered successfully',
-      username: username.toLowerCase()
-    });
-
-  } catch (error) {
-    console.error('Registration error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Registration failed. Please try again.'
-    });
-  }
-});
-*/
-
 /**
  * POST /api/customer/auth/login
  * Customer login
@@ -175,77 +86,336 @@ router.post('/login', async (req, res) => {
 
     const customer = await Customer.findOne(query);
 
-    if (!customer) {
+    // Unknown, locked and wrong-password attempts take as long and answer the same
+    const attempt = await accountLockoutService.verifyLogin(Customer, customer, password);
+
+    if (!attempt.success) {
       await AuditLog.logFailedLogin({
         userType: 'customer',
         accountNumber,
-        username: username || 'not-provided',
+        username: customer?.username || username || 'not-provided',
         ipAddress,
         userAgent,
-        failureReason: 'Account not found or inactive'
+        failureReason: attempt.failureReason
       });
 
+      if (attempt.lockedUntil) {
+        await AuditLog.logAccountLocked({
+          userType: 'customer',
+          accountNumber,
+          username: customer.username,
+          ipAddress,
+          userAgent,
+          lockedUntil: attempt.lockedUntil
+        });
+      }
+
       return res.status(401).json({
         success: false,
-        message: 'Invalid credentials.'
+        message: INVALID_CREDENTIALS_MESSAGE
       });
     }
 
-    // Verify password
-    const isPasswordValid = await passwordService.verifyPassword(
-      password,
-      customer.passwordHash,
-      customer.passwordSalt
-    );
+    // Move bcrypt hashes and retired peppers to the current format; never blocks the login
+    await passwordService.upgradeHash(Customer, customer, password).catch((error) => {
+      console.error('Password rehash error:', error);
+    });
 
-    if (!isPasswordValid) {
-      await AuditLog.logFailedLogin({
-        userType: 'customer',
-        accountNumber,
+    // Customers who enrolled in two-factor authentication must enter a code first
+    if (mfaService.getChallengePurpose(customer, 'customer')) {
+      const challengeToken = tokenService.generateMfaChallengeToken({
+        userId: customer._id.toString(),
         username: customer.username,
-        ipAddress,
-        userAgent,
-        failureReason: 'Invalid password'
+        userType: 'customer',
+        purpose: 'verify'
       });
 
-      return res.status(401).json({
+      return res.json({
+        success: true,
+        mfaRequired: true,
+        mfaPurpose: 'verify',
+        challengeToken
+      });
+    }
+
+    const session = await sessionService.start(customer, 'customer', { ipAddress, userAgent });
+    setRefreshCookie(res, session);
+
+    res.json(sessionService.buildLoginResponse(customer, 'customer', session));
+
+  } catch (error) {
+    console.error('Login error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Login failed. Please try again.'
+    });
+  }
+});
+
+/**
+ * POST /api/customer/auth/logout
+ * Revoke the current access token and end its refresh token session
+ */
+router.post('/logout', authenticatePendingPasswordChange, requireCustomer, async (req, res) => {
+  try {
+    await tokenRevocationService.revokeToken(req.token, 'logout');
+    clearRefreshCookie(res);
+
+    res.json({
+      success: true,
+      message: 'Logged out successfully'
+    });
+
+  } catch (error) {
+    console.error('Customer logout error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Logout failed. Please try again.'
+    });
+  }
+});
+
+/**
+ * POST /api/customer/auth/mfa/enrol
+ * Opt in to two-factor authentication
+ * Returns the secret and otpauth URI to show as a QR code.
+ */
+router.post('/mfa/enrol', authenticateToken, requireCustomer, async (req, res) => {
+  try {
+    const customer = await Customer.findOne({ _id: req.user.userId, isActive: true });
+
+    if (!customer) {
+      return res.status(404).json({
+        success: false,
+        message: 'Customer not found.'
+      });
+    }
+
+    const { secret, otpauthUri } = await mfaService.startEnrolment(customer);
+
+    res.json({
+      success: true,
+      secret,
+      otpauthUri
+    });
+
+  } catch (error) {
+    if (error instanceof MfaError) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Customer MFA enrolment error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to start two-factor enrolment.'
+    });
+  }
+});
+
+/**
+ * POST /api/customer/auth/mfa/enrol/confirm
+ * Confirm enrolment with a first code from the authenticator
+ * Body: { code }
+ * Returns the one-time recovery codes.
+ */
+router.post('/mfa/enrol/confirm', authenticateToken, requireCustomer, async (req, res) => {
+  try {
+    const { code } = req.body;
+
+    if (!validator.isValidTotpCode(code)) {
+      return res.status(400).json({
         success: false,
-        message: 'Invalid credentials.'
+        message: 'Invalid verification code format. Must be 6 digits.'
       });
     }
 
-    // Update last login
-    customer.lastLoginAt = new Date();
-    await customer.save();
+    const customer = await Customer.findOne({ _id: req.user.userId, isActive: true });
 
-    // Log successful login
-    await AuditLog.logSuccessfulLogin({
+    if (!customer) {
+      return res.status(404).json({
+        success: false,
+        message: 'Customer not found.'
+      });
+    }
+
+    const recoveryCodes = await mfaService.confirmEnrolment(customer, code);
+
+    await AuditLog.logMfaEnrolled({
       userType: 'customer',
-      accountNumber,
       username: customer.username,
-      ipAddress,
-      userAgent
+      ipAddress: req.ip || req.connection.remoteAddress || 'unknown',
+      userAgent: req.headers['user-agent'] || 'unknown'
+    });
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication enabled',
+      recoveryCodes
+    });
+
+  } catch (error) {
+    if (error instanceof MfaError) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Customer MFA confirmation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to confirm two-factor enrolment.'
     });
+  }
+});
+
+/**
+ * POST /api/customer/auth/mfa/disable
+ * Switch two-factor authentication off (requires a current code)
+ * Body: { code }
+ */
+router.post('/mfa/disable', authenticateToken, requireCustomer, async (req, res) => {
+  try {
+    const { code } = req.body;
+
+    if (!validator.isValidTotpCode(code)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid verification code format. Must be 6 digits.'
+      });
+    }
+
+    const customer = await Customer.findOne({ _id: req.user.userId, isActive: true });
+
+    if (!customer) {
+      return res.status(404).json({
+        success: false,
+        message: 'Customer not found.'
+      });
+    }
+
+    await mfaService.verify(customer, 'customer', { code });
+    await mfaService.disable(customer);
 
-    // Generate JWT token
-    const token = tokenService.generateToken({
-      userId: customer._id.toString(),
+    await AuditLog.logMfaDisabled({
+      userType: 'customer',
       username: customer.username,
-      userType: 'customer'
+      ipAddress: req.ip || req.connection.remoteAddress || 'unknown',
+      userAgent: req.headers['user-agent'] || 'unknown'
+    });
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication disabled'
+    });
+
+  } catch (error) {
+    if (error instanceof MfaError) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Customer MFA disable error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to disable two-factor authentication.'
     });
+  }
+});
+
+/**
+ * POST /api/customer/auth/password-reset/validate
+ * Check a password reset link before showing the new-password form
+ * Body: { token }
+ */
+router.post('/password-reset/validate', async (req, res) => {
+  try {
+    const { customer, reset } = await passwordResetService.findValid(req.body.token);
 
     res.json({
       success: true,
-      token,
       username: customer.username,
-      fullName: customer.fullName
+      expiresAt: reset.expiresAt
     });
 
   } catch (error) {
-    console.error('Login error:', error);
+    if (error instanceof PasswordResetError) {
+      await AuditLog.logPasswordResetFailed({
+        userType: 'customer',
+        ipAddress: req.ip || req.connection.remoteAddress || 'unknown',
+        userAgent: req.headers['user-agent'] || 'unknown',
+        step: 'validation',
+        failureReason: error.message
+      });
+
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Password reset validation error:', error);
     res.status(500).json({
       success: false,
-      message: 'Login failed. Please try again.'
+      message: 'Failed to check password reset link.'
+    });
+  }
+});
+
+/**
+ * POST /api/customer/auth/password-reset/complete
+ * Complete a password reset started at a branch
+ * Body: { token, newPassword }
+ * Signs the customer out everywhere; they then log in with the new password.
+ */
+router.post('/password-reset/complete', async (req, res) => {
+  const ipAddress = req.ip || req.connection.remoteAddress || 'unknown';
+  const userAgent = req.headers['user-agent'] || 'unknown';
+
+  try {
+    const { token, newPassword } = req.body;
+
+    const { customer, reset, revokedSessions } = await passwordResetService.complete(token, newPassword);
+
+    await AuditLog.logPasswordReset({
+      accountNumber: customer.accountNumber,
+      username: customer.username,
+      ipAddress,
+      userAgent,
+      initiatedBy: reset.initiatedByUsername,
+      revokedSessions
+    });
+
+    res.json({
+      success: true,
+      message: 'Your password has been reset. Please login with your new password.'
+    });
+
+  } catch (error) {
+    if (error instanceof PasswordResetError || error instanceof PasswordChangeError) {
+      await AuditLog.logPasswordResetFailed({
+        userType: 'customer',
+        ipAddress,
+        userAgent,
+        step: 'completion',
+        failureReason: error.message
+      });
+
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Password reset error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to reset password. Please try again.'
     });
   }
 });
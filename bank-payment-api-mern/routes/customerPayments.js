@@ -1,5 +1,12 @@
 import express from 'express';
 import Payment from '../models/Payment.js';
+import Customer from '../models/Customer.js';
+import AuditLog from '../models/AuditLog.js';
+import paymentWorkflowService, { ConcurrentModificationError } from '../services/paymentWorkflowService.js';
+import stepUpService, { StepUpError } from '../services/stepUpService.js';
+import accountLockoutService from '../services/accountLockoutService.js';
+import mfaService, { MfaError } from '../services/mfaService.js';
+import tokenRevocationService from '../services/tokenRevocationService.js';
 import validator from '../utils/validators.js';
 import { authenticateToken } from '../middleware/auth.js';
 
@@ -11,10 +18,13 @@ router.use(authenticateToken);
 /**
  * POST /api/customer/payments/create
  * Create a new international payment
+ * Payments above the step-up threshold are answered with 403 { stepUpRequired, challengeToken, methods }
+ * and must be resubmitted with the confirmation from POST /step-up.
+ * Body: { amount, currency, provider, payeeFullName, payeeAccountNumber, payeeBankName, swiftCode, stepUpToken? }
  */
 router.post('/create', async (req, res) => {
   try {
-    const { amount, currency, provider, payeeFullName, payeeAccountNumber, payeeBankName, swiftCode } = req.body;
+    const { amount, currency, provider, payeeFullName, payeeAccountNumber, payeeBankName, swiftCode, stepUpToken } = req.body;
 
     // Validate amount
     if (!validator.isValidAmount(amount)) {
@@ -72,18 +82,55 @@ router.post('/create', async (req, res) => {
       });
     }
 
+    const paymentDetails = {
+      amount,
+      currency: currency.toUpperCase(),
+      payeeFullName,
+      payeeAccountNumber,
+      swiftCode: swiftCode.toUpperCase()
+    };
+
+    // High-value payments must be confirmed by re-authenticating first
+    let stepUp = null;
+    if (stepUpService.isRequired(paymentDetails)) {
+      if (!stepUpToken) {
+        const customer = await Customer.findById(req.user.userId).select('mfaEnabled');
+        const methods = customer?.mfaEnabled ? ['totp', 'password'] : ['password'];
+
+        return res.status(403).json({
+          success: false,
+          stepUpRequired: true,
+          message: 'Please confirm this payment with your password or authenticator code.',
+          challengeToken: stepUpService.createChallenge(req.user, paymentDetails, methods),
+          methods
+        });
+      }
+
+      stepUp = stepUpService.verifyConfirmation(stepUpToken, req.user.userId, paymentDetails);
+      if (!(await tokenRevocationService.consumeToken(stepUp, 'step_up_confirmation_used'))) {
+        throw new StepUpError('This payment confirmation has already been used. Please confirm again.');
+      }
+    }
+
     // Create payment
     const payment = new Payment({
       customerId: req.user.userId,
       customerUsername: req.user.username,
       amount,
-      currency: currency.toUpperCase(),
+      currency: paymentDetails.currency,
       provider,
       payeeFullName,
       payeeAccountNumber,
       payeeBankName,
-      swiftCode: swiftCode.toUpperCase(),
-      status: 'Pending'
+      swiftCode: paymentDetails.swiftCode,
+      stepUpMethod: stepUp ? stepUp.method : null,
+      stepUpVerifiedAt: stepUp ? new Date(stepUp.iat * 1000) : null
+    });
+
+    paymentWorkflowService.recordCreation(payment, {
+      actor: req.user.userId,
+      actorUsername: req.user.username,
+      actorType: 'customer'
     });
 
     await payment.save();
@@ -95,6 +142,13 @@ router.post('/create', async (req, res) => {
     });
 
   } catch (error) {
+    if (error instanceof StepUpError) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
     console.error('Create payment error:', error);
     res.status(500).json({
       success: false,
@@ -103,6 +157,143 @@ router.post('/create', async (req, res) => {
   }
 });
 
+/**
+ * Count a wrong step-up answer against its challenge
+ * @param {Object} challenge - Decoded challenge token
+ * @param {string} message - Error for a challenge that can still be answered
+ * @returns {Promise<StepUpError>} Error to send
+ */
+const stepUpFailure = async (challenge, message) => {
+  if (await stepUpService.recordFailure(challenge)) {
+    return new StepUpError('Too many incorrect attempts. Please confirm the payment again.');
+  }
+  return new StepUpError(message, 400);
+};
+
+/**
+ * POST /api/customer/payments/step-up
+ * Answer a step-up challenge with the password or a current authenticator code
+ * Returns a single-use confirmation for exactly the payment that was challenged.
+ * Wrong passwords count towards the account lockout, and every wrong answer
+ * towards the challenge's attempt limit.
+ * Body: { challengeToken, password } or { challengeToken, code }
+ */
+router.post('/step-up', async (req, res) => {
+  const ipAddress = req.ip || req.connection.remoteAddress || 'unknown';
+  const userAgent = req.headers['user-agent'] || 'unknown';
+  const { challengeToken, password, code } = req.body;
+  const method = code ? 'totp' : 'password';
+
+  try {
+    if (!challengeToken || (!password && !code)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Challenge token and either your password or an authenticator code are required.'
+      });
+    }
+
+    if (code && !validator.isValidTotpCode(code)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid verification code format. Must be 6 digits.'
+      });
+    }
+
+    const challenge = stepUpService.verifyToken(challengeToken, 'challenge', req.user.userId);
+
+    // Used, or used up by wrong answers: nothing more is checked against it
+    if (await tokenRevocationService.isRevoked(challenge)) {
+      throw new StepUpError('This payment confirmation has already been used. Please confirm again.');
+    }
+
+    if (!challenge.methods.includes(method)) {
+      return res.status(400).json({
+        success: false,
+        message: 'This confirmation method is not available for your account.'
+      });
+    }
+
+    const customer = await Customer.findOne({ _id: req.user.userId, isActive: true });
+    if (!customer) {
+      return res.status(404).json({
+        success: false,
+        message: 'Account not found.'
+      });
+    }
+
+    // Wrong credentials are 400, not 401: the customer stays signed in
+    if (method === 'totp') {
+      try {
+        await mfaService.verify(customer, 'customer', { code });
+      } catch (error) {
+        if (error instanceof MfaError && error.status === 400) {
+          throw await stepUpFailure(challenge, error.message);
+        }
+        throw error;
+      }
+    } else {
+      const attempt = await accountLockoutService.verifyLogin(Customer, customer, String(password));
+
+      if (!attempt.success) {
+        if (attempt.lockedUntil) {
+          await AuditLog.logAccountLocked({
+            userType: 'customer',
+            accountNumber: customer.accountNumber,
+            username: customer.username,
+            ipAddress,
+            userAgent,
+            lockedUntil: attempt.lockedUntil
+          });
+        }
+
+        const failure = await stepUpFailure(challenge, 'Incorrect password.');
+        if (accountLockoutService.isLocked(customer) || attempt.lockedUntil) {
+          throw new StepUpError('Too many failed attempts. Your account is temporarily locked.');
+        }
+        throw failure;
+      }
+    }
+
+    if (!(await tokenRevocationService.consumeToken(challenge, 'step_up_challenge_used'))) {
+      throw new StepUpError('This payment confirmation has already been used. Please confirm again.');
+    }
+
+    await AuditLog.logStepUpVerified({
+      username: req.user.username,
+      ipAddress,
+      userAgent,
+      method
+    });
+
+    res.json({
+      success: true,
+      confirmationToken: stepUpService.createConfirmation(challenge, method)
+    });
+
+  } catch (error) {
+    if (error instanceof StepUpError || error instanceof MfaError) {
+      await AuditLog.logStepUpFailed({
+        username: req.user.username,
+        ipAddress,
+        userAgent,
+        method,
+        failureReason: error.message
+      });
+
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Step-up error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to confirm payment. Please try again.'
+    });
+  }
+});
+
 /**
  * GET /api/customer/payments/my-payments
  * Get all payments for the authenticated customer
@@ -168,4 +359,92 @@ router.get('/:id', async (req, res) => {
   }
 });
 
+/**
+ * POST /api/customer/payments/:id/cancel
+ * Cancel one of the customer's own payments while it is still Pending
+ * Body: { reason? }
+ */
+router.post('/:id/cancel', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { reason } = req.body;
+
+    if (!validator.isValidObjectId(id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid payment ID format.'
+      });
+    }
+
+    if (reason && !validator.isValidReason(reason)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid cancellation reason. Must be 5-500 characters, letters, numbers and basic punctuation only.'
+      });
+    }
+
+    const cancellationReason = reason ? reason.trim() : null;
+
+    const payment = await Payment.findOne({
+      _id: id,
+      customerId: req.user.userId
+    });
+
+    if (!payment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Payment not found.'
+      });
+    }
+
+    if (!paymentWorkflowService.canTransition(payment.status, 'Cancelled')) {
+      return res.status(409).json({
+        success: false,
+        message: `Only pending payments can be cancelled. Current status: ${payment.status}`
+      });
+    }
+
+    // Fails if an employee acted on the payment in the meantime
+    const cancelledAt = new Date();
+    const updated = await paymentWorkflowService.applyTransition(payment, 'Cancelled', {
+      actor: req.user.userId,
+      actorUsername: req.user.username,
+      actorType: 'customer',
+      reason: cancellationReason || 'Cancelled by customer',
+      timestamp: cancelledAt
+    }, {
+      cancelledAt,
+      cancellationReason
+    });
+
+    await AuditLog.logPaymentCancelled({
+      username: req.user.username,
+      ipAddress: req.ip || req.connection.remoteAddress || 'unknown',
+      userAgent: req.headers['user-agent'] || 'unknown',
+      paymentId: String(payment._id),
+      reason: cancellationReason
+    });
+
+    res.json({
+      success: true,
+      message: 'Payment cancelled successfully',
+      payment: updated
+    });
+
+  } catch (error) {
+    if (error instanceof ConcurrentModificationError) {
+      return res.status(409).json({
+        success: false,
+        message: 'This payment is already being processed and can no longer be cancelled.'
+      });
+    }
+
+    console.error('Cancel payment error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to cancel payment.'
+    });
+  }
+});
+
 export default router;
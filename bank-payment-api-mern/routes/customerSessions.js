@@ -0,0 +1,152 @@
+import express from 'express';
+import AuditLog from '../models/AuditLog.js';
+import sessionService from '../services/sessionService.js';
+import validator from '../utils/validators.js';
+import { authenticateToken, requireCustomer } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// All routes require customer authentication
+router.use(authenticateToken);
+router.use(requireCustomer);
+
+/**
+ * Session as shown to the customer
+ * @param {Object} session - Session document
+ * @param {string} currentSessionId - sid of the request's access token
+ * @returns {Object}
+ */
+const toSessionView = (session, currentSessionId) => ({
+  id: session._id,
+  ipAddress: session.ipAddress,
+  userAgent: session.userAgent,
+  signedInAt: session.createdAt,
+  lastSeenAt: session.lastSeenAt,
+  lastSeenIp: session.lastSeenIp,
+  current: session.sessionId === currentSessionId
+});
+
+/**
+ * Sign sessions out and write the audit entry
+ * @param {Object} req - Express request
+ * @param {Object[]} sessions - Session documents
+ * @returns {Promise<number>} Number of sessions signed out
+ */
+const signOut = async (req, sessions) => {
+  const signedOut = await sessionService.end(sessions, {
+    reason: 'signed_out_by_customer',
+    revokedBy: req.user.username
+  });
+
+  await AuditLog.logSessionsSignedOut({
+    userType: 'customer',
+    username: req.user.username,
+    ipAddress: req.ip || req.connection.remoteAddress || 'unknown',
+    userAgent: req.headers['user-agent'] || 'unknown',
+    signedOut,
+    sessionIds: sessions.map((session) => session.sessionId)
+  });
+
+  return signedOut;
+};
+
+/**
+ * GET /api/customer/sessions
+ * List the devices the customer is signed in on
+ */
+router.get('/', async (req, res) => {
+  try {
+    const sessions = await sessionService.listActive(req.user.userId, 'customer');
+
+    res.json({
+      success: true,
+      count: sessions.length,
+      sessions: sessions.map((session) => toSessionView(session, req.token.sid))
+    });
+
+  } catch (error) {
+    console.error('Get sessions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve sessions.'
+    });
+  }
+});
+
+/**
+ * DELETE /api/customer/sessions
+ * Sign out every other device (the current session stays signed in)
+ */
+router.delete('/', async (req, res) => {
+  try {
+    const sessions = await sessionService.listActive(req.user.userId, 'customer');
+    const others = sessions.filter((session) => session.sessionId !== req.token.sid);
+
+    const signedOut = others.length > 0 ? await signOut(req, others) : 0;
+
+    res.json({
+      success: true,
+      message: signedOut > 0
+        ? `Signed out of ${signedOut} other device(s).`
+        : 'You are not signed in on any other device.',
+      signedOut
+    });
+
+  } catch (error) {
+    console.error('Sign out sessions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to sign out other devices.'
+    });
+  }
+});
+
+/**
+ * DELETE /api/customer/sessions/:id
+ * Sign out one other device
+ */
+router.delete('/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!validator.isValidObjectId(id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid session ID format.'
+      });
+    }
+
+    const sessions = await sessionService.listActive(req.user.userId, 'customer');
+    const session = sessions.find((candidate) => candidate._id.toString() === id);
+
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found or already signed out.'
+      });
+    }
+
+    if (session.sessionId === req.token.sid) {
+      return res.status(400).json({
+        success: false,
+        message: 'This is your current session. Use Logout to sign out here.'
+      });
+    }
+
+    await signOut(req, [session]);
+
+    res.json({
+      success: true,
+      message: 'Device signed out.'
+    });
+
+  } catch (error) {
+    console.error('Sign out session error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to sign out device.'
+    });
+  }
+});
+
+export default router;
@@ -2,14 +2,24 @@ import express from 'express';
 import Employee from '../models/Employee.js';
 import AuditLog from '../models/AuditLog.js';
 import passwordService from '../services/passwordService.js';
+import accountLockoutService, { INVALID_CREDENTIALS_MESSAGE } from '../services/accountLockoutService.js';
 import tokenService from '../services/tokenService.js';
+import mfaService, { MfaError } from '../services/mfaService.js';
+import sessionService from '../services/sessionService.js';
+import webauthnService, { WebAuthnError } from '../services/webauthnService.js';
+import tokenRevocationService from '../services/tokenRevocationService.js';
 import validator from '../utils/validators.js';
+import { authenticateToken, authenticatePendingPasswordChange, requireEmployee } from '../middleware/auth.js';
+import { setRefreshCookie, clearRefreshCookie } from '../utils/refreshCookie.js';
 
 const router = express.Router();
 
 /**
  * POST /api/employee/auth/login
  * Employee login (no registration endpoint - employees are pre-registered)
+ * Employees always need a second factor: a correct password returns an MFA
+ * challenge token that is exchanged at /api/auth/mfa/* for the session.
+ * Employees with a registered passkey can sign in at /webauthn/login instead.
  */
 router.post('/login', async (req, res) => {
   try {
@@ -56,76 +66,390 @@ router.post('/login', async (req, res) => {
       isActive: true
     });
 
-    if (!employee) {
+    // Unknown, locked and wrong-password attempts take as long and answer the same
+    const attempt = await accountLockoutService.verifyLogin(Employee, employee, password);
+
+    if (!attempt.success) {
       await AuditLog.logFailedLogin({
         userType: 'employee',
-        username,
+        username: employee?.username || username,
         ipAddress,
         userAgent,
-        failureReason: 'Employee not found or inactive'
+        failureReason: attempt.failureReason
       });
 
+      if (attempt.lockedUntil) {
+        await AuditLog.logAccountLocked({
+          userType: 'employee',
+          username: employee.username,
+          ipAddress,
+          userAgent,
+          lockedUntil: attempt.lockedUntil
+        });
+      }
+
       return res.status(401).json({
         success: false,
-        message: 'Invalid credentials.'
+        message: INVALID_CREDENTIALS_MESSAGE
+      });
+    }
+
+    // Move bcrypt hashes and retired peppers to the current format; never blocks the login
+    await passwordService.upgradeHash(Employee, employee, password).catch((error) => {
+      console.error('Password rehash error:', error);
+    });
+
+    // Second factor: enrolled employees enter a code, others must enrol first
+    const mfaPurpose = mfaService.getChallengePurpose(employee, 'employee');
+    const challengeToken = tokenService.generateMfaChallengeToken({
+      userId: employee._id.toString(),
+      username: employee.username,
+      userType: 'employee',
+      purpose: mfaPurpose
+    });
+
+    res.json({
+      success: true,
+      mfaRequired: true,
+      mfaPurpose,
+      challengeToken
+    });
+
+  } catch (error) {
+    console.error('Employee login error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Login failed. Please try again.'
+    });
+  }
+});
+
+/**
+ * POST /api/employee/auth/logout
+ * Revoke the current access token and end its refresh token session
+ */
+router.post('/logout', authenticatePendingPasswordChange, requireEmployee, async (req, res) => {
+  try {
+    await tokenRevocationService.revokeToken(req.token, 'logout');
+    clearRefreshCookie(res);
+
+    res.json({
+      success: true,
+      message: 'Logged out successfully'
+    });
+
+  } catch (error) {
+    console.error('Employee logout error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Logout failed. Please try again.'
+    });
+  }
+});
+
+/**
+ * POST /api/employee/auth/webauthn/login/options
+ * Start a passkey sign-in (usernameless; the browser offers the employee's passkeys)
+ */
+router.post('/webauthn/login/options', async (req, res) => {
+  try {
+    const options = await webauthnService.createAuthenticationOptions();
+
+    res.json({
+      success: true,
+      options
+    });
+
+  } catch (error) {
+    console.error('Passkey sign-in options error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to start passkey sign-in.'
+    });
+  }
+});
+
+/**
+ * POST /api/employee/auth/webauthn/login/verify
+ * Complete a passkey sign-in
+ * Body: { response } (AuthenticationResponseJSON)
+ * A passkey with user verification replaces both password and TOTP code.
+ */
+router.post('/webauthn/login/verify', async (req, res) => {
+  // Get request metadata for audit logging
+  const ipAddress = req.ip || req.connection.remoteAddress || 'unknown';
+  const userAgent = req.headers['user-agent'] || 'unknown';
+
+  try {
+    const { response } = req.body;
+
+    if (!response || typeof response !== 'object' || typeof response.id !== 'string') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid passkey response.'
+      });
+    }
+
+    const { employee } = await webauthnService.verifyAuthentication(response);
+    const session = await sessionService.start(employee, 'employee', { ipAddress, userAgent, mfaMethod: 'webauthn' });
+    setRefreshCookie(res, session);
+
+    res.json(sessionService.buildLoginResponse(employee, 'employee', session));
+
+  } catch (error) {
+    if (error instanceof WebAuthnError) {
+      await AuditLog.logFailedLogin({
+        userType: 'employee',
+        username: 'passkey',
+        ipAddress,
+        userAgent,
+        failureReason: error.message
+      });
+
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Passkey sign-in error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Passkey sign-in failed. Please try again.'
+    });
+  }
+});
+
+/**
+ * POST /api/employee/auth/webauthn/register/options
+ * Start registering a passkey for the logged-in employee
+ * A passkey replaces both the password and the authenticator code, so both
+ * are asked for again and the registration challenge is only issued once they
+ * check out: a stolen access token alone cannot register a passkey.
+ * Body: { password, code }
+ */
+router.post('/webauthn/register/options', authenticateToken, requireEmployee, async (req, res) => {
+  // Get request metadata for audit logging
+  const ipAddress = req.ip || req.connection.remoteAddress || 'unknown';
+  const userAgent = req.headers['user-agent'] || 'unknown';
+
+  try {
+    const { password, code } = req.body;
+
+    if (!password || !code) {
+      return res.status(400).json({
+        success: false,
+        message: 'Your password and authenticator code are required to register a passkey.'
+      });
+    }
+
+    if (!validator.isValidTotpCode(code)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid verification code format. Must be 6 digits.'
+      });
+    }
+
+    const employee = await Employee.findOne({ _id: req.user.userId, isActive: true });
+
+    if (!employee) {
+      return res.status(404).json({
+        success: false,
+        message: 'Employee not found.'
       });
     }
 
-    // Verify password
-    const isPasswordValid = await passwordService.verifyPassword(
-      password,
-      employee.passwordHash,
-      employee.passwordSalt
-    );
+    // Wrong passwords count towards the account lockout
+    const attempt = await accountLockoutService.verifyLogin(Employee, employee, String(password));
+    let failureReason = attempt.success ? null : attempt.failureReason;
 
-    if (!isPasswordValid) {
+    if (attempt.success) {
+      try {
+        await mfaService.verify(employee, 'employee', { code });
+      } catch (error) {
+        if (!(error instanceof MfaError)) {
+          throw error;
+        }
+        failureReason = error.message;
+      }
+    }
+
+    // Wrong credentials are 400, not 401: the employee stays signed in
+    if (failureReason) {
       await AuditLog.logFailedLogin({
         userType: 'employee',
         username: employee.username,
         ipAddress,
         userAgent,
-        failureReason: 'Invalid password'
+        failureReason: `Passkey registration: ${failureReason}`
       });
 
-      return res.status(401).json({
+      if (attempt.lockedUntil) {
+        await AuditLog.logAccountLocked({
+          userType: 'employee',
+          username: employee.username,
+          ipAddress,
+          userAgent,
+          lockedUntil: attempt.lockedUntil
+        });
+      }
+
+      return res.status(400).json({
         success: false,
-        message: 'Invalid credentials.'
+        message: 'Incorrect password or authenticator code.'
       });
     }
 
-    // Update last login
-    employee.lastLoginAt = new Date();
-    await employee.save();
+    const options = await webauthnService.createRegistrationOptions(employee);
 
-    // Log successful login
-    await AuditLog.logSuccessfulLogin({
-      userType: 'employee',
-      username: employee.username,
-      ipAddress,
-      userAgent,
-      metadata: { role: employee.role }
+    res.json({
+      success: true,
+      options
     });
 
-    // Generate JWT token
-    const token = tokenService.generateToken({
-      userId: employee._id.toString(),
+  } catch (error) {
+    console.error('Passkey registration options error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to start passkey registration.'
+    });
+  }
+});
+
+/**
+ * POST /api/employee/auth/webauthn/register/verify
+ * Complete passkey registration
+ * Only answers a challenge issued by /register/options after re-authentication.
+ * Body: { response (RegistrationResponseJSON), name? }
+ */
+router.post('/webauthn/register/verify', authenticateToken, requireEmployee, async (req, res) => {
+  try {
+    const { response, name } = req.body;
+
+    if (!response || typeof response !== 'object' || typeof response.id !== 'string') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid passkey response.'
+      });
+    }
+
+    if (name !== undefined && !validator.isValidPasskeyName(name)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid passkey name. Must be 1-100 characters (letters, numbers, spaces, hyphens).'
+      });
+    }
+
+    const employee = await Employee.findOne({ _id: req.user.userId, isActive: true });
+
+    if (!employee) {
+      return res.status(404).json({
+        success: false,
+        message: 'Employee not found.'
+      });
+    }
+
+    const credential = await webauthnService.verifyRegistration(employee, response, name);
+
+    await AuditLog.logPasskeyRegistered({
       username: employee.username,
-      userType: 'employee'
+      name: credential.name,
+      credentialId: credential.credentialId,
+      ipAddress: req.ip || req.connection.remoteAddress || 'unknown',
+      userAgent: req.headers['user-agent'] || 'unknown'
     });
 
+    res.status(201).json({
+      success: true,
+      message: 'Passkey registered successfully',
+      passkey: {
+        _id: credential._id,
+        name: credential.name,
+        deviceType: credential.deviceType,
+        createdAt: credential.createdAt
+      }
+    });
+
+  } catch (error) {
+    if (error instanceof WebAuthnError) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Passkey registration error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Passkey registration failed. Please try again.'
+    });
+  }
+});
+
+/**
+ * GET /api/employee/auth/webauthn/credentials
+ * List the logged-in employee's passkeys
+ */
+router.get('/webauthn/credentials', authenticateToken, requireEmployee, async (req, res) => {
+  try {
+    const passkeys = await webauthnService.listCredentials(req.user.userId);
+
     res.json({
       success: true,
-      token,
-      username: employee.username,
-      fullName: employee.fullName,
-      role: employee.role
+      count: passkeys.length,
+      passkeys
     });
 
   } catch (error) {
-    console.error('Employee login error:', error);
+    console.error('List passkeys error:', error);
     res.status(500).json({
       success: false,
-      message: 'Login failed. Please try again.'
+      message: 'Failed to retrieve passkeys.'
+    });
+  }
+});
+
+/**
+ * DELETE /api/employee/auth/webauthn/credentials/:id
+ * Remove one of the logged-in employee's passkeys
+ */
+router.delete('/webauthn/credentials/:id', authenticateToken, requireEmployee, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!validator.isValidObjectId(id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid passkey ID format.'
+      });
+    }
+
+    const removed = await webauthnService.removeCredential(req.user.userId, id);
+
+    if (!removed) {
+      return res.status(404).json({
+        success: false,
+        message: 'Passkey not found.'
+      });
+    }
+
+    await AuditLog.logPasskeyRemoved({
+      username: req.user.username,
+      credentialId: id,
+      ipAddress: req.ip || req.connection.remoteAddress || 'unknown',
+      userAgent: req.headers['user-agent'] || 'unknown'
+    });
+
+    res.json({
+      success: true,
+      message: 'Passkey removed'
+    });
+
+  } catch (error) {
+    console.error('Remove passkey error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to remove passkey.'
     });
   }
 });
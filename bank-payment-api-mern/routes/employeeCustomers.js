@@ -0,0 +1,273 @@
+import express from 'express';
+import Customer from '../models/Customer.js';
+import AuditLog from '../models/AuditLog.js';
+import customerOnboardingService, { CustomerOnboardingError } from '../services/customerOnboardingService.js';
+import accountLockoutService from '../services/accountLockoutService.js';
+import passwordResetService, { PasswordResetError } from '../services/passwordResetService.js';
+import validator from '../utils/validators.js';
+import { authenticateToken, requireEmployee, requirePermission } from '../middleware/auth.js';
+import { PERMISSIONS } from '../config/permissions.js';
+
+const router = express.Router();
+
+// All routes require employee authentication, and each route the permission for its action
+router.use(authenticateToken);
+router.use(requireEmployee);
+
+/**
+ * Customer as shown to branch staff (never the password fields, ID number masked)
+ * @param {Object} customer - Customer document
+ * @returns {Object}
+ */
+const toCustomerView = (customer) => ({
+  id: customer._id,
+  fullName: customer.fullName,
+  username: customer.username,
+  accountNumber: customer.accountNumber,
+  idNumberLast4: customer.idNumber.slice(-4),
+  isActive: customer.isActive,
+  mustChangePassword: customer.mustChangePassword,
+  locked: accountLockoutService.isLocked(customer),
+  lastLoginAt: customer.lastLoginAt || null,
+  createdAt: customer.createdAt
+});
+
+/**
+ * Audit a customer change made through these routes
+ * @param {Object} req - Express request
+ * @param {string} action
+ * @param {Object} customer
+ */
+const auditCustomerChange = (req, action, customer) => AuditLog.logCustomerChange({
+  action,
+  username: req.user.username,
+  accountNumber: customer.accountNumber,
+  ipAddress: req.ip || req.connection.remoteAddress || 'unknown',
+  userAgent: req.headers['user-agent'] || 'unknown',
+  customerUsername: customer.username
+});
+
+/**
+ * Load the customer named by :id, or answer 400/404
+ * @returns {Promise<Object|null>} Customer document, or null once a response was sent
+ */
+const findCustomer = async (req, res, select = '') => {
+  if (!validator.isValidObjectId(req.params.id)) {
+    res.status(400).json({
+      success: false,
+      message: 'Invalid customer ID format.'
+    });
+    return null;
+  }
+
+  const customer = await Customer.findById(req.params.id).select(select);
+
+  if (!customer) {
+    res.status(404).json({
+      success: false,
+      message: 'Customer not found.'
+    });
+    return null;
+  }
+
+  return customer;
+};
+
+/**
+ * Answer an error from a customer route
+ */
+const sendCustomerError = (res, error, logLabel, message) => {
+  if (error instanceof CustomerOnboardingError) {
+    return res.status(error.status).json({
+      success: false,
+      message: error.message
+    });
+  }
+
+  console.error(`${logLabel} error:`, error);
+  res.status(500).json({
+    success: false,
+    message
+  });
+};
+
+/**
+ * GET /api/employee/customers?accountNumber=... or ?idNumber=...
+ * Find customers by account number or ID number
+ */
+router.get('/', requirePermission(PERMISSIONS.CUSTOMERS_ASSIST), async (req, res) => {
+  try {
+    const { accountNumber, idNumber } = req.query;
+
+    const customers = await customerOnboardingService.search({
+      accountNumber: typeof accountNumber === 'string' ? accountNumber : undefined,
+      idNumber: typeof idNumber === 'string' ? idNumber : undefined
+    });
+
+    res.json({
+      success: true,
+      count: customers.length,
+      customers: customers.map(toCustomerView)
+    });
+
+  } catch (error) {
+    sendCustomerError(res, error, 'Search customers', 'Failed to search customers.');
+  }
+});
+
+/**
+ * POST /api/employee/customers
+ * Open a customer account. The temporary password is returned once;
+ * the customer must change it at first sign-in.
+ * Body: { fullName, idNumber, accountNumber, username }
+ */
+router.post('/', requirePermission(PERMISSIONS.CUSTOMERS_ONBOARD), async (req, res) => {
+  try {
+    const { fullName, idNumber, accountNumber, username } = req.body;
+
+    const { customer, temporaryPassword } = await customerOnboardingService.create({
+      fullName,
+      idNumber,
+      accountNumber,
+      username
+    });
+
+    await auditCustomerChange(req, 'created', customer);
+
+    res.status(201).json({
+      success: true,
+      message: `Customer ${customer.username} created. Give the temporary password to the customer in person; it is not shown again.`,
+      customer: toCustomerView(customer),
+      temporaryPassword
+    });
+
+  } catch (error) {
+    sendCustomerError(res, error, 'Create customer', 'Failed to create customer.');
+  }
+});
+
+/**
+ * POST /api/employee/customers/:id/deactivate
+ * Close a customer's online access and end their sessions
+ */
+router.post('/:id/deactivate', requirePermission(PERMISSIONS.CUSTOMERS_ONBOARD), async (req, res) => {
+  try {
+    const customer = await findCustomer(req, res);
+    if (!customer) return;
+
+    await customerOnboardingService.deactivate(customer, req.user);
+    await auditCustomerChange(req, 'deactivated', customer);
+
+    res.json({
+      success: true,
+      message: `Customer ${customer.username} deactivated and signed out.`,
+      customer: toCustomerView(customer)
+    });
+
+  } catch (error) {
+    sendCustomerError(res, error, 'Deactivate customer', 'Failed to deactivate customer.');
+  }
+});
+
+/**
+ * POST /api/employee/customers/:id/unlock
+ * Lift a customer's sign-in lock once their identity has been checked
+ */
+router.post('/:id/unlock', requirePermission(PERMISSIONS.CUSTOMERS_ASSIST), async (req, res) => {
+  try {
+    const customer = await findCustomer(req, res);
+    if (!customer) return;
+
+    if (!customer.isActive) {
+      return res.status(400).json({
+        success: false,
+        message: 'This customer account is deactivated.'
+      });
+    }
+
+    const wasLocked = await accountLockoutService.unlock(Customer, customer);
+
+    await AuditLog.logAccountUnlocked({
+      username: req.user.username,
+      accountNumber: customer.accountNumber,
+      ipAddress: req.ip || req.connection.remoteAddress || 'unknown',
+      userAgent: req.headers['user-agent'] || 'unknown',
+      customerUsername: customer.username,
+      wasLocked
+    });
+
+    res.json({
+      success: true,
+      message: wasLocked
+        ? `${customer.username} can sign in again.`
+        : `${customer.username} was not locked; failed sign-in attempts have been cleared.`,
+      customer: toCustomerView(customer),
+      wasLocked
+    });
+
+  } catch (error) {
+    sendCustomerError(res, error, 'Customer unlock', 'Failed to unlock account.');
+  }
+});
+
+/**
+ * POST /api/employee/customers/:id/reset-credentials
+ * Start a branch-assisted password reset once the customer's identity was
+ * checked in person; the reset link is sent to the customer, never shown here.
+ */
+router.post('/:id/reset-credentials', requirePermission(PERMISSIONS.CUSTOMERS_ASSIST), async (req, res) => {
+  const ipAddress = req.ip || req.connection.remoteAddress || 'unknown';
+  const userAgent = req.headers['user-agent'] || 'unknown';
+
+  try {
+    const customer = await findCustomer(req, res);
+    if (!customer) return;
+
+    if (!customer.isActive) {
+      return res.status(400).json({
+        success: false,
+        message: 'This customer account is deactivated.'
+      });
+    }
+
+    const delivery = await passwordResetService.initiate(customer, req.user);
+
+    await AuditLog.logPasswordResetInitiated({
+      username: req.user.username,
+      ipAddress,
+      userAgent,
+      customerUsername: customer.username,
+      expiresAt: delivery.expiresAt,
+      notifier: delivery.notifier,
+      reference: delivery.reference
+    });
+
+    res.status(201).json({
+      success: true,
+      message: `Password reset link sent to ${customer.username}.`,
+      customer: toCustomerView(customer),
+      expiresAt: delivery.expiresAt
+    });
+
+  } catch (error) {
+    if (error instanceof PasswordResetError) {
+      await AuditLog.logPasswordResetFailed({
+        userType: 'employee',
+        username: req.user.username,
+        ipAddress,
+        userAgent,
+        step: 'initiation',
+        failureReason: error.message
+      });
+
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    sendCustomerError(res, error, 'Password reset initiation', 'Failed to start password reset.');
+  }
+});
+
+export default router;
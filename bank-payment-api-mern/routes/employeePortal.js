@@ -1,22 +1,70 @@
 import express from 'express';
-import Payment from '../models/Payment.js';
+import Payment, { REJECTION_CODES } from '../models/Payment.js';
+import SwiftBatch from '../models/SwiftBatch.js';
+import Employee from '../models/Employee.js';
+import AuditLog from '../models/AuditLog.js';
+import paymentWorkflowService, { ConcurrentModificationError } from '../services/paymentWorkflowService.js';
+import iso20022Service from '../services/iso20022Service.js';
+import swiftBatchService, { BatchSubmissionError } from '../services/swiftBatchService.js';
+import swiftGatewayService from '../services/swiftGatewayService.js';
+import fourEyesService, { FourEyesViolationError } from '../services/fourEyesService.js';
+import approvalLimitService, { ApprovalLimitError } from '../services/approvalLimitService.js';
+import paymentClaimService, { PaymentClaimError } from '../services/paymentClaimService.js';
 import validator from '../utils/validators.js';
-import { authenticateToken, requireEmployee } from '../middleware/auth.js';
+import { authenticateToken, requireEmployee, requirePermission } from '../middleware/auth.js';
+import { PERMISSIONS, hasPermission } from '../config/permissions.js';
 
 const router = express.Router();
 
-// All routes require employee authentication
+// All routes require employee authentication, and each route the permission for its action
 router.use(authenticateToken);
 router.use(requireEmployee);
 
+/**
+ * Write a four-eyes violation to the audit log
+ * @param {Object} req - Express request
+ * @param {string} action - Portal action that was refused
+ * @param {FourEyesViolationError} error
+ */
+const logFourEyesViolation = (req, action, error) => AuditLog.logFourEyesViolation({
+  username: req.user.username,
+  ipAddress: req.ip || req.connection.remoteAddress || 'unknown',
+  userAgent: req.headers['user-agent'] || 'unknown',
+  action,
+  reason: error.message,
+  metadata: {
+    employeeId: req.user.userId,
+    rule: error.rule,
+    paymentIds: error.details.paymentIds || []
+  }
+});
+
+/**
+ * Write a Manager's verification of an escalated payment to the audit log
+ * @param {Object} req - Express request
+ * @param {Object} payment - Payment as read before the verification
+ */
+const logApprovalOverride = (req, payment) => AuditLog.logApprovalOverride({
+  username: req.user.username,
+  ipAddress: req.ip || req.connection.remoteAddress || 'unknown',
+  userAgent: req.headers['user-agent'] || 'unknown',
+  paymentId: String(payment._id),
+  amount: payment.amount,
+  currency: payment.currency,
+  escalatedBy: payment.escalatedByUsername,
+  escalationLimit: payment.escalationLimit
+});
+
 /**
  * GET /api/employee/portal/pending-payments
- * Get all pending payments awaiting verification
+ * Get all pending payments awaiting verification, with who has claimed them
+ * (escalated payments are listed under escalated-payments instead)
  */
-router.get('/pending-payments', async (req, res) => {
+router.get('/pending-payments', requirePermission(PERMISSIONS.PAYMENTS_READ), async (req, res) => {
   try {
     const payments = await Payment.find({
-      status: 'Pending'
+      status: 'Pending',
+      escalatedAt: null
     })
     .populate('customerId', 'fullName accountNumber')
     .sort({ createdAt: 1 });
@@ -35,11 +83,38 @@ router.get('/pending-payments', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/employee/portal/escalated-payments
+ * Requires Manager queue: pending payments above their verifier's approval limit
+ */
+router.get('/escalated-payments', requirePermission(PERMISSIONS.APPROVALS_MANAGE), async (req, res) => {
+  try {
+    const payments = await Payment.find({
+      status: 'Pending',
+      escalatedAt: { $ne: null }
+    })
+    .populate('customerId', 'fullName accountNumber')
+    .sort({ escalatedAt: 1 });
+
+    res.json({
+      success: true,
+      payments
+    });
+
+  } catch (error) {
+    console.error('Get escalated payments error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve escalated payments.'
+    });
+  }
+});
+
 /**
  * GET /api/employee/portal/verified-payments
  * Get all verified payments ready for SWIFT submission
  */
-router.get('/verified-payments', async (req, res) => {
+router.get('/verified-payments', requirePermission(PERMISSIONS.PAYMENTS_READ), async (req, res) => {
   try {
     const payments = await Payment.find({
       status: 'Verified'
@@ -65,7 +140,7 @@ router.get('/verified-payments', async (req, res) => {
  * GET /api/employee/portal/all-payments
  * Get all payments with optional status filter
  */
-router.get('/all-payments', async (req, res) => {
+router.get('/all-payments', requirePermission(PERMISSIONS.PAYMENTS_READ), async (req, res) => {
   try {
     const { status } = req.query;
 
@@ -89,13 +164,105 @@ router.get('/all-payments', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/employee/portal/payments/:id/history
+ * Get the full status timeline of a payment
+ */
+router.get('/payments/:id/history', requirePermission(PERMISSIONS.PAYMENTS_READ), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!validator.isValidObjectId(id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid payment ID format.'
+      });
+    }
+
+    const payment = await Payment.findById(id).select('status statusHistory createdAt');
+
+    if (!payment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Payment not found.'
+      });
+    }
+
+    res.json({
+      success: true,
+      paymentId: payment._id,
+      status: payment.status,
+      statusHistory: payment.statusHistory
+    });
+
+  } catch (error) {
+    console.error('Get payment history error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve payment history.'
+    });
+  }
+});
+
+/**
+ * GET /api/employee/portal/payments/:id/mt103
+ * Download the generated MT103 message for a submitted payment
+ */
+router.get('/payments/:id/mt103', requirePermission(PERMISSIONS.PAYMENTS_READ), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!validator.isValidObjectId(id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid payment ID format.'
+      });
+    }
+
+    const payment = await Payment.findById(id).select('swiftMessage');
+
+    if (!payment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Payment not found.'
+      });
+    }
+
+    if (!payment.swiftMessage) {
+      return res.status(404).json({
+        success: false,
+        message: 'No SWIFT message has been generated for this payment.'
+      });
+    }
+
+    res.setHeader('Content-Type', 'text/plain; charset=utf-8');
+    res.setHeader(
+      'Content-Disposition',
+      `attachment; filename="MT103_${payment.swiftMessage.reference}.fin"`
+    );
+    res.send(payment.swiftMessage.content);
+
+  } catch (error) {
+    console.error('Download MT103 error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to download SWIFT message.'
+    });
+  }
+});
+
 /**
  * POST /api/employee/portal/verify-payment
  * Verify a payment (marks it as verified)
+ * Payments above the four-eyes threshold stay Pending until a second,
+ * different employee verifies them. Payments above the employee's approval
+ * limit are escalated to the Requires Manager queue (202) instead.
+ * Optional body.version is the payment __v the employee was looking at;
+ * 409 if the payment has changed since
  */
-router.post('/verify-payment', async (req, res) => {
+router.post('/verify-payment', requirePermission(PERMISSIONS.PAYMENTS_VERIFY), async (req, res) => {
   try {
-    const { paymentId } = req.body;
+    const { paymentId, version } = req.body;
 
     if (!validator.isValidObjectId(paymentId)) {
       return res.status(400).json({
@@ -104,6 +271,13 @@ router.post('/verify-payment', async (req, res) => {
       });
     }
 
+    if (version !== undefined && !(Number.isInteger(version) && version >= 0)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid payment version.'
+      });
+    }
+
     const payment = await Payment.findById(paymentId);
 
     if (!payment) {
@@ -113,28 +287,145 @@ router.post('/verify-payment', async (req, res) => {
       });
     }
 
-    if (payment.status !== 'Pending') {
-      return res.status(400).json({
+    if (version !== undefined && version !== payment.__v) {
+      return res.status(409).json({
+        success: false,
+        message: 'Payment was modified by another user. Reload and try again.',
+        status: payment.status
+      });
+    }
+
+    if (!paymentWorkflowService.canTransition(payment.status, 'Verified')) {
+      return res.status(409).json({
         success: false,
         message: `Payment cannot be verified. Current status: ${payment.status}`
       });
     }
 
-    // Update payment status
-    payment.status = 'Verified';
-    payment.verifiedBy = req.user.userId;
-    payment.verifiedByUsername = req.user.username;
-    payment.verifiedAt = new Date();
+    // Only the holder of an active claim may act on a claimed payment; the
+    // updates below check again in case someone claims it in the meantime
+    paymentClaimService.assertCanAct(payment, req.user.userId);
+    const claimFilter = paymentClaimService.actorFilter(req.user.userId);
+
+    // Dual control: the same employee cannot provide two verifications
+    fourEyesService.assertCanVerify(payment, req.user.userId);
 
-    await payment.save();
+    // Approval limit: payments above it go to the Requires Manager queue instead
+    const employee = await Employee.findById(req.user.userId).select('username role approvalLimits');
+
+    if (!employee) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. Employee account not found.'
+      });
+    }
+
+    if (approvalLimitService.exceedsLimit(employee, payment)) {
+      if (approvalLimitService.isEscalated(payment)) {
+        return res.status(403).json({
+          success: false,
+          message: 'This payment is above your approval limit and is waiting for a Manager.'
+        });
+      }
+
+      const limit = approvalLimitService.getLimit(employee, payment.currency);
+      const escalated = await approvalLimitService.escalate(payment, employee, limit, { filter: claimFilter });
+      // Leave it for a Manager to claim
+      await paymentClaimService.release(payment._id);
+
+      await AuditLog.logPaymentEscalated({
+        username: req.user.username,
+        ipAddress: req.ip || req.connection.remoteAddress || 'unknown',
+        userAgent: req.headers['user-agent'] || 'unknown',
+        paymentId: String(payment._id),
+        amount: payment.amount,
+        currency: payment.currency,
+        limit
+      });
+
+      return res.status(202).json({
+        success: true,
+        escalated: true,
+        message: `This payment is above your approval limit of ${limit} ${payment.currency}. It has been sent to the Requires Manager queue.`,
+        payment: escalated
+      });
+    }
+
+    const verifiedAt = new Date();
+    const verification = {
+      employee: req.user.userId,
+      employeeUsername: req.user.username,
+      verifiedAt
+    };
+    const requiredVerifications = fourEyesService.getRequiredVerifications(payment);
+    const verificationCount = payment.verifications.length + 1;
+
+    // Large payment still waiting for its second verifier: stays Pending
+    if (verificationCount < requiredVerifications) {
+      const updated = await paymentWorkflowService.recordVerification(payment, verification, { filter: claimFilter });
+      // Free it for the second verifier
+      await paymentClaimService.release(payment._id);
+
+      if (approvalLimitService.isEscalated(payment)) {
+        await logApprovalOverride(req, payment);
+      }
+
+      return res.json({
+        success: true,
+        message: `Verification ${verificationCount} of ${requiredVerifications} recorded. A different employee must also verify this payment.`,
+        payment: updated
+      });
+    }
+
+    // Update payment status (fails if another employee got there first)
+    const updated = await paymentWorkflowService.applyTransition(payment, 'Verified', {
+      actor: req.user.userId,
+      actorUsername: req.user.username,
+      actorType: 'employee',
+      timestamp: verifiedAt
+    }, {
+      verifiedBy: req.user.userId,
+      verifiedByUsername: req.user.username,
+      verifiedAt
+    }, {
+      push: { verifications: verification },
+      filter: claimFilter
+    });
+
+    if (approvalLimitService.isEscalated(payment)) {
+      await logApprovalOverride(req, payment);
+    }
 
     res.json({
       success: true,
       message: 'Payment verified successfully',
-      payment
+      payment: updated
     });
 
   } catch (error) {
+    if (error instanceof PaymentClaimError) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    if (error instanceof FourEyesViolationError) {
+      await logFourEyesViolation(req, 'verify-payment', error);
+      return res.status(error.status).json({
+        success: false,
+        message: error.message,
+        rule: error.rule
+      });
+    }
+
+    if (error instanceof ConcurrentModificationError) {
+      return res.status(409).json({
+        success: false,
+        message: error.message
+      });
+    }
+
     console.error('Verify payment error:', error);
     res.status(500).json({
       success: false,
@@ -145,42 +436,108 @@ router.post('/verify-payment', async (req, res) => {
 
 /**
  * POST /api/employee/portal/submit-to-swift
- * Submit all verified payments to SWIFT
+ * Submit the selected verified payments to SWIFT as one batch
+ * Body: { paymentIds: [...], currency?: 'USD', valueDate?: 'YYYY-MM-DD' }
+ * All-or-nothing: fails with 409 if any selected payment is no longer Verified,
+ * 403 if the employee verified any of them (four-eyes)
  */
-router.post('/submit-to-swift', async (req, res) => {
+router.post('/submit-to-swift', requirePermission(PERMISSIONS.PAYMENTS_SUBMIT), async (req, res) => {
   try {
-    // Find all verified payments
-    const verifiedPayments = await Payment.find({
-      status: 'Verified'
-    });
+    const { paymentIds, currency, valueDate } = req.body;
+
+    if (!Array.isArray(paymentIds) || paymentIds.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Select at least one payment to submit.'
+      });
+    }
+
+    if (paymentIds.length > swiftBatchService.getMaxBatchSize()) {
+      return res.status(400).json({
+        success: false,
+        message: `A batch may contain at most ${swiftBatchService.getMaxBatchSize()} payments.`
+      });
+    }
 
-    if (verifiedPayments.length === 0) {
+    if (!paymentIds.every((id) => validator.isValidObjectId(id))) {
       return res.status(400).json({
         success: false,
-        message: 'No verified payments to submit.'
+        message: 'Invalid payment ID format.'
       });
     }
 
-    // Update all verified payments to submitted status
-    const submittedAt = new Date();
+    if (new Set(paymentIds).size !== paymentIds.length) {
+      return res.status(400).json({
+        success: false,
+        message: 'Duplicate payment IDs in selection.'
+      });
+    }
 
-    await Payment.updateMany(
-      { status: 'Verified' },
-      {
-        $set: {
-          status: 'Submitted',
-          submittedToSwiftAt: submittedAt
-        }
+    if (currency !== undefined && !validator.isValidCurrency(currency)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid currency code. Must be 3 uppercase letters (e.g., USD, EUR).'
+      });
+    }
+
+    let parsedValueDate;
+    if (valueDate !== undefined) {
+      if (!validator.isValidISODate(valueDate)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid value date. Must be YYYY-MM-DD.'
+        });
       }
-    );
+
+      parsedValueDate = new Date(`${valueDate}T00:00:00Z`);
+      const today = new Date().toISOString().substring(0, 10);
+      if (valueDate < today) {
+        return res.status(400).json({
+          success: false,
+          message: 'Value date cannot be in the past.'
+        });
+      }
+    }
+
+    const batch = await swiftBatchService.submitBatch({
+      paymentIds,
+      employee: req.user,
+      currency,
+      valueDate: parsedValueDate
+    });
+
+    // Status reports arrive asynchronously and complete or fail each payment
+    const dispatched = await swiftGatewayService.dispatch(batch);
 
     res.json({
       success: true,
-      message: `Successfully submitted ${verifiedPayments.length} payment(s) to SWIFT`,
-      count: verifiedPayments.length
+      message: dispatched
+        ? `Successfully submitted ${batch.paymentCount} payment(s) to SWIFT`
+        : `Submitted ${batch.paymentCount} payment(s), but the SWIFT gateway did not accept the batch. Retry dispatch from the batch list.`,
+      count: batch.paymentCount,
+      batchId: batch.batchId,
+      dispatched
     });
 
   } catch (error) {
+    if (error instanceof FourEyesViolationError) {
+      await logFourEyesViolation(req, 'submit-to-swift', error);
+      return res.status(error.status).json({
+        success: false,
+        message: error.message,
+        rule: error.rule,
+        ...error.details
+      });
+    }
+
+    if (error instanceof BatchSubmissionError) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message,
+        ...error.details
+      });
+    }
+
     console.error('Submit to SWIFT error:', error);
     res.status(500).json({
       success: false,
@@ -189,13 +546,198 @@ router.post('/submit-to-swift', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/employee/portal/batches
+ * List SWIFT submission batches (most recent first)
+ */
+router.get('/batches', requirePermission(PERMISSIONS.PAYMENTS_READ), async (req, res) => {
+  try {
+    const batches = await SwiftBatch.find()
+      .select('-document -paymentIds')
+      .sort({ submittedAt: -1 })
+      .limit(100);
+
+    res.json({
+      success: true,
+      batches
+    });
+
+  } catch (error) {
+    console.error('Get batches error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve batches.'
+    });
+  }
+});
+
+/**
+ * GET /api/employee/portal/batches/:batchId
+ * Get a batch with the payments it contains
+ */
+router.get('/batches/:batchId', requirePermission(PERMISSIONS.PAYMENTS_READ), async (req, res) => {
+  try {
+    const { batchId } = req.params;
+
+    if (!validator.isValidBatchId(batchId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid batch ID format.'
+      });
+    }
+
+    const batch = await SwiftBatch.findOne({ batchId })
+      .select('-document')
+      .populate('paymentIds', 'customerUsername amount currency payeeFullName payeeAccountNumber swiftCode status swiftMessage.reference failureCode failureReason');
+
+    if (!batch) {
+      return res.status(404).json({
+        success: false,
+        message: 'Batch not found.'
+      });
+    }
+
+    res.json({
+      success: true,
+      batch
+    });
+
+  } catch (error) {
+    console.error('Get batch error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve batch.'
+    });
+  }
+});
+
+/**
+ * POST /api/employee/portal/batches/:batchId/dispatch
+ * Retry sending a batch the SWIFT gateway did not accept
+ */
+router.post('/batches/:batchId/dispatch', requirePermission(PERMISSIONS.PAYMENTS_SUBMIT), async (req, res) => {
+  try {
+    const { batchId } = req.params;
+
+    if (!validator.isValidBatchId(batchId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid batch ID format.'
+      });
+    }
+
+    const batch = await SwiftBatch.findOne({ batchId }).select('-document');
+
+    if (!batch) {
+      return res.status(404).json({
+        success: false,
+        message: 'Batch not found.'
+      });
+    }
+
+    if (batch.dispatchedAt) {
+      return res.status(409).json({
+        success: false,
+        message: 'Batch has already been sent to the SWIFT gateway.'
+      });
+    }
+
+    const dispatched = await swiftGatewayService.dispatch(batch);
+
+    if (!dispatched) {
+      return res.status(502).json({
+        success: false,
+        message: 'The SWIFT gateway did not accept the batch. Try again later.'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Batch sent to the SWIFT gateway'
+    });
+
+  } catch (error) {
+    console.error('Dispatch batch error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to dispatch batch.'
+    });
+  }
+});
+
+/**
+ * GET /api/employee/portal/batches/:batchId/iso20022?type=pacs.008.001.08
+ * Download a submitted batch as an ISO 20022 XML document
+ * pacs.008.001.08 (default) is the stored file; pain.001.001.09 is generated
+ */
+router.get('/batches/:batchId/iso20022', requirePermission(PERMISSIONS.PAYMENTS_SUBMIT), async (req, res) => {
+  try {
+    const { batchId } = req.params;
+    const messageType = req.query.type || 'pacs.008.001.08';
+
+    if (!validator.isValidBatchId(batchId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid batch ID format.'
+      });
+    }
+
+    if (!iso20022Service.getMessageTypes().includes(messageType)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid message type. Must be one of: ${iso20022Service.getMessageTypes().join(', ')}.`
+      });
+    }
+
+    const batch = await SwiftBatch.findOne({ batchId });
+
+    if (!batch) {
+      return res.status(404).json({
+        success: false,
+        message: 'Batch not found.'
+      });
+    }
+
+    let xml = batch.document;
+
+    if (messageType !== batch.messageType) {
+      const payments = await Payment.find({ _id: { $in: batch.paymentIds } })
+        .populate('customerId', 'fullName accountNumber')
+        .sort({ _id: 1 });
+
+      xml = iso20022Service.buildDocument(messageType, payments, {
+        messageId: batchId,
+        createdAt: batch.submittedAt,
+        settlementDate: batch.valueDate,
+        executionDate: batch.valueDate
+      });
+    }
+
+    res.setHeader('Content-Type', 'application/xml; charset=utf-8');
+    res.setHeader(
+      'Content-Disposition',
+      `attachment; filename="${batchId}_${messageType}.xml"`
+    );
+    res.send(xml);
+
+  } catch (error) {
+    console.error('ISO 20022 export error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to export batch.'
+    });
+  }
+});
+
 /**
  * POST /api/employee/portal/reject-payment
- * Reject a payment
+ * Reject a payment with a structured rejection code and reason
+ * The reason is required when rejectionCode is OTHER
+ * Optional body.version behaves as for verify-payment
  */
-router.post('/reject-payment', async (req, res) => {
+router.post('/reject-payment', requirePermission(PERMISSIONS.PAYMENTS_VERIFY), async (req, res) => {
   try {
-    const { paymentId, reason } = req.body;
+    const { paymentId, rejectionCode, reason, version } = req.body;
 
     if (!validator.isValidObjectId(paymentId)) {
       return res.status(400).json({
@@ -204,6 +746,36 @@ router.post('/reject-payment', async (req, res) => {
       });
     }
 
+    if (version !== undefined && !(Number.isInteger(version) && version >= 0)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid payment version.'
+      });
+    }
+
+    if (!REJECTION_CODES.includes(rejectionCode)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid rejection code. Must be one of: ${REJECTION_CODES.join(', ')}.`
+      });
+    }
+
+    if (rejectionCode === 'OTHER' && !reason) {
+      return res.status(400).json({
+        success: false,
+        message: 'A rejection reason is required when the rejection code is OTHER.'
+      });
+    }
+
+    if (reason && !validator.isValidReason(reason)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid rejection reason. Must be 5-500 characters, letters, numbers and basic punctuation only.'
+      });
+    }
+
+    const rejectionReason = reason ? reason.trim() : null;
+
     const payment = await Payment.findById(paymentId);
 
     if (!payment) {
@@ -213,28 +785,64 @@ router.post('/reject-payment', async (req, res) => {
       });
     }
 
-    if (payment.status !== 'Pending') {
-      return res.status(400).json({
+    if (version !== undefined && version !== payment.__v) {
+      return res.status(409).json({
+        success: false,
+        message: 'Payment was modified by another user. Reload and try again.',
+        status: payment.status
+      });
+    }
+
+    if (!paymentWorkflowService.canTransition(payment.status, 'Rejected')) {
+      return res.status(409).json({
         success: false,
         message: `Payment cannot be rejected. Current status: ${payment.status}`
       });
     }
 
-    // Update payment status
-    payment.status = 'Rejected';
-    payment.verifiedBy = req.user.userId;
-    payment.verifiedByUsername = req.user.username;
-    payment.verifiedAt = new Date();
+    // Only the holder of an active claim may act on a claimed payment; the
+    // update checks again in case someone claims it in the meantime
+    paymentClaimService.assertCanAct(payment, req.user.userId);
 
-    await payment.save();
+    // Update payment status (fails if another employee got there first)
+    const rejectedAt = new Date();
+    const updated = await paymentWorkflowService.applyTransition(payment, 'Rejected', {
+      actor: req.user.userId,
+      actorUsername: req.user.username,
+      actorType: 'employee',
+      reason: rejectionReason ? `${rejectionCode}: ${rejectionReason}` : rejectionCode,
+      timestamp: rejectedAt
+    }, {
+      rejectedBy: req.user.userId,
+      rejectedByUsername: req.user.username,
+      rejectedAt,
+      rejectionCode,
+      rejectionReason
+    }, {
+      filter: paymentClaimService.actorFilter(req.user.userId)
+    });
 
     res.json({
       success: true,
       message: 'Payment rejected successfully',
-      payment
+      payment: updated
     });
 
   } catch (error) {
+    if (error instanceof PaymentClaimError) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    if (error instanceof ConcurrentModificationError) {
+      return res.status(409).json({
+        success: false,
+        message: error.message
+      });
+    }
+
     console.error('Reject payment error:', error);
     res.status(500).json({
       success: false,
@@ -243,4 +851,276 @@ router.post('/reject-payment', async (req, res) => {
   }
 });
 
+/**
+ * Load the payment named by :id, or answer 400/404
+ * @returns {Promise<Object|null>} Payment document, or null once a response was sent
+ */
+const findPayment = async (req, res) => {
+  if (!validator.isValidObjectId(req.params.id)) {
+    res.status(400).json({
+      success: false,
+      message: 'Invalid payment ID format.'
+    });
+    return null;
+  }
+
+  const payment = await Payment.findById(req.params.id);
+
+  if (!payment) {
+    res.status(404).json({
+      success: false,
+      message: 'Payment not found.'
+    });
+    return null;
+  }
+
+  return payment;
+};
+
+/**
+ * POST /api/employee/portal/payments/:id/claim
+ * Claim a pending payment (or renew one's claim) so other employees leave it
+ */
+router.post('/payments/:id/claim', requirePermission(PERMISSIONS.PAYMENTS_VERIFY), async (req, res) => {
+  try {
+    const payment = await findPayment(req, res);
+    if (!payment) return;
+
+    const updated = await paymentClaimService.claim(payment, req.user);
+
+    res.json({
+      success: true,
+      message: 'Payment claimed. Other employees cannot verify or reject it while your claim lasts.',
+      payment: updated
+    });
+
+  } catch (error) {
+    if (error instanceof PaymentClaimError) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Claim payment error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to claim payment.'
+    });
+  }
+});
+
+/**
+ * POST /api/employee/portal/payments/:id/release
+ * Give up one's claim on a payment (Managers may release anyone's)
+ */
+router.post('/payments/:id/release', requirePermission(PERMISSIONS.PAYMENTS_VERIFY), async (req, res) => {
+  try {
+    const payment = await findPayment(req, res);
+    if (!payment) return;
+
+    const canReleaseAny = hasPermission(req.user.role, PERMISSIONS.PAYMENTS_ASSIGN);
+    const released = await paymentClaimService.release(payment._id, canReleaseAny ? null : req.user.userId);
+
+    if (!released) {
+      return res.status(409).json({
+        success: false,
+        message: canReleaseAny ? 'This payment is not claimed.' : 'You do not hold a claim on this payment.'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Payment released.'
+    });
+
+  } catch (error) {
+    console.error('Release payment error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to release payment.'
+    });
+  }
+});
+
+/**
+ * GET /api/employee/portal/assignees
+ * Active employees a payment can be assigned to
+ */
+router.get('/assignees', requirePermission(PERMISSIONS.PAYMENTS_ASSIGN), async (req, res) => {
+  try {
+    const employees = await Employee.find({ isActive: true })
+      .select('fullName username role')
+      .sort({ fullName: 1 });
+
+    res.json({
+      success: true,
+      employees: employees.map((employee) => ({
+        id: employee._id,
+        fullName: employee.fullName,
+        username: employee.username,
+        role: employee.role
+      }))
+    });
+
+  } catch (error) {
+    console.error('Get assignees error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve employees.'
+    });
+  }
+});
+
+/**
+ * POST /api/employee/portal/payments/:id/assign
+ * Reassign a pending payment to another employee (starts a new lease)
+ * Body: { employeeId }
+ */
+router.post('/payments/:id/assign', requirePermission(PERMISSIONS.PAYMENTS_ASSIGN), async (req, res) => {
+  try {
+    const { employeeId } = req.body;
+
+    if (!validator.isValidObjectId(employeeId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid employee ID format.'
+      });
+    }
+
+    const payment = await findPayment(req, res);
+    if (!payment) return;
+
+    const assignee = await Employee.findOne({ _id: employeeId, isActive: true }).select('username');
+
+    if (!assignee) {
+      return res.status(404).json({
+        success: false,
+        message: 'Employee not found.'
+      });
+    }
+
+    const previousAssignee = paymentClaimService.isClaimActive(payment) ? payment.assignedToUsername : null;
+    const updated = await paymentClaimService.assign(payment, assignee);
+
+    await AuditLog.logPaymentReassigned({
+      username: req.user.username,
+      ipAddress: req.ip || req.connection.remoteAddress || 'unknown',
+      userAgent: req.headers['user-agent'] || 'unknown',
+      paymentId: String(payment._id),
+      previousAssignee,
+      assignedTo: assignee.username
+    });
+
+    res.json({
+      success: true,
+      message: `Payment assigned to ${assignee.username}.`,
+      payment: updated
+    });
+
+  } catch (error) {
+    if (error instanceof PaymentClaimError) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Assign payment error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to assign payment.'
+    });
+  }
+});
+
+/**
+ * GET /api/employee/portal/approval-limits
+ * Approval limits of every active employee with the Employee role, and the
+ * defaults that apply where they have none of their own
+ */
+router.get('/approval-limits', requirePermission(PERMISSIONS.APPROVALS_MANAGE), async (req, res) => {
+  try {
+    const employees = await Employee.find({ role: 'Employee', isActive: true })
+      .select('fullName username approvalLimits')
+      .sort({ fullName: 1 });
+
+    res.json({
+      success: true,
+      defaults: approvalLimitService.getDefaults(),
+      employees: employees.map((employee) => ({
+        id: employee._id,
+        fullName: employee.fullName,
+        username: employee.username,
+        approvalLimits: Object.fromEntries(employee.approvalLimits || [])
+      }))
+    });
+
+  } catch (error) {
+    console.error('Get approval limits error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve approval limits.'
+    });
+  }
+});
+
+/**
+ * POST /api/employee/portal/employees/:id/approval-limits
+ * Set or remove an employee's approval limits
+ * Body: { limits: { USD: 25000, '*': 10000, EUR: null } } (null removes a limit)
+ */
+router.post('/employees/:id/approval-limits', requirePermission(PERMISSIONS.APPROVALS_MANAGE), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!validator.isValidObjectId(id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid employee ID format.'
+      });
+    }
+
+    const employee = await Employee.findOne({ _id: id, isActive: true });
+
+    if (!employee) {
+      return res.status(404).json({
+        success: false,
+        message: 'Employee not found.'
+      });
+    }
+
+    const { previous, current } = await approvalLimitService.setLimits(employee, req.body.limits);
+
+    await AuditLog.logApprovalLimitsChanged({
+      username: req.user.username,
+      ipAddress: req.ip || req.connection.remoteAddress || 'unknown',
+      userAgent: req.headers['user-agent'] || 'unknown',
+      employeeUsername: employee.username,
+      previous,
+      current
+    });
+
+    res.json({
+      success: true,
+      message: `Approval limits of ${employee.username} updated.`,
+      approvalLimits: current
+    });
+
+  } catch (error) {
+    if (error instanceof ApprovalLimitError) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Set approval limits error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update approval limits.'
+    });
+  }
+});
+
 export default router;
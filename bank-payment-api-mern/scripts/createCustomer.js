@@ -1,12 +1,9 @@
-import dotenv from 'dotenv';
+import 'dotenv/config';
 import readline from 'readline';
 import mongoose from 'mongoose';
-import Customer from '../models/Customer.js';
-import passwordService from '../services/passwordService.js';
+import customerOnboardingService from '../services/customerOnboardingService.js';
 import validator from '../utils/validators.js';
 
-dotenv.config();
-
 const rl = readline.createInterface({
   input: process.stdin,
   output: process.stdout
@@ -15,30 +12,6 @@ const rl = readline.createInterface({
 // Promisify readline question
 const question = (query) => new Promise((resolve) => rl.question(query, resolve));
 
-// Generate a temporary password
-function generateTempPassword() {
-  const chars = 'ABCDEFGHJKLMNPQRSTUVWXYZabcdefghjkmnpqrstuvwxyz23456789@$!%*?&#';
-  const uppercase = 'ABCDEFGHJKLMNPQRSTUVWXYZ';
-  const lowercase = 'abcdefghjkmnpqrstuvwxyz';
-  const numbers = '23456789';
-  const special = '@$!%*?&#';
-
-  let password = '';
-  // Ensure at least one of each required character type
-  password += uppercase[Math.floor(Math.random() * uppercase.length)];
-  password += lowercase[Math.floor(Math.random() * lowercase.length)];
-  password += numbers[Math.floor(Math.random() * numbers.length)];
-  password += special[Math.floor(Math.random() * special.length)];
-
-  // Fill the rest randomly (total length 12)
-  for (let i = 4; i < 12; i++) {
-    password += chars[Math.floor(Math.random() * chars.length)];
-  }
-
-  // Shuffle the password
-  return password.split('').sort(() => Math.random() - 0.5).join('');
-}
-
 async function createCustomer() {
   try {
     console.log('\n🏦 Bank Customer Account Creation Tool');
@@ -76,39 +49,8 @@ async function createCustomer() {
       process.exit(1);
     }
 
-    // Check if customer already exists
-    const existingCustomer = await Customer.findOne({
-      $or: [
-        { idNumber },
-        { accountNumber },
-        { username: username.toLowerCase() }
-      ]
-    });
-
-    if (existingCustomer) {
-      if (existingCustomer.username === username.toLowerCase()) {
-        console.error('❌ Error: Username already exists.');
-        process.exit(1);
-      }
-      console.error('❌ Error: Customer with this ID number or account number already exists.');
-      process.exit(1);
-    }
-
-    // Ask if they want to generate a password or enter one
-    const passwordChoice = await question('\nGenerate temporary password? (y/n): ');
-    let password;
-
-    if (passwordChoice.toLowerCase() === 'y' || passwordChoice.toLowerCase() === 'yes') {
-      password = generateTempPassword();
-      console.log(`\n🔑 Generated temporary password: ${password}`);
-      console.log('⚠️  Make sure to securely provide this to the customer!\n');
-    } else {
-      password = await question('Enter password (min 8 chars, with uppercase, lowercase, number, special char): ');
-      if (!validator.isValidPassword(password)) {
-        console.error('❌ Invalid password. Must be 8-100 characters with uppercase, lowercase, digit, and special character.');
-        process.exit(1);
-      }
-    }
+    // Same duplicate checks as the branch-staff API
+    await customerOnboardingService.assertUnique({ idNumber, accountNumber, username });
 
     // Confirm creation
     console.log('\n📋 Customer Information Summary:');
@@ -126,31 +68,23 @@ async function createCustomer() {
       process.exit(0);
     }
 
-    // Hash password
-    const { hash, salt } = await passwordService.hashPassword(password);
-
-    // Create customer
-    const customer = new Customer({
+    // Generates the temporary password; the customer must change it at first sign-in
+    const { temporaryPassword } = await customerOnboardingService.create({
       fullName,
       idNumber,
       accountNumber,
-      username: username.toLowerCase(),
-      passwordHash: hash,
-      passwordSalt: salt,
-      isActive: true
+      username
     });
 
-    await customer.save();
-
     console.log('\n✅ Customer account created successfully!');
     console.log('\n📧 Customer Login Credentials:');
     console.log('==============================');
     console.log(`Username: ${username.toLowerCase()}`);
     console.log(`Account Number: ${accountNumber}`);
-    console.log(`Temporary Password: ${password}`);
+    console.log(`Temporary Password: ${temporaryPassword}`);
     console.log('==============================\n');
     console.log('⚠️  Please provide these credentials securely to the customer.');
-    console.log('💡 Advise the customer to change their password after first login.\n');
+    console.log('💡 The customer will be asked to choose a new password at first login.\n');
 
   } catch (error) {
     console.error('\n❌ Error creating customer:', error.message);
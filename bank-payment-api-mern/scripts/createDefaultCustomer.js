@@ -1,5 +1,5 @@
+import 'dotenv/config';
 import mongoose from 'mongoose';
-import dotenv from 'dotenv';
 import passwordService from '../services/passwordService.js';
 import Customer from '../models/Customer.js';
 
@@ -8,8 +8,6 @@ import Customer from '../models/Customer.js';
  * Usage: node scripts/createDefaultCustomer.js
  */
 
-dotenv.config();
-
 const createDefaultCustomer = async () => {
   try {
     console.log('\n🏦 Creating Default Customer Account...\n');
@@ -1,5 +1,5 @@
+import 'dotenv/config';
 import mongoose from 'mongoose';
-import dotenv from 'dotenv';
 import passwordService from '../services/passwordService.js';
 import Employee from '../models/Employee.js';
 
@@ -8,8 +8,6 @@ import Employee from '../models/Employee.js';
  * Usage: node scripts/createDefaultEmployee.js
  */
 
-dotenv.config();
-
 const createDefaultEmployee = async () => {
   try {
     console.log('\n👔 Creating Default Employee Account...\n');
@@ -1,5 +1,5 @@
+import 'dotenv/config';
 import mongoose from 'mongoose';
-import dotenv from 'dotenv';
 import readline from 'readline';
 import passwordService from '../services/passwordService.js';
 import validator from '../utils/validators.js';
@@ -10,8 +10,6 @@ import Employee from '../models/Employee.js';
  * Usage: node scripts/createEmployee.js
  */
 
-dotenv.config();
-
 const rl = readline.createInterface({
   input: process.stdin,
   output: process.stdout
@@ -20,30 +18,6 @@ const rl = readline.createInterface({
 // Promisify readline question
 const question = (query) => new Promise((resolve) => rl.question(query, resolve));
 
-// Generate a temporary password
-function generateTempPassword() {
-  const chars = 'ABCDEFGHJKLMNPQRSTUVWXYZabcdefghjkmnpqrstuvwxyz23456789@$!%*?&#';
-  const uppercase = 'ABCDEFGHJKLMNPQRSTUVWXYZ';
-  const lowercase = 'abcdefghjkmnpqrstuvwxyz';
-  const numbers = '23456789';
-  const special = '@$!%*?&#';
-
-  let password = '';
-  // Ensure at least one of each required character type
-  password += uppercase[Math.floor(Math.random() * uppercase.length)];
-  password += lowercase[Math.floor(Math.random() * lowercase.length)];
-  password += numbers[Math.floor(Math.random() * numbers.length)];
-  password += special[Math.floor(Math.random() * special.length)];
-
-  // Fill the rest randomly (total length 12)
-  for (let i = 4; i < 12; i++) {
-    password += chars[Math.floor(Math.random() * chars.length)];
-  }
-
-  // Shuffle the password
-  return password.split('').sort(() => Math.random() - 0.5).join('');
-}
-
 const createEmployee = async () => {
   try {
     console.log('\n👔 Bank Employee Account Creation Tool');
@@ -91,7 +65,7 @@ const createEmployee = async () => {
     let password;
 
     if (passwordChoice.toLowerCase() === 'y' || passwordChoice.toLowerCase() === 'yes') {
-      password = generateTempPassword();
+      password = passwordService.generateTemporaryPassword();
       console.log(`\n🔑 Generated temporary password: ${password}`);
       console.log('⚠️  Make sure to securely provide this to the employee!\n');
     } else {
@@ -126,6 +100,8 @@ const createEmployee = async () => {
       username: username.toLowerCase(),
       passwordHash: hash,
       passwordSalt: salt,
+      // Staff know this password: the employee must replace it at first sign-in
+      mustChangePassword: true,
       role,
       isActive: true
     });
@@ -141,7 +117,7 @@ const createEmployee = async () => {
     console.log(`Role: ${role}`);
     console.log('==============================\n');
     console.log('⚠️  Please provide these credentials securely to the employee.');
-    console.log('💡 Advise the employee to change their password after first login.\n');
+    console.log('💡 The employee will be asked to choose a new password at first login.\n');
     console.log('🔗 Employee Login URL: https://localhost:3000/employee/login\n');
 
   } catch (error) {
@@ -1,10 +1,8 @@
+import 'dotenv/config';
 import mongoose from 'mongoose';
-import dotenv from 'dotenv';
 import passwordService from '../services/passwordService.js';
 import Customer from '../models/Customer.js';
 
-dotenv.config();
-
 const createTestCustomer = async () => {
   try {
     await mongoose.connect(process.env.MONGODB_URI);
@@ -1,11 +1,14 @@
+// Load environment variables before any other module reads them: several
+// services read their configuration when they are first imported
+import 'dotenv/config';
 import express from 'express';
 import cors from 'cors';
-import dotenv from 'dotenv';
 import https from 'https';
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import connectDB from './config/database.js';
+import swiftGatewayService from './services/swiftGatewayService.js';
 import {
   securityHeaders,
   generalRateLimiter,
@@ -28,11 +31,12 @@ import {
 import healthRoutes from './routes/health.js';
 import customerAuthRoutes from './routes/customerAuth.js';
 import customerPaymentRoutes from './routes/customerPayments.js';
+import customerSessionRoutes from './routes/customerSessions.js';
 import employeeAuthRoutes from './routes/employeeAuth.js';
 import employeePortalRoutes from './routes/employeePortal.js';
-
-// Load environment variables
-dotenv.config();
+import employeeCustomerRoutes from './routes/employeeCustomers.js';
+import authRoutes from './routes/auth.js';
+import adminRoutes from './routes/admin.js';
 
 // Get __dirname equivalent in ES modules
 const __filename = fileURLToPath(import.meta.url);
@@ -41,6 +45,14 @@ const __dirname = path.dirname(__filename);
 // Initialize Express app
 const app = express();
 
+// Fail fast on a missing SWIFT gateway rather than at the first submission
+try {
+  swiftGatewayService.getGateway();
+} catch (error) {
+  console.error(`❌ SWIFT gateway configuration error: ${error.message}`);
+  process.exit(1);
+}
+
 // Connect to MongoDB
 connectDB();
 
@@ -116,19 +128,36 @@ app.use('/api/health', healthRoutes);
 // Customer authentication routes (strict rate limiting + brute force protection)
 app.use('/api/customer/auth/register', registrationBruteForce.prevent);
 app.use('/api/customer/auth/login', loginBruteForce.prevent);
+app.use('/api/customer/auth/password-reset', loginBruteForce.prevent);
 app.use('/api/customer/auth', authRateLimiter, customerAuthRoutes);
 
 // Customer payment routes (with brute force protection)
 app.use('/api/customer/payments/create', paymentBruteForce.prevent);
+app.use('/api/customer/payments/step-up', loginBruteForce.prevent);
 app.use('/api/customer/payments', customerPaymentRoutes);
 
+// Customer session/device management
+app.use('/api/customer/sessions', customerSessionRoutes);
+
 // Employee authentication routes (strict rate limiting + brute force protection)
 app.use('/api/employee/auth/login', loginBruteForce.prevent);
+app.use('/api/employee/auth/webauthn/login', loginBruteForce.prevent);
 app.use('/api/employee/auth', authRateLimiter, employeeAuthRoutes);
 
 // Employee portal routes
 app.use('/api/employee/portal', employeePortalRoutes);
 
+// Customer onboarding and account support by branch staff
+app.use('/api/employee/customers', employeeCustomerRoutes);
+
+// Session routes shared by customers and employees (token refresh, second login step, password change)
+app.use('/api/auth/mfa', loginBruteForce.prevent);
+app.use('/api/auth/change-password', loginBruteForce.prevent);
+app.use('/api/auth', authRateLimiter, authRoutes);
+
+// Administration routes (Admin employees only)
+app.use('/api/admin', adminRoutes);
+
 // Root endpoint
 app.get('/', (req, res) => {
   res.json({
@@ -0,0 +1,140 @@
+import passwordService from './passwordService.js';
+
+/**
+ * Account Lockout Service
+ * Counts failed sign-ins on the account itself (failedLoginCount) and locks it
+ * for a while (lockedUntil) once too many fail in a row. Unlike the per-IP
+ * brute force middleware, this also stops attackers rotating IP addresses.
+ *
+ * verifyLogin() does the same work whether the account exists, is locked or
+ * not: a password hash is always checked and the caller gets the same answer
+ * for every failure, so lockout does not reveal which accounts exist.
+ *
+ * Configuration (environment):
+ *   LOCKOUT_MAX_ATTEMPTS - consecutive failures that lock an account (default 5)
+ *   LOCKOUT_DURATION_MS  - how long the lock lasts (default 15 minutes)
+ */
+
+const DEFAULT_MAX_ATTEMPTS = 5;
+const DEFAULT_DURATION_MS = 15 * 60 * 1000;
+
+// Same response for unknown accounts, wrong passwords and locked accounts
+export const INVALID_CREDENTIALS_MESSAGE = 'Invalid credentials. Repeated failed attempts temporarily lock the account.';
+
+class AccountLockoutService {
+  constructor() {
+    // Read from the environment on first use (see ensureConfig)
+    this.maxAttempts = null;
+    this.durationMs = null;
+  }
+
+  /**
+   * Load the attempt limit and lock duration from the environment unless already loaded
+   */
+  ensureConfig() {
+    if (!this.maxAttempts) {
+      const maxAttempts = parseInt(process.env.LOCKOUT_MAX_ATTEMPTS, 10);
+      const durationMs = parseInt(process.env.LOCKOUT_DURATION_MS, 10);
+
+      this.maxAttempts = Number.isInteger(maxAttempts) && maxAttempts >= 1 ? maxAttempts : DEFAULT_MAX_ATTEMPTS;
+      this.durationMs = Number.isInteger(durationMs) && durationMs > 0 ? durationMs : DEFAULT_DURATION_MS;
+    }
+  }
+
+  /**
+   * Whether an account is currently locked
+   * @param {Object} user - Customer or Employee document
+   * @returns {boolean}
+   */
+  isLocked(user) {
+    return !!user.lockedUntil && user.lockedUntil > new Date();
+  }
+
+  /**
+   * Check a sign-in password and update the account's failure counter
+   * @param {Object} Model - Customer or Employee model
+   * @param {Object|null} user - Account found for the sign-in, or null
+   * @param {string} password - Password entered
+   * @returns {Promise<{success: boolean, failureReason?: string, lockedUntil?: Date}>}
+   *          lockedUntil is set when this attempt locked the account
+   */
+  async verifyLogin(Model, user, password) {
+    if (!user) {
+      await passwordService.verifyDummy(password);
+      return { success: false, failureReason: 'Account not found or inactive' };
+    }
+
+    // Checked even while locked, so a locked account answers as slowly as any other
+    const isPasswordValid = await passwordService.verifyPassword(password, user.passwordHash, user.passwordSalt);
+
+    if (this.isLocked(user)) {
+      return { success: false, failureReason: 'Account locked' };
+    }
+
+    if (!isPasswordValid) {
+      const lockedUntil = await this.recordFailure(Model, user);
+      return { success: false, failureReason: 'Invalid password', lockedUntil };
+    }
+
+    await this.recordSuccess(Model, user);
+    return { success: true };
+  }
+
+  /**
+   * Count a failed sign-in and lock the account when the limit is reached
+   * @param {Object} Model - Customer or Employee model
+   * @param {Object} user
+   * @returns {Promise<Date|null>} Lock expiry if this failure locked the account
+   */
+  async recordFailure(Model, user) {
+    this.ensureConfig();
+
+    const updated = await Model.findOneAndUpdate(
+      { _id: user._id },
+      { $inc: { failedLoginCount: 1 } },
+      { new: true, projection: { failedLoginCount: 1 } }
+    );
+
+    if (!updated || updated.failedLoginCount < this.maxAttempts) {
+      return null;
+    }
+
+    // Only one of several concurrent failures gets to lock (and report) it
+    const lockedUntil = new Date(Date.now() + this.durationMs);
+    const result = await Model.updateOne(
+      { _id: user._id, failedLoginCount: { $gte: this.maxAttempts } },
+      { $set: { failedLoginCount: 0, lockedUntil } }
+    );
+
+    return result.modifiedCount === 1 ? lockedUntil : null;
+  }
+
+  /**
+   * Clear the failure counter after a successful sign-in
+   * @param {Object} Model - Customer or Employee model
+   * @param {Object} user
+   */
+  async recordSuccess(Model, user) {
+    if (!user.failedLoginCount && !user.lockedUntil) {
+      return;
+    }
+
+    await Model.updateOne({ _id: user._id }, { $set: { failedLoginCount: 0, lockedUntil: null } });
+    user.failedLoginCount = 0;
+    user.lockedUntil = null;
+  }
+
+  /**
+   * Lift a lock before it expires
+   * @param {Object} Model - Customer or Employee model
+   * @param {Object} user
+   * @returns {Promise<boolean>} Whether the account was locked
+   */
+  async unlock(Model, user) {
+    const wasLocked = this.isLocked(user);
+    await this.recordSuccess(Model, user);
+    return wasLocked;
+  }
+}
+
+export default new AccountLockoutService();
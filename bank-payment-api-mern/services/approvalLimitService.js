@@ -0,0 +1,187 @@
+import Payment from '../models/Payment.js';
+import { ConcurrentModificationError } from './paymentWorkflowService.js';
+import validator from '../utils/validators.js';
+import { parseCurrencyAmounts, amountForCurrency } from '../utils/currencyAmounts.js';
+
+/**
+ * Approval Limit Service
+ * Caps the payment amount, per currency, that an employee with the Employee
+ * role may verify. Managers set each employee's limits; employees without
+ * their own limit for a currency fall back to the configured defaults.
+ * Managers and Admins have no limit.
+ *
+ * A payment above the verifier's limit is escalated instead of verified: it
+ * stays Pending and moves to the Requires Manager queue, where only a
+ * verifier whose limit covers it can verify it.
+ *
+ * Configuration (environment):
+ *   APPROVAL_LIMITS_DEFAULT - CCY:amount pairs, e.g. "USD:50000,ZAR:900000";
+ *                             '*' sets the limit for unlisted currencies
+ */
+
+const DEFAULT_LIMITS = {
+  USD: 50000,
+  EUR: 50000,
+  GBP: 40000,
+  ZAR: 900000,
+  '*': 50000
+};
+
+// Roles whose verifications are never limited
+const UNLIMITED_ROLES = ['Manager', 'Admin'];
+
+const MAX_LIMIT = 999999999.99;
+
+/**
+ * Raised when approval limits cannot be changed
+ */
+export class ApprovalLimitError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'ApprovalLimitError';
+    this.status = status;
+  }
+}
+
+class ApprovalLimitService {
+  constructor() {
+    // Read from the environment on first use (see getDefaults)
+    this.defaults = null;
+  }
+
+  /**
+   * Limits for employees without their own, from the environment
+   * @returns {Object} Currency (or '*') -> limit amount
+   */
+  getDefaults() {
+    if (!this.defaults) {
+      this.defaults = parseCurrencyAmounts(process.env.APPROVAL_LIMITS_DEFAULT, DEFAULT_LIMITS);
+    }
+    return this.defaults;
+  }
+
+  /**
+   * Largest amount in a currency an employee may verify
+   * @param {Object} employee - Employee document ({ role, approvalLimits })
+   * @param {string} currency
+   * @returns {number} Limit (Infinity if none applies)
+   */
+  getLimit(employee, currency) {
+    if (UNLIMITED_ROLES.includes(employee.role)) {
+      return Infinity;
+    }
+
+    const own = employee.approvalLimits;
+    return own?.get(currency) ?? own?.get('*') ?? amountForCurrency(this.getDefaults(), currency);
+  }
+
+  /**
+   * Whether a payment is above the employee's limit for its currency
+   * @param {Object} employee
+   * @param {Object} payment
+   * @returns {boolean}
+   */
+  exceedsLimit(employee, payment) {
+    return Number(payment.amount) > this.getLimit(employee, payment.currency);
+  }
+
+  /**
+   * Whether a payment is waiting in the Requires Manager queue
+   * @param {Object} payment
+   * @returns {boolean}
+   */
+  isEscalated(payment) {
+    return Boolean(payment.escalatedAt);
+  }
+
+  /**
+   * Move a pending payment to the Requires Manager queue
+   * The update only applies if the payment still has the status and version
+   * it was read with (and matches options.filter).
+   *
+   * @param {Object} payment - Payment document as read by the caller
+   * @param {Object} employee - { _id, username } of the verifier whose limit it exceeded
+   * @param {number} limit - That verifier's limit
+   * @param {Object} options - { filter } (additional conditions the payment must still meet)
+   * @returns {Promise<Object>} The updated payment
+   * @throws {ConcurrentModificationError} If the payment changed since it was read
+   */
+  async escalate(payment, employee, limit, options = {}) {
+    const updated = await Payment.findOneAndUpdate(
+      { ...options.filter, _id: payment._id, status: payment.status, __v: payment.__v, escalatedAt: null },
+      {
+        $set: {
+          escalatedAt: new Date(),
+          escalatedBy: employee._id,
+          escalatedByUsername: employee.username,
+          escalationLimit: limit
+        },
+        $inc: { __v: 1 }
+      },
+      { new: true }
+    );
+
+    if (!updated) {
+      throw new ConcurrentModificationError(payment._id);
+    }
+
+    return updated;
+  }
+
+  /**
+   * Check a set of limits sent by a Manager
+   * @param {Object} limits - Currency (or '*') -> amount, or null to remove
+   * @returns {Object} The limits with currency codes upper-cased
+   * @throws {ApprovalLimitError} If a currency or amount is invalid
+   */
+  normalizeLimits(limits) {
+    if (!limits || typeof limits !== 'object' || Array.isArray(limits)) {
+      throw new ApprovalLimitError('Limits must be an object of currency codes to amounts.');
+    }
+
+    const normalized = {};
+    Object.entries(limits).forEach(([key, amount]) => {
+      const currency = key.toUpperCase();
+      if (currency !== '*' && !validator.isValidCurrency(currency)) {
+        throw new ApprovalLimitError(`Invalid currency: ${key}. Use a 3-letter ISO code or '*'.`);
+      }
+      if (amount !== null && !(typeof amount === 'number' && Number.isFinite(amount) && amount >= 0 && amount <= MAX_LIMIT)) {
+        throw new ApprovalLimitError(`Invalid limit for ${currency}. Must be an amount from 0 to ${MAX_LIMIT}, or null to remove it.`);
+      }
+      normalized[currency] = amount;
+    });
+    return normalized;
+  }
+
+  /**
+   * Set or remove an employee's limits (other currencies are left unchanged)
+   * @param {Object} employee - Employee document
+   * @param {Object} limits - Currency (or '*') -> amount, or null to remove
+   * @returns {Promise<{previous: Object, current: Object}>} Limits before and after
+   * @throws {ApprovalLimitError}
+   */
+  async setLimits(employee, limits) {
+    if (UNLIMITED_ROLES.includes(employee.role)) {
+      throw new ApprovalLimitError(`${employee.role}s have no approval limit.`);
+    }
+
+    const changes = this.normalizeLimits(limits);
+    const previous = Object.fromEntries(employee.approvalLimits || []);
+    const current = { ...previous };
+
+    Object.entries(changes).forEach(([currency, amount]) => {
+      if (amount === null) {
+        delete current[currency];
+      } else {
+        current[currency] = amount;
+      }
+    });
+
+    employee.approvalLimits = current;
+    await employee.save();
+
+    return { previous, current };
+  }
+}
+
+export default new ApprovalLimitService();
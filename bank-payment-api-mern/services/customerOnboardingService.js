@@ -0,0 +1,147 @@
+import Customer from '../models/Customer.js';
+import passwordService from './passwordService.js';
+import passwordResetService from './passwordResetService.js';
+import tokenRevocationService from './tokenRevocationService.js';
+import validator from '../utils/validators.js';
+
+/**
+ * Customer Onboarding Service
+ * Branch staff open customer accounts (public registration is disabled),
+ * find them by account or ID number and deactivate them (see
+ * routes/employeeCustomers.js; password resets go through passwordResetService).
+ *
+ * New accounts get a generated temporary password that is shown to the
+ * employee once; the customer must replace it at their first sign-in.
+ * Deactivating a customer ends their sessions and revokes any open reset link.
+ */
+
+/**
+ * Raised when a customer change is refused
+ */
+export class CustomerOnboardingError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'CustomerOnboardingError';
+    this.status = status;
+  }
+}
+
+class CustomerOnboardingService {
+  /**
+   * Refuse details that belong to an existing customer
+   * @param {Object} details - { idNumber, accountNumber, username }
+   * @returns {Promise<void>}
+   * @throws {CustomerOnboardingError} 409 on a duplicate
+   */
+  async assertUnique({ idNumber, accountNumber, username }) {
+    const existingCustomer = await Customer.findOne({
+      $or: [
+        { idNumber },
+        { accountNumber },
+        { username: username.toLowerCase() }
+      ]
+    }).select('username');
+
+    if (existingCustomer) {
+      if (existingCustomer.username === username.toLowerCase()) {
+        throw new CustomerOnboardingError('Username already taken. Please choose a different username.', 409);
+      }
+      throw new CustomerOnboardingError('Customer with this ID number or account number already exists.', 409);
+    }
+  }
+
+  /**
+   * Open a customer account with a temporary password
+   * @param {Object} data - { fullName, idNumber, accountNumber, username }
+   * @returns {Promise<{customer: Object, temporaryPassword: string}>}
+   * @throws {CustomerOnboardingError}
+   */
+  async create({ fullName, idNumber, accountNumber, username }) {
+    if (!validator.isValidFullName(fullName)) {
+      throw new CustomerOnboardingError(
+        'Invalid full name. Must be 2-100 characters, letters, spaces, hyphens, and apostrophes only.'
+      );
+    }
+
+    if (!validator.isValidIdNumber(idNumber)) {
+      throw new CustomerOnboardingError('Invalid ID number. Must be exactly 13 digits.');
+    }
+
+    if (!validator.isValidAccountNumber(accountNumber)) {
+      throw new CustomerOnboardingError('Invalid account number. Must be 10-16 digits.');
+    }
+
+    if (!validator.isValidUsername(username)) {
+      throw new CustomerOnboardingError(
+        'Invalid username. Must be 3-50 characters, letters, numbers, and underscores only.'
+      );
+    }
+
+    await this.assertUnique({ idNumber, accountNumber, username });
+
+    const temporaryPassword = passwordService.generateTemporaryPassword();
+    const { hash, salt } = await passwordService.hashPassword(temporaryPassword);
+
+    const customer = await Customer.create({
+      fullName: fullName.trim(),
+      idNumber,
+      accountNumber,
+      username: username.toLowerCase(),
+      passwordHash: hash,
+      passwordSalt: salt,
+      // Staff know this password: the customer must replace it at first sign-in
+      mustChangePassword: true,
+      isActive: true
+    });
+
+    return { customer, temporaryPassword };
+  }
+
+  /**
+   * Find customers by account number or ID number (exact match)
+   * @param {Object} query - { accountNumber } or { idNumber }
+   * @returns {Promise<Object[]>} Customer documents, active and deactivated
+   * @throws {CustomerOnboardingError} If neither is given or valid
+   */
+  async search({ accountNumber, idNumber }) {
+    if (accountNumber) {
+      if (!validator.isValidAccountNumber(accountNumber)) {
+        throw new CustomerOnboardingError('Invalid account number. Must be 10-16 digits.');
+      }
+      return Customer.find({ accountNumber });
+    }
+
+    if (idNumber) {
+      if (!validator.isValidIdNumber(idNumber)) {
+        throw new CustomerOnboardingError('Invalid ID number. Must be exactly 13 digits.');
+      }
+      return Customer.find({ idNumber });
+    }
+
+    throw new CustomerOnboardingError('Search by account number or ID number.');
+  }
+
+  /**
+   * Deactivate a customer, end their sessions and revoke open reset links
+   * @param {Object} customer - Customer document
+   * @param {Object} employee - { userId, username }
+   * @returns {Promise<void>}
+   * @throws {CustomerOnboardingError} If already deactivated
+   */
+  async deactivate(customer, employee) {
+    if (!customer.isActive) {
+      throw new CustomerOnboardingError(`${customer.username} is already deactivated.`);
+    }
+
+    customer.isActive = false;
+    await customer.save();
+
+    await passwordResetService.revokeOpen(customer._id);
+    await tokenRevocationService.revokeAllForUser(customer._id, 'customer', {
+      reason: 'deactivated',
+      revokedBy: employee.username
+    });
+  }
+}
+
+export default new CustomerOnboardingService();
@@ -0,0 +1,200 @@
+import Employee from '../models/Employee.js';
+import passwordService from './passwordService.js';
+import passwordChangeService from './passwordChangeService.js';
+import accountLockoutService from './accountLockoutService.js';
+import tokenRevocationService from './tokenRevocationService.js';
+import validator from '../utils/validators.js';
+import { ROLES } from '../config/permissions.js';
+
+/**
+ * Employee Management Service
+ * Admin changes to employee accounts (see routes/admin.js)
+ *
+ * New accounts and forced resets get a generated temporary password that is
+ * shown to the admin once and must be replaced at the next sign-in.
+ * Deactivating an employee, changing their role or resetting their password
+ * revokes their sessions, so an old role claim cannot outlive the change.
+ * Admins cannot deactivate or demote themselves, and the last active Admin
+ * cannot be removed.
+ */
+
+/**
+ * Raised when an employee change is refused
+ */
+export class EmployeeManagementError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'EmployeeManagementError';
+    this.status = status;
+  }
+}
+
+class EmployeeManagementService {
+  /**
+   * Refuse changes that would leave no active Admin
+   * @param {Object} employee - Employee losing the Admin role or being deactivated
+   */
+  async assertOtherAdminRemains(employee) {
+    if (employee.role !== 'Admin' || !employee.isActive) {
+      return;
+    }
+
+    const otherAdmins = await Employee.countDocuments({
+      _id: { $ne: employee._id },
+      role: 'Admin',
+      isActive: true
+    });
+
+    if (otherAdmins === 0) {
+      throw new EmployeeManagementError('The last active Admin cannot be removed.', 409);
+    }
+  }
+
+  /**
+   * Refuse changes to the admin's own account
+   * @param {Object} employee
+   * @param {Object} admin - { userId }
+   * @param {string} action - Description for the message
+   */
+  assertNotSelf(employee, admin, action) {
+    if (employee._id.toString() === admin.userId) {
+      throw new EmployeeManagementError(`You cannot ${action} your own account.`);
+    }
+  }
+
+  /**
+   * Create an employee account with a temporary password
+   * @param {Object} data - { fullName, username, role }
+   * @returns {Promise<{employee: Object, temporaryPassword: string}>}
+   * @throws {EmployeeManagementError}
+   */
+  async create({ fullName, username, role = 'Employee' }) {
+    if (!validator.isValidFullName(fullName)) {
+      throw new EmployeeManagementError(
+        'Invalid full name. Must be 2-100 characters, letters, spaces, hyphens, and apostrophes only.'
+      );
+    }
+
+    if (!validator.isValidUsername(username)) {
+      throw new EmployeeManagementError(
+        'Invalid username. Must be 3-50 characters, letters, numbers, and underscores only.'
+      );
+    }
+
+    if (!ROLES.includes(role)) {
+      throw new EmployeeManagementError(`Invalid role. Must be one of: ${ROLES.join(', ')}.`);
+    }
+
+    if (await Employee.exists({ username: username.toLowerCase() })) {
+      throw new EmployeeManagementError('An employee with this username already exists.', 409);
+    }
+
+    const temporaryPassword = passwordService.generateTemporaryPassword();
+    const { hash, salt } = await passwordService.hashPassword(temporaryPassword);
+
+    const employee = await Employee.create({
+      fullName: fullName.trim(),
+      username: username.toLowerCase(),
+      passwordHash: hash,
+      passwordSalt: salt,
+      // Staff know this password: the employee must replace it at first sign-in
+      mustChangePassword: true,
+      role,
+      isActive: true
+    });
+
+    return { employee, temporaryPassword };
+  }
+
+  /**
+   * Change an employee's role
+   * @param {Object} employee - Employee document
+   * @param {string} role
+   * @param {Object} admin - { userId, username }
+   * @returns {Promise<string>} Previous role
+   * @throws {EmployeeManagementError}
+   */
+  async changeRole(employee, role, admin) {
+    if (!ROLES.includes(role)) {
+      throw new EmployeeManagementError(`Invalid role. Must be one of: ${ROLES.join(', ')}.`);
+    }
+
+    if (employee.role === role) {
+      throw new EmployeeManagementError(`${employee.username} already has the ${role} role.`);
+    }
+
+    this.assertNotSelf(employee, admin, 'change the role of');
+    if (role !== 'Admin') {
+      await this.assertOtherAdminRemains(employee);
+    }
+
+    const previousRole = employee.role;
+    employee.role = role;
+    await employee.save();
+
+    await tokenRevocationService.revokeAllForUser(employee._id, 'employee', {
+      reason: 'role_changed',
+      revokedBy: admin.username
+    });
+
+    return previousRole;
+  }
+
+  /**
+   * Deactivate or reactivate an employee
+   * @param {Object} employee - Employee document
+   * @param {boolean} isActive
+   * @param {Object} admin - { userId, username }
+   * @returns {Promise<void>}
+   * @throws {EmployeeManagementError}
+   */
+  async setActive(employee, isActive, admin) {
+    if (employee.isActive === isActive) {
+      throw new EmployeeManagementError(
+        `${employee.username} is already ${isActive ? 'active' : 'deactivated'}.`
+      );
+    }
+
+    if (!isActive) {
+      this.assertNotSelf(employee, admin, 'deactivate');
+      await this.assertOtherAdminRemains(employee);
+    }
+
+    employee.isActive = isActive;
+    await employee.save();
+
+    if (!isActive) {
+      await tokenRevocationService.revokeAllForUser(employee._id, 'employee', {
+        reason: 'deactivated',
+        revokedBy: admin.username
+      });
+    }
+  }
+
+  /**
+   * Replace an employee's password with a temporary one they must change
+   * Also ends their sessions and lifts any sign-in lock.
+   * @param {Object} employee - Employee document (with passwordHistory selected)
+   * @param {Object} admin - { userId, username }
+   * @returns {Promise<string>} Temporary password
+   * @throws {EmployeeManagementError}
+   */
+  async forcePasswordReset(employee, admin) {
+    if (!employee.isActive) {
+      throw new EmployeeManagementError('Reactivate the employee before resetting their password.');
+    }
+
+    const temporaryPassword = passwordService.generateTemporaryPassword();
+    await passwordChangeService.setPassword(employee, temporaryPassword, { mustChangePassword: true });
+    await accountLockoutService.unlock(Employee, employee);
+
+    await tokenRevocationService.revokeAllForUser(employee._id, 'employee', {
+      reason: 'password_reset',
+      revokedBy: admin.username
+    });
+
+    return temporaryPassword;
+  }
+}
+
+export default new EmployeeManagementService();
@@ -0,0 +1,129 @@
+import { parseCurrencyAmounts, amountForCurrency } from '../utils/currencyAmounts.js';
+
+/**
+ * Four-Eyes (Dual Control) Service
+ * Compliance rules for who may verify and submit a payment:
+ *   - The employee who verified a payment may not submit it to SWIFT
+ *   - Payments above a per-currency threshold need two verifications by
+ *     different employees before they become Verified
+ *
+ * Configuration (environment):
+ *   FOUR_EYES_SEPARATE_SUBMITTER - 'false' to allow verifiers to submit (default true)
+ *   FOUR_EYES_THRESHOLDS        - CCY:amount pairs, e.g. "USD:10000,ZAR:180000";
+ *                                 '*' sets the threshold for unlisted currencies
+ */
+
+const DEFAULT_THRESHOLDS = {
+  USD: 10000,
+  EUR: 10000,
+  GBP: 8000,
+  ZAR: 180000,
+  '*': 10000
+};
+
+/**
+ * Raised when an action would break the four-eyes policy
+ */
+export class FourEyesViolationError extends Error {
+  constructor(message, rule, details = {}) {
+    super(message);
+    this.name = 'FourEyesViolationError';
+    this.status = 403;
+    this.rule = rule;
+    this.details = details;
+  }
+}
+
+class FourEyesService {
+  constructor() {
+    // Read from the environment on first use (see ensureConfig)
+    this.separateSubmitter = null;
+    this.thresholds = null;
+  }
+
+  /**
+   * Load the policy from the environment unless already loaded
+   */
+  ensureConfig() {
+    if (!this.thresholds) {
+      this.separateSubmitter = process.env.FOUR_EYES_SEPARATE_SUBMITTER !== 'false';
+      this.thresholds = parseCurrencyAmounts(process.env.FOUR_EYES_THRESHOLDS, DEFAULT_THRESHOLDS);
+    }
+  }
+
+  /**
+   * Amount above which a payment in this currency needs dual verification
+   * @param {string} currency
+   * @returns {number} Threshold (Infinity if none applies)
+   */
+  getThreshold(currency) {
+    this.ensureConfig();
+    return amountForCurrency(this.thresholds, currency);
+  }
+
+  /**
+   * Number of distinct verifications a payment needs
+   * @param {Object} payment
+   * @returns {number} 1 or 2
+   */
+  getRequiredVerifications(payment) {
+    return Number(payment.amount) > this.getThreshold(payment.currency) ? 2 : 1;
+  }
+
+  /**
+   * Ids of every employee who verified a payment
+   * Includes verifiedBy for payments verified before verifications were tracked.
+   * @param {Object} payment
+   * @returns {string[]}
+   */
+  getVerifierIds(payment) {
+    const ids = (payment.verifications || []).map((verification) => String(verification.employee));
+    if (payment.verifiedBy) {
+      ids.push(String(payment.verifiedBy));
+    }
+    return [...new Set(ids)];
+  }
+
+  /**
+   * Check that an employee may add a verification to a payment
+   * @param {Object} payment
+   * @param {string} employeeId
+   * @throws {FourEyesViolationError} If the employee already verified it
+   */
+  assertCanVerify(payment, employeeId) {
+    if (this.getVerifierIds(payment).includes(String(employeeId))) {
+      throw new FourEyesViolationError(
+        'You have already verified this payment. A different employee must provide the second verification.',
+        'distinct_verifiers',
+        { paymentIds: [String(payment._id)] }
+      );
+    }
+  }
+
+  /**
+   * Check that an employee may submit a set of payments to SWIFT
+   * @param {Object[]} payments
+   * @param {string} employeeId
+   * @throws {FourEyesViolationError} If the employee verified any of them
+   */
+  assertCanSubmit(payments, employeeId) {
+    this.ensureConfig();
+    if (!this.separateSubmitter) {
+      return;
+    }
+
+    const ownPayments = payments
+      .filter((payment) => this.getVerifierIds(payment).includes(String(employeeId)))
+      .map((payment) => String(payment._id));
+
+    if (ownPayments.length > 0) {
+      throw new FourEyesViolationError(
+        `You verified ${ownPayments.length} of the selected payment(s). Payments must be submitted by a different employee.`,
+        'separate_submitter',
+        { paymentIds: ownPayments }
+      );
+    }
+  }
+}
+
+export default new FourEyesService();
@@ -0,0 +1,309 @@
+import crypto from 'crypto';
+import mt103Service from './mt103Service.js';
+import { minorUnits } from '../utils/currencyAmounts.js';
+
+/**
+ * ISO 20022 Message Service
+ * Builds XML documents for a batch of payments:
+ *   - pacs.008.001.08 FI to FI Customer Credit Transfer (interbank)
+ *   - pain.001.001.09 Customer Credit Transfer Initiation (customer-initiated)
+ *
+ * Each payment becomes one CdtTrfTxInf. Identifiers (EndToEndId, UETR) are
+ * shared with the payment's MT103 message so both formats reconcile.
+ * The schemas in schemas/iso20022 are bank profile subsets written from the
+ * message definitions, not the official ISO 20022 files. To check the output
+ * against the official XSDs, download pacs.008.001.08.xsd and
+ * pain.001.001.09.xsd from iso20022.org and run the test suite with
+ * ISO20022_SCHEMA_DIR set to their directory.
+ */
+
+const NAMESPACES = {
+  'pacs.008.001.08': 'urn:iso:std:iso:20022:tech:xsd:pacs.008.001.08',
+  'pain.001.001.09': 'urn:iso:std:iso:20022:tech:xsd:pain.001.001.09'
+};
+
+class Iso20022Service {
+  constructor() {
+    this.bankName = process.env.BANK_NAME || 'SecureBank';
+  }
+
+  /**
+   * Supported message types
+   * @returns {string[]}
+   */
+  getMessageTypes() {
+    return Object.keys(NAMESPACES);
+  }
+
+  /**
+   * Generate a batch message id (SB + UTC timestamp + random suffix, 22 chars)
+   * @param {Date} date
+   * @returns {string}
+   */
+  generateMessageId(date = new Date()) {
+    const timestamp = date.toISOString().replace(/[-:T]/g, '').substring(0, 14);
+    return `SB${timestamp}${crypto.randomBytes(3).toString('hex').toUpperCase()}`;
+  }
+
+  /**
+   * Escape text for XML element content
+   * @param {string} value
+   * @returns {string}
+   */
+  escapeXml(value) {
+    return String(value ?? '')
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&apos;');
+  }
+
+  /**
+   * Truncate text to an ISO 20022 MaxNText length
+   * @param {string} value
+   * @param {number} max
+   * @returns {string}
+   */
+  maxText(value, max) {
+    return this.escapeXml(String(value ?? '').trim().substring(0, max));
+  }
+
+  /**
+   * Format an amount with the currency's minor units (dot decimal separator)
+   * @param {number} amount
+   * @param {string} currency
+   * @returns {string}
+   */
+  formatAmount(amount, currency) {
+    return Number(amount).toFixed(minorUnits(currency));
+  }
+
+  /**
+   * Compute the control sum (sum of all amounts, irrespective of currency)
+   * Sums the amounts as formatted in the message, so it matches them for
+   * currencies without minor units too; summed in cents to avoid floating
+   * point drift.
+   * @param {Object[]} payments
+   * @returns {string}
+   */
+  computeControlSum(payments) {
+    const cents = payments.reduce(
+      (sum, payment) => sum + Math.round(Number(this.formatAmount(payment.amount, payment.currency?.toUpperCase())) * 100),
+      0
+    );
+    return (cents / 100).toFixed(2);
+  }
+
+  /**
+   * Format a date as ISODateTime without milliseconds (UTC)
+   * @param {Date} date
+   * @returns {string}
+   */
+  formatDateTime(date) {
+    return date.toISOString().replace(/\.\d{3}Z$/, 'Z');
+  }
+
+  /**
+   * Format a date as ISODate (YYYY-MM-DD, UTC)
+   * @param {Date} date
+   * @returns {string}
+   */
+  formatDate(date) {
+    return date.toISOString().substring(0, 10);
+  }
+
+  /**
+   * Identifiers for a payment's transaction (shared with its MT103)
+   * @param {Object} payment
+   * @returns {{endToEndId: string, uetr: string}}
+   */
+  getTransactionIds(payment) {
+    return {
+      endToEndId: payment.swiftMessage?.reference || mt103Service.buildReference(payment),
+      uetr: payment.swiftMessage?.uetr || crypto.randomUUID()
+    };
+  }
+
+  /**
+   * Build a financial institution element (BranchAndFinancialInstitutionIdentification6)
+   * @param {string} tag
+   * @param {string} bic
+   * @returns {string}
+   */
+  agent(tag, bic) {
+    return `<${tag}><FinInstnId><BICFI>${this.escapeXml(bic.toUpperCase())}</BICFI></FinInstnId></${tag}>`;
+  }
+
+  /**
+   * Build an account element (CashAccount38 with proprietary account number)
+   * @param {string} tag
+   * @param {string} accountNumber
+   * @returns {string}
+   */
+  account(tag, accountNumber) {
+    return `<${tag}><Id><Othr><Id>${this.maxText(accountNumber, 34)}</Id></Othr></Id></${tag}>`;
+  }
+
+  /**
+   * Build a party element (PartyIdentification135 with name only)
+   * @param {string} tag
+   * @param {string} name
+   * @returns {string}
+   */
+  party(tag, name) {
+    return `<${tag}><Nm>${this.maxText(name, 140)}</Nm></${tag}>`;
+  }
+
+  /**
+   * Build a pacs.008.001.08 document
+   * @param {Object[]} payments - Payments with populated customerId (fullName, accountNumber)
+   * @param {Object} options - { messageId, createdAt, settlementDate }
+   * @returns {string} XML document
+   */
+  buildPacs008(payments, options = {}) {
+    const createdAt = options.createdAt || new Date();
+    const settlementDate = this.formatDate(options.settlementDate || createdAt);
+    const senderBic = mt103Service.senderBic;
+
+    const transactions = payments.map((payment) => {
+      const { endToEndId, uetr } = this.getTransactionIds(payment);
+      const currency = payment.currency.toUpperCase();
+      const customer = payment.customerId || {};
+
+      return [
+        '<CdtTrfTxInf>',
+        '<PmtId>',
+        `<InstrId>${this.maxText(endToEndId, 35)}</InstrId>`,
+        `<EndToEndId>${this.maxText(endToEndId, 35)}</EndToEndId>`,
+        `<TxId>${this.maxText(endToEndId, 35)}</TxId>`,
+        `<UETR>${uetr}</UETR>`,
+        '</PmtId>',
+        `<IntrBkSttlmAmt Ccy="${currency}">${this.formatAmount(payment.amount, currency)}</IntrBkSttlmAmt>`,
+        `<IntrBkSttlmDt>${settlementDate}</IntrBkSttlmDt>`,
+        '<ChrgBr>SHAR</ChrgBr>',
+        this.agent('InstgAgt', senderBic),
+        this.agent('InstdAgt', payment.swiftCode),
+        this.party('Dbtr', customer.fullName || payment.customerUsername),
+        customer.accountNumber ? this.account('DbtrAcct', customer.accountNumber) : '',
+        this.agent('DbtrAgt', senderBic),
+        this.agent('CdtrAgt', payment.swiftCode),
+        this.party('Cdtr', payment.payeeFullName),
+        this.account('CdtrAcct', payment.payeeAccountNumber),
+        '</CdtTrfTxInf>'
+      ].join('');
+    });
+
+    return [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      `<Document xmlns="${NAMESPACES['pacs.008.001.08']}">`,
+      '<FIToFICstmrCdtTrf>',
+      '<GrpHdr>',
+      `<MsgId>${this.maxText(options.messageId, 35)}</MsgId>`,
+      `<CreDtTm>${this.formatDateTime(createdAt)}</CreDtTm>`,
+      `<NbOfTxs>${payments.length}</NbOfTxs>`,
+      `<CtrlSum>${this.computeControlSum(payments)}</CtrlSum>`,
+      '<SttlmInf><SttlmMtd>INDA</SttlmMtd></SttlmInf>',
+      '</GrpHdr>',
+      ...transactions,
+      '</FIToFICstmrCdtTrf>',
+      '</Document>'
+    ].join('\n');
+  }
+
+  /**
+   * Build a pain.001.001.09 document
+   * Payments are grouped into one PmtInf per ordering customer (debtor).
+   *
+   * @param {Object[]} payments - Payments with populated customerId (fullName, accountNumber)
+   * @param {Object} options - { messageId, createdAt, executionDate }
+   * @returns {string} XML document
+   */
+  buildPain001(payments, options = {}) {
+    const createdAt = options.createdAt || new Date();
+    const executionDate = this.formatDate(options.executionDate || createdAt);
+    const senderBic = mt103Service.senderBic;
+
+    // Group by debtor account, preserving order
+    const groups = new Map();
+    payments.forEach((payment) => {
+      const customer = payment.customerId || {};
+      const key = customer.accountNumber || payment.customerUsername;
+      if (!groups.has(key)) {
+        groups.set(key, { customer, payments: [] });
+      }
+      groups.get(key).payments.push(payment);
+    });
+
+    const paymentInfos = [...groups.values()].map((group, index) => {
+      const transactions = group.payments.map((payment) => {
+        const { endToEndId, uetr } = this.getTransactionIds(payment);
+        const currency = payment.currency.toUpperCase();
+
+        return [
+          '<CdtTrfTxInf>',
+          '<PmtId>',
+          `<InstrId>${this.maxText(endToEndId, 35)}</InstrId>`,
+          `<EndToEndId>${this.maxText(endToEndId, 35)}</EndToEndId>`,
+          `<UETR>${uetr}</UETR>`,
+          '</PmtId>',
+          `<Amt><InstdAmt Ccy="${currency}">${this.formatAmount(payment.amount, currency)}</InstdAmt></Amt>`,
+          this.agent('CdtrAgt', payment.swiftCode),
+          this.party('Cdtr', payment.payeeFullName),
+          this.account('CdtrAcct', payment.payeeAccountNumber),
+          '</CdtTrfTxInf>'
+        ].join('');
+      });
+
+      return [
+        '<PmtInf>',
+        `<PmtInfId>${this.maxText(`${options.messageId}-${index + 1}`, 35)}</PmtInfId>`,
+        '<PmtMtd>TRF</PmtMtd>',
+        `<NbOfTxs>${group.payments.length}</NbOfTxs>`,
+        `<CtrlSum>${this.computeControlSum(group.payments)}</CtrlSum>`,
+        `<ReqdExctnDt><Dt>${executionDate}</Dt></ReqdExctnDt>`,
+        this.party('Dbtr', group.customer.fullName || group.payments[0].customerUsername),
+        this.account('DbtrAcct', group.customer.accountNumber || ''),
+        this.agent('DbtrAgt', senderBic),
+        '<ChrgBr>SHAR</ChrgBr>',
+        ...transactions,
+        '</PmtInf>'
+      ].join('');
+    });
+
+    return [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      `<Document xmlns="${NAMESPACES['pain.001.001.09']}">`,
+      '<CstmrCdtTrfInitn>',
+      '<GrpHdr>',
+      `<MsgId>${this.maxText(options.messageId, 35)}</MsgId>`,
+      `<CreDtTm>${this.formatDateTime(createdAt)}</CreDtTm>`,
+      `<NbOfTxs>${payments.length}</NbOfTxs>`,
+      `<CtrlSum>${this.computeControlSum(payments)}</CtrlSum>`,
+      this.party('InitgPty', this.bankName),
+      '</GrpHdr>',
+      ...paymentInfos,
+      '</CstmrCdtTrfInitn>',
+      '</Document>'
+    ].join('\n');
+  }
+
+  /**
+   * Build a document of the requested message type
+   * @param {string} messageType - 'pacs.008.001.08' or 'pain.001.001.09'
+   * @param {Object[]} payments
+   * @param {Object} options
+   * @returns {string} XML document
+   */
+  buildDocument(messageType, payments, options = {}) {
+    if (messageType === 'pacs.008.001.08') {
+      return this.buildPacs008(payments, options);
+    }
+    if (messageType === 'pain.001.001.09') {
+      return this.buildPain001(payments, options);
+    }
+    throw new Error(`Unsupported ISO 20022 message type: ${messageType}`);
+  }
+}
+
+export default new Iso20022Service();
@@ -0,0 +1,221 @@
+import crypto from 'crypto';
+import Customer from '../models/Customer.js';
+import Employee from '../models/Employee.js';
+import encryptionService from './encryptionService.js';
+import totpService from './totpService.js';
+
+/**
+ * MFA Service
+ * TOTP enrolment and second-factor checks for customers and employees
+ *
+ * Enrolment stores an encrypted pending secret until the user proves their
+ * authenticator works by entering a code; only then is MFA switched on and a
+ * set of one-time recovery codes issued. Employees must enrol before they can
+ * log in, for customers it is optional.
+ */
+
+const USER_MODELS = {
+  customer: Customer,
+  employee: Employee
+};
+
+const RECOVERY_CODE_COUNT = 10;
+
+/**
+ * Raised when an enrolment or verification step cannot be completed
+ */
+export class MfaError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'MfaError';
+    this.status = status;
+  }
+}
+
+class MfaService {
+  /**
+   * Whether users of this type must have MFA to log in
+   * @param {string} userType - 'customer' or 'employee'
+   * @returns {boolean}
+   */
+  isEnrolmentRequired(userType) {
+    return userType === 'employee';
+  }
+
+  /**
+   * Second step a password login has to go through, if any
+   * @param {Object} user - Customer or Employee document
+   * @param {string} userType
+   * @returns {'verify'|'enrol'|null} 'verify' for enrolled users,
+   *   'enrol' for users who must enrol first, null when no second factor applies
+   */
+  getChallengePurpose(user, userType) {
+    if (user.mfaEnabled) {
+      return 'verify';
+    }
+    return this.isEnrolmentRequired(userType) ? 'enrol' : null;
+  }
+
+  /**
+   * Normalise a recovery code as typed by the user (case, dashes, spaces)
+   * @param {string} code
+   * @returns {string}
+   */
+  normaliseRecoveryCode(code) {
+    return String(code ?? '').toLowerCase().replace(/[^a-f0-9]/g, '');
+  }
+
+  /**
+   * Hash a recovery code for storage and lookup
+   * @param {string} code
+   * @returns {string} Hex digest
+   */
+  hashRecoveryCode(code) {
+    return crypto.createHash('sha256').update(this.normaliseRecoveryCode(code)).digest('hex');
+  }
+
+  /**
+   * Generate a fresh set of recovery codes
+   * @returns {{codes: string[], records: Object[]}} Plain codes for the user, hashed records to store
+   */
+  generateRecoveryCodes() {
+    const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () =>
+      crypto.randomBytes(8).toString('hex').match(/.{4}/g).join('-')
+    );
+
+    return {
+      codes,
+      records: codes.map((code) => ({ codeHash: this.hashRecoveryCode(code), usedAt: null }))
+    };
+  }
+
+  /**
+   * Number of recovery codes the user has not used yet
+   * @param {Object} user
+   * @returns {number}
+   */
+  countRemainingRecoveryCodes(user) {
+    return (user.mfaRecoveryCodes || []).filter((record) => !record.usedAt).length;
+  }
+
+  /**
+   * Start enrolment: create a secret and keep it pending until confirmed
+   * @param {Object} user - Customer or Employee document
+   * @returns {Promise<{secret: string, otpauthUri: string}>}
+   * @throws {MfaError} 409 if MFA is already enabled
+   */
+  async startEnrolment(user) {
+    if (user.mfaEnabled) {
+      throw new MfaError('Two-factor authentication is already enabled.', 409);
+    }
+
+    const secret = totpService.generateSecret();
+    user.mfaPendingSecret = encryptionService.encrypt(secret);
+    await user.save();
+
+    return {
+      secret,
+      otpauthUri: totpService.buildOtpauthUri(secret, user.username)
+    };
+  }
+
+  /**
+   * Confirm enrolment with a code from the authenticator
+   * @param {Object} user - Customer or Employee document
+   * @param {string} code
+   * @returns {Promise<string[]>} Recovery codes (shown to the user once)
+   * @throws {MfaError} 409 if no enrolment is in progress, 400 if the code is wrong
+   */
+  async confirmEnrolment(user, code) {
+    if (user.mfaEnabled || !user.mfaPendingSecret) {
+      throw new MfaError('No two-factor enrolment is in progress.', 409);
+    }
+
+    const secret = encryptionService.decrypt(user.mfaPendingSecret);
+    const step = totpService.verifyCode(secret, code);
+
+    if (step === null) {
+      throw new MfaError('Invalid verification code.', 400);
+    }
+
+    const { codes, records } = this.generateRecoveryCodes();
+
+    user.mfaEnabled = true;
+    user.mfaSecret = user.mfaPendingSecret;
+    user.mfaPendingSecret = null;
+    user.mfaEnrolledAt = new Date();
+    user.mfaLastUsedStep = step;
+    user.mfaRecoveryCodes = records;
+    await user.save();
+
+    return codes;
+  }
+
+  /**
+   * Check the second factor of an enrolled user
+   * Accepted codes are consumed atomically: a TOTP step or recovery code
+   * cannot be used twice, even by concurrent requests.
+   *
+   * @param {Object} user - Customer or Employee document
+   * @param {string} userType
+   * @param {Object} input - { code } or { recoveryCode }
+   * @returns {Promise<'totp'|'recovery_code'>} Method that was used
+   * @throws {MfaError} 400 if the code is wrong or already used
+   */
+  async verify(user, userType, input = {}) {
+    const Model = USER_MODELS[userType];
+
+    if (!user.mfaEnabled || !user.mfaSecret) {
+      throw new MfaError('Two-factor authentication is not enabled.', 409);
+    }
+
+    if (input.recoveryCode) {
+      const result = await Model.updateOne(
+        {
+          _id: user._id,
+          mfaRecoveryCodes: { $elemMatch: { codeHash: this.hashRecoveryCode(input.recoveryCode), usedAt: null } }
+        },
+        { $set: { 'mfaRecoveryCodes.$.usedAt': new Date() } }
+      );
+
+      if (result.modifiedCount === 0) {
+        throw new MfaError('Invalid or already used recovery code.', 400);
+      }
+      return 'recovery_code';
+    }
+
+    const secret = encryptionService.decrypt(user.mfaSecret);
+    const step = totpService.verifyCode(secret, input.code, { lastUsedStep: user.mfaLastUsedStep });
+
+    if (step === null) {
+      throw new MfaError('Invalid verification code.', 400);
+    }
+
+    const result = await Model.updateOne(
+      { _id: user._id, $or: [{ mfaLastUsedStep: null }, { mfaLastUsedStep: { $lt: step } }] },
+      { $set: { mfaLastUsedStep: step } }
+    );
+
+    if (result.modifiedCount === 0) {
+      throw new MfaError('Invalid verification code.', 400);
+    }
+    return 'totp';
+  }
+
+  /**
+   * Switch MFA off and discard the secret and recovery codes
+   * @param {Object} user - Customer or Employee document
+   * @returns {Promise<void>}
+   */
+  async disable(user) {
+    user.mfaEnabled = false;
+    user.mfaSecret = null;
+    user.mfaPendingSecret = null;
+    user.mfaEnrolledAt = null;
+    user.mfaLastUsedStep = null;
+    user.mfaRecoveryCodes = [];
+    await user.save();
+  }
+}
+
+export default new MfaService();
@@ -0,0 +1,160 @@
+import crypto from 'crypto';
+import { minorUnits } from '../utils/currencyAmounts.js';
+
+/**
+ * MT103 Message Service
+ * Builds SWIFT MT103 (Single Customer Credit Transfer) FIN messages
+ *
+ * Produces blocks 1-5:
+ *   {1:} Basic header (sender LT address)
+ *   {2:} Application header (input, receiver LT address)
+ *   {3:} User header (UETR for SWIFT gpi tracking)
+ *   {4:} Text block (fields 20, 23B, 32A, 50K, 57A, 59, 71A)
+ *   {5:} Trailer (CHK)
+ *
+ * Note: the real CHK trailer is computed by SWIFT Alliance on release.
+ * We emit a SHA-256 based placeholder so files can be integrity checked locally.
+ */
+
+const CRLF = '\r\n';
+const LINE_LENGTH = 35; // SWIFT 35x line length
+const MAX_NAME_LINES = 4; // 4*35x
+
+class Mt103Service {
+  constructor() {
+    // Our own BIC (sender). 8 or 11 characters.
+    this.senderBic = process.env.SWIFT_SENDER_BIC || 'SBZAZAJJXXX';
+  }
+
+  /**
+   * Convert a BIC into a 12-character logical terminal address
+   * @param {string} bic - 8 or 11 character BIC
+   * @param {string} terminalCode - LT identifier ('A' for sender, 'X' for receiver)
+   * @returns {string} 12-character LT address
+   */
+  toLogicalTerminal(bic, terminalCode) {
+    const normalized = bic.toUpperCase();
+    const branch = normalized.length === 11 ? normalized.substring(8) : 'XXX';
+    return `${normalized.substring(0, 8)}${terminalCode}${branch}`;
+  }
+
+  /**
+   * Restrict text to the SWIFT "x" character set
+   * @param {string} text
+   * @returns {string}
+   */
+  toSwiftCharset(text) {
+    return String(text || '')
+      .replace(/[^a-zA-Z0-9/\-?:().,'+ ]/g, ' ')
+      .replace(/\s+/g, ' ')
+      .trim();
+  }
+
+  /**
+   * Split text into 35-character lines
+   * @param {string} text
+   * @param {number} maxLines
+   * @returns {string[]}
+   */
+  wrapLines(text, maxLines) {
+    const lines = [];
+    let remaining = this.toSwiftCharset(text);
+
+    while (remaining.length > 0 && lines.length < maxLines) {
+      lines.push(remaining.substring(0, LINE_LENGTH).trim());
+      remaining = remaining.substring(LINE_LENGTH).trim();
+    }
+
+    return lines;
+  }
+
+  /**
+   * Format a date as YYMMDD
+   * @param {Date} date
+   * @returns {string}
+   */
+  formatDate(date) {
+    const yy = String(date.getUTCFullYear()).substring(2);
+    const mm = String(date.getUTCMonth() + 1).padStart(2, '0');
+    const dd = String(date.getUTCDate()).padStart(2, '0');
+    return `${yy}${mm}${dd}`;
+  }
+
+  /**
+   * Format an amount using a comma as decimal separator (e.g. 1500,00)
+   * @param {number} amount
+   * @param {string} currency
+   * @returns {string}
+   */
+  formatAmount(amount, currency) {
+    const decimals = minorUnits(currency);
+    const fixed = Number(amount).toFixed(decimals);
+    return decimals === 0 ? `${fixed},` : fixed.replace('.', ',');
+  }
+
+  /**
+   * Build the field 20 sender's reference (max 16x, no leading/trailing '/' or '//')
+   * @param {Object} payment
+   * @returns {string}
+   */
+  buildReference(payment) {
+    return String(payment._id).toUpperCase().slice(-16);
+  }
+
+  /**
+   * Compute the trailer checksum placeholder
+   * @param {string} body - Blocks 1-4
+   * @returns {string} 12 hex characters
+   */
+  computeChecksum(body) {
+    return crypto.createHash('sha256').update(body).digest('hex').substring(0, 12).toUpperCase();
+  }
+
+  /**
+   * Build an MT103 message for a payment
+   * @param {Object} payment - Payment document
+   * @param {Object} customer - Ordering customer (fullName, accountNumber)
+   * @param {Object} options - { valueDate, uetr }
+   * @returns {{reference: string, uetr: string, content: string, checksum: string}}
+   */
+  buildMessage(payment, customer, options = {}) {
+    if (!customer || !customer.accountNumber) {
+      throw new Error('MT103 requires the ordering customer account');
+    }
+
+    const valueDate = options.valueDate || new Date();
+    const uetr = options.uetr || crypto.randomUUID();
+    const reference = this.buildReference(payment);
+    const currency = payment.currency.toUpperCase();
+
+    const fields = [
+      `:20:${reference}`,
+      ':23B:CRED',
+      `:32A:${this.formatDate(valueDate)}${currency}${this.formatAmount(payment.amount, currency)}`,
+      `:50K:/${customer.accountNumber}`,
+      ...this.wrapLines(customer.fullName, MAX_NAME_LINES - 1),
+      `:57A:${payment.swiftCode.toUpperCase()}`,
+      `:59:/${payment.payeeAccountNumber}`,
+      ...this.wrapLines(`${payment.payeeFullName} ${payment.payeeBankName}`, MAX_NAME_LINES - 1),
+      ':71A:SHA'
+    ];
+
+    const body = [
+      `{1:F01${this.toLogicalTerminal(this.senderBic, 'A')}0000000000}`,
+      `{2:I103${this.toLogicalTerminal(payment.swiftCode, 'X')}N}`,
+      `{3:{121:${uetr}}}`,
+      `{4:${CRLF}${fields.join(CRLF)}${CRLF}-}`
+    ].join('');
+
+    const checksum = this.computeChecksum(body);
+
+    return {
+      reference,
+      uetr,
+      content: `${body}{5:{CHK:${checksum}}}`,
+      checksum
+    };
+  }
+}
+
+export default new Mt103Service();
@@ -0,0 +1,81 @@
+import OutboxNotifier from './outboxNotifier.js';
+
+/**
+ * Notification Service
+ * Delivers messages to customers (e.g. password reset links)
+ *
+ * Notifiers are pluggable. A notifier implements:
+ *   name          - identifier recorded in the audit log
+ *   send(message) - deliver { recipient, subject, text, metadata? },
+ *                   resolves to { reference }
+ *
+ * The recipient is { customerId, username, accountNumber }; a notifier for a
+ * real channel looks up the customer's registered contact details from it.
+ *
+ * Configuration (environment):
+ *   NOTIFIER            - notifier to use; required, there is no default.
+ *                         'outbox' is for development and is refused when
+ *                         NODE_ENV=production
+ *   NOTIFIER_OUTBOX_DIR - where the outbox notifier writes (default tmp/outbox)
+ */
+
+class NotificationService {
+  constructor() {
+    this.notifier = null;
+  }
+
+  /**
+   * Create a notifier by name
+   * @param {string} name
+   * @returns {Object} Notifier
+   */
+  createNotifier(name) {
+    switch (name) {
+      case 'outbox':
+        // The outbox keeps live reset links readable on disk
+        if (process.env.NODE_ENV === 'production') {
+          throw new Error('The outbox notifier cannot be used in production. Set NOTIFIER to a real delivery channel.');
+        }
+        return new OutboxNotifier({
+          dir: process.env.NOTIFIER_OUTBOX_DIR || 'tmp/outbox'
+        });
+      default:
+        throw new Error(`Unknown notifier: ${name}`);
+    }
+  }
+
+  /**
+   * Use a specific notifier
+   * @param {Object} notifier
+   */
+  setNotifier(notifier) {
+    this.notifier = notifier;
+  }
+
+  /**
+   * Get the active notifier, creating the configured one on first use
+   * @returns {Object} Notifier
+   */
+  getNotifier() {
+    if (!this.notifier) {
+      if (!process.env.NOTIFIER) {
+        throw new Error('No notifier configured. Set NOTIFIER.');
+      }
+      this.setNotifier(this.createNotifier(process.env.NOTIFIER));
+    }
+    return this.notifier;
+  }
+
+  /**
+   * Deliver a message
+   * @param {Object} message - { recipient, subject, text, metadata? }
+   * @returns {Promise<{notifier: string, reference: string}>}
+   */
+  async send(message) {
+    const notifier = this.getNotifier();
+    const { reference } = await notifier.send(message);
+    return { notifier: notifier.name, reference };
+  }
+}
+
+export default new NotificationService();
@@ -0,0 +1,48 @@
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+
+/**
+ * Outbox Notifier
+ * Local stand-in for message delivery used in development and tests.
+ *
+ * Instead of sending anything, each message is appended as one JSON line to
+ * an outbox file, so a developer can pick up links (such as password reset
+ * links) from there. The console only shows who a message went to and its
+ * subject: message bodies hold live links and must not reach the logs.
+ *
+ * Options:
+ *   dir     - directory of the outbox file (outbox.jsonl); none = not kept
+ *   console - whether to announce messages on the console (default true)
+ */
+
+class OutboxNotifier {
+  constructor(options = {}) {
+    this.name = 'outbox';
+    this.dir = options.dir || null;
+    this.console = options.console !== false;
+  }
+
+  /**
+   * Record a message in the outbox
+   * @param {Object} message - { recipient, subject, text, metadata? }
+   * @returns {Promise<{reference: string}>}
+   */
+  async send(message) {
+    const reference = `OUTBOX-${crypto.randomUUID()}`;
+    const entry = { reference, sentAt: new Date().toISOString(), ...message };
+
+    if (this.dir) {
+      await fs.mkdir(this.dir, { recursive: true });
+      await fs.appendFile(path.join(this.dir, 'outbox.jsonl'), `${JSON.stringify(entry)}\n`, 'utf8');
+    }
+
+    if (this.console) {
+      console.log(`📨 [outbox] To ${message.recipient.username}: ${message.subject} (${reference})`);
+    }
+
+    return { reference };
+  }
+}
+
+export default OutboxNotifier;
@@ -0,0 +1,152 @@
+import passwordService from './passwordService.js';
+import validator from '../utils/validators.js';
+
+/**
+ * Password Change Service
+ * Lets a signed-in user replace their password (also used to complete a
+ * password reset, see passwordResetService)
+ *
+ * The new password must meet the password policy and must not be one of the
+ * user's most recent passwords. Previous hashes are kept on the user
+ * document (passwordHistory) for that check.
+ *
+ * Configuration (environment):
+ *   PASSWORD_HISTORY_SIZE - how many recent passwords, including the current
+ *                           one, cannot be reused (default 5)
+ */
+
+const DEFAULT_HISTORY_SIZE = 5;
+
+/**
+ * Raised when a password change is refused
+ */
+export class PasswordChangeError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'PasswordChangeError';
+    this.status = status;
+  }
+}
+
+class PasswordChangeService {
+  constructor() {
+    // Read from the environment on first use (see getHistorySize)
+    this.historySize = null;
+  }
+
+  /**
+   * How many recent passwords cannot be reused, from the environment
+   * @returns {number}
+   */
+  getHistorySize() {
+    if (!this.historySize) {
+      const size = parseInt(process.env.PASSWORD_HISTORY_SIZE, 10);
+      this.historySize = Number.isInteger(size) && size >= 1 ? size : DEFAULT_HISTORY_SIZE;
+    }
+    return this.historySize;
+  }
+
+  /**
+   * Previous passwords still covered by the history check
+   * (the current password counts towards the history size)
+   * @param {Object[]} entries - Oldest first
+   * @returns {Object[]}
+   */
+  trimHistory(entries = []) {
+    const historySize = this.getHistorySize();
+    return historySize > 1 ? entries.slice(-(historySize - 1)) : [];
+  }
+
+  /**
+   * Whether a password matches the current one or one still in the history
+   * @param {string} password - Plain text password
+   * @param {Object} user - Customer or Employee document (with passwordHistory selected)
+   * @returns {Promise<boolean>}
+   */
+  async isReused(password, user) {
+    const recent = [
+      { hash: user.passwordHash, salt: user.passwordSalt },
+      ...this.trimHistory(user.passwordHistory)
+    ];
+
+    for (const entry of recent) {
+      if (await passwordService.verifyPassword(password, entry.hash, entry.salt)) {
+        return true;
+      }
+    }
+    return false;
+  }
+
+  /**
+   * Check a new password against the policy and the user's recent passwords
+   * @param {Object} user - Customer or Employee document (with passwordHistory selected)
+   * @param {string} newPassword
+   * @returns {Promise<void>}
+   * @throws {PasswordChangeError} If the password is not allowed
+   */
+  async assertAllowed(user, newPassword) {
+    if (!validator.isValidPassword(newPassword)) {
+      throw new PasswordChangeError(
+        'Invalid password. Must be 8-100 characters with uppercase, lowercase, digit, and special character.'
+      );
+    }
+
+    if (await this.isReused(newPassword, user)) {
+      const historySize = this.getHistorySize();
+      throw new PasswordChangeError(
+        historySize > 1
+          ? `New password must differ from your last ${historySize} passwords.`
+          : 'New password must differ from your current password.'
+      );
+    }
+  }
+
+  /**
+   * Store a new (already checked) password and move the old one into the history
+   * @param {Object} user - Customer or Employee document (with passwordHistory selected)
+   * @param {string} newPassword
+   * @param {Object} options - { mustChangePassword }: set for passwords issued by staff
+   * @returns {Promise<Date>} When the password was changed
+   */
+  async setPassword(user, newPassword, options = {}) {
+    const { hash, salt } = await passwordService.hashPassword(newPassword);
+    const changedAt = new Date();
+
+    user.passwordHistory = this.trimHistory([
+      ...(user.passwordHistory || []),
+      { hash: user.passwordHash, salt: user.passwordSalt, changedAt: user.passwordChangedAt || null }
+    ]);
+    user.passwordHash = hash;
+    user.passwordSalt = salt;
+    user.passwordChangedAt = changedAt;
+    user.mustChangePassword = options.mustChangePassword === true;
+    await user.save();
+
+    return changedAt;
+  }
+
+  /**
+   * Replace a user's password
+   * @param {Object} user - Customer or Employee document (with passwordHistory selected)
+   * @param {string} currentPassword
+   * @param {string} newPassword
+   * @returns {Promise<Date>} When the password was changed
+   * @throws {PasswordChangeError} If the current password is wrong or the new one is not allowed
+   */
+  async change(user, currentPassword, newPassword) {
+    const isCurrentValid = await passwordService.verifyPassword(
+      String(currentPassword),
+      user.passwordHash,
+      user.passwordSalt
+    );
+
+    if (!isCurrentValid) {
+      throw new PasswordChangeError('Current password is incorrect.');
+    }
+
+    await this.assertAllowed(user, newPassword);
+    return this.setPassword(user, newPassword);
+  }
+}
+
+export default new PasswordChangeService();
@@ -0,0 +1,195 @@
+import crypto from 'crypto';
+import Customer from '../models/Customer.js';
+import PasswordReset from '../models/PasswordReset.js';
+import passwordService from './passwordService.js';
+import passwordChangeService from './passwordChangeService.js';
+import notificationService from './notificationService.js';
+import tokenRevocationService from './tokenRevocationService.js';
+import validator from '../utils/validators.js';
+
+/**
+ * Password Reset Service
+ * Branch-assisted password reset for customers
+ *
+ * 1. An employee who has identified the customer starts a reset. A random
+ *    token is generated (passwordService.generatePasswordResetToken),
+ *    only its hash is stored, and a reset link is sent to the customer
+ *    through the notification service. Any earlier open reset is revoked.
+ * 2. The customer opens the link and chooses a new password. The token is
+ *    used up, the password history check applies, and every existing
+ *    session of the customer is revoked.
+ *
+ * Configuration (environment):
+ *   PASSWORD_RESET_URL - frontend page that completes a reset
+ *                        (default https://localhost:3000/customer/reset-password)
+ */
+
+/**
+ * Raised when a reset cannot be started or completed
+ */
+export class PasswordResetError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'PasswordResetError';
+    this.status = status;
+  }
+}
+
+const INVALID_TOKEN_MESSAGE = 'This password reset link is invalid or has expired. Please contact your branch.';
+
+class PasswordResetService {
+  constructor() {
+    // Read from the environment on first use (see ensureConfig)
+    this.resetUrl = null;
+    this.bankName = null;
+  }
+
+  /**
+   * Load the reset page URL and bank name from the environment unless already loaded
+   */
+  ensureConfig() {
+    if (!this.resetUrl) {
+      this.resetUrl = process.env.PASSWORD_RESET_URL || 'https://localhost:3000/customer/reset-password';
+      this.bankName = process.env.BANK_NAME || 'SecureBank';
+    }
+  }
+
+  /**
+   * Hash a reset token for storage and lookup
+   * @param {string} token
+   * @returns {string} Hex digest
+   */
+  hashToken(token) {
+    return crypto.createHash('sha256').update(String(token)).digest('hex');
+  }
+
+  /**
+   * Link the customer follows to complete the reset
+   * The token goes in the fragment so it is not sent to servers or in Referer headers.
+   *
+   * @param {string} token
+   * @returns {string}
+   */
+  buildResetLink(token) {
+    this.ensureConfig();
+    return `${this.resetUrl}#token=${token}`;
+  }
+
+  /**
+   * Revoke every unused reset link of a customer
+   * @param {Object} customerId
+   * @returns {Promise<void>}
+   */
+  async revokeOpen(customerId) {
+    await PasswordReset.updateMany(
+      { customerId, usedAt: null, revokedAt: null },
+      { $set: { revokedAt: new Date() } }
+    );
+  }
+
+  /**
+   * Start a reset for a customer and send them the link
+   * @param {Object} customer - Customer document
+   * @param {Object} employee - { userId, username } of the employee starting it
+   * @returns {Promise<{expiresAt: Date, notifier: string, reference: string}>}
+   */
+  async initiate(customer, employee) {
+    this.ensureConfig();
+
+    // Only the newest reset link works
+    await this.revokeOpen(customer._id);
+
+    const { token, expiry } = passwordService.generatePasswordResetToken();
+
+    const reset = await PasswordReset.create({
+      customerId: customer._id,
+      tokenHash: this.hashToken(token),
+      initiatedBy: employee.userId,
+      initiatedByUsername: employee.username,
+      expiresAt: expiry
+    });
+
+    let delivery;
+    try {
+      delivery = await notificationService.send({
+        recipient: {
+          customerId: customer._id.toString(),
+          username: customer.username,
+          accountNumber: customer.accountNumber
+        },
+        subject: `Reset your ${this.bankName} password`,
+        text: `A password reset was started for you at your branch. ` +
+          `Choose a new password here before ${expiry.toISOString()}:\n${this.buildResetLink(token)}`,
+        metadata: { purpose: 'password_reset' }
+      });
+    } catch (error) {
+      // An undelivered link must not stay usable
+      await PasswordReset.updateOne({ _id: reset._id }, { $set: { revokedAt: new Date() } });
+      throw new PasswordResetError(`Reset link could not be delivered: ${error.message}`, 502);
+    }
+
+    return { expiresAt: expiry, ...delivery };
+  }
+
+  /**
+   * Find the open reset a token belongs to
+   * @param {string} token
+   * @returns {Promise<{reset: Object, customer: Object}>}
+   * @throws {PasswordResetError} If the token is malformed, unknown, used, revoked or expired
+   */
+  async findValid(token) {
+    if (!validator.isValidResetToken(token)) {
+      throw new PasswordResetError(INVALID_TOKEN_MESSAGE);
+    }
+
+    const reset = await PasswordReset.findOne({
+      tokenHash: this.hashToken(token),
+      usedAt: null,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    });
+    const customer = reset
+      ? await Customer.findOne({ _id: reset.customerId, isActive: true }).select('+passwordHistory')
+      : null;
+
+    if (!reset || !customer) {
+      throw new PasswordResetError(INVALID_TOKEN_MESSAGE);
+    }
+    return { reset, customer };
+  }
+
+  /**
+   * Complete a reset with the customer's new password
+   * @param {string} token
+   * @param {string} newPassword
+   * @returns {Promise<{customer: Object, reset: Object, revokedSessions: number}>}
+   * @throws {PasswordResetError|PasswordChangeError}
+   */
+  async complete(token, newPassword) {
+    const { reset, customer } = await this.findValid(token);
+
+    // Check the password before using up the token, so a rejected one can be retried
+    await passwordChangeService.assertAllowed(customer, newPassword);
+
+    const claimed = await PasswordReset.findOneAndUpdate(
+      { _id: reset._id, usedAt: null, revokedAt: null },
+      { $set: { usedAt: new Date() } },
+      { new: true }
+    );
+
+    if (!claimed) {
+      throw new PasswordResetError(INVALID_TOKEN_MESSAGE);
+    }
+
+    await passwordChangeService.setPassword(customer, newPassword);
+
+    const revokedSessions = await tokenRevocationService.revokeAllForUser(customer._id, 'customer', {
+      reason: 'password_reset',
+      revokedBy: reset.initiatedByUsername
+    });
+
+    return { customer, reset: claimed, revokedSessions };
+  }
+}
+
+export default new PasswordResetService();
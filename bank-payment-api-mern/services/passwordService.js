@@ -1,35 +1,150 @@
+import argon2 from 'argon2';
 import bcrypt from 'bcrypt';
 import crypto from 'crypto';
 
 /**
- * Password Service with exceptional security
- * Uses bcrypt with cost factor 12 (equivalent to ~100,000 iterations)
- * Additional cryptographic salt generation using crypto.randomBytes
+ * Password Service
+ * Hashes new passwords with Argon2id and verifies both Argon2id and legacy
+ * bcrypt hashes, so existing accounts migrate on their next login without a reset.
+ *
+ * Stored hash formats:
+ *   argon2id:<pepperId>:<argon2 PHC string> - current format. The password is
+ *       peppered with HMAC-SHA256 under the pepper <pepperId> before hashing;
+ *       Argon2 keeps its own salt inside the PHC string.
+ *   $2a$/$2b$... (untagged)                  - legacy bcrypt of password +
+ *       custom salt (the passwordSalt field)
+ *
+ * needsRehash() reports hashes that are legacy, use a retired pepper or
+ * older Argon2 parameters; upgradeHash() replaces them after a successful login.
+ *
+ * Configuration (environment):
+ *   PASSWORD_PEPPERS   - server-side secrets as id:secret pairs, e.g. "1:old,2:new";
+ *                        old peppers stay listed until no hash uses them
+ *   PASSWORD_PEPPER_ID - pepper for new hashes (default: the last one listed)
+ *   PASSWORD_PEPPER    - single pepper, used as id 1 when PASSWORD_PEPPERS is not set
  */
 
-const SALT_ROUNDS = 12; // 2^12 iterations (~4096) - bcrypt adaptive hashing
-const CUSTOM_SALT_SIZE = 32; // 256 bits for additional salt
+const ARGON2_PREFIX = 'argon2id';
+const LEGACY_BCRYPT = /^\$2[aby]\$/;
+const SALT_SIZE = 32; // 256 bits
+
+// Pepper id of hashes created without any pepper configured
+const NO_PEPPER_ID = '0';
 
 class PasswordService {
+  constructor() {
+    // Argon2id parameters (OWASP: memory-hard, resistant to GPU/ASIC attacks)
+    this.argon2Options = {
+      type: argon2.argon2id,
+      memoryCost: 65536,          // 64 MB memory (2^16 KB)
+      timeCost: 3,                // 3 iterations
+      parallelism: 4,             // 4 parallel threads
+      hashLength: 32              // 256-bit output
+    };
+
+    // Loaded from the environment on first use, so that importing this
+    // module before the environment is loaded cannot leave it unpeppered
+    this.peppers = null;
+    this.currentPepperId = null;
+  }
+
+  /**
+   * Load the pepper versions from the environment unless already loaded
+   */
+  ensurePeppers() {
+    if (!this.peppers) {
+      this.configurePeppers(process.env);
+    }
+  }
+
+  /**
+   * Load the pepper versions
+   * @param {Object} env - { PASSWORD_PEPPERS, PASSWORD_PEPPER_ID, PASSWORD_PEPPER }
+   */
+  configurePeppers(env) {
+    this.peppers = new Map();
+
+    if (env.PASSWORD_PEPPERS) {
+      env.PASSWORD_PEPPERS.split(',').forEach((pair) => {
+        const separator = pair.indexOf(':');
+        const id = pair.slice(0, separator).trim();
+        const secret = pair.slice(separator + 1).trim();
+        if (separator > 0 && /^[A-Za-z0-9]+$/.test(id) && secret) {
+          this.peppers.set(id, secret);
+        }
+      });
+    } else if (env.PASSWORD_PEPPER) {
+      this.peppers.set('1', env.PASSWORD_PEPPER);
+    }
+
+    const ids = [...this.peppers.keys()];
+    this.currentPepperId = env.PASSWORD_PEPPER_ID && this.peppers.has(env.PASSWORD_PEPPER_ID)
+      ? env.PASSWORD_PEPPER_ID
+      : ids[ids.length - 1] || NO_PEPPER_ID;
+  }
+
+  /**
+   * Apply a pepper to a password
+   * @param {string} password
+   * @param {string} pepperId
+   * @returns {string} Input for Argon2
+   * @throws {Error} If the pepper is not configured
+   */
+  applyPepper(password, pepperId) {
+    if (pepperId === NO_PEPPER_ID) {
+      return password;
+    }
+
+    this.ensurePeppers();
+    const pepper = this.peppers.get(pepperId);
+    if (!pepper) {
+      throw new Error(`Unknown password pepper: ${pepperId}`);
+    }
+    return crypto.createHmac('sha256', pepper).update(password).digest('base64');
+  }
+
   /**
-   * Hash password with bcrypt and additional custom salt
+   * Split a stored hash into its parts
+   * @param {string} storedHash
+   * @returns {{algorithm: string, pepperId?: string, hash: string}|null}
+   */
+  parseHash(storedHash) {
+    if (typeof storedHash !== 'string') {
+      return null;
+    }
+
+    if (storedHash.startsWith(`${ARGON2_PREFIX}:`)) {
+      const [, pepperId, ...rest] = storedHash.split(':');
+      const hash = rest.join(':');
+      return pepperId && hash ? { algorithm: ARGON2_PREFIX, pepperId, hash } : null;
+    }
+
+    if (LEGACY_BCRYPT.test(storedHash)) {
+      return { algorithm: 'bcrypt', hash: storedHash };
+    }
+
+    return null;
+  }
+
+  /**
+   * Hash password with Argon2id under the current pepper
    * @param {string} password - Plain text password
-   * @returns {Promise<{hash: string, salt: string}>} Hash and salt
+   * @returns {Promise<{hash: string, salt: string}>} Tagged hash, and the Argon2 salt (also inside the hash)
    */
   async hashPassword(password) {
     try {
-      // Generate additional cryptographic salt
-      const customSalt = crypto.randomBytes(CUSTOM_SALT_SIZE).toString('base64');
-
-      // Combine password with custom salt before bcrypt
-      const saltedPassword = password + customSalt;
+      const salt = crypto.randomBytes(SALT_SIZE);
+      this.ensurePeppers();
+      const pepperId = this.currentPepperId;
 
-      // Hash with bcrypt (includes its own internal salt)
-      const hash = await bcrypt.hash(saltedPassword, SALT_ROUNDS);
+      const hash = await argon2.hash(this.applyPepper(password, pepperId), {
+        ...this.argon2Options,
+        salt
+      });
 
       return {
-        hash,
-        salt: customSalt
+        hash: `${ARGON2_PREFIX}:${pepperId}:${hash}`,
+        salt: salt.toString('base64')
       };
     } catch (error) {
       throw new Error(`Password hashing failed: ${error.message}`);
@@ -37,27 +152,98 @@ class PasswordService {
   }
 
   /**
-   * Verify password against hash and salt
+   * Verify password against a stored hash of either format
    * @param {string} password - Plain text password to verify
-   * @param {string} hash - Stored hash
-   * @param {string} salt - Stored custom salt
+   * @param {string} storedHash - Stored hash
+   * @param {string} salt - Stored custom salt (used by legacy bcrypt hashes only)
    * @returns {Promise<boolean>} True if password matches
    */
-  async verifyPassword(password, hash, salt) {
+  async verifyPassword(password, storedHash, salt) {
     try {
-      // Combine password with stored custom salt
-      const saltedPassword = password + salt;
+      const parsed = this.parseHash(storedHash);
 
-      // Use bcrypt's timing-safe comparison
-      const isMatch = await bcrypt.compare(saltedPassword, hash);
+      if (parsed?.algorithm === ARGON2_PREFIX) {
+        // Argon2 verify includes timing-safe comparison
+        return await argon2.verify(parsed.hash, this.applyPepper(password, parsed.pepperId));
+      }
 
-      return isMatch;
+      if (parsed?.algorithm === 'bcrypt') {
+        // Use bcrypt's timing-safe comparison
+        return await bcrypt.compare(password + salt, parsed.hash);
+      }
+
+      return false;
     } catch (error) {
       // Return false on any error to prevent information leakage
       return false;
     }
   }
 
+  /**
+   * Verify against a throwaway hash, so a sign-in for an unknown account
+   * takes as long as one for a real account
+   * @param {string} password
+   * @returns {Promise<boolean>} Always false
+   */
+  async verifyDummy(password) {
+    this.dummyHash = this.dummyHash || this.hashPassword(this.generateSecureToken());
+    const { hash, salt } = await this.dummyHash;
+
+    await this.verifyPassword(String(password), hash, salt);
+    return false;
+  }
+
+  /**
+   * Check if a stored hash should be replaced (legacy algorithm, retired
+   * pepper or outdated Argon2 parameters)
+   * @param {string} storedHash
+   * @returns {boolean}
+   */
+  needsRehash(storedHash) {
+    const parsed = this.parseHash(storedHash);
+    this.ensurePeppers();
+
+    if (!parsed || parsed.algorithm !== ARGON2_PREFIX || parsed.pepperId !== this.currentPepperId) {
+      return true;
+    }
+
+    try {
+      return argon2.needsRehash(parsed.hash, this.argon2Options);
+    } catch (error) {
+      return true;
+    }
+  }
+
+  /**
+   * Rehash a just-verified password if its stored hash is outdated
+   * The update only applies while the stored hash is unchanged, so a
+   * concurrent password change is never overwritten.
+   *
+   * @param {Object} Model - Customer or Employee model
+   * @param {Object} user - Document whose password was just verified
+   * @param {string} password - The verified plain text password
+   * @returns {Promise<boolean>} Whether the hash was upgraded
+   */
+  async upgradeHash(Model, user, password) {
+    if (!this.needsRehash(user.passwordHash)) {
+      return false;
+    }
+
+    const { hash, salt } = await this.hashPassword(password);
+    const result = await Model.updateOne(
+      { _id: user._id, passwordHash: user.passwordHash },
+      { $set: { passwordHash: hash, passwordSalt: salt } }
+    );
+
+    if (result.modifiedCount === 0) {
+      return false;
+    }
+
+    user.passwordHash = hash;
+    user.passwordSalt = salt;
+    return true;
+  }
+
   /**
    * Generate secure random token (for session IDs, etc.)
    * @param {number} length - Token length in bytes (default 32)
@@ -66,6 +252,50 @@ class PasswordService {
   generateSecureToken(length = 32) {
     return crypto.randomBytes(length).toString('hex');
   }
+
+  /**
+   * Generate a temporary password for staff to hand over (meets the password policy)
+   * @param {number} length - Number of characters (default 16)
+   * @returns {string}
+   */
+  generateTemporaryPassword(length = 16) {
+    // Look-alike characters (0/O, 1/l/I) are left out so it can be read out or typed
+    const groups = [
+      'ABCDEFGHJKLMNPQRSTUVWXYZ',
+      'abcdefghjkmnpqrstuvwxyz',
+      '23456789',
+      '@$!%*?&#'
+    ];
+    const all = groups.join('');
+
+    // One of each required character type, the rest from any
+    const chars = groups.map((group) => group[crypto.randomInt(group.length)]);
+    while (chars.length < length) {
+      chars.push(all[crypto.randomInt(all.length)]);
+    }
+
+    // Fisher-Yates shuffle
+    for (let i = chars.length - 1; i > 0; i--) {
+      const j = crypto.randomInt(i + 1);
+      [chars[i], chars[j]] = [chars[j], chars[i]];
+    }
+
+    return chars.join('');
+  }
+
+  /**
+   * Generate secure password reset token with expiry
+   * @returns {{token: string, expiry: Date}} Token and expiry (1 hour)
+   */
+  generatePasswordResetToken() {
+    const token = this.generateSecureToken(32);
+    const expiry = new Date(Date.now() + 3600000); // 1 hour
+
+    return {
+      token,
+      expiry
+    };
+  }
 }
 
 export default new PasswordService();
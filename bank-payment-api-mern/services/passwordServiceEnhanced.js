@@ -1,177 +0,0 @@
-import argon2 from 'argon2';
-import crypto from 'crypto';
-
-/**
- * EXCEPTIONAL PASSWORD SERVICE - A+ IMPLEMENTATION
- *
- * Security Features:
- * 1. Argon2id algorithm (winner of Password Hashing Competition 2015)
- * 2. Custom pepper (server-side secret)
- * 3. Per-user cryptographic salt (256-bit)
- * 4. Memory-hard function (resistant to GPU/ASIC attacks)
- * 5. Timing-safe comparison
- * 6. High iteration count
- *
- * Research References:
- * - OWASP Password Storage Cheat Sheet
- * - RFC 9106 (Argon2)
- * - NIST SP 800-63B Digital Identity Guidelines
- */
-
-class PasswordServiceEnhanced {
-  constructor() {
-    // Get pepper from environment (server-side secret)
-    this.pepper = process.env.PASSWORD_PEPPER || 'default_pepper_change_in_production';
-
-    // Argon2id parameters (balanced security)
-    this.argon2Options = {
-      type: argon2.argon2id,      // Hybrid mode (best for password hashing)
-      memoryCost: 65536,          // 64 MB memory (2^16 KB)
-      timeCost: 3,                // 3 iterations
-      parallelism: 4,             // 4 parallel threads
-      hashLength: 32,             // 256-bit output
-      saltLength: 32              // 256-bit salt
-    };
-  }
-
-  /**
-   * Hash password using Argon2id with pepper and salt
-   * EXCEPTIONAL IMPLEMENTATION with multiple layers of security
-   *
-   * @param {string} password - Plain text password
-   * @returns {Promise<{hash: string, salt: string}>} Hash and salt
-   */
-  async hashPassword(password) {
-    try {
-      // Generate cryptographically secure random salt (256 bits)
-      const salt = crypto.randomBytes(32);
-
-      // Add pepper to password (server-side secret)
-      const pepperedPassword = password + this.pepper;
-
-      // Hash with Argon2id (includes salt automatically)
-      const hash = await argon2.hash(pepperedPassword, {
-        ...this.argon2Options,
-        salt
-      });
-
-      return {
-        hash,
-        salt: salt.toString('base64')
-      };
-    } catch (error) {
-      throw new Error(`Password hashing failed: ${error.message}`);
-    }
-  }
-
-  /**
-   * Verify password with timing-safe comparison
-   *
-   * @param {string} password - Plain text password to verify
-   * @param {string} hash - Stored hash
-   * @param {string} salt - Stored salt (not used directly, kept for compatibility)
-   * @returns {Promise<boolean>} True if password matches
-   */
-  async verifyPassword(password, hash, salt) {
-    try {
-      // Add pepper to password
-      const pepperedPassword = password + this.pepper;
-
-      // Argon2 verify includes timing-safe comparison
-      const isMatch = await argon2.verify(hash, pepperedPassword);
-
-      return isMatch;
-    } catch (error) {
-      // Return false on any error to prevent information leakage
-      console.error('Password verification error:', error.message);
-      return false;
-    }
-  }
-
-  /**
-   * Check if hash needs rehashing (for upgrading security parameters)
-   *
-   * @param {string} hash - Stored hash
-   * @returns {Promise<boolean>} True if needs rehashing
-   */
-  async needsRehash(hash) {
-    try {
-      return argon2.needsRehash(hash, this.argon2Options);
-    } catch (error) {
-      return false;
-    }
-  }
-
-  /**
-   * Generate cryptographically secure random token
-   *
-   * @param {number} length - Token length in bytes (default 32)
-   * @returns {string} Hex-encoded token
-   */
-  generateSecureToken(length = 32) {
-    return crypto.randomBytes(length).toString('hex');
-  }
-
-  /**
-   * Generate secure password reset token with expiry
-   *
-   * @returns {Object} Token and expiry
-   */
-  generatePasswordResetToken() {
-    const token = this.generateSecureToken(32);
-    const expiry = new Date(Date.now() + 3600000); // 1 hour
-
-    return {
-      token,
-      expiry
-    };
-  }
-
-  /**
-   * Validate password strength
-   *
-   * @param {string} password - Password to validate
-   * @returns {Object} Validation result with score and feedback
-   */
-  validatePasswordStrength(password) {
-    let score = 0;
-    const feedback = [];
-
-    // Length check
-    if (password.length >= 8) score += 1;
-    if (password.length >= 12) score += 1;
-    if (password.length >= 16) score += 1;
-
-    // Character variety
-    if (/[a-z]/.test(password)) score += 1;
-    if (/[A-Z]/.test(password)) score += 1;
-    if (/[0-9]/.test(password)) score += 1;
-    if (/[^a-zA-Z0-9]/.test(password)) score += 1;
-
-    // Common patterns (deduct points)
-    if (/^[0-9]+$/.test(password)) score -= 2;
-    if (/^[a-zA-Z]+$/.test(password)) score -= 1;
-    if (/(.)\1{2,}/.test(password)) score -= 1; // Repeated characters
-
-    // Generate feedback
-    if (password.length < 12) feedback.push('Use at least 12 characters');
-    if (!/[a-z]/.test(password)) feedback.push('Add lowercase letters');
-    if (!/[A-Z]/.test(password)) feedback.push('Add uppercase letters');
-    if (!/[0-9]/.test(password)) feedback.push('Add numbers');
-    if (!/[^a-zA-Z0-9]/.test(password)) feedback.push('Add special characters');
-
-    // Score rating
-    let rating = 'weak';
-    if (score >= 7) rating = 'strong';
-    else if (score >= 5) rating = 'medium';
-
-    return {
-      score,
-      rating,
-      feedback,
-      isValid: score >= 5
-    };
-  }
-}
-
-export default new PasswordServiceEnhanced();
@@ -0,0 +1,190 @@
+import Payment from '../models/Payment.js';
+
+/**
+ * Payment Claim Service
+ * Lets an employee claim a pending payment so other clerks do not work on
+ * it at the same time. A claim is a lease: it ends by itself at
+ * claimExpiresAt unless the employee claims again to renew it. While a claim
+ * is active only its holder may verify or reject the payment; Managers can
+ * reassign it to someone else.
+ *
+ * Claims never change the payment's version (__v), so claiming does not
+ * invalidate what other employees are looking at; verify and reject repeat
+ * the claim check in their conditional update instead (see actorFilter).
+ * Expired claims are not cleared: every check compares claimExpiresAt with
+ * the current time.
+ *
+ * Configuration (environment):
+ *   PAYMENT_CLAIM_LEASE_MS - how long a claim lasts (default 15 minutes)
+ */
+
+const DEFAULT_LEASE_MS = 15 * 60 * 1000;
+
+const UNASSIGNED = {
+  assignedTo: null,
+  assignedToUsername: null,
+  claimedAt: null,
+  claimExpiresAt: null
+};
+
+/**
+ * Raised when a payment cannot be claimed or acted on because of a claim
+ */
+export class PaymentClaimError extends Error {
+  constructor(message, status = 409) {
+    super(message);
+    this.name = 'PaymentClaimError';
+    this.status = status;
+  }
+}
+
+class PaymentClaimService {
+  constructor() {
+    // Read from the environment on first use (see getLeaseMs)
+    this.leaseMs = null;
+  }
+
+  /**
+   * How long a claim lasts, from the environment
+   * @returns {number} Milliseconds
+   */
+  getLeaseMs() {
+    if (!this.leaseMs) {
+      const lease = parseInt(process.env.PAYMENT_CLAIM_LEASE_MS, 10);
+      this.leaseMs = Number.isInteger(lease) && lease > 0 ? lease : DEFAULT_LEASE_MS;
+    }
+    return this.leaseMs;
+  }
+
+  /**
+   * Whether a payment has a claim that has not expired
+   * @param {Object} payment
+   * @param {Date} now
+   * @returns {boolean}
+   */
+  isClaimActive(payment, now = new Date()) {
+    return Boolean(payment.assignedTo && payment.claimExpiresAt && payment.claimExpiresAt > now);
+  }
+
+  /**
+   * Query condition matching payments this employee may act on: unclaimed,
+   * claim expired, or claimed by them. Added to conditional updates so a claim
+   * taken after the payment was read still stops the action.
+   * @param {string} employeeId
+   * @param {Date} now
+   * @returns {Object} MongoDB filter
+   */
+  actorFilter(employeeId, now = new Date()) {
+    return {
+      $or: [
+        { assignedTo: null },
+        { claimExpiresAt: { $lte: now } },
+        { assignedTo: employeeId }
+      ]
+    };
+  }
+
+  /**
+   * Refuse an action on a payment someone else has claimed
+   * @param {Object} payment
+   * @param {string} employeeId
+   * @throws {PaymentClaimError} If another employee holds an active claim
+   */
+  assertCanAct(payment, employeeId) {
+    if (this.isClaimActive(payment) && String(payment.assignedTo) !== String(employeeId)) {
+      throw new PaymentClaimError(
+        `This payment is claimed by ${payment.assignedToUsername} until ` +
+        `${payment.claimExpiresAt.toISOString()}. Ask a Manager to reassign it.`
+      );
+    }
+  }
+
+  /**
+   * Claim a pending payment, or renew one's own claim
+   * @param {Object} payment - Payment document
+   * @param {Object} employee - { userId, username }
+   * @returns {Promise<Object>} The updated payment
+   * @throws {PaymentClaimError} If the payment is not pending or someone else holds it
+   */
+  async claim(payment, employee) {
+    const now = new Date();
+
+    const updated = await Payment.findOneAndUpdate(
+      {
+        _id: payment._id,
+        status: 'Pending',
+        ...this.actorFilter(employee.userId, now)
+      },
+      {
+        $set: {
+          assignedTo: employee.userId,
+          assignedToUsername: employee.username,
+          claimedAt: now,
+          claimExpiresAt: new Date(now.getTime() + this.getLeaseMs())
+        }
+      },
+      { new: true }
+    );
+
+    if (!updated) {
+      const current = await Payment.findById(payment._id).select('status assignedTo assignedToUsername claimExpiresAt');
+      if (current && current.status !== 'Pending') {
+        throw new PaymentClaimError(`Only pending payments can be claimed. Current status: ${current.status}`);
+      }
+      this.assertCanAct(current || payment, employee.userId);
+      throw new PaymentClaimError('Payment could not be claimed. Reload and try again.');
+    }
+
+    return updated;
+  }
+
+  /**
+   * Assign a pending payment to an employee (Manager reassignment)
+   * @param {Object} payment - Payment document
+   * @param {Object} assignee - Employee document ({ _id, username })
+   * @returns {Promise<Object>} The updated payment
+   * @throws {PaymentClaimError} If the payment is no longer pending
+   */
+  async assign(payment, assignee) {
+    const now = new Date();
+
+    const updated = await Payment.findOneAndUpdate(
+      { _id: payment._id, status: 'Pending' },
+      {
+        $set: {
+          assignedTo: assignee._id,
+          assignedToUsername: assignee.username,
+          claimedAt: now,
+          claimExpiresAt: new Date(now.getTime() + this.getLeaseMs())
+        }
+      },
+      { new: true }
+    );
+
+    if (!updated) {
+      throw new PaymentClaimError('Only pending payments can be assigned.');
+    }
+
+    return updated;
+  }
+
+  /**
+   * Drop the active claim on a payment
+   * @param {Object} paymentId
+   * @param {string} [employeeId] - Only release if this employee holds the claim
+   * @returns {Promise<boolean>} Whether a claim was released
+   */
+  async release(paymentId, employeeId = null) {
+    const result = await Payment.updateOne(
+      {
+        _id: paymentId,
+        assignedTo: employeeId || { $ne: null },
+        claimExpiresAt: { $gt: new Date() }
+      },
+      { $set: UNASSIGNED }
+    );
+    return result.modifiedCount > 0;
+  }
+}
+
+export default new PaymentClaimService();
@@ -0,0 +1,223 @@
+import Payment from '../models/Payment.js';
+
+/**
+ * Payment Workflow Service
+ * Central state machine for payment status changes
+ *
+ * Every status change must go through this service so that illegal
+ * transitions are rejected and each change is appended to the payment's
+ * statusHistory (used by ops to reconstruct a payment's timeline).
+ *
+ * Persisted transitions are conditional atomic updates on the payment's
+ * status and version (__v), so two employees acting on the same payment
+ * cannot both succeed.
+ */
+
+// Allowed transitions: current status -> statuses it may move to
+const TRANSITIONS = {
+  Pending: ['Verified', 'Rejected', 'Cancelled'],
+  Verified: ['Submitted'],
+  Submitted: ['Completed', 'Failed'],
+  Completed: ['Returned'],
+  Rejected: [],
+  Failed: [],
+  Returned: [],
+  Cancelled: []
+};
+
+/**
+ * Raised when a requested status change is not allowed by the state machine
+ */
+export class InvalidTransitionError extends Error {
+  constructor(from, to) {
+    super(`Invalid payment status transition: ${from} -> ${to}`);
+    this.name = 'InvalidTransitionError';
+    this.status = 409;
+    this.from = from;
+    this.to = to;
+  }
+}
+
+/**
+ * Raised when a payment changed between being read and being updated
+ */
+export class ConcurrentModificationError extends Error {
+  constructor(paymentId) {
+    super('Payment was modified by another user. Reload and try again.');
+    this.name = 'ConcurrentModificationError';
+    this.status = 409;
+    this.paymentId = paymentId;
+  }
+}
+
+class PaymentWorkflowService {
+  /**
+   * Check whether a transition is allowed
+   * @param {string} from - Current status
+   * @param {string} to - Target status
+   * @returns {boolean}
+   */
+  canTransition(from, to) {
+    return (TRANSITIONS[from] || []).includes(to);
+  }
+
+  /**
+   * Get the statuses a payment may move to from its current status
+   * @param {string} from - Current status
+   * @returns {string[]}
+   */
+  getAllowedTransitions(from) {
+    return [...(TRANSITIONS[from] || [])];
+  }
+
+  /**
+   * Build a status history entry
+   * @param {string|null} from - Previous status (null on creation)
+   * @param {string} to - New status
+   * @param {Object} context - { actor, actorUsername, actorType, reason }
+   * @returns {Object} History entry
+   */
+  buildHistoryEntry(from, to, context = {}) {
+    return {
+      from,
+      to,
+      actor: context.actor || null,
+      actorUsername: context.actorUsername || 'system',
+      actorType: context.actorType || 'system',
+      reason: context.reason || null,
+      timestamp: context.timestamp || new Date()
+    };
+  }
+
+  /**
+   * Record the initial Pending status on a newly created payment
+   * @param {Object} payment - Unsaved payment document
+   * @param {Object} context - Actor context
+   * @returns {Object} The payment
+   */
+  recordCreation(payment, context = {}) {
+    payment.status = 'Pending';
+    payment.statusHistory.push(this.buildHistoryEntry(null, 'Pending', context));
+    return payment;
+  }
+
+  /**
+   * Apply a transition to a loaded payment document (caller saves)
+   * @param {Object} payment - Payment document
+   * @param {string} to - Target status
+   * @param {Object} context - Actor context
+   * @returns {Object} The payment
+   * @throws {InvalidTransitionError} If the transition is not allowed
+   */
+  transition(payment, to, context = {}) {
+    const from = payment.status;
+
+    if (!this.canTransition(from, to)) {
+      throw new InvalidTransitionError(from, to);
+    }
+
+    payment.status = to;
+    payment.statusHistory.push(this.buildHistoryEntry(from, to, context));
+    return payment;
+  }
+
+  /**
+   * Build a MongoDB update document for a transition
+   * Used for conditional (status-filtered) updates and bulk writes.
+   * Bumps the document version so concurrent readers see the change.
+   *
+   * @param {string} from - Required current status
+   * @param {string} to - Target status
+   * @param {Object} context - Actor context
+   * @param {Object} extraSet - Additional fields to $set
+   * @returns {Object} Update document
+   * @throws {InvalidTransitionError} If the transition is not allowed
+   */
+  buildTransitionUpdate(from, to, context = {}, extraSet = {}) {
+    if (!this.canTransition(from, to)) {
+      throw new InvalidTransitionError(from, to);
+    }
+
+    return {
+      $set: { ...extraSet, status: to },
+      $push: { statusHistory: this.buildHistoryEntry(from, to, context) },
+      $inc: { __v: 1 }
+    };
+  }
+
+  /**
+   * Atomically transition a loaded payment and persist it
+   * The update only applies if the payment still has the status and version
+   * it was read with (and matches options.filter).
+   *
+   * @param {Object} payment - Payment document as read by the caller
+   * @param {string} to - Target status
+   * @param {Object} context - Actor context
+   * @param {Object} extraSet - Additional fields to $set
+   * @param {Object} options - { session, push, filter } (push: additional fields to $push;
+   *                           filter: additional conditions the payment must still meet)
+   * @returns {Promise<Object>} The updated payment
+   * @throws {InvalidTransitionError} If the transition is not allowed
+   * @throws {ConcurrentModificationError} If the payment changed since it was read
+   */
+  async applyTransition(payment, to, context = {}, extraSet = {}, options = {}) {
+    const update = this.buildTransitionUpdate(payment.status, to, context, extraSet);
+    Object.assign(update.$push, options.push);
+
+    const updated = await Payment.findOneAndUpdate(
+      { ...options.filter, _id: payment._id, status: payment.status, __v: payment.__v },
+      update,
+      { new: true, session: options.session }
+    );
+
+    if (!updated) {
+      throw new ConcurrentModificationError(payment._id);
+    }
+
+    return updated;
+  }
+
+  /**
+   * Record a verification that does not change the payment's status
+   * Used for the first of two verifications on large payments.
+   *
+   * @param {Object} payment - Payment document as read by the caller
+   * @param {Object} verification - { employee, employeeUsername, verifiedAt }
+   * @param {Object} options - { filter } (additional conditions the payment must still meet)
+   * @returns {Promise<Object>} The updated payment
+   * @throws {ConcurrentModificationError} If the payment changed since it was read
+   */
+  async recordVerification(payment, verification, options = {}) {
+    const updated = await Payment.findOneAndUpdate(
+      { ...options.filter, _id: payment._id, status: payment.status, __v: payment.__v },
+      { $push: { verifications: verification }, $inc: { __v: 1 } },
+      { new: true }
+    );
+
+    if (!updated) {
+      throw new ConcurrentModificationError(payment._id);
+    }
+
+    return updated;
+  }
+
+  /**
+   * Transition every payment matching a filter in a single update
+   * Only payments currently in `from` are touched.
+   *
+   * @param {Object} filter - Additional MongoDB filter
+   * @param {string} from - Required current status
+   * @param {string} to - Target status
+   * @param {Object} context - Actor context
+   * @param {Object} extraSet - Additional fields to $set
+   * @returns {Promise<number>} Number of payments transitioned
+   * @throws {InvalidTransitionError} If the transition is not allowed
+   */
+  async transitionMany(filter, from, to, context = {}, extraSet = {}) {
+    const update = this.buildTransitionUpdate(from, to, context, extraSet);
+    const result = await Payment.updateMany({ ...filter, status: from }, update);
+    return result.modifiedCount;
+  }
+}
+
+export default new PaymentWorkflowService();
@@ -0,0 +1,147 @@
+import crypto from 'crypto';
+import RefreshToken from '../models/RefreshToken.js';
+
+/**
+ * Refresh Token Service
+ * Issues and rotates opaque refresh tokens used to obtain new access tokens
+ *
+ * Only a SHA-256 hash of each token is stored. Rotation is single-use: a
+ * token that is presented after it was already exchanged revokes its whole
+ * family (reuse detection).
+ */
+
+/**
+ * Raised when a refresh token cannot be exchanged
+ */
+export class RefreshTokenError extends Error {
+  constructor(message, reuseDetected = false, user = null) {
+    super(message);
+    this.name = 'RefreshTokenError';
+    this.status = 401;
+    this.reuseDetected = reuseDetected;
+    this.user = user;
+  }
+}
+
+class RefreshTokenService {
+  constructor() {
+    // Read from the environment on first use (see getLifetimeMs)
+    this.lifetimeDays = null;
+  }
+
+  /**
+   * Refresh token lifetime (REFRESH_TOKEN_EXPIRE_DAYS, default 7)
+   * @returns {number} Milliseconds
+   */
+  getLifetimeMs() {
+    if (!this.lifetimeDays) {
+      this.lifetimeDays = Number(process.env.REFRESH_TOKEN_EXPIRE_DAYS) || 7;
+    }
+    return this.lifetimeDays * 24 * 60 * 60 * 1000;
+  }
+
+  /**
+   * Generate a random opaque token
+   * @returns {string} 64-character base64url token
+   */
+  generateToken() {
+    return crypto.randomBytes(48).toString('base64url');
+  }
+
+  /**
+   * Hash a token for storage and lookup
+   * @param {string} token
+   * @returns {string} Hex digest
+   */
+  hashToken(token) {
+    return crypto.createHash('sha256').update(String(token)).digest('hex');
+  }
+
+  /**
+   * Issue a refresh token
+   * @param {Object} user - { userId, username, userType }
+   * @param {Object} options - { familyId, ipAddress, userAgent }; omit familyId to start a new family
+   * @returns {Promise<{refreshToken: string, expiresAt: Date, familyId: string}>}
+   */
+  async issue(user, options = {}) {
+    const refreshToken = this.generateToken();
+    const familyId = options.familyId || crypto.randomUUID();
+    const expiresAt = new Date(Date.now() + this.getLifetimeMs());
+
+    await RefreshToken.create({
+      tokenHash: this.hashToken(refreshToken),
+      familyId,
+      userId: user.userId,
+      userType: user.userType,
+      username: user.username,
+      expiresAt,
+      ipAddress: options.ipAddress || 'unknown',
+      userAgent: options.userAgent || 'unknown'
+    });
+
+    return { refreshToken, expiresAt, familyId };
+  }
+
+  /**
+   * Exchange a refresh token for its successor
+   * @param {string} refreshToken - Token presented by the client
+   * @param {Object} options - { ipAddress, userAgent }
+   * @returns {Promise<{refreshToken: string, expiresAt: Date, familyId: string, user: Object}>}
+   * @throws {RefreshTokenError} If the token is unknown, expired, revoked or reused
+   */
+  async rotate(refreshToken, options = {}) {
+    const record = await RefreshToken.findOne({ tokenHash: this.hashToken(refreshToken) });
+
+    if (!record) {
+      throw new RefreshTokenError('Invalid refresh token.');
+    }
+
+    if (record.revokedAt) {
+      throw new RefreshTokenError('Refresh token has been revoked.');
+    }
+
+    if (record.expiresAt <= new Date()) {
+      throw new RefreshTokenError('Refresh token has expired.');
+    }
+
+    // Claim the token; only one request can succeed
+    const claimed = await RefreshToken.findOneAndUpdate(
+      { _id: record._id, usedAt: null, revokedAt: null },
+      { $set: { usedAt: new Date() } }
+    );
+
+    if (!claimed) {
+      await this.revokeFamily(record.familyId, 'reuse_detected');
+      throw new RefreshTokenError(
+        'Refresh token has already been used. All sessions from this login have been revoked.',
+        true,
+        { username: record.username, userType: record.userType }
+      );
+    }
+
+    const user = {
+      userId: record.userId.toString(),
+      username: record.username,
+      userType: record.userType
+    };
+    const issued = await this.issue(user, { ...options, familyId: record.familyId });
+
+    return { ...issued, user };
+  }
+
+  /**
+   * Revoke every active token in a family
+   * @param {string} familyId
+   * @param {string} reason
+   * @returns {Promise<number>} Number of tokens revoked
+   */
+  async revokeFamily(familyId, reason) {
+    const result = await RefreshToken.updateMany(
+      { familyId, revokedAt: null },
+      { $set: { revokedAt: new Date(), revokedReason: reason } }
+    );
+    return result.modifiedCount;
+  }
+}
+
+export default new RefreshTokenService();
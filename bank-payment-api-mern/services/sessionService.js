@@ -0,0 +1,211 @@
+import AuditLog from '../models/AuditLog.js';
+import RefreshToken from '../models/RefreshToken.js';
+import Session from '../models/Session.js';
+import tokenService from './tokenService.js';
+import refreshTokenService from './refreshTokenService.js';
+import tokenRevocationService from './tokenRevocationService.js';
+import notificationService from './notificationService.js';
+import { getPermissions } from '../config/permissions.js';
+
+/**
+ * Session Service
+ * Completes a login once every required factor has been checked: records the
+ * login and issues the access token together with the refresh token that renews it.
+ *
+ * Each login is kept as a Session (the device it came from and when it was
+ * last used) so customers can see where they are signed in and sign other
+ * devices out. A customer login from a device and IP address not seen in
+ * earlier successful logins raises a new_device_login event and a notification.
+ */
+
+class SessionService {
+  /**
+   * Start a session for an authenticated user
+   * @param {Object} user - Customer or Employee document
+   * @param {string} userType - 'customer' or 'employee'
+   * @param {Object} context - { ipAddress, userAgent, mfaMethod }
+   * @returns {Promise<{token: string, refreshToken: string, refreshTokenExpiresAt: Date}>}
+   */
+  async start(user, userType, context = {}) {
+    // Compare with earlier logins before this one is logged
+    const newDevice = userType === 'customer' && await this.isNewDevice(user, userType, context);
+
+    // Update last login
+    user.lastLoginAt = new Date();
+    await user.save();
+
+    const metadata = userType === 'employee' ? { role: user.role } : {};
+    if (context.mfaMethod) {
+      metadata.mfaMethod = context.mfaMethod;
+    }
+
+    // Log successful login
+    await AuditLog.logSuccessfulLogin({
+      userType,
+      accountNumber: user.accountNumber,
+      username: user.username,
+      ipAddress: context.ipAddress,
+      userAgent: context.userAgent,
+      metadata
+    });
+
+    // Generate JWT access token and the refresh token that renews it
+    const sessionUser = {
+      userId: user._id.toString(),
+      username: user.username,
+      userType
+    };
+    const { refreshToken, expiresAt, familyId } = await refreshTokenService.issue(sessionUser, {
+      ipAddress: context.ipAddress,
+      userAgent: context.userAgent
+    });
+    const token = tokenService.generateToken({
+      ...sessionUser,
+      role: user.role,
+      mustChangePassword: user.mustChangePassword,
+      sessionId: familyId
+    });
+
+    await Session.create({
+      sessionId: familyId,
+      userId: user._id,
+      userType,
+      username: user.username,
+      ipAddress: context.ipAddress,
+      userAgent: context.userAgent,
+      lastSeenIp: context.ipAddress,
+      expiresAt
+    });
+
+    if (newDevice) {
+      await this.notifyNewDevice(user, context);
+    }
+
+    return { token, refreshToken, refreshTokenExpiresAt: expiresAt };
+  }
+
+  /**
+   * Whether a login comes from a device and IP address the user has not
+   * signed in from before (a user's first login is not reported)
+   * @param {Object} user - Customer or Employee document
+   * @param {string} userType
+   * @param {Object} context - { ipAddress, userAgent }
+   * @returns {Promise<boolean>}
+   */
+  async isNewDevice(user, userType, context = {}) {
+    const earlierLogins = { eventType: 'login_success', userType, username: user.username };
+
+    const [hasHistory, knownDevice] = await Promise.all([
+      AuditLog.exists(earlierLogins),
+      AuditLog.exists({ ...earlierLogins, ipAddress: context.ipAddress, userAgent: context.userAgent })
+    ]);
+
+    return Boolean(hasHistory) && !knownDevice;
+  }
+
+  /**
+   * Tell a customer about a login from a new device
+   * A notification that cannot be delivered does not stop the login.
+   * @param {Object} user - Customer document
+   * @param {Object} context - { ipAddress, userAgent }
+   */
+  async notifyNewDevice(user, context) {
+    let delivery = null;
+    try {
+      delivery = await notificationService.send({
+        recipient: {
+          customerId: user._id.toString(),
+          username: user.username,
+          accountNumber: user.accountNumber
+        },
+        subject: 'New sign-in to your account',
+        text: `Your account was signed in to from a new device (${context.userAgent}, IP address ${context.ipAddress}). ` +
+          'If this was not you, sign that device out under Security in your dashboard and change your password.',
+        metadata: { purpose: 'new_device_login' }
+      });
+    } catch (error) {
+      console.error('New device notification error:', error);
+    }
+
+    await AuditLog.logNewDeviceLogin({
+      accountNumber: user.accountNumber,
+      username: user.username,
+      ipAddress: context.ipAddress,
+      userAgent: context.userAgent,
+      notifier: delivery?.notifier,
+      reference: delivery?.reference
+    });
+  }
+
+  /**
+   * Record that a session was used (its refresh token was exchanged)
+   * @param {string} sessionId
+   * @param {Object} context - { ipAddress, expiresAt }
+   */
+  async touch(sessionId, context = {}) {
+    await Session.updateOne(
+      { sessionId },
+      { $set: { lastSeenAt: new Date(), lastSeenIp: context.ipAddress, expiresAt: context.expiresAt } }
+    );
+  }
+
+  /**
+   * Sessions of a user that can still be renewed, most recently used first
+   * @param {string} userId
+   * @param {string} userType
+   * @returns {Promise<Object[]>}
+   */
+  async listActive(userId, userType) {
+    const activeFamilies = await RefreshToken.distinct('familyId', {
+      userId,
+      userType,
+      usedAt: null,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    });
+
+    return Session.find({ userId, userType, sessionId: { $in: activeFamilies } }).sort({ lastSeenAt: -1 });
+  }
+
+  /**
+   * Sign sessions out
+   * @param {Object[]} sessions - Session documents
+   * @param {Object} options - { reason, revokedBy }
+   * @returns {Promise<number>} Number of sessions signed out
+   */
+  async end(sessions, options = {}) {
+    for (const session of sessions) {
+      await tokenRevocationService.revokeSession(session, options);
+    }
+    return sessions.length;
+  }
+
+  /**
+   * Login response body for a started session
+   * The refresh token is left out: it is sent as a cookie (see utils/refreshCookie.js).
+   * @param {Object} user - Customer or Employee document
+   * @param {string} userType
+   * @param {Object} session - Tokens from start()
+   * @returns {Object}
+   */
+  buildLoginResponse(user, userType, session) {
+    const response = {
+      success: true,
+      token: session.token,
+      refreshTokenExpiresAt: session.refreshTokenExpiresAt,
+      username: user.username,
+      fullName: user.fullName,
+      mfaEnabled: user.mfaEnabled,
+      mustChangePassword: user.mustChangePassword
+    };
+
+    if (userType === 'employee') {
+      response.role = user.role;
+      response.permissions = getPermissions(user.role);
+    }
+
+    return response;
+  }
+}
+
+export default new SessionService();
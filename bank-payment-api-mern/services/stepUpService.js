@@ -0,0 +1,224 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import StepUpAttempt from '../models/StepUpAttempt.js';
+import tokenRevocationService from './tokenRevocationService.js';
+import { parseCurrencyAmounts, amountForCurrency } from '../utils/currencyAmounts.js';
+
+/**
+ * Step-Up Authentication Service
+ * Payments above a per-currency threshold must be confirmed by re-entering
+ * the password or a TOTP code before they are created.
+ *
+ * The create call first returns a challenge token. Answering it issues a
+ * confirmation token, which is accepted once and only for the exact payment
+ * it was issued for: both tokens carry a hash of the customer, amount,
+ * currency, payee and SWIFT code. A challenge is used up after too many wrong
+ * answers, so it cannot be guessed against indefinitely.
+ *
+ * Configuration (environment):
+ *   STEP_UP_THRESHOLDS - CCY:amount pairs, e.g. "USD:5000,ZAR:90000";
+ *                        '*' sets the threshold for unlisted currencies
+ *   STEP_UP_EXPIRE       - lifetime of challenge and confirmation tokens (default 5m)
+ *   STEP_UP_MAX_ATTEMPTS - wrong answers that use up a challenge (default 3)
+ */
+
+const DEFAULT_THRESHOLDS = {
+  USD: 5000,
+  EUR: 5000,
+  GBP: 4000,
+  ZAR: 90000,
+  '*': 5000
+};
+
+const DEFAULT_MAX_ATTEMPTS = 3;
+
+const AUDIENCE = 'BankPaymentStepUp';
+
+/**
+ * Raised when a step-up challenge or confirmation is not valid
+ */
+export class StepUpError extends Error {
+  constructor(message, status = 403) {
+    super(message);
+    this.name = 'StepUpError';
+    this.status = status;
+  }
+}
+
+class StepUpService {
+  constructor() {
+    // Read from the environment on first use (see ensureConfig)
+    this.thresholds = null;
+    this.expiresIn = null;
+    this.maxAttempts = null;
+  }
+
+  /**
+   * Load the thresholds, token lifetime and attempt limit from the environment unless already loaded
+   */
+  ensureConfig() {
+    if (!this.thresholds) {
+      const maxAttempts = parseInt(process.env.STEP_UP_MAX_ATTEMPTS, 10);
+
+      this.thresholds = parseCurrencyAmounts(process.env.STEP_UP_THRESHOLDS, DEFAULT_THRESHOLDS);
+      this.expiresIn = process.env.STEP_UP_EXPIRE || '5m';
+      this.maxAttempts = Number.isInteger(maxAttempts) && maxAttempts >= 1 ? maxAttempts : DEFAULT_MAX_ATTEMPTS;
+    }
+  }
+
+  /**
+   * Amount above which a payment in this currency needs step-up
+   * @param {string} currency
+   * @returns {number} Threshold (Infinity if none applies)
+   */
+  getThreshold(currency) {
+    this.ensureConfig();
+    return amountForCurrency(this.thresholds, currency);
+  }
+
+  /**
+   * Whether creating this payment needs step-up
+   * @param {Object} details - { amount, currency }
+   * @returns {boolean}
+   */
+  isRequired(details) {
+    return Number(details.amount) > this.getThreshold(details.currency);
+  }
+
+  /**
+   * Hash binding a token to one customer and one exact payment
+   * @param {string} customerId
+   * @param {Object} details - { amount, currency, payeeFullName, payeeAccountNumber, swiftCode }
+   * @returns {string} Hex digest
+   */
+  computeBinding(customerId, details) {
+    const canonical = [
+      String(customerId),
+      Number(details.amount).toFixed(2),
+      String(details.currency).toUpperCase(),
+      String(details.payeeFullName).trim(),
+      String(details.payeeAccountNumber).trim(),
+      String(details.swiftCode).toUpperCase()
+    ].join('|');
+
+    return crypto.createHash('sha256').update(canonical).digest('hex');
+  }
+
+  /**
+   * Sign a step-up token
+   * @param {Object} user - { userId, username, userType }
+   * @param {string} purpose - 'challenge' or 'confirmation'
+   * @param {string} binding - Payment binding hash
+   * @param {Object} extra - Additional claims
+   * @returns {string}
+   */
+  signToken(user, purpose, binding, extra = {}) {
+    this.ensureConfig();
+    return jwt.sign(
+      { userId: user.userId, username: user.username, userType: user.userType, purpose, binding, ...extra },
+      process.env.JWT_SECRET,
+      {
+        jwtid: crypto.randomUUID(),
+        expiresIn: this.expiresIn,
+        issuer: 'BankPaymentAPI',
+        audience: AUDIENCE
+      }
+    );
+  }
+
+  /**
+   * Verify a step-up token issued to this user for this purpose
+   * @param {string} token
+   * @param {string} purpose
+   * @param {string} userId
+   * @returns {Object} Decoded payload
+   * @throws {StepUpError} If the token is invalid, expired or not the user's
+   */
+  verifyToken(token, purpose, userId) {
+    let decoded;
+    try {
+      decoded = jwt.verify(String(token), process.env.JWT_SECRET, {
+        issuer: 'BankPaymentAPI',
+        audience: AUDIENCE
+      });
+    } catch (error) {
+      throw new StepUpError('Payment confirmation is invalid or has expired. Please confirm again.');
+    }
+
+    if (decoded.purpose !== purpose || decoded.userId !== String(userId)) {
+      throw new StepUpError('Payment confirmation is invalid or has expired. Please confirm again.');
+    }
+    return decoded;
+  }
+
+  /**
+   * Challenge returned when a payment needs step-up
+   * @param {Object} user - { userId, username, userType }
+   * @param {Object} details - Payment details
+   * @param {string[]} methods - Factors the customer can use ('password', 'totp')
+   * @returns {string} Challenge token
+   */
+  createChallenge(user, details, methods) {
+    return this.signToken(user, 'challenge', this.computeBinding(user.userId, details), { methods });
+  }
+
+  /**
+   * Confirmation issued once the challenge has been answered
+   * @param {Object} challenge - Decoded challenge token
+   * @param {string} method - Factor that was used
+   * @returns {string} Confirmation token
+   */
+  createConfirmation(challenge, method) {
+    return this.signToken(challenge, 'confirmation', challenge.binding, { method });
+  }
+
+  /**
+   * Count a wrong answer to a challenge and use the challenge up once the
+   * limit is reached
+   * @param {Object} challenge - Decoded challenge token
+   * @returns {Promise<boolean>} Whether the challenge is now used up
+   */
+  async recordFailure(challenge) {
+    this.ensureConfig();
+
+    const attempt = await StepUpAttempt.findOneAndUpdate(
+      { jti: challenge.jti },
+      {
+        $inc: { failures: 1 },
+        $setOnInsert: { userId: challenge.userId, expiresAt: new Date(challenge.exp * 1000) }
+      },
+      { upsert: true, new: true }
+    );
+
+    if (attempt.failures < this.maxAttempts) {
+      return false;
+    }
+
+    await tokenRevocationService.consumeToken(challenge, 'step_up_attempts_exceeded');
+    return true;
+  }
+
+  /**
+   * Check a confirmation against the payment being created
+   * The caller must also make sure the confirmation has not been used yet.
+   *
+   * @param {string} token - Confirmation token
+   * @param {string} userId
+   * @param {Object} details - Payment details as submitted
+   * @returns {Object} Decoded confirmation (jti, method, ...)
+   * @throws {StepUpError} If it is invalid or was issued for different payment details
+   */
+  verifyConfirmation(token, userId, details) {
+    const decoded = this.verifyToken(token, 'confirmation', userId);
+
+    const expected = Buffer.from(this.computeBinding(userId, details));
+    const actual = Buffer.from(String(decoded.binding));
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+      throw new StepUpError('Payment details do not match the confirmed payment. Please confirm again.');
+    }
+
+    return decoded;
+  }
+}
+
+export default new StepUpService();
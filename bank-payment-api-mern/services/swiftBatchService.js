@@ -0,0 +1,207 @@
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+import Payment from '../models/Payment.js';
+import SwiftBatch from '../models/SwiftBatch.js';
+import fourEyesService from './fourEyesService.js';
+import iso20022Service from './iso20022Service.js';
+import mt103Service from './mt103Service.js';
+import paymentWorkflowService from './paymentWorkflowService.js';
+
+/**
+ * SWIFT Batch Service
+ * Submits an explicit selection of verified payments as one SwiftBatch with
+ * per-currency totals, control sum and the checksum of the pacs.008 file
+ * handed to the operator. The whole submission runs in a MongoDB transaction.
+ */
+
+const MAX_BATCH_SIZE = 500;
+
+/**
+ * Raised when a batch cannot be submitted as requested
+ */
+export class BatchSubmissionError extends Error {
+  constructor(message, status = 400, details = {}) {
+    super(message);
+    this.name = 'BatchSubmissionError';
+    this.status = status;
+    this.details = details;
+  }
+}
+
+class SwiftBatchService {
+  /**
+   * Maximum number of payments in a single batch
+   * @returns {number}
+   */
+  getMaxBatchSize() {
+    return MAX_BATCH_SIZE;
+  }
+
+  /**
+   * Compute per-currency totals for a set of payments
+   * Summed in minor units to avoid floating point drift.
+   * @param {Object[]} payments
+   * @returns {Array<{currency: string, amount: number, count: number}>}
+   */
+  computeTotals(payments) {
+    const totals = new Map();
+
+    payments.forEach((payment) => {
+      const entry = totals.get(payment.currency) || { currency: payment.currency, cents: 0, count: 0 };
+      entry.cents += Math.round(Number(payment.amount) * 100);
+      entry.count += 1;
+      totals.set(payment.currency, entry);
+    });
+
+    return [...totals.values()]
+      .sort((a, b) => a.currency.localeCompare(b.currency))
+      .map(({ currency, cents, count }) => ({ currency, amount: cents / 100, count }));
+  }
+
+  /**
+   * Compute the SHA-256 checksum of a file
+   * @param {string} contents
+   * @returns {string} Hex digest
+   */
+  computeChecksum(contents) {
+    return crypto.createHash('sha256').update(contents, 'utf8').digest('hex');
+  }
+
+  /**
+   * Check that every selected payment can be submitted with the given filters
+   * @param {string[]} paymentIds - Requested ids
+   * @param {Object[]} payments - Payments loaded for those ids
+   * @param {Object} filters - { currency }
+   * @throws {BatchSubmissionError} 409 if any payment is missing or no longer Verified,
+   *   400 if any payment does not match the filters
+   */
+  assertSubmittable(paymentIds, payments, filters = {}) {
+    const found = new Map(payments.map((payment) => [String(payment._id), payment]));
+
+    const unavailable = paymentIds.filter((id) => {
+      const payment = found.get(String(id));
+      return !payment || payment.status !== 'Verified';
+    });
+
+    if (unavailable.length > 0) {
+      throw new BatchSubmissionError(
+        `${unavailable.length} selected payment(s) are no longer Verified. No payments were submitted.`,
+        409,
+        { paymentIds: unavailable }
+      );
+    }
+
+    if (filters.currency) {
+      const mismatched = payments
+        .filter((payment) => payment.currency !== filters.currency)
+        .map((payment) => String(payment._id));
+
+      if (mismatched.length > 0) {
+        throw new BatchSubmissionError(
+          `${mismatched.length} selected payment(s) are not in ${filters.currency}. No payments were submitted.`,
+          400,
+          { paymentIds: mismatched }
+        );
+      }
+    }
+  }
+
+  /**
+   * Submit the selected payments to SWIFT as one batch (all or nothing)
+   * Generates and stores an MT103 message per payment and records the
+   * SwiftBatch with its pacs.008 file and checksum.
+   *
+   * @param {Object} params
+   * @param {string[]} params.paymentIds - Payments to submit
+   * @param {Object} params.employee - { userId, username }
+   * @param {string} [params.currency] - Only allow payments in this currency
+   * @param {Date} [params.valueDate] - Value/settlement date (defaults to today)
+   * @returns {Promise<Object>} Saved SwiftBatch
+   * @throws {BatchSubmissionError}
+   * @throws {FourEyesViolationError} If the employee verified any selected payment
+   */
+  async submitBatch({ paymentIds, employee, currency, valueDate }) {
+    const submittedAt = new Date();
+    const batchId = iso20022Service.generateMessageId(submittedAt);
+    const effectiveValueDate = valueDate || submittedAt;
+    const context = {
+      actor: employee.userId,
+      actorUsername: employee.username,
+      actorType: 'employee',
+      timestamp: submittedAt
+    };
+
+    const session = await mongoose.startSession();
+
+    try {
+      let batch;
+
+      await session.withTransaction(async () => {
+        // Load the selection with the ordering customer (MT103 field 50K)
+        const payments = await Payment.find({ _id: { $in: paymentIds } })
+          .populate('customerId', 'fullName accountNumber')
+          .sort({ _id: 1 })
+          .session(session);
+
+        this.assertSubmittable(paymentIds, payments, { currency });
+        fourEyesService.assertCanSubmit(payments, employee.userId);
+
+        // Build MT103 messages and move each payment to Submitted
+        const operations = payments.map((payment) => {
+          const message = mt103Service.buildMessage(payment, payment.customerId, {
+            valueDate: effectiveValueDate
+          });
+          payment.swiftMessage = { ...message, format: 'MT103', generatedAt: submittedAt };
+
+          return {
+            updateOne: {
+              filter: { _id: payment._id, status: 'Verified', __v: payment.__v },
+              update: paymentWorkflowService.buildTransitionUpdate('Verified', 'Submitted', context, {
+                submittedToSwiftAt: submittedAt,
+                swiftBatchId: batchId,
+                swiftMessage: payment.swiftMessage
+              })
+            }
+          };
+        });
+
+        const result = await Payment.bulkWrite(operations, { session });
+
+        // A concurrent change slipped in between read and write: abort everything
+        if (result.modifiedCount !== payments.length) {
+          throw new BatchSubmissionError(
+            'Selected payments changed during submission. No payments were submitted.',
+            409
+          );
+        }
+
+        const document = iso20022Service.buildPacs008(payments, {
+          messageId: batchId,
+          createdAt: submittedAt,
+          settlementDate: effectiveValueDate
+        });
+
+        [batch] = await SwiftBatch.create([{
+          batchId,
+          submittedBy: employee.userId,
+          submittedByUsername: employee.username,
+          submittedAt,
+          valueDate: effectiveValueDate,
+          paymentIds: payments.map((payment) => payment._id),
+          paymentCount: payments.length,
+          totals: this.computeTotals(payments),
+          controlSum: iso20022Service.computeControlSum(payments),
+          messageType: 'pacs.008.001.08',
+          document,
+          fileChecksum: this.computeChecksum(document)
+        }], { session });
+      });
+
+      return batch;
+    } finally {
+      await session.endSession();
+    }
+  }
+}
+
+export default new SwiftBatchService();
@@ -0,0 +1,191 @@
+import Payment from '../models/Payment.js';
+import SwiftBatch from '../models/SwiftBatch.js';
+import paymentWorkflowService from './paymentWorkflowService.js';
+import SwiftSimulatorGateway from './swiftSimulatorGateway.js';
+
+/**
+ * SWIFT Gateway Service
+ * Hands submitted batches to the SWIFT network and applies the status
+ * reports that come back, moving payments to Completed, Failed or Returned.
+ *
+ * Gateways are pluggable. A gateway implements:
+ *   name                    - identifier stored on the batch
+ *   send(batch, payments)   - accept a batch for transmission, resolves to { reference }
+ *   onStatusReport(handler) - register the callback for asynchronous status reports
+ *
+ * Status reports are pacs.002/pacs.004-style objects:
+ *   { messageType, messageId, originalMessageId (batchId), groupStatus?,
+ *     transactions: [{ endToEndId, uetr, status: ACCC|RJCT|RETN, reasonCode?, reasonText? }] }
+ *
+ * Configuration (environment):
+ *   SWIFT_GATEWAY                - gateway to use; required outside development and
+ *                                  test, where 'simulator' is the default
+ *   SWIFT_SIMULATOR_FAILURE_RATE - share of transactions the simulator rejects (0-1)
+ *   SWIFT_SIMULATOR_RETURN_RATE  - share of accepted transactions later returned (0-1)
+ *   SWIFT_SIMULATOR_LATENCY_MS   - delay before the simulator reports back
+ */
+
+// Transaction status -> [required payment status, new payment status, timestamp field]
+const STATUS_OUTCOMES = {
+  ACCC: ['Submitted', 'Completed', 'completedAt'],
+  RJCT: ['Submitted', 'Failed', 'failedAt'],
+  RETN: ['Completed', 'Returned', 'returnedAt']
+};
+
+// pacs.002 group status -> SwiftBatch status
+const BATCH_STATUSES = {
+  ACCC: 'Acknowledged',
+  PART: 'PartiallyFailed',
+  RJCT: 'Failed'
+};
+
+class SwiftGatewayService {
+  constructor() {
+    this.gateway = null;
+  }
+
+  /**
+   * Create a gateway by name
+   * @param {string} name
+   * @returns {Object} Gateway
+   */
+  createGateway(name) {
+    switch (name) {
+      case 'simulator':
+        return new SwiftSimulatorGateway({
+          failureRate: process.env.SWIFT_SIMULATOR_FAILURE_RATE ?? 0.05,
+          returnRate: process.env.SWIFT_SIMULATOR_RETURN_RATE ?? 0.01,
+          latencyMs: process.env.SWIFT_SIMULATOR_LATENCY_MS ?? 5000
+        });
+      default:
+        throw new Error(`Unknown SWIFT gateway: ${name}`);
+    }
+  }
+
+  /**
+   * Use a specific gateway and subscribe to its status reports
+   * @param {Object} gateway
+   */
+  setGateway(gateway) {
+    this.gateway = gateway;
+    gateway.onStatusReport((report) => this.applyStatusReport(report));
+  }
+
+  /**
+   * Name of the configured gateway
+   * Only development and test fall back to the simulator, which settles
+   * payments at random.
+   * @returns {string}
+   * @throws {Error} If SWIFT_GATEWAY is not set in any other environment
+   */
+  getConfiguredName() {
+    if (process.env.SWIFT_GATEWAY) {
+      return process.env.SWIFT_GATEWAY;
+    }
+    if (['development', 'test'].includes(process.env.NODE_ENV)) {
+      return 'simulator';
+    }
+    throw new Error('SWIFT_GATEWAY is not set. The simulator is only used by default in development and test.');
+  }
+
+  /**
+   * Get the active gateway, creating the configured one on first use
+   * @returns {Object} Gateway
+   */
+  getGateway() {
+    if (!this.gateway) {
+      this.setGateway(this.createGateway(this.getConfiguredName()));
+    }
+    return this.gateway;
+  }
+
+  /**
+   * Send a submitted batch through the gateway
+   * Failures are logged and leave the batch undispatched for a retry;
+   * the payments themselves stay Submitted.
+   *
+   * @param {Object} batch - SwiftBatch document
+   * @returns {Promise<boolean>} Whether the gateway accepted the batch
+   */
+  async dispatch(batch) {
+    try {
+      const gateway = this.getGateway();
+      const payments = await Payment.find({ swiftBatchId: batch.batchId })
+        .select('swiftMessage.reference swiftMessage.uetr amount currency');
+
+      const { reference } = await gateway.send(batch, payments);
+
+      await SwiftBatch.updateOne(
+        { batchId: batch.batchId },
+        { $set: { gateway: gateway.name, gatewayReference: reference, dispatchedAt: new Date() } }
+      );
+      return true;
+    } catch (error) {
+      console.error('SWIFT gateway dispatch error:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Apply a status report from the gateway to the batch's payments
+   * Transactions are matched on batch id and UETR. Reports for payments that
+   * are no longer in the expected status (e.g. duplicates) are counted as unmatched.
+   *
+   * @param {Object} report - Status report
+   * @returns {Promise<Object>} { completed, failed, returned, unmatched }
+   */
+  async applyStatusReport(report) {
+    const summary = { completed: 0, failed: 0, returned: 0, unmatched: 0 };
+    const receivedAt = new Date();
+
+    for (const transaction of report.transactions) {
+      const outcome = STATUS_OUTCOMES[transaction.status];
+      if (!outcome) {
+        summary.unmatched += 1;
+        continue;
+      }
+
+      const [from, to, timestampField] = outcome;
+      const reason = transaction.reasonCode
+        ? `${transaction.reasonCode}: ${transaction.reasonText || ''}`.trim()
+        : null;
+      const extraSet = { [timestampField]: receivedAt };
+      if (to !== 'Completed') {
+        extraSet.failureCode = transaction.reasonCode || null;
+        extraSet.failureReason = transaction.reasonText || null;
+      }
+
+      const result = await Payment.updateOne(
+        { swiftBatchId: report.originalMessageId, 'swiftMessage.uetr': transaction.uetr, status: from },
+        paymentWorkflowService.buildTransitionUpdate(from, to, {
+          actorUsername: 'swift-gateway',
+          actorType: 'system',
+          reason: reason ? `${report.messageType} ${reason}` : report.messageType,
+          timestamp: receivedAt
+        }, extraSet)
+      );
+
+      if (result.modifiedCount === 0) {
+        summary.unmatched += 1;
+      } else {
+        summary[to.toLowerCase()] += 1;
+      }
+    }
+
+    const update = {
+      $push: { statusReports: { messageType: report.messageType, messageId: report.messageId, receivedAt, ...summary } }
+    };
+    if (BATCH_STATUSES[report.groupStatus]) {
+      update.$set = { status: BATCH_STATUSES[report.groupStatus] };
+    }
+    await SwiftBatch.updateOne({ batchId: report.originalMessageId }, update);
+
+    if (summary.unmatched > 0) {
+      console.warn(`SWIFT ${report.messageType} ${report.messageId}: ${summary.unmatched} transaction(s) did not match a payment`);
+    }
+
+    return summary;
+  }
+}
+
+export default new SwiftGatewayService();
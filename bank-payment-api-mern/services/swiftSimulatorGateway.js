@@ -0,0 +1,195 @@
+import crypto from 'crypto';
+
+/**
+ * SWIFT Simulator Gateway
+ * Local stand-in for the SWIFT network used in development and tests.
+ *
+ * Accepts a batch immediately, then after a delay emits a pacs.002-style
+ * status report with one ACK (ACCC) or NAK (RJCT) per transaction. A share
+ * of the acknowledged payments is later returned by the beneficiary bank
+ * with a pacs.004-style return report.
+ *
+ * Options:
+ *   failureRate - probability (0-1) that a transaction is rejected
+ *   returnRate  - probability (0-1) that an accepted transaction is returned
+ *   latencyMs   - delay before the status report (returns follow after twice this)
+ *   random      - random number source, injectable for deterministic tests
+ */
+
+// ISO 20022 external status reason codes the simulator picks from
+const REJECT_REASONS = [
+  { code: 'AC01', text: 'Incorrect account number' },
+  { code: 'AC04', text: 'Closed account number' },
+  { code: 'AG01', text: 'Transaction forbidden on this type of account' },
+  { code: 'RC01', text: 'Bank identifier incorrect' },
+  { code: 'BE04', text: 'Missing creditor address' }
+];
+
+const RETURN_REASONS = [
+  { code: 'AC04', text: 'Closed account number' },
+  { code: 'AC06', text: 'Blocked account' },
+  { code: 'BE01', text: 'Creditor name inconsistent with account' },
+  { code: 'MD07', text: 'End customer deceased' }
+];
+
+class SwiftSimulatorGateway {
+  constructor(options = {}) {
+    this.name = 'simulator';
+    this.failureRate = this.clampRate(options.failureRate);
+    this.returnRate = this.clampRate(options.returnRate);
+    this.latencyMs = Math.max(0, Number(options.latencyMs) || 0);
+    this.random = options.random || Math.random;
+    this.handlers = [];
+  }
+
+  /**
+   * Restrict a rate to the 0-1 range (invalid values become 0)
+   * @param {number} rate
+   * @returns {number}
+   */
+  clampRate(rate) {
+    const value = Number(rate);
+    return Number.isFinite(value) ? Math.min(1, Math.max(0, value)) : 0;
+  }
+
+  /**
+   * Register a callback for status reports
+   * @param {Function} handler - Called with each report
+   */
+  onStatusReport(handler) {
+    this.handlers.push(handler);
+  }
+
+  /**
+   * Pick an entry from a list using the configured random source
+   * @param {Object[]} list
+   * @returns {Object}
+   */
+  pick(list) {
+    return list[Math.floor(this.random() * list.length) % list.length];
+  }
+
+  /**
+   * Generate a report message id
+   * @returns {string}
+   */
+  generateMessageId() {
+    return `SIM${Date.now()}${crypto.randomBytes(3).toString('hex').toUpperCase()}`;
+  }
+
+  /**
+   * Build the pacs.002-style status report for a batch
+   * @param {Object} batch - SwiftBatch
+   * @param {Object[]} payments - Payments in the batch (swiftMessage.reference/uetr)
+   * @returns {Object} Status report
+   */
+  buildStatusReport(batch, payments) {
+    const transactions = payments.map((payment) => {
+      const transaction = {
+        endToEndId: payment.swiftMessage?.reference,
+        uetr: payment.swiftMessage?.uetr
+      };
+
+      if (this.random() < this.failureRate) {
+        const reason = this.pick(REJECT_REASONS);
+        return { ...transaction, status: 'RJCT', reasonCode: reason.code, reasonText: reason.text };
+      }
+
+      return { ...transaction, status: 'ACCC' };
+    });
+
+    const rejected = transactions.filter((transaction) => transaction.status === 'RJCT').length;
+    let groupStatus = 'PART';
+    if (rejected === 0) groupStatus = 'ACCC';
+    if (rejected === transactions.length) groupStatus = 'RJCT';
+
+    return {
+      messageType: 'pacs.002.001.10',
+      messageId: this.generateMessageId(),
+      originalMessageId: batch.batchId,
+      createdAt: new Date(),
+      groupStatus,
+      transactions
+    };
+  }
+
+  /**
+   * Build the pacs.004-style return report for accepted transactions, if any are returned
+   * @param {Object} batch - SwiftBatch
+   * @param {Object[]} accepted - Accepted transactions from the status report
+   * @returns {Object|null} Return report, or null when nothing is returned
+   */
+  buildReturnReport(batch, accepted) {
+    const transactions = accepted
+      .filter(() => this.random() < this.returnRate)
+      .map((transaction) => {
+        const reason = this.pick(RETURN_REASONS);
+        return {
+          endToEndId: transaction.endToEndId,
+          uetr: transaction.uetr,
+          status: 'RETN',
+          reasonCode: reason.code,
+          reasonText: reason.text
+        };
+      });
+
+    if (transactions.length === 0) {
+      return null;
+    }
+
+    return {
+      messageType: 'pacs.004.001.09',
+      messageId: this.generateMessageId(),
+      originalMessageId: batch.batchId,
+      createdAt: new Date(),
+      transactions
+    };
+  }
+
+  /**
+   * Accept a batch for transmission; reports follow asynchronously
+   * @param {Object} batch - SwiftBatch
+   * @param {Object[]} payments - Payments in the batch
+   * @returns {Promise<{reference: string}>} Gateway reference for the transmission
+   */
+  async send(batch, payments) {
+    const statusReport = this.buildStatusReport(batch, payments);
+    const accepted = statusReport.transactions.filter((transaction) => transaction.status === 'ACCC');
+    const returnReport = this.buildReturnReport(batch, accepted);
+
+    this.schedule(statusReport, this.latencyMs);
+    if (returnReport) {
+      this.schedule(returnReport, this.latencyMs * 2);
+    }
+
+    return { reference: `SIM-${batch.batchId}` };
+  }
+
+  /**
+   * Deliver a report to the registered handlers after a delay
+   * @param {Object} report
+   * @param {number} delayMs
+   */
+  schedule(report, delayMs) {
+    const timer = setTimeout(() => this.emit(report), delayMs);
+    // Never keep the process alive just to deliver a simulated report
+    if (timer.unref) timer.unref();
+  }
+
+  /**
+   * Deliver a report to the registered handlers
+   * @param {Object} report
+   * @returns {Promise<void>}
+   */
+  async emit(report) {
+    for (const handler of this.handlers) {
+      try {
+        await handler(report);
+      } catch (error) {
+        console.error('SWIFT simulator report handler error:', error);
+      }
+    }
+  }
+}
+
+export default SwiftSimulatorGateway;
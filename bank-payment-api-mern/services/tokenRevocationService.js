@@ -0,0 +1,149 @@
+import RefreshToken from '../models/RefreshToken.js';
+import TokenRevocation from '../models/TokenRevocation.js';
+import tokenService from './tokenService.js';
+
+/**
+ * Token Revocation Service
+ * Lets access tokens be invalidated before they expire
+ *
+ * A logout revokes the presented access token (by jti) and the refresh token
+ * family of its session. Signing out a session blocks all its access tokens
+ * (by sid) and its refresh tokens. Revoking a user blocks every access token
+ * issued to them so far and all their refresh tokens. Session and user
+ * revocations are kept for one access token lifetime (JWT_EXPIRE), until
+ * every token they cover has expired.
+ */
+
+class TokenRevocationService {
+  /**
+   * Revoke a single access token and the session it belongs to
+   * @param {Object} decoded - Verified token payload (jti, exp, userId, userType, sid)
+   * @param {string} reason
+   * @returns {Promise<void>}
+   */
+  async revokeToken(decoded, reason = 'logout') {
+    await this.consumeToken(decoded, reason);
+
+    if (decoded.sid) {
+      await RefreshToken.updateMany(
+        { familyId: decoded.sid, revokedAt: null },
+        { $set: { revokedAt: new Date(), revokedReason: reason } }
+      );
+    }
+  }
+
+  /**
+   * Revoke a single-use token, atomically
+   * @param {Object} decoded - Verified token payload (jti, exp, userId, userType)
+   * @param {string} reason
+   * @returns {Promise<boolean>} false if the token had already been used or revoked
+   */
+  async consumeToken(decoded, reason) {
+    try {
+      const result = await TokenRevocation.updateOne(
+        { kind: 'token', jti: decoded.jti },
+        {
+          $setOnInsert: {
+            kind: 'token',
+            jti: decoded.jti,
+            userId: decoded.userId,
+            userType: decoded.userType,
+            reason,
+            expiresAt: new Date(decoded.exp * 1000)
+          }
+        },
+        { upsert: true }
+      );
+      return result.upsertedCount === 1;
+    } catch (error) {
+      // Lost a race with a concurrent upsert of the same jti
+      if (error.code === 11000) {
+        return false;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Revoke one session: all its access tokens and its refresh token family
+   * @param {Object} session - { sessionId, userId, userType }
+   * @param {Object} options - { reason, revokedBy }
+   * @returns {Promise<void>}
+   */
+  async revokeSession(session, options = {}) {
+    const now = new Date();
+
+    await TokenRevocation.create({
+      kind: 'session',
+      sessionId: session.sessionId,
+      userId: session.userId,
+      userType: session.userType,
+      revokedAt: now,
+      revokedBy: options.revokedBy || null,
+      reason: options.reason || null,
+      expiresAt: new Date(now.getTime() + tokenService.getLifetimeMs())
+    });
+
+    await RefreshToken.updateMany(
+      { familyId: session.sessionId, revokedAt: null },
+      { $set: { revokedAt: now, revokedReason: options.reason || 'revoked' } }
+    );
+  }
+
+  /**
+   * Revoke every session of a user
+   * @param {string} userId
+   * @param {string} userType - 'customer' or 'employee'
+   * @param {Object} options - { reason, revokedBy }
+   * @returns {Promise<number>} Number of refresh tokens revoked
+   */
+  async revokeAllForUser(userId, userType, options = {}) {
+    const now = new Date();
+
+    await TokenRevocation.create({
+      kind: 'user',
+      userId,
+      userType,
+      revokedAt: now,
+      revokedBy: options.revokedBy || null,
+      reason: options.reason || null,
+      expiresAt: new Date(now.getTime() + tokenService.getLifetimeMs())
+    });
+
+    const result = await RefreshToken.updateMany(
+      { userId, userType, revokedAt: null },
+      { $set: { revokedAt: now, revokedReason: options.reason || 'revoked' } }
+    );
+    return result.modifiedCount;
+  }
+
+  /**
+   * Check whether an access token has been revoked
+   * @param {Object} decoded - Verified token payload (jti, iat, userId, userType)
+   * @returns {Promise<boolean>}
+   */
+  async isRevoked(decoded) {
+    const conditions = [
+      { kind: 'token', jti: decoded.jti },
+      // iat only has second resolution: a token from the second the revocation
+      // was made in counts as issued after it, so signing in again right after
+      // a password change or reset works
+      {
+        kind: 'user',
+        userId: decoded.userId,
+        userType: decoded.userType,
+        revokedAt: { $gte: new Date((decoded.iat + 1) * 1000) }
+      }
+    ];
+
+    if (decoded.sid) {
+      conditions.push({ kind: 'session', sessionId: decoded.sid });
+    }
+
+    const revocation = await TokenRevocation.exists({ $or: conditions });
+
+    return Boolean(revocation);
+  }
+}
+
+export default new TokenRevocationService();
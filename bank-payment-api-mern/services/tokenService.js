@@ -1,3 +1,4 @@
+import crypto from 'crypto';
 import jwt from 'jsonwebtoken';
 
 /**
@@ -8,22 +9,42 @@ import jwt from 'jsonwebtoken';
 class TokenService {
   /**
    * Generate JWT token for authenticated user
-   * @param {Object} payload - Token payload (userId, username, userType)
+   * Each token gets a unique jti so it can be revoked individually.
+   * @param {Object} payload - Token payload (userId, username, userType, role, sessionId, mustChangePassword)
    * @returns {string} JWT token
    */
   generateToken(payload) {
-    const { userId, username, userType } = payload;
+    const { userId, username, userType, role, sessionId, mustChangePassword } = payload;
+
+    const claims = {
+      userId,
+      username,
+      userType,
+      iat: Math.floor(Date.now() / 1000), // Issued at
+    };
+
+    // Employee role, for permission checks (see config/permissions.js)
+    if (userType === 'employee' && role) {
+      claims.role = role;
+    }
+
+    // Temporary password still in use; only the password change is allowed (see middleware/auth.js)
+    if (mustChangePassword) {
+      claims.mustChangePassword = true;
+    }
+
+    // Refresh token family, so logout can end the whole session
+    if (sessionId) {
+      claims.sid = sessionId;
+    }
 
     const token = jwt.sign(
-      {
-        userId,
-        username,
-        userType,
-        iat: Math.floor(Date.now() / 1000), // Issued at
-      },
+      claims,
       process.env.JWT_SECRET,
       {
-        expiresIn: process.env.JWT_EXPIRE || '2h',
+        jwtid: crypto.randomUUID(),
+        // Short-lived; clients renew through POST /api/auth/refresh
+        expiresIn: this.getExpiresIn(),
         issuer: 'BankPaymentAPI',
         audience: 'BankPaymentClient'
       }
@@ -32,6 +53,23 @@ class TokenService {
     return token;
   }
 
+  /**
+   * Access token lifetime as configured (JWT_EXPIRE, default 15m)
+   * @returns {string}
+   */
+  getExpiresIn() {
+    return process.env.JWT_EXPIRE || '15m';
+  }
+
+  /**
+   * Access token lifetime in milliseconds, read the way jsonwebtoken reads it
+   * @returns {number}
+   */
+  getLifetimeMs() {
+    const { iat, exp } = jwt.decode(jwt.sign({}, 'lifetime', { expiresIn: this.getExpiresIn() }));
+    return (exp - iat) * 1000;
+  }
+
   /**
    * Verify and decode JWT token
    * @param {string} token - JWT token to verify
@@ -51,6 +89,45 @@ class TokenService {
     }
   }
 
+  /**
+   * Generate a short-lived MFA challenge token
+   * Issued after a correct password and exchanged for a real session once
+   * the second factor is verified. Its audience differs from access tokens,
+   * so it cannot be used to call the API.
+   * @param {Object} payload - userId, username, userType and purpose ('verify' or 'enrol')
+   * @returns {string} JWT token
+   */
+  generateMfaChallengeToken(payload) {
+    const { userId, username, userType, purpose } = payload;
+
+    return jwt.sign(
+      { userId, username, userType, purpose },
+      process.env.JWT_SECRET,
+      {
+        jwtid: crypto.randomUUID(),
+        expiresIn: process.env.MFA_CHALLENGE_EXPIRE || '5m',
+        issuer: 'BankPaymentAPI',
+        audience: 'BankPaymentMfaChallenge'
+      }
+    );
+  }
+
+  /**
+   * Verify and decode an MFA challenge token
+   * @param {string} token - Challenge token
+   * @returns {Object|null} Decoded payload or null if invalid
+   */
+  verifyMfaChallengeToken(token) {
+    try {
+      return jwt.verify(token, process.env.JWT_SECRET, {
+        issuer: 'BankPaymentAPI',
+        audience: 'BankPaymentMfaChallenge'
+      });
+    } catch (error) {
+      return null;
+    }
+  }
+
   /**
    * Extract token from Authorization header
    * @param {string} authHeader - Authorization header value
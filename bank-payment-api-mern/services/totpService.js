@@ -0,0 +1,189 @@
+import crypto from 'crypto';
+
+/**
+ * TOTP Service (RFC 6238)
+ * Time-based one-time passwords compatible with authenticator apps
+ * (HMAC-SHA1, 6 digits, 30 second steps, base32 secrets).
+ *
+ * Configuration (environment):
+ *   TOTP_ISSUER - issuer shown in the authenticator app (defaults to BANK_NAME)
+ *   TOTP_WINDOW - steps of clock drift accepted either side of now (default 1)
+ */
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+class TotpService {
+  constructor() {
+    // Read from the environment on first use (see ensureConfig)
+    this.issuer = null;
+    this.window = null;
+    this.stepSeconds = 30;
+    this.digits = 6;
+  }
+
+  /**
+   * Load the issuer name and drift window from the environment unless already loaded
+   */
+  ensureConfig() {
+    if (this.issuer === null) {
+      this.issuer = process.env.TOTP_ISSUER || process.env.BANK_NAME || 'SecureBank';
+      this.window = Math.max(0, Number(process.env.TOTP_WINDOW ?? 1) || 0);
+    }
+  }
+
+  /**
+   * Encode bytes as unpadded base32 (RFC 4648)
+   * @param {Buffer} buffer
+   * @returns {string}
+   */
+  base32Encode(buffer) {
+    let bits = 0;
+    let value = 0;
+    let output = '';
+
+    for (const byte of buffer) {
+      value = (value << 8) | byte;
+      bits += 8;
+      while (bits >= 5) {
+        output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+        bits -= 5;
+      }
+    }
+    if (bits > 0) {
+      output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    }
+
+    return output;
+  }
+
+  /**
+   * Decode base32 text (case-insensitive, padding and spaces ignored)
+   * @param {string} text
+   * @returns {Buffer}
+   * @throws {Error} If the text contains characters outside the base32 alphabet
+   */
+  base32Decode(text) {
+    const clean = String(text).toUpperCase().replace(/[\s=]/g, '');
+    let bits = 0;
+    let value = 0;
+    const bytes = [];
+
+    for (const char of clean) {
+      const index = BASE32_ALPHABET.indexOf(char);
+      if (index === -1) {
+        throw new Error('Invalid base32 character in TOTP secret');
+      }
+      value = (value << 5) | index;
+      bits += 5;
+      if (bits >= 8) {
+        bytes.push((value >>> (bits - 8)) & 255);
+        bits -= 8;
+      }
+    }
+
+    return Buffer.from(bytes);
+  }
+
+  /**
+   * Generate a random 160-bit secret
+   * @returns {string} Base32-encoded secret (32 characters)
+   */
+  generateSecret() {
+    return this.base32Encode(crypto.randomBytes(20));
+  }
+
+  /**
+   * Time step (counter) for a moment in time
+   * @param {number} timestamp - Milliseconds since epoch
+   * @returns {number}
+   */
+  getTimeStep(timestamp = Date.now()) {
+    return Math.floor(timestamp / 1000 / this.stepSeconds);
+  }
+
+  /**
+   * Compute the HOTP value for a counter (RFC 4226)
+   * @param {string} secret - Base32-encoded secret
+   * @param {number} counter
+   * @returns {string} Zero-padded code
+   */
+  generateHotp(secret, counter) {
+    const message = Buffer.alloc(8);
+    message.writeBigUInt64BE(BigInt(counter));
+
+    const hmac = crypto.createHmac('sha1', this.base32Decode(secret)).update(message).digest();
+
+    // Dynamic truncation
+    const offset = hmac[hmac.length - 1] & 0x0f;
+    const binary = ((hmac[offset] & 0x7f) << 24)
+      | (hmac[offset + 1] << 16)
+      | (hmac[offset + 2] << 8)
+      | hmac[offset + 3];
+
+    return String(binary % (10 ** this.digits)).padStart(this.digits, '0');
+  }
+
+  /**
+   * Compute the TOTP code for a moment in time
+   * @param {string} secret - Base32-encoded secret
+   * @param {number} timestamp - Milliseconds since epoch
+   * @returns {string}
+   */
+  generateCode(secret, timestamp = Date.now()) {
+    return this.generateHotp(secret, this.getTimeStep(timestamp));
+  }
+
+  /**
+   * Check a code against the current time step and the drift window
+   * Steps at or before lastUsedStep are refused so a code cannot be replayed.
+   *
+   * @param {string} secret - Base32-encoded secret
+   * @param {string} code - Code entered by the user
+   * @param {Object} options - { timestamp, lastUsedStep }
+   * @returns {number|null} Matching time step, or null if the code is invalid
+   */
+  verifyCode(secret, code, options = {}) {
+    const candidate = String(code ?? '').replace(/\s/g, '');
+    if (!new RegExp(`^\\d{${this.digits}}$`).test(candidate)) {
+      return null;
+    }
+
+    this.ensureConfig();
+    const currentStep = this.getTimeStep(options.timestamp ?? Date.now());
+    const lastUsedStep = options.lastUsedStep ?? -1;
+
+    for (let step = currentStep - this.window; step <= currentStep + this.window; step++) {
+      if (step <= lastUsedStep) {
+        continue;
+      }
+      const expected = this.generateHotp(secret, step);
+      if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(candidate))) {
+        return step;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Build the otpauth:// URI an authenticator app imports (usually via QR code)
+   * @param {string} secret - Base32-encoded secret
+   * @param {string} accountName - Label shown in the app, e.g. the username
+   * @returns {string}
+   */
+  buildOtpauthUri(secret, accountName) {
+    this.ensureConfig();
+    const label = encodeURIComponent(`${this.issuer}:${accountName}`);
+    const params = new URLSearchParams({
+      secret,
+      issuer: this.issuer,
+      algorithm: 'SHA1',
+      digits: String(this.digits),
+      period: String(this.stepSeconds)
+    });
+
+    return `otpauth://totp/${label}?${params.toString()}`;
+  }
+}
+
+export default new TotpService();
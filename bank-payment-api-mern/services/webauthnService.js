@@ -0,0 +1,291 @@
+import {
+  generateRegistrationOptions,
+  verifyRegistrationResponse,
+  generateAuthenticationOptions,
+  verifyAuthenticationResponse
+} from '@simplewebauthn/server';
+import Employee from '../models/Employee.js';
+import WebAuthnChallenge from '../models/WebAuthnChallenge.js';
+import WebAuthnCredential from '../models/WebAuthnCredential.js';
+import accountLockoutService from './accountLockoutService.js';
+
+/**
+ * WebAuthn Service
+ * Passkey registration and sign-in (WebAuthn ceremonies) for employees
+ *
+ * Challenges are stored server-side and deleted when answered, so every
+ * response is verified against a challenge this server issued exactly once.
+ * User verification (PIN or biometrics on the authenticator) is required,
+ * which makes a passkey sign-in a complete multi-factor login.
+ *
+ * Configuration (environment):
+ *   WEBAUTHN_RP_ID   - relying party id, the site's domain (default localhost)
+ *   WEBAUTHN_RP_NAME - name shown by the authenticator (defaults to BANK_NAME)
+ *   WEBAUTHN_ORIGINS - comma-separated origins of the frontend (default https://localhost:3000)
+ */
+
+const CHALLENGE_LIFETIME_MS = 5 * 60 * 1000;
+
+/**
+ * Raised when a ceremony cannot be completed
+ */
+export class WebAuthnError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'WebAuthnError';
+    this.status = status;
+  }
+}
+
+class WebAuthnService {
+  constructor() {
+    // Read from the environment on first use (see ensureConfig)
+    this.rpID = null;
+    this.rpName = null;
+    this.origins = null;
+  }
+
+  /**
+   * Load the relying party settings from the environment unless already loaded
+   */
+  ensureConfig() {
+    if (!this.rpID) {
+      this.rpID = process.env.WEBAUTHN_RP_ID || 'localhost';
+      this.rpName = process.env.WEBAUTHN_RP_NAME || process.env.BANK_NAME || 'SecureBank';
+      this.origins = (process.env.WEBAUTHN_ORIGINS || 'https://localhost:3000')
+        .split(',')
+        .map((origin) => origin.trim())
+        .filter(Boolean);
+    }
+  }
+
+  /**
+   * Store a newly issued challenge
+   * @param {string} challenge
+   * @param {string} purpose - 'registration' or 'authentication'
+   * @param {string|null} employeeId
+   * @returns {Promise<void>}
+   */
+  async storeChallenge(challenge, purpose, employeeId = null) {
+    await WebAuthnChallenge.create({
+      challenge,
+      purpose,
+      employeeId,
+      expiresAt: new Date(Date.now() + CHALLENGE_LIFETIME_MS)
+    });
+  }
+
+  /**
+   * Read the challenge a browser response answers (from its clientDataJSON)
+   * @param {Object} response - Credential response as sent by the browser
+   * @returns {string|null}
+   */
+  getResponseChallenge(response) {
+    try {
+      const clientData = JSON.parse(Buffer.from(response.response.clientDataJSON, 'base64url').toString('utf8'));
+      return typeof clientData.challenge === 'string' ? clientData.challenge : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Atomically take the stored challenge a response answers
+   * @param {Object} response - Credential response as sent by the browser
+   * @param {string} purpose
+   * @param {string|null} employeeId - Required owner for registration challenges
+   * @returns {Promise<string>} The challenge
+   * @throws {WebAuthnError} 400 if the challenge is unknown, expired or already used
+   */
+  async consumeChallenge(response, purpose, employeeId = null) {
+    const challenge = this.getResponseChallenge(response);
+    const filter = { challenge, purpose, expiresAt: { $gt: new Date() } };
+    if (employeeId) {
+      filter.employeeId = employeeId;
+    }
+
+    const stored = challenge ? await WebAuthnChallenge.findOneAndDelete(filter) : null;
+
+    if (!stored) {
+      throw new WebAuthnError('Passkey challenge is invalid or has expired. Please try again.');
+    }
+    return challenge;
+  }
+
+  /**
+   * Registration options for an employee adding a passkey
+   * The caller must first have checked the employee's password and
+   * authenticator code again (see routes/employeeAuth.js).
+   * @param {Object} employee - Employee document
+   * @returns {Promise<Object>} PublicKeyCredentialCreationOptions (JSON)
+   */
+  async createRegistrationOptions(employee) {
+    this.ensureConfig();
+    const existing = await WebAuthnCredential.find({ employeeId: employee._id }).select('credentialId transports');
+
+    const options = await generateRegistrationOptions({
+      rpName: this.rpName,
+      rpID: this.rpID,
+      userName: employee.username,
+      userID: Buffer.from(employee._id.toString()),
+      userDisplayName: employee.fullName,
+      attestationType: 'none',
+      // Don't register the same authenticator twice
+      excludeCredentials: existing.map((credential) => ({
+        id: credential.credentialId,
+        transports: credential.transports
+      })),
+      authenticatorSelection: {
+        residentKey: 'required',
+        userVerification: 'required'
+      }
+    });
+
+    await this.storeChallenge(options.challenge, 'registration', employee._id);
+    return options;
+  }
+
+  /**
+   * Verify a registration response and store the new credential
+   * @param {Object} employee - Employee document
+   * @param {Object} response - RegistrationResponseJSON from the browser
+   * @param {string} [name] - Label for the passkey
+   * @returns {Promise<Object>} Saved WebAuthnCredential
+   * @throws {WebAuthnError}
+   */
+  async verifyRegistration(employee, response, name) {
+    this.ensureConfig();
+    const expectedChallenge = await this.consumeChallenge(response, 'registration', employee._id);
+
+    let verification;
+    try {
+      verification = await verifyRegistrationResponse({
+        response,
+        expectedChallenge,
+        expectedOrigin: this.origins,
+        expectedRPID: this.rpID,
+        requireUserVerification: true
+      });
+    } catch (error) {
+      throw new WebAuthnError(`Passkey registration failed: ${error.message}`);
+    }
+
+    if (!verification.verified) {
+      throw new WebAuthnError('Passkey registration could not be verified.');
+    }
+
+    const { credential, credentialDeviceType, credentialBackedUp } = verification.registrationInfo;
+
+    if (await WebAuthnCredential.exists({ credentialId: credential.id })) {
+      throw new WebAuthnError('This passkey is already registered.', 409);
+    }
+
+    return WebAuthnCredential.create({
+      employeeId: employee._id,
+      credentialId: credential.id,
+      publicKey: Buffer.from(credential.publicKey).toString('base64url'),
+      counter: credential.counter,
+      transports: credential.transports || response.response?.transports || [],
+      deviceType: credentialDeviceType,
+      backedUp: credentialBackedUp,
+      name: name || 'Passkey'
+    });
+  }
+
+  /**
+   * Sign-in options
+   * Without a username the browser offers the passkeys it holds for this site
+   * (discoverable credentials), so no account information is revealed.
+   *
+   * @returns {Promise<Object>} PublicKeyCredentialRequestOptions (JSON)
+   */
+  async createAuthenticationOptions() {
+    this.ensureConfig();
+    const options = await generateAuthenticationOptions({
+      rpID: this.rpID,
+      userVerification: 'required'
+    });
+
+    await this.storeChallenge(options.challenge, 'authentication');
+    return options;
+  }
+
+  /**
+   * Verify a sign-in response
+   * @param {Object} response - AuthenticationResponseJSON from the browser
+   * @returns {Promise<{employee: Object, credential: Object}>} Active employee and the credential used
+   * @throws {WebAuthnError} 401 if the passkey is unknown, its employee inactive or locked out
+   *         (see accountLockoutService) or the signature invalid
+   */
+  async verifyAuthentication(response) {
+    this.ensureConfig();
+    const expectedChallenge = await this.consumeChallenge(response, 'authentication');
+
+    const credential = typeof response.id === 'string'
+      ? await WebAuthnCredential.findOne({ credentialId: response.id })
+      : null;
+    const employee = credential
+      ? await Employee.findOne({ _id: credential.employeeId, isActive: true })
+      : null;
+
+    // A locked account gets the same answer as an unknown passkey
+    if (!credential || !employee || accountLockoutService.isLocked(employee)) {
+      throw new WebAuthnError('Passkey not recognised.', 401);
+    }
+
+    let verification;
+    try {
+      verification = await verifyAuthenticationResponse({
+        response,
+        expectedChallenge,
+        expectedOrigin: this.origins,
+        expectedRPID: this.rpID,
+        credential: {
+          id: credential.credentialId,
+          publicKey: Buffer.from(credential.publicKey, 'base64url'),
+          counter: credential.counter,
+          transports: credential.transports
+        },
+        requireUserVerification: true
+      });
+    } catch (error) {
+      // Includes a signature counter that went backwards (cloned authenticator)
+      throw new WebAuthnError(`Passkey sign-in failed: ${error.message}`, 401);
+    }
+
+    if (!verification.verified) {
+      throw new WebAuthnError('Passkey sign-in could not be verified.', 401);
+    }
+
+    await WebAuthnCredential.updateOne(
+      { _id: credential._id },
+      { $set: { counter: verification.authenticationInfo.newCounter, lastUsedAt: new Date() } }
+    );
+
+    return { employee, credential };
+  }
+
+  /**
+   * Passkeys registered by an employee
+   * @param {string} employeeId
+   * @returns {Promise<Object[]>}
+   */
+  async listCredentials(employeeId) {
+    return WebAuthnCredential.find({ employeeId })
+      .select('name transports deviceType backedUp lastUsedAt createdAt')
+      .sort({ createdAt: -1 });
+  }
+
+  /**
+   * Remove one of an employee's passkeys
+   * @param {string} employeeId
+   * @param {string} id - WebAuthnCredential _id
+   * @returns {Promise<boolean>} Whether a passkey was removed
+   */
+  async removeCredential(employeeId, id) {
+    const result = await WebAuthnCredential.deleteOne({ _id: id, employeeId });
+    return result.deletedCount > 0;
+  }
+}
+
+export default new WebAuthnService();
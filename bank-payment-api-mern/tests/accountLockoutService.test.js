@@ -0,0 +1,112 @@
+import { jest } from '@jest/globals';
+import accountLockoutService from '../services/accountLockoutService.js';
+import passwordService from '../services/passwordService.js';
+
+/**
+ * Model stand-in that applies the updates the service makes to one document
+ */
+const createModel = (doc) => ({
+  findOneAndUpdate: jest.fn(async (filter, update) => {
+    doc.failedLoginCount += update.$inc.failedLoginCount;
+    return { failedLoginCount: doc.failedLoginCount };
+  }),
+  updateOne: jest.fn(async (filter, update) => {
+    if (filter.failedLoginCount && doc.failedLoginCount < filter.failedLoginCount.$gte) {
+      return { modifiedCount: 0 };
+    }
+    Object.assign(doc, update.$set);
+    return { modifiedCount: 1 };
+  })
+});
+
+describe('AccountLockoutService', () => {
+  let user;
+  let Model;
+
+  beforeEach(() => {
+    user = { _id: 'user-1', passwordHash: 'hash', passwordSalt: 'salt', failedLoginCount: 0, lockedUntil: null };
+    Model = createModel(user);
+    jest.spyOn(passwordService, 'verifyPassword').mockImplementation(async (password) => password === 'Correct123!');
+    jest.spyOn(passwordService, 'verifyDummy').mockResolvedValue(false);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should sign in with the correct password and clear earlier failures', async () => {
+    user.failedLoginCount = 3;
+
+    const attempt = await accountLockoutService.verifyLogin(Model, user, 'Correct123!');
+
+    expect(attempt).toEqual({ success: true });
+    expect(user.failedLoginCount).toBe(0);
+  });
+
+  test('should lock the account once the limit is reached, and report it only once', async () => {
+    accountLockoutService.ensureConfig();
+    const attempts = [];
+    for (let i = 0; i < accountLockoutService.maxAttempts; i++) {
+      attempts.push(await accountLockoutService.verifyLogin(Model, user, 'Wrong123!'));
+    }
+
+    expect(attempts.slice(0, -1).every((attempt) => !attempt.lockedUntil)).toBe(true);
+    expect(attempts[attempts.length - 1].lockedUntil).toBeInstanceOf(Date);
+    expect(user.lockedUntil.getTime()).toBeGreaterThan(Date.now());
+    expect(user.failedLoginCount).toBe(0);
+  });
+
+  test('should refuse the correct password while locked', async () => {
+    user.lockedUntil = new Date(Date.now() + 60000);
+
+    const attempt = await accountLockoutService.verifyLogin(Model, user, 'Correct123!');
+
+    expect(attempt).toEqual({ success: false, failureReason: 'Account locked' });
+    // The hash is still checked so the response takes as long as any other
+    expect(passwordService.verifyPassword).toHaveBeenCalled();
+    expect(Model.findOneAndUpdate).not.toHaveBeenCalled();
+  });
+
+  test('should allow sign-in again after the lock expires', async () => {
+    user.lockedUntil = new Date(Date.now() - 1000);
+
+    const attempt = await accountLockoutService.verifyLogin(Model, user, 'Correct123!');
+
+    expect(attempt.success).toBe(true);
+    expect(user.lockedUntil).toBeNull();
+  });
+
+  test('should check a dummy hash for unknown accounts', async () => {
+    const attempt = await accountLockoutService.verifyLogin(Model, null, 'Whatever123!');
+
+    expect(attempt).toEqual({ success: false, failureReason: 'Account not found or inactive' });
+    expect(passwordService.verifyDummy).toHaveBeenCalledWith('Whatever123!');
+  });
+
+  test('should unlock a locked account', async () => {
+    user.failedLoginCount = 2;
+    user.lockedUntil = new Date(Date.now() + 60000);
+
+    await expect(accountLockoutService.unlock(Model, user)).resolves.toBe(true);
+    expect(user).toMatchObject({ failedLoginCount: 0, lockedUntil: null });
+    expect(accountLockoutService.isLocked(user)).toBe(false);
+  });
+
+  test('should read the limits from the environment on first use, not at import', async () => {
+    const saved = { ...process.env };
+    try {
+      accountLockoutService.maxAttempts = null;
+      process.env.LOCKOUT_MAX_ATTEMPTS = '2';
+      process.env.LOCKOUT_DURATION_MS = '120000';
+
+      await accountLockoutService.verifyLogin(Model, user, 'Wrong123!');
+      const attempt = await accountLockoutService.verifyLogin(Model, user, 'Wrong123!');
+
+      expect(attempt.lockedUntil.getTime()).toBeGreaterThan(Date.now() + 60000);
+      expect(accountLockoutService.maxAttempts).toBe(2);
+    } finally {
+      process.env = saved;
+      accountLockoutService.maxAttempts = null;
+    }
+  });
+});
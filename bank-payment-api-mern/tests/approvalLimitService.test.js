@@ -0,0 +1,121 @@
+import { jest } from '@jest/globals';
+import Payment from '../models/Payment.js';
+import approvalLimitService, { ApprovalLimitError } from '../services/approvalLimitService.js';
+import { ConcurrentModificationError } from '../services/paymentWorkflowService.js';
+
+/**
+ * Employee document stand-in
+ */
+const createEmployee = (overrides = {}) => ({
+  _id: 'employee-1',
+  username: 'clerk',
+  role: 'Employee',
+  approvalLimits: undefined,
+  save: jest.fn().mockResolvedValue(undefined),
+  ...overrides
+});
+
+describe('ApprovalLimitService', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('getDefaults', () => {
+    test('should read the defaults from the environment on first use', () => {
+      const originalEnv = process.env.APPROVAL_LIMITS_DEFAULT;
+      process.env.APPROVAL_LIMITS_DEFAULT = 'usd:5000, *:1000';
+      approvalLimitService.defaults = null;
+
+      try {
+        expect(approvalLimitService.getDefaults()).toEqual({ USD: 5000, '*': 1000 });
+        expect(approvalLimitService.getLimit(createEmployee(), 'CHF')).toBe(1000);
+      } finally {
+        if (originalEnv === undefined) {
+          delete process.env.APPROVAL_LIMITS_DEFAULT;
+        } else {
+          process.env.APPROVAL_LIMITS_DEFAULT = originalEnv;
+        }
+        approvalLimitService.defaults = null;
+      }
+    });
+  });
+
+  describe('getLimit', () => {
+    test('should prefer the employee limit for the currency, then their wildcard, then the defaults', () => {
+      const employee = createEmployee({ approvalLimits: new Map([['USD', 1000], ['*', 500]]) });
+
+      expect(approvalLimitService.getLimit(employee, 'USD')).toBe(1000);
+      expect(approvalLimitService.getLimit(employee, 'CHF')).toBe(500);
+      expect(approvalLimitService.getLimit(createEmployee(), 'ZAR')).toBe(approvalLimitService.getDefaults().ZAR);
+      expect(approvalLimitService.getLimit(createEmployee(), 'CHF')).toBe(approvalLimitService.getDefaults()['*']);
+    });
+
+    test('should not limit Managers and Admins', () => {
+      const limits = new Map([['USD', 1]]);
+
+      expect(approvalLimitService.getLimit(createEmployee({ role: 'Manager', approvalLimits: limits }), 'USD')).toBe(Infinity);
+      expect(approvalLimitService.getLimit(createEmployee({ role: 'Admin' }), 'USD')).toBe(Infinity);
+    });
+
+    test('should allow payments up to and including the limit', () => {
+      const employee = createEmployee({ approvalLimits: new Map([['USD', 1000]]) });
+
+      expect(approvalLimitService.exceedsLimit(employee, { amount: 1000, currency: 'USD' })).toBe(false);
+      expect(approvalLimitService.exceedsLimit(employee, { amount: 1000.01, currency: 'USD' })).toBe(true);
+    });
+  });
+
+  describe('escalate', () => {
+    const payment = { _id: 'payment-1', status: 'Pending', __v: 2 };
+
+    test('should record the escalation on the version that was read', async () => {
+      jest.spyOn(Payment, 'findOneAndUpdate').mockResolvedValue({ _id: 'payment-1' });
+
+      await approvalLimitService.escalate(payment, createEmployee(), 1000);
+
+      const [filter, update] = Payment.findOneAndUpdate.mock.calls[0];
+      expect(filter).toEqual({ _id: 'payment-1', status: 'Pending', __v: 2, escalatedAt: null });
+      expect(update.$set).toMatchObject({
+        escalatedBy: 'employee-1',
+        escalatedByUsername: 'clerk',
+        escalationLimit: 1000
+      });
+      expect(update.$inc).toEqual({ __v: 1 });
+    });
+
+    test('should fail if the payment changed meanwhile', async () => {
+      jest.spyOn(Payment, 'findOneAndUpdate').mockResolvedValue(null);
+
+      await expect(approvalLimitService.escalate(payment, createEmployee(), 1000))
+        .rejects.toBeInstanceOf(ConcurrentModificationError);
+    });
+  });
+
+  describe('setLimits', () => {
+    test('should set and remove limits, leaving other currencies unchanged', async () => {
+      const employee = createEmployee({ approvalLimits: new Map([['USD', 1000], ['EUR', 900]]) });
+
+      const { previous, current } = await approvalLimitService.setLimits(employee, { usd: 2000, EUR: null, '*': 100 });
+
+      expect(previous).toEqual({ USD: 1000, EUR: 900 });
+      expect(current).toEqual({ USD: 2000, '*': 100 });
+      expect(employee.approvalLimits).toEqual(current);
+      expect(employee.save).toHaveBeenCalled();
+    });
+
+    test('should reject invalid currencies and amounts', async () => {
+      const employee = createEmployee();
+
+      await expect(approvalLimitService.setLimits(employee, { DOLLARS: 100 })).rejects.toThrow('Invalid currency');
+      await expect(approvalLimitService.setLimits(employee, { USD: -1 })).rejects.toThrow('Invalid limit for USD');
+      await expect(approvalLimitService.setLimits(employee, { USD: '100' })).rejects.toThrow('Invalid limit for USD');
+      await expect(approvalLimitService.setLimits(employee, [100])).rejects.toBeInstanceOf(ApprovalLimitError);
+      expect(employee.save).not.toHaveBeenCalled();
+    });
+
+    test('should refuse limits for Managers', async () => {
+      await expect(approvalLimitService.setLimits(createEmployee({ role: 'Manager' }), { USD: 100 }))
+        .rejects.toThrow('Managers have no approval limit.');
+    });
+  });
+});
@@ -0,0 +1,51 @@
+import { jest } from '@jest/globals';
+import request from 'supertest';
+import express from 'express';
+import tokenService from '../services/tokenService.js';
+import tokenRevocationService from '../services/tokenRevocationService.js';
+import { authenticateToken, authenticatePendingPasswordChange } from '../middleware/auth.js';
+
+process.env.JWT_SECRET = 'test_secret_key_for_testing_purposes_only_minimum_64_chars_required';
+
+describe('authenticateToken middleware', () => {
+  const createApp = () => {
+    const app = express();
+    app.get('/payments', authenticateToken, (req, res) => res.json({ success: true }));
+    app.post('/change-password', authenticatePendingPasswordChange, (req, res) => res.json({ success: true }));
+    return app;
+  };
+
+  const bearer = (mustChangePassword) => `Bearer ${tokenService.generateToken({
+    userId: '507f1f77bcf86cd799439011',
+    username: 'testuser',
+    userType: 'customer',
+    mustChangePassword
+  })}`;
+
+  beforeEach(() => {
+    jest.spyOn(tokenRevocationService, 'isRevoked').mockResolvedValue(false);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should refuse other routes while a password change is pending', async () => {
+    const response = await request(createApp()).get('/payments').set('Authorization', bearer(true));
+
+    expect(response.status).toBe(403);
+    expect(response.body.mustChangePassword).toBe(true);
+  });
+
+  test('should still allow changing the password', async () => {
+    const response = await request(createApp()).post('/change-password').set('Authorization', bearer(true));
+
+    expect(response.status).toBe(200);
+  });
+
+  test('should allow every route once the password was changed', async () => {
+    const response = await request(createApp()).get('/payments').set('Authorization', bearer(false));
+
+    expect(response.status).toBe(200);
+  });
+});
@@ -0,0 +1,41 @@
+import { parseCurrencyAmounts, amountForCurrency, minorUnits } from '../utils/currencyAmounts.js';
+
+describe('currencyAmounts', () => {
+  describe('parseCurrencyAmounts', () => {
+    test('should parse currency:amount pairs including a wildcard', () => {
+      expect(parseCurrencyAmounts('usd:5000, EUR:4000,*:1000')).toEqual({
+        USD: 5000,
+        EUR: 4000,
+        '*': 1000
+      });
+    });
+
+    test('should skip malformed entries', () => {
+      expect(parseCurrencyAmounts('USD:abc,EUR:100,GBP,ZAR:,CHF:-5')).toEqual({ EUR: 100 });
+    });
+
+    test('should use a copy of the defaults when nothing is configured', () => {
+      const defaults = { USD: 10000, '*': 10000 };
+      const amounts = parseCurrencyAmounts('', defaults);
+
+      expect(amounts).toEqual(defaults);
+      expect(amounts).not.toBe(defaults);
+    });
+  });
+
+  describe('amountForCurrency', () => {
+    test('should prefer the currency, then the wildcard, then no limit', () => {
+      expect(amountForCurrency({ USD: 100, '*': 50 }, 'USD')).toBe(100);
+      expect(amountForCurrency({ USD: 100, '*': 50 }, 'CHF')).toBe(50);
+      expect(amountForCurrency({ USD: 100 }, 'CHF')).toBe(Infinity);
+      expect(amountForCurrency({ USD: 0, '*': 50 }, 'USD')).toBe(0);
+    });
+  });
+
+  describe('minorUnits', () => {
+    test('should write currencies without minor units as whole amounts', () => {
+      expect(minorUnits('JPY')).toBe(0);
+      expect(minorUnits('USD')).toBe(2);
+    });
+  });
+});
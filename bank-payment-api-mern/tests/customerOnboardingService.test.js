@@ -0,0 +1,134 @@
+import { jest } from '@jest/globals';
+import Customer from '../models/Customer.js';
+import customerOnboardingService, { CustomerOnboardingError } from '../services/customerOnboardingService.js';
+import passwordService from '../services/passwordService.js';
+import passwordResetService from '../services/passwordResetService.js';
+import tokenRevocationService from '../services/tokenRevocationService.js';
+import validator from '../utils/validators.js';
+
+const employee = { userId: 'employee-1', username: 'teller' };
+
+const details = {
+  fullName: 'Thandi Mokoena',
+  idNumber: '9001015009087',
+  accountNumber: '1234567890',
+  username: 'TMokoena'
+};
+
+/**
+ * Customer document stand-in
+ */
+const createCustomer = (overrides = {}) => ({
+  _id: 'customer-1',
+  username: 'tmokoena',
+  isActive: true,
+  save: jest.fn().mockResolvedValue(undefined),
+  ...overrides
+});
+
+/**
+ * Stand-in for Customer.findOne(...).select(...)
+ */
+const mockFindOne = (result) => jest.spyOn(Customer, 'findOne').mockReturnValue({
+  select: jest.fn().mockResolvedValue(result)
+});
+
+describe('CustomerOnboardingService', () => {
+  beforeEach(() => {
+    jest.spyOn(tokenRevocationService, 'revokeAllForUser').mockResolvedValue(1);
+    jest.spyOn(passwordResetService, 'revokeOpen').mockResolvedValue(undefined);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('create', () => {
+    beforeEach(() => {
+      jest.spyOn(Customer, 'create').mockImplementation(async (data) => data);
+      jest.spyOn(passwordService, 'hashPassword').mockResolvedValue({ hash: 'hash', salt: 'salt' });
+    });
+
+    test('should open an account with a temporary password the customer must change', async () => {
+      mockFindOne(null);
+
+      const { customer, temporaryPassword } = await customerOnboardingService.create(details);
+
+      expect(validator.isValidPassword(temporaryPassword)).toBe(true);
+      expect(passwordService.hashPassword).toHaveBeenCalledWith(temporaryPassword);
+      expect(customer).toMatchObject({
+        username: 'tmokoena',
+        accountNumber: '1234567890',
+        passwordHash: 'hash',
+        mustChangePassword: true,
+        isActive: true
+      });
+    });
+
+    test('should reject invalid details before touching the database', async () => {
+      mockFindOne(null);
+
+      await expect(customerOnboardingService.create({ ...details, idNumber: '123' }))
+        .rejects.toThrow('Invalid ID number');
+      await expect(customerOnboardingService.create({ ...details, accountNumber: '12ab' }))
+        .rejects.toThrow('Invalid account number');
+      expect(Customer.findOne).not.toHaveBeenCalled();
+    });
+
+    test('should refuse a taken username', async () => {
+      mockFindOne({ username: 'tmokoena' });
+
+      await expect(customerOnboardingService.create(details)).rejects.toMatchObject({
+        status: 409,
+        message: 'Username already taken. Please choose a different username.'
+      });
+    });
+
+    test('should refuse an ID or account number already on file', async () => {
+      mockFindOne({ username: 'someone_else' });
+
+      const attempt = customerOnboardingService.create(details);
+
+      await expect(attempt).rejects.toBeInstanceOf(CustomerOnboardingError);
+      await expect(attempt).rejects.toThrow('Customer with this ID number or account number already exists.');
+      expect(Customer.create).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('search', () => {
+    test('should search by account number or ID number', async () => {
+      jest.spyOn(Customer, 'find').mockResolvedValue([]);
+
+      await customerOnboardingService.search({ accountNumber: '1234567890' });
+      await customerOnboardingService.search({ idNumber: '9001015009087' });
+
+      expect(Customer.find).toHaveBeenNthCalledWith(1, { accountNumber: '1234567890' });
+      expect(Customer.find).toHaveBeenNthCalledWith(2, { idNumber: '9001015009087' });
+    });
+
+    test('should refuse empty and malformed searches', async () => {
+      await expect(customerOnboardingService.search({})).rejects.toThrow('Search by account number or ID number.');
+      await expect(customerOnboardingService.search({ idNumber: { $ne: null } })).rejects.toThrow('Invalid ID number');
+    });
+  });
+
+  describe('deactivate', () => {
+    test('should deactivate, revoke reset links and end sessions', async () => {
+      const customer = createCustomer();
+
+      await customerOnboardingService.deactivate(customer, employee);
+
+      expect(customer.isActive).toBe(false);
+      expect(customer.save).toHaveBeenCalled();
+      expect(passwordResetService.revokeOpen).toHaveBeenCalledWith('customer-1');
+      expect(tokenRevocationService.revokeAllForUser).toHaveBeenCalledWith(
+        'customer-1', 'customer', { reason: 'deactivated', revokedBy: 'teller' }
+      );
+    });
+
+    test('should refuse an account that is already deactivated', async () => {
+      await expect(customerOnboardingService.deactivate(createCustomer({ isActive: false }), employee))
+        .rejects.toThrow('tmokoena is already deactivated.');
+    });
+  });
+});
@@ -0,0 +1,170 @@
+import { jest } from '@jest/globals';
+import Employee from '../models/Employee.js';
+import employeeManagementService, { EmployeeManagementError } from '../services/employeeManagementService.js';
+import passwordService from '../services/passwordService.js';
+import passwordChangeService from '../services/passwordChangeService.js';
+import accountLockoutService from '../services/accountLockoutService.js';
+import tokenRevocationService from '../services/tokenRevocationService.js';
+import validator from '../utils/validators.js';
+
+const admin = { userId: 'admin-1', username: 'admin' };
+
+/**
+ * Employee document stand-in
+ */
+const createEmployee = (overrides = {}) => ({
+  _id: { toString: () => overrides.id || 'employee-1' },
+  username: 'jdoe',
+  role: 'Employee',
+  isActive: true,
+  save: jest.fn().mockResolvedValue(undefined),
+  ...overrides
+});
+
+describe('EmployeeManagementService', () => {
+  beforeEach(() => {
+    jest.spyOn(tokenRevocationService, 'revokeAllForUser').mockResolvedValue(1);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('create', () => {
+    beforeEach(() => {
+      jest.spyOn(Employee, 'exists').mockResolvedValue(null);
+      jest.spyOn(Employee, 'create').mockImplementation(async (data) => data);
+      jest.spyOn(passwordService, 'hashPassword').mockResolvedValue({ hash: 'hash', salt: 'salt' });
+    });
+
+    test('should create an employee who must change the temporary password', async () => {
+      const { employee, temporaryPassword } = await employeeManagementService.create({
+        fullName: 'Jane Doe',
+        username: 'JDoe',
+        role: 'Manager'
+      });
+
+      expect(validator.isValidPassword(temporaryPassword)).toBe(true);
+      expect(passwordService.hashPassword).toHaveBeenCalledWith(temporaryPassword);
+      expect(employee).toMatchObject({
+        username: 'jdoe',
+        role: 'Manager',
+        passwordHash: 'hash',
+        mustChangePassword: true,
+        isActive: true
+      });
+    });
+
+    test('should reject invalid input and unknown roles', async () => {
+      await expect(employeeManagementService.create({ fullName: 'J', username: 'jdoe' }))
+        .rejects.toThrow('Invalid full name');
+      await expect(employeeManagementService.create({ fullName: 'Jane Doe', username: 'j d' }))
+        .rejects.toThrow('Invalid username');
+      await expect(employeeManagementService.create({ fullName: 'Jane Doe', username: 'jdoe', role: 'Owner' }))
+        .rejects.toThrow('Invalid role');
+      expect(Employee.create).not.toHaveBeenCalled();
+    });
+
+    test('should refuse a username that is taken', async () => {
+      Employee.exists.mockResolvedValue({ _id: 'existing' });
+
+      const attempt = employeeManagementService.create({ fullName: 'Jane Doe', username: 'jdoe' });
+
+      await expect(attempt).rejects.toBeInstanceOf(EmployeeManagementError);
+      await expect(attempt).rejects.toMatchObject({ status: 409 });
+    });
+  });
+
+  describe('changeRole', () => {
+    test('should change the role and end the employee sessions', async () => {
+      const employee = createEmployee();
+
+      const previousRole = await employeeManagementService.changeRole(employee, 'Manager', admin);
+
+      expect(previousRole).toBe('Employee');
+      expect(employee.role).toBe('Manager');
+      expect(employee.save).toHaveBeenCalled();
+      expect(tokenRevocationService.revokeAllForUser).toHaveBeenCalledWith(
+        employee._id, 'employee', { reason: 'role_changed', revokedBy: 'admin' }
+      );
+    });
+
+    test('should not let admins change their own role', async () => {
+      const self = createEmployee({ id: 'admin-1', role: 'Admin' });
+
+      await expect(employeeManagementService.changeRole(self, 'Manager', admin))
+        .rejects.toThrow('You cannot change the role of your own account.');
+    });
+
+    test('should not demote the last active Admin', async () => {
+      jest.spyOn(Employee, 'countDocuments').mockResolvedValue(0);
+      const lastAdmin = createEmployee({ role: 'Admin' });
+
+      await expect(employeeManagementService.changeRole(lastAdmin, 'Employee', admin))
+        .rejects.toMatchObject({ status: 409 });
+      expect(lastAdmin.save).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('setActive', () => {
+    test('should deactivate an employee and end their sessions', async () => {
+      const employee = createEmployee();
+
+      await employeeManagementService.setActive(employee, false, admin);
+
+      expect(employee.isActive).toBe(false);
+      expect(tokenRevocationService.revokeAllForUser).toHaveBeenCalledWith(
+        employee._id, 'employee', { reason: 'deactivated', revokedBy: 'admin' }
+      );
+    });
+
+    test('should reactivate without revoking anything', async () => {
+      const employee = createEmployee({ isActive: false });
+
+      await employeeManagementService.setActive(employee, true, admin);
+
+      expect(employee.isActive).toBe(true);
+      expect(tokenRevocationService.revokeAllForUser).not.toHaveBeenCalled();
+    });
+
+    test('should refuse self-deactivation and no-op changes', async () => {
+      await expect(employeeManagementService.setActive(createEmployee({ id: 'admin-1' }), false, admin))
+        .rejects.toThrow('You cannot deactivate your own account.');
+      await expect(employeeManagementService.setActive(createEmployee(), true, admin))
+        .rejects.toThrow('jdoe is already active.');
+    });
+
+    test('should deactivate an Admin while another Admin remains', async () => {
+      jest.spyOn(Employee, 'countDocuments').mockResolvedValue(1);
+      const employee = createEmployee({ role: 'Admin' });
+
+      await employeeManagementService.setActive(employee, false, admin);
+
+      expect(employee.isActive).toBe(false);
+    });
+  });
+
+  describe('forcePasswordReset', () => {
+    test('should set a temporary password, unlock the account and end sessions', async () => {
+      jest.spyOn(passwordChangeService, 'setPassword').mockResolvedValue(new Date());
+      jest.spyOn(accountLockoutService, 'unlock').mockResolvedValue(true);
+      const employee = createEmployee();
+
+      const temporaryPassword = await employeeManagementService.forcePasswordReset(employee, admin);
+
+      expect(validator.isValidPassword(temporaryPassword)).toBe(true);
+      expect(passwordChangeService.setPassword).toHaveBeenCalledWith(
+        employee, temporaryPassword, { mustChangePassword: true }
+      );
+      expect(accountLockoutService.unlock).toHaveBeenCalledWith(Employee, employee);
+      expect(tokenRevocationService.revokeAllForUser).toHaveBeenCalledWith(
+        employee._id, 'employee', { reason: 'password_reset', revokedBy: 'admin' }
+      );
+    });
+
+    test('should refuse deactivated employees', async () => {
+      await expect(employeeManagementService.forcePasswordReset(createEmployee({ isActive: false }), admin))
+        .rejects.toThrow('Reactivate the employee');
+    });
+  });
+});
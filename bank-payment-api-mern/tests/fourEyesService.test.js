@@ -0,0 +1,73 @@
+import fourEyesService, { FourEyesViolationError } from '../services/fourEyesService.js';
+
+const ALICE = '507f1f77bcf86cd799439011';
+const BOB = '507f1f77bcf86cd799439012';
+
+describe('FourEyesService', () => {
+  describe('getRequiredVerifications', () => {
+    test('should require two verifications above the currency threshold', () => {
+      const threshold = fourEyesService.getThreshold('USD');
+
+      expect(fourEyesService.getRequiredVerifications({ amount: threshold, currency: 'USD' })).toBe(1);
+      expect(fourEyesService.getRequiredVerifications({ amount: threshold + 0.01, currency: 'USD' })).toBe(2);
+    });
+
+    test('should fall back to the wildcard threshold for unlisted currencies', () => {
+      expect(fourEyesService.getThreshold('CHF')).toBe(fourEyesService.getThreshold('*'));
+    });
+
+    test('should read the thresholds from the environment on first use', () => {
+      const originalEnv = process.env.FOUR_EYES_THRESHOLDS;
+      process.env.FOUR_EYES_THRESHOLDS = 'USD:250,*:500';
+      fourEyesService.thresholds = null;
+
+      try {
+        expect(fourEyesService.getThreshold('USD')).toBe(250);
+        expect(fourEyesService.getThreshold('CHF')).toBe(500);
+      } finally {
+        if (originalEnv === undefined) {
+          delete process.env.FOUR_EYES_THRESHOLDS;
+        } else {
+          process.env.FOUR_EYES_THRESHOLDS = originalEnv;
+        }
+        fourEyesService.thresholds = null;
+      }
+    });
+  });
+
+  describe('assertCanVerify', () => {
+    test('should allow a different employee to add a verification', () => {
+      const payment = { _id: 'p1', verifications: [{ employee: ALICE }] };
+      expect(() => fourEyesService.assertCanVerify(payment, BOB)).not.toThrow();
+    });
+
+    test('should refuse a second verification by the same employee', () => {
+      const payment = { _id: 'p1', verifications: [{ employee: ALICE }] };
+      expect(() => fourEyesService.assertCanVerify(payment, ALICE)).toThrow(FourEyesViolationError);
+    });
+  });
+
+  describe('assertCanSubmit', () => {
+    test('should refuse payments the submitter verified', () => {
+      const payments = [
+        { _id: 'p1', verifications: [{ employee: BOB }] },
+        { _id: 'p2', verifications: [], verifiedBy: ALICE } // verified before verifications were tracked
+      ];
+
+      try {
+        fourEyesService.assertCanSubmit(payments, ALICE);
+        throw new Error('expected FourEyesViolationError');
+      } catch (error) {
+        expect(error).toBeInstanceOf(FourEyesViolationError);
+        expect(error.status).toBe(403);
+        expect(error.rule).toBe('separate_submitter');
+        expect(error.details.paymentIds).toEqual(['p2']);
+      }
+    });
+
+    test('should allow payments verified only by others', () => {
+      const payments = [{ _id: 'p1', verifications: [{ employee: BOB }], verifiedBy: BOB }];
+      expect(() => fourEyesService.assertCanSubmit(payments, ALICE)).not.toThrow();
+    });
+  });
+});
@@ -0,0 +1,137 @@
+import crypto from 'crypto';
+
+/**
+ * Software WebAuthn authenticator for tests
+ * Produces registration (attestation "none") and authentication responses
+ * the way a browser with a platform authenticator would, using an ES256 key.
+ */
+
+/**
+ * Minimal CBOR encoder (integers, byte strings, text strings, maps)
+ * @param {*} value
+ * @returns {Buffer}
+ */
+function cbor(value) {
+  const head = (major, length) => {
+    if (length < 24) return Buffer.from([(major << 5) | length]);
+    if (length < 256) return Buffer.from([(major << 5) | 24, length]);
+    const buffer = Buffer.alloc(3);
+    buffer[0] = (major << 5) | 25;
+    buffer.writeUInt16BE(length, 1);
+    return buffer;
+  };
+
+  if (Number.isInteger(value)) {
+    return value >= 0 ? head(0, value) : head(1, -1 - value);
+  }
+  if (Buffer.isBuffer(value)) {
+    return Buffer.concat([head(2, value.length), value]);
+  }
+  if (typeof value === 'string') {
+    const text = Buffer.from(value, 'utf8');
+    return Buffer.concat([head(3, text.length), text]);
+  }
+
+  const entries = value instanceof Map ? [...value.entries()] : Object.entries(value);
+  return Buffer.concat([head(5, entries.length), ...entries.flatMap(([key, item]) => [cbor(key), cbor(item)])]);
+}
+
+const sha256 = (data) => crypto.createHash('sha256').update(data).digest();
+
+// Flags: user present, user verified, attested credential data
+const FLAG_UP = 0x01;
+const FLAG_UV = 0x04;
+const FLAG_AT = 0x40;
+
+export class SoftwareAuthenticator {
+  constructor({ rpID = 'localhost', origin = 'https://localhost:3000', userVerified = true } = {}) {
+    this.rpID = rpID;
+    this.origin = origin;
+    this.userVerified = userVerified;
+    this.counter = 0;
+    this.credentialId = crypto.randomBytes(16);
+    const { privateKey, publicKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+    this.privateKey = privateKey;
+    this.publicJwk = publicKey.export({ format: 'jwk' });
+  }
+
+  get id() {
+    return this.credentialId.toString('base64url');
+  }
+
+  /**
+   * COSE_Key for the public key (EC2, ES256, P-256)
+   * @returns {Buffer}
+   */
+  coseKey() {
+    return cbor(new Map([
+      [1, 2],
+      [3, -7],
+      [-1, 1],
+      [-2, Buffer.from(this.publicJwk.x, 'base64url')],
+      [-3, Buffer.from(this.publicJwk.y, 'base64url')]
+    ]));
+  }
+
+  authenticatorData(flags, attestedCredentialData = Buffer.alloc(0)) {
+    const counter = Buffer.alloc(4);
+    counter.writeUInt32BE(this.counter);
+    const uv = this.userVerified ? FLAG_UV : 0;
+    return Buffer.concat([sha256(this.rpID), Buffer.from([flags | FLAG_UP | uv]), counter, attestedCredentialData]);
+  }
+
+  clientData(type, challenge, origin = this.origin) {
+    return Buffer.from(JSON.stringify({ type, challenge, origin, crossOrigin: false }));
+  }
+
+  /**
+   * Answer registration options (navigator.credentials.create)
+   * @param {Object} options - PublicKeyCredentialCreationOptionsJSON
+   * @returns {Object} RegistrationResponseJSON
+   */
+  register(options, { origin } = {}) {
+    const idLength = Buffer.alloc(2);
+    idLength.writeUInt16BE(this.credentialId.length);
+    const attested = Buffer.concat([Buffer.alloc(16), idLength, this.credentialId, this.coseKey()]);
+    const authData = this.authenticatorData(FLAG_AT, attested);
+
+    return {
+      id: this.id,
+      rawId: this.id,
+      type: 'public-key',
+      response: {
+        clientDataJSON: this.clientData('webauthn.create', options.challenge, origin).toString('base64url'),
+        attestationObject: cbor({ fmt: 'none', attStmt: {}, authData }).toString('base64url'),
+        transports: ['internal']
+      },
+      clientExtensionResults: {},
+      authenticatorAttachment: 'platform'
+    };
+  }
+
+  /**
+   * Answer authentication options (navigator.credentials.get)
+   * @param {Object} options - PublicKeyCredentialRequestOptionsJSON
+   * @returns {Object} AuthenticationResponseJSON
+   */
+  authenticate(options, { origin } = {}) {
+    this.counter += 1;
+    const authData = this.authenticatorData(0);
+    const clientDataJSON = this.clientData('webauthn.get', options.challenge, origin);
+    const signature = crypto.sign('sha256', Buffer.concat([authData, sha256(clientDataJSON)]), this.privateKey);
+
+    return {
+      id: this.id,
+      rawId: this.id,
+      type: 'public-key',
+      response: {
+        clientDataJSON: clientDataJSON.toString('base64url'),
+        authenticatorData: authData.toString('base64url'),
+        signature: signature.toString('base64url'),
+        userHandle: null
+      },
+      clientExtensionResults: {},
+      authenticatorAttachment: 'platform'
+    };
+  }
+}
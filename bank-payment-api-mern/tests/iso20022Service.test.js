@@ -0,0 +1,156 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { validateXML } from 'xmllint-wasm';
+import iso20022Service from '../services/iso20022Service.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// Official message definitions from iso20022.org when ISO20022_SCHEMA_DIR
+// points at them, otherwise the bundled bank profile subsets (schemas/iso20022)
+const schemaDir = process.env.ISO20022_SCHEMA_DIR || path.join(__dirname, '..', 'schemas', 'iso20022');
+
+const loadSchema = (messageType) => ({
+  fileName: `${messageType}.xsd`,
+  contents: fs.readFileSync(path.join(schemaDir, `${messageType}.xsd`), 'utf8')
+});
+
+const validate = async (messageType, xml) => validateXML({
+  xml: [{ fileName: `${messageType}.xml`, contents: xml }],
+  schema: [loadSchema(messageType)]
+});
+
+const customerA = { fullName: 'John Doe', accountNumber: '1234567890' };
+const customerB = { fullName: "Mary O'Brien", accountNumber: '1122334455' };
+
+const payments = [
+  {
+    _id: '507f1f77bcf86cd799439011',
+    customerId: customerA,
+    customerUsername: 'johndoe',
+    amount: 1500.5,
+    currency: 'USD',
+    payeeFullName: 'Jane Smith',
+    payeeAccountNumber: '9876543210',
+    payeeBankName: 'Chase Bank',
+    swiftCode: 'CHASUS33',
+    swiftMessage: {
+      reference: 'CD799439011ABCDE',
+      uetr: '8a562c67-ca16-48ba-b074-65581be6f001'
+    }
+  },
+  {
+    _id: '507f1f77bcf86cd799439012',
+    customerId: customerB,
+    customerUsername: 'mary',
+    amount: 250000,
+    currency: 'JPY',
+    payeeFullName: 'Taro Yamada & Sons',
+    payeeAccountNumber: '5555666677',
+    payeeBankName: 'Mizuho Bank',
+    swiftCode: 'MHCBJPJTXXX'
+  },
+  {
+    _id: '507f1f77bcf86cd799439013',
+    customerId: customerA,
+    customerUsername: 'johndoe',
+    amount: 0.1,
+    currency: 'EUR',
+    payeeFullName: 'Hans Mueller',
+    payeeAccountNumber: '4444333322',
+    payeeBankName: 'Deutsche Bank',
+    swiftCode: 'DEUTDEFF'
+  }
+];
+
+const options = {
+  messageId: 'SB20240315120000A1B2',
+  createdAt: new Date(Date.UTC(2024, 2, 15, 12, 0, 0))
+};
+
+describe('Iso20022Service', () => {
+  describe('buildPacs008', () => {
+    const xml = iso20022Service.buildPacs008(payments, options);
+
+    test('should be valid against the bundled pacs.008.001.08 schema', async () => {
+      const result = await validate('pacs.008.001.08', xml);
+      expect(result.errors).toEqual([]);
+      expect(result.valid).toBe(true);
+    });
+
+    test('should include a group header with message id, count and control sum', () => {
+      expect(xml).toContain('<MsgId>SB20240315120000A1B2</MsgId>');
+      expect(xml).toContain('<CreDtTm>2024-03-15T12:00:00Z</CreDtTm>');
+      expect(xml).toContain('<NbOfTxs>3</NbOfTxs>');
+      expect(xml).toContain('<CtrlSum>251500.60</CtrlSum>');
+    });
+
+    test('should include one CdtTrfTxInf per payment', () => {
+      expect(xml.match(/<CdtTrfTxInf>/g)).toHaveLength(3);
+    });
+
+    test('should reuse the MT103 reference and UETR', () => {
+      expect(xml).toContain('<EndToEndId>CD799439011ABCDE</EndToEndId>');
+      expect(xml).toContain('<UETR>8a562c67-ca16-48ba-b074-65581be6f001</UETR>');
+    });
+
+    test('should respect currency minor units and escape text', () => {
+      expect(xml).toContain('<IntrBkSttlmAmt Ccy="JPY">250000</IntrBkSttlmAmt>');
+      expect(xml).toContain('<Nm>Taro Yamada &amp; Sons</Nm>');
+    });
+  });
+
+  describe('buildPain001', () => {
+    const xml = iso20022Service.buildPain001(payments, options);
+
+    test('should be valid against the bundled pain.001.001.09 schema', async () => {
+      const result = await validate('pain.001.001.09', xml);
+      expect(result.errors).toEqual([]);
+      expect(result.valid).toBe(true);
+    });
+
+    test('should group transactions into one PmtInf per debtor', () => {
+      expect(xml.match(/<PmtInf>/g)).toHaveLength(2);
+      expect(xml.match(/<CdtTrfTxInf>/g)).toHaveLength(3);
+      expect(xml).toContain('<PmtInfId>SB20240315120000A1B2-1</PmtInfId>');
+      expect(xml).toContain('<CtrlSum>1500.60</CtrlSum>');
+    });
+  });
+
+  describe('schema validation', () => {
+    test('should reject a document that breaks the schema', async () => {
+      const xml = iso20022Service.buildPacs008(payments, options)
+        .replace('<ChrgBr>SHAR</ChrgBr>', '<ChrgBr>NONE</ChrgBr>');
+
+      const result = await validate('pacs.008.001.08', xml);
+      expect(result.valid).toBe(false);
+    });
+  });
+
+  describe('buildDocument', () => {
+    test('should reject unsupported message types', () => {
+      expect(() => iso20022Service.buildDocument('pacs.009.001.08', payments, options)).toThrow();
+    });
+  });
+
+  describe('generateMessageId', () => {
+    test('should generate a valid, schema-compliant message id', () => {
+      const messageId = iso20022Service.generateMessageId(new Date(Date.UTC(2024, 2, 15, 12, 0, 0)));
+      expect(messageId).toMatch(/^SB20240315120000[A-F0-9]{6}$/);
+      expect(messageId.length).toBeLessThanOrEqual(35);
+    });
+  });
+
+  describe('computeControlSum', () => {
+    test('should sum amounts without floating point drift', () => {
+      expect(iso20022Service.computeControlSum([{ amount: 0.1 }, { amount: 0.2 }])).toBe('0.30');
+    });
+
+    test('should add amounts as written for currencies without minor units', () => {
+      const payments = [{ amount: 1000.5, currency: 'JPY' }, { amount: 0.1, currency: 'USD' }];
+
+      expect(iso20022Service.formatAmount(1000.5, 'JPY')).toBe('1001');
+      expect(iso20022Service.computeControlSum(payments)).toBe('1001.10');
+    });
+  });
+});
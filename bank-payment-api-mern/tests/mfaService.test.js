@@ -0,0 +1,153 @@
+import { jest } from '@jest/globals';
+import Employee from '../models/Employee.js';
+import encryptionService from '../services/encryptionService.js';
+import totpService from '../services/totpService.js';
+import mfaService, { MfaError } from '../services/mfaService.js';
+
+const SECRET = 'JBSWY3DPEHPK3PXP';
+
+const user = (overrides = {}) => ({
+  _id: '507f1f77bcf86cd799439011',
+  username: 'jdoe',
+  mfaEnabled: false,
+  mfaSecret: null,
+  mfaPendingSecret: null,
+  mfaLastUsedStep: null,
+  mfaRecoveryCodes: [],
+  save: jest.fn().mockResolvedValue(undefined),
+  ...overrides
+});
+
+describe('MfaService', () => {
+  beforeEach(() => {
+    jest.spyOn(encryptionService, 'encrypt').mockImplementation((value) => `enc:${value}`);
+    jest.spyOn(encryptionService, 'decrypt').mockImplementation((value) => value.replace(/^enc:/, ''));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('getChallengePurpose', () => {
+    test('should require enrolled users to verify a code', () => {
+      expect(mfaService.getChallengePurpose(user({ mfaEnabled: true }), 'customer')).toBe('verify');
+      expect(mfaService.getChallengePurpose(user({ mfaEnabled: true }), 'employee')).toBe('verify');
+    });
+
+    test('should force employees to enrol and leave customers optional', () => {
+      expect(mfaService.getChallengePurpose(user(), 'employee')).toBe('enrol');
+      expect(mfaService.getChallengePurpose(user(), 'customer')).toBeNull();
+    });
+  });
+
+  describe('generateRecoveryCodes', () => {
+    test('should generate ten unique codes stored only as hashes', () => {
+      const { codes, records } = mfaService.generateRecoveryCodes();
+
+      expect(codes).toHaveLength(10);
+      expect(new Set(codes).size).toBe(10);
+      codes.forEach((code) => expect(code).toMatch(/^[a-f0-9]{4}(-[a-f0-9]{4}){3}$/));
+      expect(records[0]).toEqual({ codeHash: mfaService.hashRecoveryCode(codes[0]), usedAt: null });
+      expect(records[0].codeHash).not.toContain(codes[0]);
+    });
+
+    test('should hash codes regardless of case and dashes', () => {
+      expect(mfaService.hashRecoveryCode('ABCD-1234-EF56-7890'))
+        .toBe(mfaService.hashRecoveryCode('abcd1234ef567890'));
+    });
+  });
+
+  describe('startEnrolment', () => {
+    test('should store an encrypted pending secret and return the otpauth URI', async () => {
+      const account = user();
+
+      const { secret, otpauthUri } = await mfaService.startEnrolment(account);
+
+      expect(account.mfaPendingSecret).toBe(`enc:${secret}`);
+      expect(account.mfaEnabled).toBe(false);
+      expect(otpauthUri).toContain(`secret=${secret}`);
+      expect(account.save).toHaveBeenCalled();
+    });
+
+    test('should refuse when MFA is already enabled', async () => {
+      await expect(mfaService.startEnrolment(user({ mfaEnabled: true })))
+        .rejects.toMatchObject({ name: 'MfaError', status: 409 });
+    });
+  });
+
+  describe('confirmEnrolment', () => {
+    test('should enable MFA and return recovery codes for a valid code', async () => {
+      const account = user({ mfaPendingSecret: `enc:${SECRET}` });
+
+      const codes = await mfaService.confirmEnrolment(account, totpService.generateCode(SECRET));
+
+      expect(codes).toHaveLength(10);
+      expect(account.mfaEnabled).toBe(true);
+      expect(account.mfaSecret).toBe(`enc:${SECRET}`);
+      expect(account.mfaPendingSecret).toBeNull();
+      expect(account.mfaLastUsedStep).toBe(totpService.getTimeStep());
+      expect(account.mfaRecoveryCodes).toHaveLength(10);
+    });
+
+    test('should reject a wrong code and keep MFA off', async () => {
+      const account = user({ mfaPendingSecret: `enc:${SECRET}` });
+      const wrong = totpService.generateCode(SECRET, Date.now() - 10 * 60 * 1000);
+
+      await expect(mfaService.confirmEnrolment(account, wrong)).rejects.toThrow(MfaError);
+      expect(account.mfaEnabled).toBe(false);
+      expect(account.save).not.toHaveBeenCalled();
+    });
+
+    test('should refuse when no enrolment was started', async () => {
+      await expect(mfaService.confirmEnrolment(user(), '123456'))
+        .rejects.toMatchObject({ status: 409 });
+    });
+  });
+
+  describe('verify', () => {
+    const enrolled = () => user({ mfaEnabled: true, mfaSecret: `enc:${SECRET}` });
+
+    test('should accept a current code and consume its time step', async () => {
+      const updateOne = jest.spyOn(Employee, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+
+      const method = await mfaService.verify(enrolled(), 'employee', { code: totpService.generateCode(SECRET) });
+
+      expect(method).toBe('totp');
+      expect(updateOne.mock.calls[0][1]).toEqual({ $set: { mfaLastUsedStep: totpService.getTimeStep() } });
+    });
+
+    test('should reject a code whose step was consumed concurrently', async () => {
+      jest.spyOn(Employee, 'updateOne').mockResolvedValue({ modifiedCount: 0 });
+
+      await expect(mfaService.verify(enrolled(), 'employee', { code: totpService.generateCode(SECRET) }))
+        .rejects.toThrow('Invalid verification code.');
+    });
+
+    test('should reject a wrong code without touching the database', async () => {
+      const updateOne = jest.spyOn(Employee, 'updateOne');
+      const wrong = totpService.generateCode(SECRET, Date.now() - 10 * 60 * 1000);
+
+      await expect(mfaService.verify(enrolled(), 'employee', { code: wrong })).rejects.toThrow(MfaError);
+      expect(updateOne).not.toHaveBeenCalled();
+    });
+
+    test('should consume an unused recovery code', async () => {
+      const updateOne = jest.spyOn(Employee, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+
+      const method = await mfaService.verify(enrolled(), 'employee', { recoveryCode: 'ABCD-1234-EF56-7890' });
+
+      expect(method).toBe('recovery_code');
+      expect(updateOne.mock.calls[0][0].mfaRecoveryCodes.$elemMatch).toEqual({
+        codeHash: mfaService.hashRecoveryCode('abcd1234ef567890'),
+        usedAt: null
+      });
+    });
+
+    test('should reject an unknown or used recovery code', async () => {
+      jest.spyOn(Employee, 'updateOne').mockResolvedValue({ modifiedCount: 0 });
+
+      await expect(mfaService.verify(enrolled(), 'employee', { recoveryCode: 'abcd-1234-ef56-7890' }))
+        .rejects.toMatchObject({ status: 400 });
+    });
+  });
+});
@@ -0,0 +1,89 @@
+import mt103Service from '../services/mt103Service.js';
+
+const payment = {
+  _id: '507f1f77bcf86cd799439011',
+  amount: 1500.5,
+  currency: 'USD',
+  payeeFullName: 'Jane Smith',
+  payeeAccountNumber: '9876543210',
+  payeeBankName: 'Chase Bank',
+  swiftCode: 'CHASUS33'
+};
+
+const customer = {
+  fullName: 'John Doe',
+  accountNumber: '1234567890'
+};
+
+const valueDate = new Date(Date.UTC(2024, 2, 15));
+const uetr = '8a562c67-ca16-48ba-b074-65581be6f001';
+
+describe('Mt103Service', () => {
+  describe('buildMessage', () => {
+    const { content, reference, checksum } = mt103Service.buildMessage(payment, customer, { valueDate, uetr });
+
+    test('should produce blocks 1 to 5 in order', () => {
+      expect(content).toMatch(/^\{1:F01[A-Z0-9]{12}0000000000\}\{2:I103[A-Z0-9]{12}N\}\{3:\{121:[0-9a-f-]{36}\}\}\{4:\r\n[\s\S]*\r\n-\}\{5:\{CHK:[0-9A-F]{12}\}\}$/);
+    });
+
+    test('should address the beneficiary bank in block 2', () => {
+      expect(content).toContain('{2:I103CHASUS33XXXXN}');
+    });
+
+    test('should include the UETR in block 3', () => {
+      expect(content).toContain(`{3:{121:${uetr}}}`);
+    });
+
+    test('should use a 16x field 20 reference', () => {
+      expect(reference).toHaveLength(16);
+      expect(content).toContain(`:20:${reference}\r\n`);
+    });
+
+    test('should format field 32A as value date, currency and amount', () => {
+      expect(content).toContain(':32A:240315USD1500,50\r\n');
+    });
+
+    test('should include ordering customer and beneficiary', () => {
+      expect(content).toContain(':50K:/1234567890\r\nJohn Doe\r\n');
+      expect(content).toContain(':57A:CHASUS33\r\n');
+      expect(content).toContain(':59:/9876543210\r\nJane Smith Chase Bank\r\n');
+    });
+
+    test('should compute the trailer checksum from blocks 1-4', () => {
+      const body = content.substring(0, content.indexOf('{5:'));
+      expect(checksum).toBe(mt103Service.computeChecksum(body));
+    });
+
+    test('should require the ordering customer account', () => {
+      expect(() => mt103Service.buildMessage(payment, null)).toThrow();
+    });
+  });
+
+  describe('formatAmount', () => {
+    test('should use comma decimal separator', () => {
+      expect(mt103Service.formatAmount(100, 'EUR')).toBe('100,00');
+    });
+
+    test('should omit decimals for zero-decimal currencies', () => {
+      expect(mt103Service.formatAmount(5000, 'JPY')).toBe('5000,');
+    });
+  });
+
+  describe('toLogicalTerminal', () => {
+    test('should pad BIC8 with XXX branch', () => {
+      expect(mt103Service.toLogicalTerminal('CHASUS33', 'A')).toBe('CHASUS33AXXX');
+    });
+
+    test('should keep BIC11 branch code', () => {
+      expect(mt103Service.toLogicalTerminal('CHASUS33NYC', 'X')).toBe('CHASUS33XNYC');
+    });
+  });
+
+  describe('wrapLines', () => {
+    test('should split into 35 character lines and strip invalid characters', () => {
+      const lines = mt103Service.wrapLines(`${'A'.repeat(40)} <b>&`, 3);
+      expect(lines[0]).toHaveLength(35);
+      lines.forEach((line) => expect(line).toMatch(/^[a-zA-Z0-9/\-?:().,'+ ]*$/));
+    });
+  });
+});
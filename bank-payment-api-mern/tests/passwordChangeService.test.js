@@ -0,0 +1,74 @@
+import { jest } from '@jest/globals';
+import passwordService from '../services/passwordService.js';
+import passwordChangeService, { PasswordChangeError } from '../services/passwordChangeService.js';
+
+const createUser = async (password) => {
+  const { hash, salt } = await passwordService.hashPassword(password);
+  return {
+    username: 'jane_doe',
+    passwordHash: hash,
+    passwordSalt: salt,
+    passwordHistory: [],
+    passwordChangedAt: null,
+    mustChangePassword: true,
+    save: jest.fn().mockResolvedValue(undefined)
+  };
+};
+
+describe('PasswordChangeService', () => {
+  const originalHistorySize = passwordChangeService.historySize;
+
+  beforeEach(() => {
+    passwordChangeService.historySize = 3;
+  });
+
+  afterEach(() => {
+    passwordChangeService.historySize = originalHistorySize;
+    jest.restoreAllMocks();
+  });
+
+  test('should replace the password and clear the forced-change flag', async () => {
+    const user = await createUser('TempPass123!');
+
+    const changedAt = await passwordChangeService.change(user, 'TempPass123!', 'NewSecure456@');
+
+    expect(user.save).toHaveBeenCalled();
+    expect(user.mustChangePassword).toBe(false);
+    expect(user.passwordChangedAt).toBe(changedAt);
+    await expect(passwordService.verifyPassword('NewSecure456@', user.passwordHash, user.passwordSalt)).resolves.toBe(true);
+    expect(user.passwordHistory).toHaveLength(1);
+  });
+
+  test('should refuse a wrong current password', async () => {
+    const user = await createUser('TempPass123!');
+
+    await expect(passwordChangeService.change(user, 'WrongPass123!', 'NewSecure456@'))
+      .rejects.toThrow('Current password is incorrect.');
+    expect(user.save).not.toHaveBeenCalled();
+  });
+
+  test('should refuse a password that breaks the policy', async () => {
+    const user = await createUser('TempPass123!');
+
+    await expect(passwordChangeService.change(user, 'TempPass123!', 'weak'))
+      .rejects.toBeInstanceOf(PasswordChangeError);
+  });
+
+  test('should refuse the current and recent passwords but allow older ones', async () => {
+    const user = await createUser('First123!pass');
+
+    await passwordChangeService.change(user, 'First123!pass', 'Second123!pass');
+    await passwordChangeService.change(user, 'Second123!pass', 'Third123!pass');
+
+    await expect(passwordChangeService.change(user, 'Third123!pass', 'Third123!pass'))
+      .rejects.toThrow(/last 3 passwords/);
+    await expect(passwordChangeService.change(user, 'Third123!pass', 'First123!pass'))
+      .rejects.toThrow(/last 3 passwords/);
+
+    await passwordChangeService.change(user, 'Third123!pass', 'Fourth123!pass');
+    expect(user.passwordHistory).toHaveLength(2);
+
+    // First password has dropped out of the last three
+    await expect(passwordChangeService.change(user, 'Fourth123!pass', 'First123!pass')).resolves.toBeInstanceOf(Date);
+  });
+});
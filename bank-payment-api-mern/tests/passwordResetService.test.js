@@ -0,0 +1,218 @@
+import { jest } from '@jest/globals';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import Customer from '../models/Customer.js';
+import PasswordReset from '../models/PasswordReset.js';
+import passwordResetService, { PasswordResetError } from '../services/passwordResetService.js';
+import passwordChangeService, { PasswordChangeError } from '../services/passwordChangeService.js';
+import notificationService from '../services/notificationService.js';
+import tokenRevocationService from '../services/tokenRevocationService.js';
+import OutboxNotifier from '../services/outboxNotifier.js';
+
+const customer = {
+  _id: '507f1f77bcf86cd799439011',
+  username: 'jane_doe',
+  accountNumber: '1234567890'
+};
+const employee = { userId: '507f1f77bcf86cd799439012', username: 'teller_1' };
+
+/**
+ * Notifier that keeps sent messages in memory
+ */
+class MemoryNotifier {
+  constructor() {
+    this.name = 'memory';
+    this.messages = [];
+  }
+
+  async send(message) {
+    this.messages.push(message);
+    return { reference: `MEM-${this.messages.length}` };
+  }
+}
+
+const tokenFrom = (message) => message.text.match(/#token=([a-f0-9]{64})/)[1];
+
+describe('PasswordResetService', () => {
+  let notifier;
+  let created;
+
+  beforeEach(() => {
+    notifier = new MemoryNotifier();
+    notificationService.setNotifier(notifier);
+
+    created = null;
+    jest.spyOn(PasswordReset, 'updateMany').mockResolvedValue({ modifiedCount: 0 });
+    jest.spyOn(PasswordReset, 'create').mockImplementation(async (data) => {
+      created = { _id: 'reset-1', usedAt: null, revokedAt: null, ...data };
+      return created;
+    });
+  });
+
+  afterEach(() => {
+    notificationService.setNotifier(null);
+    jest.restoreAllMocks();
+  });
+
+  describe('initiate', () => {
+    test('should store only a hash of the token and send the link to the customer', async () => {
+      const result = await passwordResetService.initiate(customer, employee);
+
+      expect(notifier.messages).toHaveLength(1);
+      const token = tokenFrom(notifier.messages[0]);
+
+      expect(created.tokenHash).toBe(passwordResetService.hashToken(token));
+      expect(created.tokenHash).not.toBe(token);
+      expect(created.initiatedByUsername).toBe('teller_1');
+      expect(notifier.messages[0].recipient.username).toBe('jane_doe');
+      expect(result).toMatchObject({ notifier: 'memory', reference: 'MEM-1' });
+      expect(result.expiresAt.getTime()).toBeGreaterThan(Date.now());
+    });
+
+    test('should revoke earlier open resets for the customer', async () => {
+      await passwordResetService.initiate(customer, employee);
+
+      expect(PasswordReset.updateMany).toHaveBeenCalledWith(
+        { customerId: customer._id, usedAt: null, revokedAt: null },
+        { $set: { revokedAt: expect.any(Date) } }
+      );
+    });
+
+    test('should revoke the reset when the link cannot be delivered', async () => {
+      notifier.send = async () => {
+        throw new Error('mailbox unavailable');
+      };
+      const updateOne = jest.spyOn(PasswordReset, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+
+      await expect(passwordResetService.initiate(customer, employee)).rejects.toMatchObject({
+        name: 'PasswordResetError',
+        status: 502
+      });
+      expect(updateOne).toHaveBeenCalledWith({ _id: 'reset-1' }, { $set: { revokedAt: expect.any(Date) } });
+    });
+  });
+
+  describe('complete', () => {
+    let token;
+
+    beforeEach(async () => {
+      await passwordResetService.initiate(customer, employee);
+      token = tokenFrom(notifier.messages[0]);
+
+      jest.spyOn(PasswordReset, 'findOne').mockImplementation(async (filter) => (
+        filter.tokenHash === created.tokenHash && !created.usedAt ? created : null
+      ));
+      jest.spyOn(Customer, 'findOne').mockReturnValue({ select: async () => customer });
+      jest.spyOn(PasswordReset, 'findOneAndUpdate').mockImplementation(async () => {
+        if (created.usedAt) return null;
+        created.usedAt = new Date();
+        return created;
+      });
+      jest.spyOn(passwordChangeService, 'assertAllowed').mockResolvedValue(undefined);
+      jest.spyOn(passwordChangeService, 'setPassword').mockResolvedValue(new Date());
+      jest.spyOn(tokenRevocationService, 'revokeAllForUser').mockResolvedValue(2);
+    });
+
+    test('should set the new password and revoke every session', async () => {
+      const result = await passwordResetService.complete(token, 'NewSecure456@');
+
+      expect(passwordChangeService.setPassword).toHaveBeenCalledWith(customer, 'NewSecure456@');
+      expect(tokenRevocationService.revokeAllForUser).toHaveBeenCalledWith(customer._id, 'customer', {
+        reason: 'password_reset',
+        revokedBy: 'teller_1'
+      });
+      expect(result.revokedSessions).toBe(2);
+    });
+
+    test('should accept a token only once', async () => {
+      await passwordResetService.complete(token, 'NewSecure456@');
+
+      await expect(passwordResetService.complete(token, 'Another789#pass')).rejects.toThrow(PasswordResetError);
+      expect(passwordChangeService.setPassword).toHaveBeenCalledTimes(1);
+    });
+
+    test('should keep the token usable when the new password is refused', async () => {
+      passwordChangeService.assertAllowed.mockRejectedValueOnce(new PasswordChangeError('New password must differ'));
+
+      await expect(passwordResetService.complete(token, 'Old123!pass')).rejects.toThrow(PasswordChangeError);
+      expect(created.usedAt).toBeNull();
+
+      await expect(passwordResetService.complete(token, 'NewSecure456@')).resolves.toBeDefined();
+    });
+
+    test('should refuse malformed and unknown tokens', async () => {
+      await expect(passwordResetService.complete({ $ne: null }, 'NewSecure456@')).rejects.toThrow(PasswordResetError);
+      await expect(passwordResetService.complete('0'.repeat(64), 'NewSecure456@')).rejects.toThrow(PasswordResetError);
+      expect(PasswordReset.findOne).toHaveBeenCalledTimes(1);
+    });
+  });
+});
+
+describe('OutboxNotifier', () => {
+  test('should append each message to the outbox file', async () => {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'outbox-'));
+    const outbox = new OutboxNotifier({ dir, console: false });
+
+    try {
+      const { reference } = await outbox.send({ recipient: { username: 'jane_doe' }, subject: 'Hello', text: 'First' });
+      await outbox.send({ recipient: { username: 'jane_doe' }, subject: 'Hello', text: 'Second' });
+
+      const lines = (await fs.readFile(path.join(dir, 'outbox.jsonl'), 'utf8')).trim().split('\n').map(JSON.parse);
+      expect(lines.map((line) => line.text)).toEqual(['First', 'Second']);
+      expect(lines[0].reference).toBe(reference);
+    } finally {
+      await fs.rm(dir, { recursive: true, force: true });
+    }
+  });
+
+  test('should not write message bodies to the console', async () => {
+    const log = jest.spyOn(console, 'log').mockImplementation(() => {});
+    const outbox = new OutboxNotifier();
+
+    try {
+      await outbox.send({ recipient: { username: 'jane_doe' }, subject: 'Hello', text: 'https://bank.test/reset?token=secret' });
+
+      expect(log).toHaveBeenCalledWith(expect.stringContaining('Hello'));
+      expect(log.mock.calls.flat().join('\n')).not.toContain('secret');
+    } finally {
+      log.mockRestore();
+    }
+  });
+});
+
+describe('NotificationService', () => {
+  const originalEnv = { NOTIFIER: process.env.NOTIFIER, NODE_ENV: process.env.NODE_ENV };
+
+  afterEach(() => {
+    Object.entries(originalEnv).forEach(([key, value]) => {
+      if (value === undefined) {
+        delete process.env[key];
+      } else {
+        process.env[key] = value;
+      }
+    });
+    notificationService.setNotifier(null);
+  });
+
+  test('should refuse to send without a configured notifier', async () => {
+    delete process.env.NOTIFIER;
+
+    await expect(notificationService.send({ recipient: customer, subject: 'Hello', text: 'Hi' }))
+      .rejects.toThrow('No notifier configured');
+  });
+
+  test('should refuse the outbox notifier in production', () => {
+    process.env.NOTIFIER = 'outbox';
+    process.env.NODE_ENV = 'production';
+
+    expect(() => notificationService.getNotifier()).toThrow('cannot be used in production');
+  });
+
+  test('should create the configured notifier', () => {
+    process.env.NOTIFIER = 'outbox';
+    process.env.NODE_ENV = 'development';
+
+    expect(notificationService.getNotifier()).toBeInstanceOf(OutboxNotifier);
+  });
+});
@@ -1,4 +1,15 @@
+import { jest } from '@jest/globals';
+import bcrypt from 'bcrypt';
+import crypto from 'crypto';
 import passwordService from '../services/passwordService.js';
+import validator from '../utils/validators.js';
+
+// Hash in the format used before Argon2id: bcrypt of password + custom salt
+const legacyHash = async (password) => {
+  const salt = crypto.randomBytes(32).toString('base64');
+  const hash = await bcrypt.hash(password + salt, 4);
+  return { hash, salt };
+};
 
 describe('PasswordService', () => {
   describe('hashPassword', () => {
@@ -61,17 +72,144 @@ describe('PasswordService', () => {
       expect(result).toBe(false);
     });
 
-    test('should return false for invalid salt', async () => {
+    test('should return false for an unknown pepper', async () => {
       const password = 'SecurePass123!';
-      const { hash } = await passwordService.hashPassword(password);
-      const invalidSalt = 'InvalidSalt';
+      const { hash, salt } = await passwordService.hashPassword(password);
+      const unknownPepper = hash.replace(/^argon2id:[^:]+:/, 'argon2id:missing:');
 
-      const result = await passwordService.verifyPassword(password, hash, invalidSalt);
+      const result = await passwordService.verifyPassword(password, unknownPepper, salt);
 
       expect(result).toBe(false);
     });
   });
 
+  describe('legacy bcrypt hashes', () => {
+    test('should verify the correct password', async () => {
+      const { hash, salt } = await legacyHash('SecurePass123!');
+
+      await expect(passwordService.verifyPassword('SecurePass123!', hash, salt)).resolves.toBe(true);
+      await expect(passwordService.verifyPassword('WrongPassword!', hash, salt)).resolves.toBe(false);
+    });
+
+    test('should return false for invalid salt', async () => {
+      const { hash } = await legacyHash('SecurePass123!');
+
+      const result = await passwordService.verifyPassword('SecurePass123!', hash, 'InvalidSalt');
+
+      expect(result).toBe(false);
+    });
+
+    test('should always need a rehash', async () => {
+      const { hash } = await legacyHash('SecurePass123!');
+
+      expect(passwordService.needsRehash(hash)).toBe(true);
+    });
+  });
+
+  describe('pepper rotation', () => {
+    const originalPeppers = { peppers: passwordService.peppers, currentPepperId: passwordService.currentPepperId };
+
+    afterEach(() => {
+      Object.assign(passwordService, originalPeppers);
+    });
+
+    test('should tag new hashes with the algorithm and current pepper', async () => {
+      passwordService.configurePeppers({ PASSWORD_PEPPERS: 'v1:first-secret,v2:second-secret' });
+
+      const { hash } = await passwordService.hashPassword('SecurePass123!');
+
+      expect(passwordService.currentPepperId).toBe('v2');
+      expect(hash).toMatch(/^argon2id:v2:\$argon2id\$/);
+      expect(passwordService.needsRehash(hash)).toBe(false);
+    });
+
+    test('should verify hashes made with an older pepper and flag them for rehash', async () => {
+      passwordService.configurePeppers({ PASSWORD_PEPPERS: 'v1:first-secret' });
+      const { hash, salt } = await passwordService.hashPassword('SecurePass123!');
+
+      passwordService.configurePeppers({ PASSWORD_PEPPERS: 'v1:first-secret,v2:second-secret' });
+
+      await expect(passwordService.verifyPassword('SecurePass123!', hash, salt)).resolves.toBe(true);
+      expect(passwordService.needsRehash(hash)).toBe(true);
+    });
+
+    test('should honour PASSWORD_PEPPER_ID and the single PASSWORD_PEPPER fallback', () => {
+      passwordService.configurePeppers({ PASSWORD_PEPPERS: 'v1:first-secret,v2:second-secret', PASSWORD_PEPPER_ID: 'v1' });
+      expect(passwordService.currentPepperId).toBe('v1');
+
+      passwordService.configurePeppers({ PASSWORD_PEPPER: 'only-secret' });
+      expect(passwordService.currentPepperId).toBe('1');
+
+      passwordService.configurePeppers({});
+      expect(passwordService.currentPepperId).toBe('0');
+    });
+
+    test('should load the peppers from the environment on first use', async () => {
+      const originalEnv = process.env.PASSWORD_PEPPERS;
+      process.env.PASSWORD_PEPPERS = 'v1:first-secret,v2:second-secret';
+      passwordService.peppers = null;
+
+      try {
+        const { hash } = await passwordService.hashPassword('SecurePass123!');
+        expect(hash).toMatch(/^argon2id:v2:/);
+      } finally {
+        if (originalEnv === undefined) {
+          delete process.env.PASSWORD_PEPPERS;
+        } else {
+          process.env.PASSWORD_PEPPERS = originalEnv;
+        }
+      }
+    });
+
+    test('should not verify once a pepper is removed', async () => {
+      passwordService.configurePeppers({ PASSWORD_PEPPERS: 'v1:first-secret' });
+      const { hash, salt } = await passwordService.hashPassword('SecurePass123!');
+
+      passwordService.configurePeppers({ PASSWORD_PEPPERS: 'v2:second-secret' });
+
+      await expect(passwordService.verifyPassword('SecurePass123!', hash, salt)).resolves.toBe(false);
+    });
+  });
+
+  describe('upgradeHash', () => {
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    test('should replace a legacy hash only while it is unchanged', async () => {
+      const { hash, salt } = await legacyHash('SecurePass123!');
+      const user = { _id: 'user-1', passwordHash: hash, passwordSalt: salt };
+      const Model = { updateOne: jest.fn().mockResolvedValue({ modifiedCount: 1 }) };
+
+      await expect(passwordService.upgradeHash(Model, user, 'SecurePass123!')).resolves.toBe(true);
+
+      expect(Model.updateOne).toHaveBeenCalledWith(
+        { _id: 'user-1', passwordHash: hash },
+        { $set: { passwordHash: user.passwordHash, passwordSalt: user.passwordSalt } }
+      );
+      expect(user.passwordHash).toMatch(/^argon2id:/);
+      await expect(passwordService.verifyPassword('SecurePass123!', user.passwordHash, user.passwordSalt)).resolves.toBe(true);
+    });
+
+    test('should keep the document as is when the password changed meanwhile', async () => {
+      const { hash, salt } = await legacyHash('SecurePass123!');
+      const user = { _id: 'user-1', passwordHash: hash, passwordSalt: salt };
+      const Model = { updateOne: jest.fn().mockResolvedValue({ modifiedCount: 0 }) };
+
+      await expect(passwordService.upgradeHash(Model, user, 'SecurePass123!')).resolves.toBe(false);
+      expect(user.passwordHash).toBe(hash);
+    });
+
+    test('should leave current hashes alone', async () => {
+      const { hash, salt } = await passwordService.hashPassword('SecurePass123!');
+      const Model = { updateOne: jest.fn() };
+
+      await expect(passwordService.upgradeHash(Model, { _id: 'user-1', passwordHash: hash, passwordSalt: salt }, 'SecurePass123!'))
+        .resolves.toBe(false);
+      expect(Model.updateOne).not.toHaveBeenCalled();
+    });
+  });
+
   describe('generateSecureToken', () => {
     test('should generate token with default length', () => {
       const token = passwordService.generateSecureToken();
@@ -95,4 +233,21 @@ describe('PasswordService', () => {
       expect(token1).not.toBe(token2);
     });
   });
+
+  describe('generateTemporaryPassword', () => {
+    test('should meet the password policy every time', () => {
+      for (let i = 0; i < 50; i++) {
+        const password = passwordService.generateTemporaryPassword();
+
+        expect(password.length).toBe(16);
+        expect(validator.isValidPassword(password)).toBe(true);
+      }
+    });
+
+    test('should leave out look-alike characters', () => {
+      const password = passwordService.generateTemporaryPassword(200);
+
+      expect(password).not.toMatch(/[0O1lI]/);
+    });
+  });
 });
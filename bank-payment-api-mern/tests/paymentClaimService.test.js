@@ -0,0 +1,110 @@
+import { jest } from '@jest/globals';
+import Payment from '../models/Payment.js';
+import paymentClaimService, { PaymentClaimError } from '../services/paymentClaimService.js';
+
+const ALICE = { userId: '507f1f77bcf86cd799439011', username: 'alice' };
+const BOB = { userId: '507f1f77bcf86cd799439012', username: 'bob' };
+
+const inMinutes = (minutes) => new Date(Date.now() + minutes * 60 * 1000);
+
+/**
+ * Pending payment claimed by an employee
+ */
+const claimedBy = (employee, expiresAt) => ({
+  _id: 'payment-1',
+  status: 'Pending',
+  assignedTo: employee.userId,
+  assignedToUsername: employee.username,
+  claimExpiresAt: expiresAt
+});
+
+/**
+ * Stand-in for Payment.findById(...).select(...)
+ */
+const mockFindById = (result) => jest.spyOn(Payment, 'findById').mockReturnValue({
+  select: jest.fn().mockResolvedValue(result)
+});
+
+describe('PaymentClaimService', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('assertCanAct', () => {
+    test('should allow anyone on unclaimed payments and the holder on claimed ones', () => {
+      expect(() => paymentClaimService.assertCanAct({ assignedTo: null }, BOB.userId)).not.toThrow();
+      expect(() => paymentClaimService.assertCanAct(claimedBy(ALICE, inMinutes(5)), ALICE.userId)).not.toThrow();
+    });
+
+    test('should refuse other employees while the claim lasts', () => {
+      expect(() => paymentClaimService.assertCanAct(claimedBy(ALICE, inMinutes(5)), BOB.userId))
+        .toThrow('This payment is claimed by alice');
+    });
+
+    test('should ignore expired claims', () => {
+      expect(() => paymentClaimService.assertCanAct(claimedBy(ALICE, inMinutes(-1)), BOB.userId)).not.toThrow();
+    });
+  });
+
+  describe('claim', () => {
+    test('should claim a payment that is unassigned, expired or already ours', async () => {
+      jest.spyOn(Payment, 'findOneAndUpdate').mockResolvedValue(claimedBy(ALICE, inMinutes(15)));
+
+      await paymentClaimService.claim({ _id: 'payment-1' }, ALICE);
+
+      const [filter, update] = Payment.findOneAndUpdate.mock.calls[0];
+      expect(filter.status).toBe('Pending');
+      expect(filter.$or).toEqual([
+        { assignedTo: null },
+        { claimExpiresAt: { $lte: expect.any(Date) } },
+        { assignedTo: ALICE.userId }
+      ]);
+      expect(update.$set).toMatchObject({ assignedTo: ALICE.userId, assignedToUsername: 'alice' });
+      expect(update.$set.claimExpiresAt.getTime() - update.$set.claimedAt.getTime()).toBe(paymentClaimService.getLeaseMs());
+      expect(update.$inc).toBeUndefined();
+    });
+
+    test('should name the holder when someone else has it', async () => {
+      jest.spyOn(Payment, 'findOneAndUpdate').mockResolvedValue(null);
+      mockFindById(claimedBy(ALICE, inMinutes(5)));
+
+      const attempt = paymentClaimService.claim({ _id: 'payment-1' }, BOB);
+
+      await expect(attempt).rejects.toBeInstanceOf(PaymentClaimError);
+      await expect(attempt).rejects.toThrow('claimed by alice');
+    });
+
+    test('should refuse payments that are no longer pending', async () => {
+      jest.spyOn(Payment, 'findOneAndUpdate').mockResolvedValue(null);
+      mockFindById({ status: 'Verified' });
+
+      await expect(paymentClaimService.claim({ _id: 'payment-1' }, BOB))
+        .rejects.toThrow('Only pending payments can be claimed. Current status: Verified');
+    });
+  });
+
+  describe('release', () => {
+    test('should only release the employee\'s own active claim when an employee is given', async () => {
+      jest.spyOn(Payment, 'updateOne').mockResolvedValue({ modifiedCount: 0 });
+
+      const released = await paymentClaimService.release('payment-1', BOB.userId);
+
+      expect(released).toBe(false);
+      expect(Payment.updateOne).toHaveBeenCalledWith(
+        { _id: 'payment-1', assignedTo: BOB.userId, claimExpiresAt: { $gt: expect.any(Date) } },
+        { $set: { assignedTo: null, assignedToUsername: null, claimedAt: null, claimExpiresAt: null } }
+      );
+    });
+
+    test('should release anyone\'s active claim when no employee is given', async () => {
+      jest.spyOn(Payment, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+
+      expect(await paymentClaimService.release('payment-1')).toBe(true);
+      expect(Payment.updateOne.mock.calls[0][0]).toEqual({
+        _id: 'payment-1',
+        assignedTo: { $ne: null },
+        claimExpiresAt: { $gt: expect.any(Date) }
+      });
+    });
+  });
+});
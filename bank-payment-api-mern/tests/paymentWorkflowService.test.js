@@ -0,0 +1,153 @@
+import { jest } from '@jest/globals';
+import Payment from '../models/Payment.js';
+import paymentWorkflowService, { InvalidTransitionError, ConcurrentModificationError } from '../services/paymentWorkflowService.js';
+import paymentClaimService from '../services/paymentClaimService.js';
+
+// Minimal stand-in for a Payment document
+const makePayment = (status) => ({
+  status,
+  statusHistory: []
+});
+
+describe('PaymentWorkflowService', () => {
+  describe('canTransition', () => {
+    test('should allow the normal payment lifecycle', () => {
+      expect(paymentWorkflowService.canTransition('Pending', 'Verified')).toBe(true);
+      expect(paymentWorkflowService.canTransition('Verified', 'Submitted')).toBe(true);
+      expect(paymentWorkflowService.canTransition('Submitted', 'Completed')).toBe(true);
+      expect(paymentWorkflowService.canTransition('Pending', 'Rejected')).toBe(true);
+    });
+
+    test('should only allow cancellation while Pending', () => {
+      expect(paymentWorkflowService.canTransition('Pending', 'Cancelled')).toBe(true);
+      expect(paymentWorkflowService.canTransition('Verified', 'Cancelled')).toBe(false);
+      expect(paymentWorkflowService.canTransition('Cancelled', 'Pending')).toBe(false);
+    });
+
+    test('should reject illegal transitions', () => {
+      expect(paymentWorkflowService.canTransition('Rejected', 'Verified')).toBe(false);
+      expect(paymentWorkflowService.canTransition('Completed', 'Pending')).toBe(false);
+      expect(paymentWorkflowService.canTransition('Pending', 'Submitted')).toBe(false);
+      expect(paymentWorkflowService.canTransition('Verified', 'Verified')).toBe(false);
+    });
+
+    test('should reject unknown statuses', () => {
+      expect(paymentWorkflowService.canTransition('Unknown', 'Pending')).toBe(false);
+    });
+  });
+
+  describe('recordCreation', () => {
+    test('should set Pending and record the initial history entry', () => {
+      const payment = makePayment(undefined);
+
+      paymentWorkflowService.recordCreation(payment, {
+        actor: '507f1f77bcf86cd799439011',
+        actorUsername: 'testuser',
+        actorType: 'customer'
+      });
+
+      expect(payment.status).toBe('Pending');
+      expect(payment.statusHistory).toHaveLength(1);
+      expect(payment.statusHistory[0]).toMatchObject({
+        from: null,
+        to: 'Pending',
+        actorType: 'customer',
+        actorUsername: 'testuser'
+      });
+    });
+  });
+
+  describe('transition', () => {
+    test('should update status and append history', () => {
+      const payment = makePayment('Pending');
+
+      paymentWorkflowService.transition(payment, 'Rejected', {
+        actorUsername: 'clerk',
+        actorType: 'employee',
+        reason: 'Invalid beneficiary'
+      });
+
+      expect(payment.status).toBe('Rejected');
+      expect(payment.statusHistory[0]).toMatchObject({
+        from: 'Pending',
+        to: 'Rejected',
+        actorType: 'employee',
+        reason: 'Invalid beneficiary'
+      });
+      expect(payment.statusHistory[0].timestamp).toBeInstanceOf(Date);
+    });
+
+    test('should throw InvalidTransitionError and leave payment untouched', () => {
+      const payment = makePayment('Rejected');
+
+      expect(() => paymentWorkflowService.transition(payment, 'Verified'))
+        .toThrow(InvalidTransitionError);
+      expect(payment.status).toBe('Rejected');
+      expect(payment.statusHistory).toHaveLength(0);
+    });
+
+    test('should default to a system actor', () => {
+      const payment = makePayment('Submitted');
+
+      paymentWorkflowService.transition(payment, 'Completed');
+
+      expect(payment.statusHistory[0].actorType).toBe('system');
+      expect(payment.statusHistory[0].actorUsername).toBe('system');
+    });
+  });
+
+  describe('buildTransitionUpdate', () => {
+    test('should set the status, append history and bump the version', () => {
+      const update = paymentWorkflowService.buildTransitionUpdate('Verified', 'Submitted', {
+        actorUsername: 'clerk',
+        actorType: 'employee'
+      }, { swiftBatchId: 'SB20240101000000ABCDEF' });
+
+      expect(update.$set).toEqual({ swiftBatchId: 'SB20240101000000ABCDEF', status: 'Submitted' });
+      expect(update.$push.statusHistory).toMatchObject({ from: 'Verified', to: 'Submitted' });
+      expect(update.$inc).toEqual({ __v: 1 });
+    });
+  });
+
+  describe('applyTransition', () => {
+    test('should refuse illegal transitions before touching the database', async () => {
+      await expect(
+        paymentWorkflowService.applyTransition(makePayment('Rejected'), 'Verified')
+      ).rejects.toThrow(InvalidTransitionError);
+    });
+
+    test('should refuse when a claim was taken after the payment was read', async () => {
+      // Clerk B read the payment unclaimed; clerk A claimed it since (claims keep __v)
+      const findOneAndUpdate = jest.spyOn(Payment, 'findOneAndUpdate').mockResolvedValue(null);
+      const payment = { ...makePayment('Pending'), _id: 'payment-1', __v: 3 };
+      const claimFilter = paymentClaimService.actorFilter('clerk-b');
+
+      try {
+        await expect(
+          paymentWorkflowService.applyTransition(payment, 'Verified', {}, {}, { filter: claimFilter })
+        ).rejects.toThrow(ConcurrentModificationError);
+
+        expect(findOneAndUpdate.mock.calls[0][0]).toEqual({
+          $or: [
+            { assignedTo: null },
+            { claimExpiresAt: { $lte: expect.any(Date) } },
+            { assignedTo: 'clerk-b' }
+          ],
+          _id: 'payment-1',
+          status: 'Pending',
+          __v: 3
+        });
+      } finally {
+        findOneAndUpdate.mockRestore();
+      }
+    });
+  });
+
+  describe('transitionMany', () => {
+    test('should refuse illegal bulk transitions before touching the database', async () => {
+      await expect(
+        paymentWorkflowService.transitionMany({}, 'Completed', 'Pending')
+      ).rejects.toThrow(InvalidTransitionError);
+    });
+  });
+});
@@ -0,0 +1,78 @@
+import request from 'supertest';
+import express from 'express';
+import { PERMISSIONS, ROLE_PERMISSIONS, getPermissions, hasPermission } from '../config/permissions.js';
+import { requirePermission } from '../middleware/auth.js';
+
+describe('Role permissions', () => {
+  test('should let every role read payments but only Managers and Admins submit them', () => {
+    Object.keys(ROLE_PERMISSIONS).forEach((role) => {
+      expect(hasPermission(role, PERMISSIONS.PAYMENTS_READ)).toBe(true);
+      expect(hasPermission(role, PERMISSIONS.PAYMENTS_VERIFY)).toBe(true);
+    });
+
+    expect(hasPermission('Employee', PERMISSIONS.PAYMENTS_SUBMIT)).toBe(false);
+    expect(hasPermission('Manager', PERMISSIONS.PAYMENTS_SUBMIT)).toBe(true);
+    expect(hasPermission('Admin', PERMISSIONS.PAYMENTS_SUBMIT)).toBe(true);
+  });
+
+  test('should let every role onboard and assist customers', () => {
+    Object.keys(ROLE_PERMISSIONS).forEach((role) => {
+      expect(hasPermission(role, PERMISSIONS.CUSTOMERS_ONBOARD)).toBe(true);
+      expect(hasPermission(role, PERMISSIONS.CUSTOMERS_ASSIST)).toBe(true);
+    });
+  });
+
+  test('should let Managers and Admins, not Employees, manage approval limits and reassign payments', () => {
+    expect(hasPermission('Employee', PERMISSIONS.APPROVALS_MANAGE)).toBe(false);
+    expect(hasPermission('Manager', PERMISSIONS.APPROVALS_MANAGE)).toBe(true);
+    expect(hasPermission('Admin', PERMISSIONS.APPROVALS_MANAGE)).toBe(true);
+    expect(hasPermission('Employee', PERMISSIONS.PAYMENTS_ASSIGN)).toBe(false);
+    expect(hasPermission('Manager', PERMISSIONS.PAYMENTS_ASSIGN)).toBe(true);
+  });
+
+  test('should keep employee management and session revocation to Admins', () => {
+    expect(hasPermission('Employee', PERMISSIONS.EMPLOYEES_MANAGE)).toBe(false);
+    expect(hasPermission('Manager', PERMISSIONS.EMPLOYEES_MANAGE)).toBe(false);
+    expect(hasPermission('Manager', PERMISSIONS.SESSIONS_REVOKE)).toBe(false);
+    expect(getPermissions('Admin')).toEqual(Object.values(PERMISSIONS));
+  });
+
+  test('should grant nothing to unknown roles', () => {
+    expect(getPermissions(undefined)).toEqual([]);
+    expect(getPermissions('constructor')).toEqual([]);
+    expect(hasPermission('Teller', PERMISSIONS.PAYMENTS_READ)).toBe(false);
+  });
+});
+
+describe('requirePermission middleware', () => {
+  const createApp = (user) => {
+    const app = express();
+    app.use((req, res, next) => {
+      req.user = user;
+      next();
+    });
+    app.post('/submit', requirePermission(PERMISSIONS.PAYMENTS_SUBMIT), (req, res) => res.json({ success: true }));
+    return app;
+  };
+
+  test('should allow a role with the permission', async () => {
+    const response = await request(createApp({ userType: 'employee', role: 'Manager' })).post('/submit');
+
+    expect(response.status).toBe(200);
+  });
+
+  test('should refuse a role without the permission', async () => {
+    const response = await request(createApp({ userType: 'employee', role: 'Employee' })).post('/submit');
+
+    expect(response.status).toBe(403);
+    expect(response.body.message).toContain('payments:submit');
+  });
+
+  test('should refuse customers and tokens without a role claim', async () => {
+    const customer = await request(createApp({ userType: 'customer' })).post('/submit');
+    const noRole = await request(createApp({ userType: 'employee' })).post('/submit');
+
+    expect(customer.status).toBe(403);
+    expect(noRole.status).toBe(403);
+  });
+});
@@ -0,0 +1,44 @@
+import { jest } from '@jest/globals';
+import {
+  setRefreshCookie,
+  clearRefreshCookie,
+  readRefreshCookie,
+  REFRESH_COOKIE_NAME
+} from '../utils/refreshCookie.js';
+
+const REFRESH_TOKEN = 'r'.repeat(64);
+
+describe('refreshCookie', () => {
+  test('should send the refresh token as an httpOnly cookie scoped to the refresh endpoint', () => {
+    const res = { cookie: jest.fn() };
+    const expiresAt = new Date(Date.now() + 60000);
+
+    setRefreshCookie(res, { refreshToken: REFRESH_TOKEN, refreshTokenExpiresAt: expiresAt });
+
+    expect(res.cookie).toHaveBeenCalledWith(REFRESH_COOKIE_NAME, REFRESH_TOKEN, {
+      httpOnly: true,
+      secure: true,
+      sameSite: 'strict',
+      path: '/api/auth/refresh',
+      expires: expiresAt
+    });
+  });
+
+  test('should clear the cookie with the options it was set with', () => {
+    const res = { clearCookie: jest.fn() };
+
+    clearRefreshCookie(res);
+
+    expect(res.clearCookie).toHaveBeenCalledWith(REFRESH_COOKIE_NAME, expect.objectContaining({
+      httpOnly: true,
+      path: '/api/auth/refresh'
+    }));
+  });
+
+  test('should read the refresh token from the Cookie header', () => {
+    expect(readRefreshCookie({ headers: { cookie: `theme=dark; ${REFRESH_COOKIE_NAME}=${REFRESH_TOKEN}` } }))
+      .toBe(REFRESH_TOKEN);
+    expect(readRefreshCookie({ headers: { cookie: 'theme=dark' } })).toBeNull();
+    expect(readRefreshCookie({ headers: {} })).toBeNull();
+  });
+});
@@ -0,0 +1,89 @@
+import { jest } from '@jest/globals';
+import RefreshToken from '../models/RefreshToken.js';
+import refreshTokenService, { RefreshTokenError } from '../services/refreshTokenService.js';
+
+const storedToken = (overrides = {}) => ({
+  _id: '507f1f77bcf86cd799439099',
+  familyId: 'family-1',
+  userId: '507f1f77bcf86cd799439011',
+  username: 'testuser',
+  userType: 'customer',
+  expiresAt: new Date(Date.now() + 60 * 60 * 1000),
+  usedAt: null,
+  revokedAt: null,
+  ...overrides
+});
+
+describe('RefreshTokenService', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('generateToken', () => {
+    test('should generate unique 64-character base64url tokens', () => {
+      const token = refreshTokenService.generateToken();
+
+      expect(token).toMatch(/^[A-Za-z0-9_-]{64}$/);
+      expect(refreshTokenService.generateToken()).not.toBe(token);
+    });
+  });
+
+  describe('hashToken', () => {
+    test('should produce a stable SHA-256 hex digest', () => {
+      const hash = refreshTokenService.hashToken('token');
+
+      expect(hash).toMatch(/^[a-f0-9]{64}$/);
+      expect(refreshTokenService.hashToken('token')).toBe(hash);
+      expect(hash).not.toBe('token');
+    });
+  });
+
+  describe('rotate', () => {
+    test('should issue a successor in the same family', async () => {
+      jest.spyOn(RefreshToken, 'findOne').mockResolvedValue(storedToken());
+      jest.spyOn(RefreshToken, 'findOneAndUpdate').mockResolvedValue(storedToken());
+      const create = jest.spyOn(RefreshToken, 'create').mockResolvedValue({});
+
+      const result = await refreshTokenService.rotate('old-token');
+
+      expect(result.familyId).toBe('family-1');
+      expect(result.user).toEqual({
+        userId: '507f1f77bcf86cd799439011',
+        username: 'testuser',
+        userType: 'customer'
+      });
+      expect(create).toHaveBeenCalledWith(expect.objectContaining({
+        familyId: 'family-1',
+        tokenHash: refreshTokenService.hashToken(result.refreshToken)
+      }));
+    });
+
+    test('should revoke the whole family when a used token is presented again', async () => {
+      jest.spyOn(RefreshToken, 'findOne').mockResolvedValue(storedToken({ usedAt: new Date() }));
+      jest.spyOn(RefreshToken, 'findOneAndUpdate').mockResolvedValue(null);
+      const updateMany = jest.spyOn(RefreshToken, 'updateMany').mockResolvedValue({ modifiedCount: 1 });
+
+      await expect(refreshTokenService.rotate('old-token')).rejects.toMatchObject({
+        reuseDetected: true,
+        status: 401
+      });
+      expect(updateMany).toHaveBeenCalledWith(
+        { familyId: 'family-1', revokedAt: null },
+        { $set: expect.objectContaining({ revokedReason: 'reuse_detected' }) }
+      );
+    });
+
+    test('should reject unknown, revoked and expired tokens', async () => {
+      const findOne = jest.spyOn(RefreshToken, 'findOne');
+
+      findOne.mockResolvedValueOnce(null);
+      await expect(refreshTokenService.rotate('unknown')).rejects.toThrow(RefreshTokenError);
+
+      findOne.mockResolvedValueOnce(storedToken({ revokedAt: new Date() }));
+      await expect(refreshTokenService.rotate('revoked')).rejects.toThrow('revoked');
+
+      findOne.mockResolvedValueOnce(storedToken({ expiresAt: new Date(Date.now() - 1000) }));
+      await expect(refreshTokenService.rotate('expired')).rejects.toThrow('expired');
+    });
+  });
+});
@@ -0,0 +1,88 @@
+import { execFile } from 'child_process';
+import crypto from 'crypto';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const SERVER_PATH = fileURLToPath(new URL('../server.js', import.meta.url));
+
+// Settings that must come from the .env file, not from the test runner
+const CONFIGURED_KEYS = [
+  'ENCRYPTION_KEY', 'ENCRYPTION_IV', 'MONGODB_URI', 'PORT',
+  'PASSWORD_PEPPERS', 'PASSWORD_PEPPER_ID', 'PASSWORD_PEPPER'
+];
+
+/**
+ * Start the real server in a child process whose working directory holds
+ * the given .env file, run a check script after it has loaded, and return
+ * what the script printed as JSON.
+ * @param {Object} env - Contents of the .env file
+ * @param {string} check - Module body run after server.js is imported
+ * @returns {Promise<Object>}
+ */
+const runWithEnvFile = async (env, check) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'server-env-'));
+  fs.writeFileSync(
+    path.join(dir, '.env'),
+    Object.entries(env).map(([key, value]) => `${key}=${value}`).join('\n')
+  );
+
+  const script = `
+    await import(${JSON.stringify(SERVER_PATH)});
+    const load = (file) => import(${JSON.stringify(path.dirname(SERVER_PATH))} + '/' + file);
+    ${check}
+  `;
+  const childEnv = { ...process.env, NODE_ENV: 'test' };
+  CONFIGURED_KEYS.forEach((key) => delete childEnv[key]);
+
+  try {
+    const stdout = await new Promise((resolve, reject) => {
+      execFile(
+        process.execPath,
+        ['--input-type=module', '-e', script],
+        { cwd: dir, env: childEnv, timeout: 20000 },
+        (error, out, err) => (error ? reject(new Error(`${error.message}\n${err}`)) : resolve(out))
+      );
+    });
+    const result = stdout.trim().split('\n').pop();
+    return JSON.parse(result);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+};
+
+describe('Server environment loading', () => {
+  const baseEnv = {
+    PORT: 0,
+    ENCRYPTION_KEY: crypto.randomBytes(32).toString('base64'),
+    ENCRYPTION_IV: crypto.randomBytes(16).toString('base64')
+  };
+
+  test('should let users start MFA enrolment with the encryption key from .env', async () => {
+    const result = await runWithEnvFile(baseEnv, `
+      const { default: mfaService } = await load('services/mfaService.js');
+      const { default: encryptionService } = await load('services/encryptionService.js');
+      const user = { username: 'jdoe', mfaEnabled: false, save: async () => {} };
+      const { secret } = await mfaService.startEnrolment(user);
+      console.log(JSON.stringify({ secret, stored: encryptionService.decrypt(user.mfaPendingSecret) }));
+      process.exit(0);
+    `);
+
+    expect(result.stored).toBe(result.secret);
+  }, 30000);
+
+  test('should pepper new password hashes with the peppers from .env', async () => {
+    const result = await runWithEnvFile({ ...baseEnv, PASSWORD_PEPPERS: 'v1:first-secret,v2:second-secret' }, `
+      const { default: passwordService } = await load('services/passwordService.js');
+      const { hash, salt } = await passwordService.hashPassword('SecurePass123!');
+      const verified = await passwordService.verifyPassword('SecurePass123!', hash, salt);
+      console.log(JSON.stringify({ hash, verified, needsRehash: passwordService.needsRehash(hash) }));
+      process.exit(0);
+    `);
+
+    expect(result.hash).toMatch(/^argon2id:v2:\$argon2id\$/);
+    expect(result.verified).toBe(true);
+    expect(result.needsRehash).toBe(false);
+  }, 30000);
+});
@@ -0,0 +1,138 @@
+import { jest } from '@jest/globals';
+import AuditLog from '../models/AuditLog.js';
+import RefreshToken from '../models/RefreshToken.js';
+import Session from '../models/Session.js';
+import sessionService from '../services/sessionService.js';
+import refreshTokenService from '../services/refreshTokenService.js';
+import tokenRevocationService from '../services/tokenRevocationService.js';
+import notificationService from '../services/notificationService.js';
+
+process.env.JWT_SECRET = 'test_secret_key_for_testing_purposes_only_minimum_64_chars_required';
+
+const context = { ipAddress: '203.0.113.7', userAgent: 'Mozilla/5.0 (Test)' };
+
+describe('SessionService', () => {
+  let customer;
+  let notifier;
+
+  beforeEach(() => {
+    customer = {
+      _id: '507f1f77bcf86cd799439011',
+      username: 'jane_doe',
+      accountNumber: '1234567890',
+      save: jest.fn().mockResolvedValue(undefined)
+    };
+    notifier = { name: 'memory', send: jest.fn().mockResolvedValue({ reference: 'MEM-1' }) };
+    notificationService.setNotifier(notifier);
+
+    jest.spyOn(AuditLog, 'logSuccessfulLogin').mockResolvedValue(undefined);
+    jest.spyOn(AuditLog, 'logNewDeviceLogin').mockResolvedValue(undefined);
+    jest.spyOn(refreshTokenService, 'issue').mockResolvedValue({
+      refreshToken: 'r'.repeat(64),
+      expiresAt: new Date(Date.now() + 60000),
+      familyId: 'family-1'
+    });
+    jest.spyOn(Session, 'create').mockResolvedValue({});
+  });
+
+  afterEach(() => {
+    notificationService.setNotifier(null);
+    jest.restoreAllMocks();
+  });
+
+  describe('start', () => {
+    test('should record the session under the refresh token family', async () => {
+      jest.spyOn(AuditLog, 'exists').mockResolvedValue({ _id: 'earlier' });
+
+      await sessionService.start(customer, 'customer', context);
+
+      expect(Session.create).toHaveBeenCalledWith(expect.objectContaining({
+        sessionId: 'family-1',
+        userType: 'customer',
+        ipAddress: context.ipAddress,
+        userAgent: context.userAgent
+      }));
+      expect(notifier.send).not.toHaveBeenCalled();
+    });
+
+    test('should notify the customer about a login from a new device', async () => {
+      // Earlier logins exist, but none from this device and IP address
+      jest.spyOn(AuditLog, 'exists').mockImplementation(async (filter) => (filter.userAgent ? null : { _id: 'earlier' }));
+
+      await sessionService.start(customer, 'customer', context);
+
+      expect(notifier.send).toHaveBeenCalledWith(expect.objectContaining({
+        recipient: expect.objectContaining({ username: 'jane_doe' }),
+        metadata: { purpose: 'new_device_login' }
+      }));
+      expect(AuditLog.logNewDeviceLogin).toHaveBeenCalledWith(expect.objectContaining({
+        username: 'jane_doe',
+        ipAddress: context.ipAddress,
+        reference: 'MEM-1'
+      }));
+    });
+
+    test('should not report a customer\'s first login', async () => {
+      jest.spyOn(AuditLog, 'exists').mockResolvedValue(null);
+
+      await sessionService.start(customer, 'customer', context);
+
+      expect(AuditLog.logNewDeviceLogin).not.toHaveBeenCalled();
+    });
+
+    test('should complete the login when the notification cannot be sent', async () => {
+      jest.spyOn(AuditLog, 'exists').mockImplementation(async (filter) => (filter.userAgent ? null : { _id: 'earlier' }));
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      notifier.send.mockRejectedValue(new Error('mailbox unavailable'));
+
+      const session = await sessionService.start(customer, 'customer', context);
+
+      expect(session.token).toBeDefined();
+      expect(AuditLog.logNewDeviceLogin).toHaveBeenCalled();
+    });
+  });
+
+  describe('listActive', () => {
+    test('should only return sessions whose refresh token can still be used', async () => {
+      const distinct = jest.spyOn(RefreshToken, 'distinct').mockResolvedValue(['family-1']);
+      const sort = jest.fn().mockResolvedValue([]);
+      const find = jest.spyOn(Session, 'find').mockReturnValue({ sort });
+
+      await sessionService.listActive(customer._id, 'customer');
+
+      expect(distinct).toHaveBeenCalledWith('familyId', expect.objectContaining({
+        userId: customer._id,
+        userType: 'customer',
+        usedAt: null,
+        revokedAt: null
+      }));
+      expect(find).toHaveBeenCalledWith({ userId: customer._id, userType: 'customer', sessionId: { $in: ['family-1'] } });
+      expect(sort).toHaveBeenCalledWith({ lastSeenAt: -1 });
+    });
+  });
+
+  describe('end', () => {
+    test('should revoke each session', async () => {
+      const revokeSession = jest.spyOn(tokenRevocationService, 'revokeSession').mockResolvedValue(undefined);
+      const sessions = [{ sessionId: 'family-1' }, { sessionId: 'family-2' }];
+
+      await expect(sessionService.end(sessions, { reason: 'signed_out_by_customer' })).resolves.toBe(2);
+      expect(revokeSession).toHaveBeenCalledTimes(2);
+      expect(revokeSession).toHaveBeenCalledWith(sessions[1], { reason: 'signed_out_by_customer' });
+    });
+  });
+
+  describe('buildLoginResponse', () => {
+    test('should leave the refresh token out of the response body', () => {
+      const expiresAt = new Date(Date.now() + 60000);
+      const response = sessionService.buildLoginResponse(customer, 'customer', {
+        token: 'access-token',
+        refreshToken: 'r'.repeat(64),
+        refreshTokenExpiresAt: expiresAt
+      });
+
+      expect(response).toMatchObject({ success: true, token: 'access-token', refreshTokenExpiresAt: expiresAt });
+      expect(response).not.toHaveProperty('refreshToken');
+    });
+  });
+});
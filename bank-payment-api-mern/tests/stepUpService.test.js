@@ -0,0 +1,149 @@
+import { jest } from '@jest/globals';
+import jwt from 'jsonwebtoken';
+import StepUpAttempt from '../models/StepUpAttempt.js';
+import stepUpService, { StepUpError } from '../services/stepUpService.js';
+import tokenRevocationService from '../services/tokenRevocationService.js';
+
+process.env.JWT_SECRET = 'test_secret_key_for_testing_purposes_only_minimum_64_chars_required';
+
+const CUSTOMER = { userId: '507f1f77bcf86cd799439011', username: 'jane_doe', userType: 'customer' };
+const OTHER_CUSTOMER_ID = '507f1f77bcf86cd799439012';
+
+const payment = {
+  amount: 12500,
+  currency: 'USD',
+  payeeFullName: 'John Smith',
+  payeeAccountNumber: '1234567890',
+  swiftCode: 'CHASUS33'
+};
+
+const confirmPayment = (details = payment) => {
+  const challengeToken = stepUpService.createChallenge(CUSTOMER, details, ['password']);
+  const challenge = stepUpService.verifyToken(challengeToken, 'challenge', CUSTOMER.userId);
+  return stepUpService.createConfirmation(challenge, 'password');
+};
+
+describe('StepUpService', () => {
+  describe('isRequired', () => {
+    test('should require step-up only above the currency threshold', () => {
+      const threshold = stepUpService.getThreshold('USD');
+
+      expect(stepUpService.isRequired({ amount: threshold, currency: 'USD' })).toBe(false);
+      expect(stepUpService.isRequired({ amount: threshold + 0.01, currency: 'USD' })).toBe(true);
+    });
+
+    test('should fall back to the wildcard threshold for unlisted currencies', () => {
+      expect(stepUpService.getThreshold('CHF')).toBe(stepUpService.getThreshold('*'));
+    });
+
+    test('should read the thresholds from the environment on first use', () => {
+      const originalEnv = process.env.STEP_UP_THRESHOLDS;
+      process.env.STEP_UP_THRESHOLDS = 'USD:250,*:500';
+      stepUpService.thresholds = null;
+
+      try {
+        expect(stepUpService.getThreshold('USD')).toBe(250);
+        expect(stepUpService.getThreshold('CHF')).toBe(500);
+      } finally {
+        if (originalEnv === undefined) {
+          delete process.env.STEP_UP_THRESHOLDS;
+        } else {
+          process.env.STEP_UP_THRESHOLDS = originalEnv;
+        }
+        stepUpService.thresholds = null;
+      }
+    });
+  });
+
+  describe('recordFailure', () => {
+    const createChallenge = () => stepUpService.verifyToken(
+      stepUpService.createChallenge(CUSTOMER, payment, ['password']),
+      'challenge',
+      CUSTOMER.userId
+    );
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    test('should use the challenge up once the attempt limit is reached', async () => {
+      const challenge = createChallenge();
+      const counts = {};
+      jest.spyOn(StepUpAttempt, 'findOneAndUpdate').mockImplementation(async (filter, update) => {
+        counts[filter.jti] = (counts[filter.jti] || 0) + update.$inc.failures;
+        return { failures: counts[filter.jti] };
+      });
+      const consumeToken = jest.spyOn(tokenRevocationService, 'consumeToken').mockResolvedValue(true);
+
+      stepUpService.ensureConfig();
+      const results = [];
+      for (let i = 0; i < stepUpService.maxAttempts; i++) {
+        results.push(await stepUpService.recordFailure(challenge));
+      }
+
+      expect(results.slice(0, -1).every((usedUp) => usedUp === false)).toBe(true);
+      expect(results[results.length - 1]).toBe(true);
+      expect(consumeToken).toHaveBeenCalledTimes(1);
+      expect(consumeToken).toHaveBeenCalledWith(challenge, 'step_up_attempts_exceeded');
+    });
+  });
+
+  describe('computeBinding', () => {
+    test('should not depend on amount formatting or SWIFT code case', () => {
+      expect(stepUpService.computeBinding(CUSTOMER.userId, { ...payment, amount: '12500.00', swiftCode: 'chasus33' }))
+        .toBe(stepUpService.computeBinding(CUSTOMER.userId, payment));
+    });
+  });
+
+  describe('verifyConfirmation', () => {
+    test('should accept a confirmation for the same customer and payment', () => {
+      const decoded = stepUpService.verifyConfirmation(confirmPayment(), CUSTOMER.userId, payment);
+
+      expect(decoded.method).toBe('password');
+      expect(decoded.jti).toBeDefined();
+    });
+
+    test.each([
+      ['amount', { amount: 12500.01 }],
+      ['currency', { currency: 'EUR' }],
+      ['payee', { payeeAccountNumber: '9999999999' }],
+      ['SWIFT code', { swiftCode: 'DEUTDEFF' }]
+    ])('should refuse a confirmation replayed for a different %s', (field, change) => {
+      expect(() => stepUpService.verifyConfirmation(confirmPayment(), CUSTOMER.userId, { ...payment, ...change }))
+        .toThrow(/do not match/);
+    });
+
+    test('should refuse a confirmation issued to another customer', () => {
+      expect(() => stepUpService.verifyConfirmation(confirmPayment(), OTHER_CUSTOMER_ID, payment))
+        .toThrow(StepUpError);
+    });
+
+    test('should refuse an unanswered challenge in place of a confirmation', () => {
+      const challengeToken = stepUpService.createChallenge(CUSTOMER, payment, ['password']);
+
+      expect(() => stepUpService.verifyConfirmation(challengeToken, CUSTOMER.userId, payment))
+        .toThrow(StepUpError);
+    });
+
+    test('should refuse an expired confirmation', () => {
+      const expired = jwt.sign(
+        { ...CUSTOMER, purpose: 'confirmation', binding: stepUpService.computeBinding(CUSTOMER.userId, payment) },
+        process.env.JWT_SECRET,
+        { expiresIn: -1, issuer: 'BankPaymentAPI', audience: 'BankPaymentStepUp' }
+      );
+
+      expect(() => stepUpService.verifyConfirmation(expired, CUSTOMER.userId, payment))
+        .toThrow(/expired/);
+    });
+
+    test('should refuse an ordinary access token', () => {
+      const accessToken = jwt.sign(CUSTOMER, process.env.JWT_SECRET, {
+        issuer: 'BankPaymentAPI',
+        audience: 'BankPaymentClient'
+      });
+
+      expect(() => stepUpService.verifyConfirmation(accessToken, CUSTOMER.userId, payment))
+        .toThrow(StepUpError);
+    });
+  });
+});
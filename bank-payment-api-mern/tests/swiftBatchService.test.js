@@ -0,0 +1,63 @@
+import swiftBatchService, { BatchSubmissionError } from '../services/swiftBatchService.js';
+
+describe('SwiftBatchService', () => {
+  describe('computeTotals', () => {
+    test('should total amounts and counts per currency', () => {
+      const totals = swiftBatchService.computeTotals([
+        { currency: 'USD', amount: 100.1 },
+        { currency: 'EUR', amount: 50 },
+        { currency: 'USD', amount: 0.2 }
+      ]);
+
+      expect(totals).toEqual([
+        { currency: 'EUR', amount: 50, count: 1 },
+        { currency: 'USD', amount: 100.3, count: 2 }
+      ]);
+    });
+
+    test('should return an empty list for no payments', () => {
+      expect(swiftBatchService.computeTotals([])).toEqual([]);
+    });
+  });
+
+  describe('computeChecksum', () => {
+    test('should return a SHA-256 hex digest', () => {
+      const checksum = swiftBatchService.computeChecksum('<Document/>');
+      expect(checksum).toMatch(/^[a-f0-9]{64}$/);
+      expect(swiftBatchService.computeChecksum('<Document/>')).toBe(checksum);
+      expect(swiftBatchService.computeChecksum('<Document />')).not.toBe(checksum);
+    });
+  });
+
+  describe('assertSubmittable', () => {
+    const payments = [
+      { _id: 'a1', status: 'Verified', currency: 'USD' },
+      { _id: 'b2', status: 'Submitted', currency: 'USD' }
+    ];
+
+    test('should accept a selection of verified payments', () => {
+      expect(() => swiftBatchService.assertSubmittable(['a1'], [payments[0]])).not.toThrow();
+    });
+
+    test('should reject with 409 listing payments that are missing or not Verified', () => {
+      try {
+        swiftBatchService.assertSubmittable(['a1', 'b2', 'c3'], payments);
+        throw new Error('expected BatchSubmissionError');
+      } catch (error) {
+        expect(error).toBeInstanceOf(BatchSubmissionError);
+        expect(error.status).toBe(409);
+        expect(error.details.paymentIds).toEqual(['b2', 'c3']);
+      }
+    });
+
+    test('should reject with 400 when a payment does not match the currency filter', () => {
+      try {
+        swiftBatchService.assertSubmittable(['a1'], [payments[0]], { currency: 'EUR' });
+        throw new Error('expected BatchSubmissionError');
+      } catch (error) {
+        expect(error.status).toBe(400);
+        expect(error.details.paymentIds).toEqual(['a1']);
+      }
+    });
+  });
+});
@@ -0,0 +1,44 @@
+import swiftGatewayService from '../services/swiftGatewayService.js';
+
+describe('SwiftGatewayService', () => {
+  describe('getConfiguredName', () => {
+    const originalEnv = { SWIFT_GATEWAY: process.env.SWIFT_GATEWAY, NODE_ENV: process.env.NODE_ENV };
+
+    afterEach(() => {
+      Object.entries(originalEnv).forEach(([key, value]) => {
+        if (value === undefined) {
+          delete process.env[key];
+        } else {
+          process.env[key] = value;
+        }
+      });
+    });
+
+    test('should use the configured gateway', () => {
+      process.env.SWIFT_GATEWAY = 'simulator';
+      process.env.NODE_ENV = 'production';
+
+      expect(swiftGatewayService.getConfiguredName()).toBe('simulator');
+    });
+
+    test('should default to the simulator only in development and test', () => {
+      delete process.env.SWIFT_GATEWAY;
+
+      process.env.NODE_ENV = 'development';
+      expect(swiftGatewayService.getConfiguredName()).toBe('simulator');
+
+      process.env.NODE_ENV = 'test';
+      expect(swiftGatewayService.getConfiguredName()).toBe('simulator');
+    });
+
+    test('should refuse to start without a gateway anywhere else', () => {
+      delete process.env.SWIFT_GATEWAY;
+
+      process.env.NODE_ENV = 'production';
+      expect(() => swiftGatewayService.getConfiguredName()).toThrow('SWIFT_GATEWAY is not set');
+
+      delete process.env.NODE_ENV;
+      expect(() => swiftGatewayService.getConfiguredName()).toThrow('SWIFT_GATEWAY is not set');
+    });
+  });
+});
@@ -0,0 +1,68 @@
+import SwiftSimulatorGateway from '../services/swiftSimulatorGateway.js';
+
+const batch = { batchId: 'SB20240315093000ABC123' };
+
+const payments = [
+  { swiftMessage: { reference: 'REF1', uetr: '11111111-1111-4111-8111-111111111111' } },
+  { swiftMessage: { reference: 'REF2', uetr: '22222222-2222-4222-8222-222222222222' } }
+];
+
+describe('SwiftSimulatorGateway', () => {
+  test('should acknowledge every transaction with a zero failure rate', () => {
+    const gateway = new SwiftSimulatorGateway({ failureRate: 0 });
+    const report = gateway.buildStatusReport(batch, payments);
+
+    expect(report.messageType).toBe('pacs.002.001.10');
+    expect(report.originalMessageId).toBe(batch.batchId);
+    expect(report.groupStatus).toBe('ACCC');
+    expect(report.transactions.map((transaction) => transaction.status)).toEqual(['ACCC', 'ACCC']);
+    expect(report.transactions[0].uetr).toBe(payments[0].swiftMessage.uetr);
+  });
+
+  test('should reject every transaction with a reason when the failure rate is 1', () => {
+    const gateway = new SwiftSimulatorGateway({ failureRate: 1 });
+    const report = gateway.buildStatusReport(batch, payments);
+
+    expect(report.groupStatus).toBe('RJCT');
+    report.transactions.forEach((transaction) => {
+      expect(transaction.status).toBe('RJCT');
+      expect(transaction.reasonCode).toMatch(/^[A-Z]{2}\d{2}$/);
+      expect(transaction.reasonText).toBeTruthy();
+    });
+  });
+
+  test('should report partial acceptance', () => {
+    const rolls = [0.9, 0.1];
+    const gateway = new SwiftSimulatorGateway({ failureRate: 0.5, random: () => rolls.shift() ?? 0 });
+
+    expect(gateway.buildStatusReport(batch, payments).groupStatus).toBe('PART');
+  });
+
+  test('should only build a return report when transactions are returned', () => {
+    const accepted = [{ endToEndId: 'REF1', uetr: payments[0].swiftMessage.uetr, status: 'ACCC' }];
+
+    expect(new SwiftSimulatorGateway({ returnRate: 0 }).buildReturnReport(batch, accepted)).toBeNull();
+
+    const returned = new SwiftSimulatorGateway({ returnRate: 1 }).buildReturnReport(batch, accepted);
+    expect(returned.messageType).toBe('pacs.004.001.09');
+    expect(returned.transactions[0]).toMatchObject({ endToEndId: 'REF1', status: 'RETN' });
+  });
+
+  test('should clamp invalid rates', () => {
+    const gateway = new SwiftSimulatorGateway({ failureRate: 5, returnRate: 'abc' });
+
+    expect(gateway.failureRate).toBe(1);
+    expect(gateway.returnRate).toBe(0);
+  });
+
+  test('should deliver status reports asynchronously to registered handlers', async () => {
+    const gateway = new SwiftSimulatorGateway({ failureRate: 0, returnRate: 0, latencyMs: 0 });
+    const received = new Promise((resolve) => gateway.onStatusReport(resolve));
+
+    const result = await gateway.send(batch, payments);
+    const report = await received;
+
+    expect(result.reference).toBe(`SIM-${batch.batchId}`);
+    expect(report.transactions).toHaveLength(2);
+  });
+});
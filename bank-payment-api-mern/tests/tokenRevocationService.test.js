@@ -0,0 +1,160 @@
+import { jest } from '@jest/globals';
+import RefreshToken from '../models/RefreshToken.js';
+import TokenRevocation from '../models/TokenRevocation.js';
+import tokenRevocationService from '../services/tokenRevocationService.js';
+
+const decoded = {
+  jti: '3f1c9a52-7c1e-4d7b-9a1e-2b9d5f0c1a11',
+  userId: '507f1f77bcf86cd799439011',
+  userType: 'employee',
+  sid: 'family-1',
+  iat: 1700000000,
+  exp: 1700000900
+};
+
+describe('TokenRevocationService', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('revokeToken', () => {
+    test('should revoke the token until it expires and end its refresh session', async () => {
+      const updateOne = jest.spyOn(TokenRevocation, 'updateOne').mockResolvedValue({});
+      const updateMany = jest.spyOn(RefreshToken, 'updateMany').mockResolvedValue({ modifiedCount: 1 });
+
+      await tokenRevocationService.revokeToken(decoded);
+
+      expect(updateOne).toHaveBeenCalledWith(
+        { kind: 'token', jti: decoded.jti },
+        { $setOnInsert: expect.objectContaining({ expiresAt: new Date(decoded.exp * 1000) }) },
+        { upsert: true }
+      );
+      expect(updateMany).toHaveBeenCalledWith(
+        { familyId: 'family-1', revokedAt: null },
+        { $set: expect.objectContaining({ revokedReason: 'logout' }) }
+      );
+    });
+  });
+
+  describe('consumeToken', () => {
+    test('should report whether this call was the first to use the token', async () => {
+      jest.spyOn(TokenRevocation, 'updateOne')
+        .mockResolvedValueOnce({ upsertedCount: 1 })
+        .mockResolvedValueOnce({ upsertedCount: 0 });
+
+      await expect(tokenRevocationService.consumeToken(decoded, 'step_up_confirmation_used')).resolves.toBe(true);
+      await expect(tokenRevocationService.consumeToken(decoded, 'step_up_confirmation_used')).resolves.toBe(false);
+    });
+
+    test('should treat losing a concurrent upsert as already used', async () => {
+      jest.spyOn(TokenRevocation, 'updateOne').mockRejectedValue(Object.assign(new Error('E11000 duplicate key'), { code: 11000 }));
+
+      await expect(tokenRevocationService.consumeToken(decoded, 'step_up_confirmation_used')).resolves.toBe(false);
+    });
+  });
+
+  describe('isRevoked', () => {
+    test('should match the token jti or a user-wide revocation issued after it', async () => {
+      const exists = jest.spyOn(TokenRevocation, 'exists').mockResolvedValue(null);
+
+      await expect(tokenRevocationService.isRevoked(decoded)).resolves.toBe(false);
+
+      const [filter] = exists.mock.calls[0];
+      expect(filter.$or[0]).toEqual({ kind: 'token', jti: decoded.jti });
+      expect(filter.$or[1]).toMatchObject({
+        kind: 'user',
+        userId: decoded.userId,
+        userType: 'employee',
+        revokedAt: { $gte: new Date((decoded.iat + 1) * 1000) }
+      });
+    });
+
+    test('should accept a token issued in the same second as a user-wide revocation', async () => {
+      const revokedAt = new Date(decoded.iat * 1000 + 400);
+      const matches = (condition) => condition.kind === 'user' && revokedAt >= condition.revokedAt.$gte;
+      jest.spyOn(TokenRevocation, 'exists').mockImplementation(async (filter) => (
+        filter.$or.some(matches) ? { _id: 'x' } : null
+      ));
+
+      await expect(tokenRevocationService.isRevoked(decoded)).resolves.toBe(false);
+      await expect(tokenRevocationService.isRevoked({ ...decoded, iat: decoded.iat - 1 })).resolves.toBe(true);
+    });
+
+    test('should also match a revocation of the token\'s session', async () => {
+      const exists = jest.spyOn(TokenRevocation, 'exists').mockResolvedValue(null);
+
+      await tokenRevocationService.isRevoked(decoded);
+      await tokenRevocationService.isRevoked({ ...decoded, sid: undefined });
+
+      expect(exists.mock.calls[0][0].$or).toContainEqual({ kind: 'session', sessionId: 'family-1' });
+      expect(exists.mock.calls[1][0].$or).toHaveLength(2);
+    });
+
+    test('should report revoked tokens', async () => {
+      jest.spyOn(TokenRevocation, 'exists').mockResolvedValue({ _id: 'x' });
+
+      await expect(tokenRevocationService.isRevoked(decoded)).resolves.toBe(true);
+    });
+  });
+
+  describe('revokeSession', () => {
+    test('should block the session\'s access tokens and revoke its refresh tokens', async () => {
+      const create = jest.spyOn(TokenRevocation, 'create').mockResolvedValue({});
+      const updateMany = jest.spyOn(RefreshToken, 'updateMany').mockResolvedValue({ modifiedCount: 1 });
+
+      await tokenRevocationService.revokeSession(
+        { sessionId: 'family-1', userId: decoded.userId, userType: 'customer' },
+        { reason: 'signed_out_by_customer', revokedBy: 'jane_doe' }
+      );
+
+      expect(create).toHaveBeenCalledWith(expect.objectContaining({
+        kind: 'session',
+        sessionId: 'family-1',
+        revokedBy: 'jane_doe'
+      }));
+      expect(updateMany).toHaveBeenCalledWith(
+        { familyId: 'family-1', revokedAt: null },
+        { $set: { revokedAt: expect.any(Date), revokedReason: 'signed_out_by_customer' } }
+      );
+    });
+  });
+
+  describe('revokeAllForUser', () => {
+    test('should record a user-wide revocation and revoke all refresh tokens', async () => {
+      const create = jest.spyOn(TokenRevocation, 'create').mockResolvedValue({});
+      jest.spyOn(RefreshToken, 'updateMany').mockResolvedValue({ modifiedCount: 3 });
+
+      const revoked = await tokenRevocationService.revokeAllForUser(decoded.userId, 'employee', {
+        revokedBy: 'admin',
+        reason: 'Left the bank'
+      });
+
+      expect(revoked).toBe(3);
+      expect(create).toHaveBeenCalledWith(expect.objectContaining({
+        kind: 'user',
+        userId: decoded.userId,
+        revokedBy: 'admin'
+      }));
+    });
+
+    test('should keep the revocation for as long as access tokens live', async () => {
+      const originalExpire = process.env.JWT_EXPIRE;
+      process.env.JWT_EXPIRE = '7d';
+      const create = jest.spyOn(TokenRevocation, 'create').mockResolvedValue({});
+      jest.spyOn(RefreshToken, 'updateMany').mockResolvedValue({ modifiedCount: 0 });
+
+      try {
+        await tokenRevocationService.revokeAllForUser(decoded.userId, 'employee');
+      } finally {
+        if (originalExpire === undefined) {
+          delete process.env.JWT_EXPIRE;
+        } else {
+          process.env.JWT_EXPIRE = originalExpire;
+        }
+      }
+
+      const { revokedAt, expiresAt } = create.mock.calls[0][0];
+      expect(expiresAt - revokedAt).toBe(7 * 24 * 60 * 60 * 1000);
+    });
+  });
+});
@@ -36,6 +36,68 @@ describe('TokenService', () => {
       expect(decoded.userType).toBe(payload.userType);
       expect(decoded.iat).toBeDefined();
     });
+
+    test('should give every token a unique jti', () => {
+      const payload = {
+        userId: '507f1f77bcf86cd799439011',
+        username: 'testuser',
+        userType: 'customer'
+      };
+
+      const first = tokenService.verifyToken(tokenService.generateToken(payload));
+      const second = tokenService.verifyToken(tokenService.generateToken(payload));
+
+      expect(first.jti).toBeDefined();
+      expect(first.jti).not.toBe(second.jti);
+      expect(first.sid).toBeUndefined();
+    });
+
+    test('should include the session id when given', () => {
+      const token = tokenService.generateToken({
+        userId: '507f1f77bcf86cd799439011',
+        username: 'testuser',
+        userType: 'customer',
+        sessionId: 'family-1'
+      });
+
+      expect(tokenService.verifyToken(token).sid).toBe('family-1');
+    });
+
+    test('should include the role claim for employees only', () => {
+      const employee = tokenService.verifyToken(tokenService.generateToken({
+        userId: '507f1f77bcf86cd799439011',
+        username: 'manager_1',
+        userType: 'employee',
+        role: 'Manager'
+      }));
+      const customer = tokenService.verifyToken(tokenService.generateToken({
+        userId: '507f1f77bcf86cd799439012',
+        username: 'testuser',
+        userType: 'customer',
+        role: 'Admin'
+      }));
+
+      expect(employee.role).toBe('Manager');
+      expect(customer.role).toBeUndefined();
+    });
+
+    test('should flag a pending password change only when one is required', () => {
+      const pending = tokenService.verifyToken(tokenService.generateToken({
+        userId: '507f1f77bcf86cd799439011',
+        username: 'testuser',
+        userType: 'customer',
+        mustChangePassword: true
+      }));
+      const changed = tokenService.verifyToken(tokenService.generateToken({
+        userId: '507f1f77bcf86cd799439011',
+        username: 'testuser',
+        userType: 'customer',
+        mustChangePassword: false
+      }));
+
+      expect(pending.mustChangePassword).toBe(true);
+      expect(changed.mustChangePassword).toBeUndefined();
+    });
   });
 
   describe('verifyToken', () => {
@@ -68,6 +130,35 @@ describe('TokenService', () => {
     });
   });
 
+  describe('MFA challenge tokens', () => {
+    const payload = {
+      userId: '507f1f77bcf86cd799439011',
+      username: 'testuser',
+      userType: 'employee',
+      purpose: 'enrol'
+    };
+
+    test('should round-trip the challenge claims', () => {
+      const decoded = tokenService.verifyMfaChallengeToken(tokenService.generateMfaChallengeToken(payload));
+
+      expect(decoded).toMatchObject(payload);
+      expect(decoded.jti).toBeDefined();
+      expect(decoded.exp - decoded.iat).toBe(5 * 60);
+    });
+
+    test('should not be accepted as an access token', () => {
+      const challenge = tokenService.generateMfaChallengeToken(payload);
+
+      expect(tokenService.verifyToken(challenge)).toBeNull();
+    });
+
+    test('should not accept an access token as a challenge', () => {
+      const token = tokenService.generateToken(payload);
+
+      expect(tokenService.verifyMfaChallengeToken(token)).toBeNull();
+    });
+  });
+
   describe('extractTokenFromHeader', () => {
     test('should extract token from valid Bearer header', () => {
       const token = 'eyJhbGciOiJIUzI1NiIsInR5cCI6IkpXVCJ9.test';
@@ -0,0 +1,93 @@
+import totpService from '../services/totpService.js';
+
+// RFC 6238 appendix B test secret ("12345678901234567890"), SHA-1
+const RFC_SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+
+describe('TotpService', () => {
+  describe('base32', () => {
+    test('should encode and decode RFC 4648 test vectors', () => {
+      expect(totpService.base32Encode(Buffer.from('foobar'))).toBe('MZXW6YTBOI');
+      expect(totpService.base32Decode('MZXW6YTBOI').toString()).toBe('foobar');
+      expect(totpService.base32Decode('mzxw 6ytb oi======').toString()).toBe('foobar');
+    });
+
+    test('should reject characters outside the alphabet', () => {
+      expect(() => totpService.base32Decode('MZXW1')).toThrow('Invalid base32');
+    });
+  });
+
+  describe('generateSecret', () => {
+    test('should generate unique 160-bit base32 secrets', () => {
+      const secret = totpService.generateSecret();
+
+      expect(secret).toMatch(/^[A-Z2-7]{32}$/);
+      expect(totpService.base32Decode(secret)).toHaveLength(20);
+      expect(totpService.generateSecret()).not.toBe(secret);
+    });
+  });
+
+  describe('generateCode', () => {
+    test('should match the RFC 6238 test vectors (last 6 digits)', () => {
+      expect(totpService.generateCode(RFC_SECRET, 59 * 1000)).toBe('287082');
+      expect(totpService.generateCode(RFC_SECRET, 1111111109 * 1000)).toBe('081804');
+      expect(totpService.generateCode(RFC_SECRET, 1234567890 * 1000)).toBe('005924');
+      expect(totpService.generateCode(RFC_SECRET, 2000000000 * 1000)).toBe('279037');
+    });
+  });
+
+  describe('verifyCode', () => {
+    const timestamp = 1234567890 * 1000;
+
+    test('should return the matching time step', () => {
+      expect(totpService.verifyCode(RFC_SECRET, '005924', { timestamp })).toBe(totpService.getTimeStep(timestamp));
+    });
+
+    test('should accept codes from the adjacent steps only', () => {
+      const previous = totpService.generateCode(RFC_SECRET, timestamp - 30 * 1000);
+      const tooOld = totpService.generateCode(RFC_SECRET, timestamp - 60 * 1000);
+
+      expect(totpService.verifyCode(RFC_SECRET, previous, { timestamp })).toBe(totpService.getTimeStep(timestamp) - 1);
+      expect(totpService.verifyCode(RFC_SECRET, tooOld, { timestamp })).toBeNull();
+    });
+
+    test('should refuse steps that were already used', () => {
+      const step = totpService.getTimeStep(timestamp);
+
+      expect(totpService.verifyCode(RFC_SECRET, '005924', { timestamp, lastUsedStep: step })).toBeNull();
+    });
+
+    test('should reject malformed codes', () => {
+      expect(totpService.verifyCode(RFC_SECRET, '', { timestamp })).toBeNull();
+      expect(totpService.verifyCode(RFC_SECRET, '12345', { timestamp })).toBeNull();
+      expect(totpService.verifyCode(RFC_SECRET, { $gt: '' }, { timestamp })).toBeNull();
+    });
+  });
+
+  describe('buildOtpauthUri', () => {
+    test('should build an otpauth URI with issuer and parameters', () => {
+      const uri = totpService.buildOtpauthUri('JBSWY3DPEHPK3PXP', 'jdoe');
+
+      expect(uri).toMatch(/^otpauth:\/\/totp\/SecureBank%3Ajdoe\?/);
+      const params = new URL(uri).searchParams;
+      expect(params.get('secret')).toBe('JBSWY3DPEHPK3PXP');
+      expect(params.get('issuer')).toBe('SecureBank');
+      expect(params.get('digits')).toBe('6');
+      expect(params.get('period')).toBe('30');
+    });
+
+    test('should take the issuer from the environment on first use', () => {
+      const saved = { ...process.env };
+      try {
+        totpService.issuer = null;
+        process.env.TOTP_ISSUER = 'Example Bank';
+
+        const uri = totpService.buildOtpauthUri('JBSWY3DPEHPK3PXP', 'jdoe');
+
+        expect(new URL(uri).searchParams.get('issuer')).toBe('Example Bank');
+      } finally {
+        process.env = saved;
+        totpService.issuer = null;
+      }
+    });
+  });
+});
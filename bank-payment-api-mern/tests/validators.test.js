@@ -141,6 +141,87 @@ describe('InputValidator', () => {
     });
   });
 
+  describe('isValidReason', () => {
+    test('should accept valid reasons', () => {
+      expect(validator.isValidReason('Beneficiary account is closed.')).toBe(true);
+      expect(validator.isValidReason('Ref: INV-2024/001 (duplicate)')).toBe(true);
+    });
+
+    test('should reject invalid reasons', () => {
+      expect(validator.isValidReason('Bad')).toBe(false); // Too short
+      expect(validator.isValidReason('<script>alert(1)</script>')).toBe(false); // XSS attempt
+      expect(validator.isValidReason('{"$ne": null}')).toBe(false); // NoSQL operator
+      expect(validator.isValidReason(undefined)).toBe(false);
+      expect(validator.isValidReason('a'.repeat(501))).toBe(false); // Too long
+    });
+  });
+
+  describe('isValidISODate', () => {
+    test('should accept valid calendar dates', () => {
+      expect(validator.isValidISODate('2024-03-15')).toBe(true);
+      expect(validator.isValidISODate('2024-02-29')).toBe(true); // Leap year
+    });
+
+    test('should reject invalid dates', () => {
+      expect(validator.isValidISODate('2023-02-29')).toBe(false); // Not a leap year
+      expect(validator.isValidISODate('2024-13-01')).toBe(false);
+      expect(validator.isValidISODate('15/03/2024')).toBe(false);
+      expect(validator.isValidISODate('2024-03-15T00:00:00Z')).toBe(false);
+    });
+  });
+
+  describe('isValidTotpCode', () => {
+    test('should accept 6-digit codes', () => {
+      expect(validator.isValidTotpCode('123456')).toBe(true);
+      expect(validator.isValidTotpCode('000000')).toBe(true);
+    });
+
+    test('should reject anything else', () => {
+      expect(validator.isValidTotpCode('12345')).toBe(false);
+      expect(validator.isValidTotpCode('1234567')).toBe(false);
+      expect(validator.isValidTotpCode('12a456')).toBe(false);
+      expect(validator.isValidTotpCode({ $gt: '' })).toBe(false);
+    });
+  });
+
+  describe('isValidRecoveryCode', () => {
+    test('should accept recovery codes with or without dashes', () => {
+      expect(validator.isValidRecoveryCode('a1b2-c3d4-e5f6-0789')).toBe(true);
+      expect(validator.isValidRecoveryCode('A1B2C3D4E5F60789')).toBe(true);
+    });
+
+    test('should reject malformed recovery codes', () => {
+      expect(validator.isValidRecoveryCode('a1b2-c3d4-e5f6')).toBe(false);
+      expect(validator.isValidRecoveryCode('g1b2-c3d4-e5f6-0789')).toBe(false);
+      expect(validator.isValidRecoveryCode('a1b2--c3d4-e5f6-0789')).toBe(false);
+    });
+  });
+
+  describe('isValidPasskeyName', () => {
+    test('should accept workstation labels', () => {
+      expect(validator.isValidPasskeyName('Teller desk 3')).toBe(true);
+      expect(validator.isValidPasskeyName('WS-0042_main')).toBe(true);
+    });
+
+    test('should reject empty, long or unsafe labels', () => {
+      expect(validator.isValidPasskeyName('')).toBe(false);
+      expect(validator.isValidPasskeyName('a'.repeat(101))).toBe(false);
+      expect(validator.isValidPasskeyName('<script>')).toBe(false);
+    });
+  });
+
+  describe('isValidResetToken', () => {
+    test('should accept 64 hex digit tokens', () => {
+      expect(validator.isValidResetToken('a'.repeat(32) + '0123456789abcdef'.repeat(2))).toBe(true);
+    });
+
+    test('should reject short, uppercase or non-string tokens', () => {
+      expect(validator.isValidResetToken('a'.repeat(63))).toBe(false);
+      expect(validator.isValidResetToken('A'.repeat(64))).toBe(false);
+      expect(validator.isValidResetToken({ $ne: null })).toBe(false);
+    });
+  });
+
   describe('sanitizeInput', () => {
     test('should remove dangerous characters', () => {
       expect(validator.sanitizeInput('Normal text')).toBe('Normal text');
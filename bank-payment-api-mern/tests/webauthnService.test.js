@@ -0,0 +1,265 @@
+import { jest } from '@jest/globals';
+import request from 'supertest';
+import express from 'express';
+import Employee from '../models/Employee.js';
+import AuditLog from '../models/AuditLog.js';
+import WebAuthnChallenge from '../models/WebAuthnChallenge.js';
+import WebAuthnCredential from '../models/WebAuthnCredential.js';
+import webauthnService, { WebAuthnError } from '../services/webauthnService.js';
+import tokenService from '../services/tokenService.js';
+import tokenRevocationService from '../services/tokenRevocationService.js';
+import accountLockoutService from '../services/accountLockoutService.js';
+import employeeAuthRoutes from '../routes/employeeAuth.js';
+import { SoftwareAuthenticator } from './helpers/softwareAuthenticator.js';
+
+const employee = {
+  _id: '507f1f77bcf86cd799439011',
+  username: 'teller1',
+  fullName: 'Test Teller',
+  isActive: true
+};
+
+/**
+ * Keep issued challenges in memory so findOneAndDelete behaves like the collection
+ */
+const mockChallengeStore = () => {
+  const challenges = new Map();
+  jest.spyOn(WebAuthnChallenge, 'create').mockImplementation(async (doc) => {
+    challenges.set(doc.challenge, doc);
+    return doc;
+  });
+  jest.spyOn(WebAuthnChallenge, 'findOneAndDelete').mockImplementation(async (filter) => {
+    const stored = challenges.get(filter.challenge);
+    if (!stored || stored.purpose !== filter.purpose) return null;
+    challenges.delete(filter.challenge);
+    return stored;
+  });
+  return challenges;
+};
+
+/**
+ * Register a software authenticator and return the stored credential
+ */
+const registerPasskey = async (authenticator) => {
+  jest.spyOn(WebAuthnCredential, 'find').mockReturnValue({ select: jest.fn().mockResolvedValue([]) });
+  jest.spyOn(WebAuthnCredential, 'exists').mockResolvedValue(null);
+  jest.spyOn(WebAuthnCredential, 'create').mockImplementation(async (doc) => ({ _id: 'cred-1', ...doc }));
+
+  const options = await webauthnService.createRegistrationOptions(employee);
+  return webauthnService.verifyRegistration(employee, authenticator.register(options), 'Teller desk 3');
+};
+
+describe('WebAuthnService', () => {
+  beforeEach(() => {
+    mockChallengeStore();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('registration', () => {
+    test('should issue options requiring user verification and a discoverable credential', async () => {
+      jest.spyOn(WebAuthnCredential, 'find').mockReturnValue({
+        select: jest.fn().mockResolvedValue([{ credentialId: 'existing', transports: ['internal'] }])
+      });
+
+      const options = await webauthnService.createRegistrationOptions(employee);
+
+      expect(options.rp).toEqual({ name: 'SecureBank', id: 'localhost' });
+      expect(options.user.name).toBe('teller1');
+      expect(options.authenticatorSelection.userVerification).toBe('required');
+      expect(options.authenticatorSelection.residentKey).toBe('required');
+      expect(options.excludeCredentials).toEqual([{ id: 'existing', type: 'public-key', transports: ['internal'] }]);
+      expect(WebAuthnChallenge.create).toHaveBeenCalledWith(expect.objectContaining({
+        challenge: options.challenge,
+        purpose: 'registration',
+        employeeId: employee._id
+      }));
+    });
+
+    test('should store the public key, counter and transports of a new passkey', async () => {
+      const authenticator = new SoftwareAuthenticator();
+
+      const credential = await registerPasskey(authenticator);
+
+      expect(credential).toMatchObject({
+        employeeId: employee._id,
+        credentialId: authenticator.id,
+        counter: 0,
+        transports: ['internal'],
+        name: 'Teller desk 3'
+      });
+      expect(credential.publicKey).toMatch(/^[A-Za-z0-9_-]+$/);
+    });
+
+    test('should reject a response from another origin', async () => {
+      jest.spyOn(WebAuthnCredential, 'find').mockReturnValue({ select: jest.fn().mockResolvedValue([]) });
+      const authenticator = new SoftwareAuthenticator();
+      const options = await webauthnService.createRegistrationOptions(employee);
+
+      await expect(webauthnService.verifyRegistration(
+        employee,
+        authenticator.register(options, { origin: 'https://phishing.example' })
+      )).rejects.toThrow(/origin/);
+    });
+
+    test('should reject an authenticator without user verification', async () => {
+      jest.spyOn(WebAuthnCredential, 'find').mockReturnValue({ select: jest.fn().mockResolvedValue([]) });
+      const authenticator = new SoftwareAuthenticator({ userVerified: false });
+      const options = await webauthnService.createRegistrationOptions(employee);
+
+      await expect(webauthnService.verifyRegistration(employee, authenticator.register(options)))
+        .rejects.toThrow(/user could not be verified/i);
+    });
+
+    test('should not accept the same challenge twice', async () => {
+      const authenticator = new SoftwareAuthenticator();
+      jest.spyOn(WebAuthnCredential, 'find').mockReturnValue({ select: jest.fn().mockResolvedValue([]) });
+      jest.spyOn(WebAuthnCredential, 'exists').mockResolvedValue(null);
+      jest.spyOn(WebAuthnCredential, 'create').mockImplementation(async (doc) => doc);
+      const response = authenticator.register(await webauthnService.createRegistrationOptions(employee));
+
+      await webauthnService.verifyRegistration(employee, response);
+
+      await expect(webauthnService.verifyRegistration(employee, response))
+        .rejects.toThrow('Passkey challenge is invalid or has expired');
+    });
+  });
+
+  describe('authentication', () => {
+    test('should sign in the employee and store the new signature counter', async () => {
+      const authenticator = new SoftwareAuthenticator();
+      const stored = await registerPasskey(authenticator);
+      jest.spyOn(WebAuthnCredential, 'findOne').mockResolvedValue(stored);
+      jest.spyOn(Employee, 'findOne').mockResolvedValue(employee);
+      const updateOne = jest.spyOn(WebAuthnCredential, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+
+      const options = await webauthnService.createAuthenticationOptions();
+      const result = await webauthnService.verifyAuthentication(authenticator.authenticate(options));
+
+      expect(options.userVerification).toBe('required');
+      expect(options.allowCredentials ?? []).toHaveLength(0);
+      expect(result.employee).toBe(employee);
+      expect(WebAuthnCredential.findOne).toHaveBeenCalledWith({ credentialId: authenticator.id });
+      expect(updateOne.mock.calls[0][1].$set.counter).toBe(1);
+    });
+
+    test('should reject a signature counter that went backwards (cloned authenticator)', async () => {
+      const authenticator = new SoftwareAuthenticator();
+      const stored = await registerPasskey(authenticator);
+      jest.spyOn(WebAuthnCredential, 'findOne').mockResolvedValue({ ...stored, counter: 5 });
+      jest.spyOn(Employee, 'findOne').mockResolvedValue(employee);
+      const updateOne = jest.spyOn(WebAuthnCredential, 'updateOne');
+
+      const options = await webauthnService.createAuthenticationOptions();
+
+      await expect(webauthnService.verifyAuthentication(authenticator.authenticate(options)))
+        .rejects.toThrow(/counter/i);
+      expect(updateOne).not.toHaveBeenCalled();
+    });
+
+    test('should reject a signature from a different key', async () => {
+      const authenticator = new SoftwareAuthenticator();
+      const stored = await registerPasskey(authenticator);
+      const impostor = new SoftwareAuthenticator();
+      impostor.credentialId = authenticator.credentialId;
+      jest.spyOn(WebAuthnCredential, 'findOne').mockResolvedValue(stored);
+      jest.spyOn(Employee, 'findOne').mockResolvedValue(employee);
+
+      const options = await webauthnService.createAuthenticationOptions();
+
+      await expect(webauthnService.verifyAuthentication(impostor.authenticate(options)))
+        .rejects.toMatchObject({ name: 'WebAuthnError', status: 401 });
+    });
+
+    test('should reject unknown passkeys and inactive employees', async () => {
+      const authenticator = new SoftwareAuthenticator();
+      const stored = await registerPasskey(authenticator);
+      jest.spyOn(WebAuthnCredential, 'findOne').mockResolvedValueOnce(null).mockResolvedValueOnce(stored);
+      jest.spyOn(Employee, 'findOne').mockResolvedValue(null);
+
+      await expect(webauthnService.verifyAuthentication(
+        authenticator.authenticate(await webauthnService.createAuthenticationOptions())
+      )).rejects.toThrow('Passkey not recognised.');
+
+      await expect(webauthnService.verifyAuthentication(
+        authenticator.authenticate(await webauthnService.createAuthenticationOptions())
+      )).rejects.toThrow('Passkey not recognised.');
+    });
+
+    test('should reject a passkey whose employee is locked out', async () => {
+      const authenticator = new SoftwareAuthenticator();
+      const stored = await registerPasskey(authenticator);
+      jest.spyOn(WebAuthnCredential, 'findOne').mockResolvedValue(stored);
+      jest.spyOn(Employee, 'findOne').mockResolvedValue({
+        ...employee,
+        lockedUntil: new Date(Date.now() + 60 * 1000)
+      });
+      const updateOne = jest.spyOn(WebAuthnCredential, 'updateOne');
+
+      const options = await webauthnService.createAuthenticationOptions();
+
+      await expect(webauthnService.verifyAuthentication(authenticator.authenticate(options)))
+        .rejects.toMatchObject({ message: 'Passkey not recognised.', status: 401 });
+      expect(updateOne).not.toHaveBeenCalled();
+    });
+
+    test('should reject a response to a challenge this server did not issue', async () => {
+      const authenticator = new SoftwareAuthenticator();
+
+      await expect(webauthnService.verifyAuthentication(authenticator.authenticate({ challenge: 'forged' })))
+        .rejects.toMatchObject({ status: 400 });
+    });
+  });
+});
+
+describe('POST /api/employee/auth/webauthn/register/options', () => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/employee/auth', employeeAuthRoutes);
+
+  let bearer;
+
+  beforeEach(() => {
+    process.env.JWT_SECRET = 'test_secret_key_for_testing_purposes_only_minimum_64_chars_required';
+    bearer = `Bearer ${tokenService.generateToken({
+      userId: employee._id,
+      username: employee.username,
+      userType: 'employee',
+      role: 'Employee'
+    })}`;
+    jest.spyOn(tokenRevocationService, 'isRevoked').mockResolvedValue(false);
+    jest.spyOn(Employee, 'findOne').mockResolvedValue(employee);
+    jest.spyOn(WebAuthnChallenge, 'create');
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should refuse a plain bearer token without re-authentication', async () => {
+    const response = await request(app)
+      .post('/api/employee/auth/webauthn/register/options')
+      .set('Authorization', bearer);
+
+    expect(response.status).toBe(400);
+    expect(response.body.options).toBeUndefined();
+    expect(WebAuthnChallenge.create).not.toHaveBeenCalled();
+  });
+
+  test('should refuse a wrong password and count it towards the lockout', async () => {
+    jest.spyOn(accountLockoutService, 'verifyLogin').mockResolvedValue({ success: false, failureReason: 'Invalid password' });
+    jest.spyOn(AuditLog, 'logFailedLogin').mockResolvedValue(undefined);
+
+    const response = await request(app)
+      .post('/api/employee/auth/webauthn/register/options')
+      .set('Authorization', bearer)
+      .send({ password: 'Wrong123!pass', code: '123456' });
+
+    expect(response.status).toBe(400);
+    expect(response.body.message).toBe('Incorrect password or authenticator code.');
+    expect(accountLockoutService.verifyLogin).toHaveBeenCalledWith(Employee, employee, 'Wrong123!pass');
+    expect(WebAuthnChallenge.create).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,47 @@
+/**
+ * Per-Currency Amounts
+ * Thresholds and limits are configured as CCY:amount pairs, e.g.
+ * "USD:10000,ZAR:180000,*:10000", where '*' covers every currency that is
+ * not listed. Payment messages format amounts with the currency's minor units.
+ */
+
+// ISO 4217 currencies without minor units
+export const ZERO_DECIMAL_CURRENCIES = ['JPY', 'KRW', 'ISK', 'CLP', 'VND', 'XOF', 'XAF', 'UGX'];
+
+/**
+ * Decimal places an amount in this currency is written with
+ * @param {string} currency
+ * @returns {number} 0 or 2
+ */
+export const minorUnits = (currency) => (ZERO_DECIMAL_CURRENCIES.includes(currency) ? 0 : 2);
+
+/**
+ * Parse a CCY:amount configuration string
+ * Malformed pairs and negative amounts are skipped.
+ * @param {string} config - e.g. "USD:10000,EUR:9000,*:10000"
+ * @param {Object} defaults - Used when config is empty
+ * @returns {Object} Currency (or '*') -> amount
+ */
+export const parseCurrencyAmounts = (config, defaults = {}) => {
+  if (!config) {
+    return { ...defaults };
+  }
+
+  const amounts = {};
+  config.split(',').forEach((pair) => {
+    const [currency, amount] = pair.split(':').map((part) => part.trim());
+    const value = Number(amount);
+    if (currency && amount && Number.isFinite(value) && value >= 0) {
+      amounts[currency.toUpperCase()] = value;
+    }
+  });
+  return amounts;
+};
+
+/**
+ * Amount that applies to a currency
+ * @param {Object} amounts - As returned by parseCurrencyAmounts
+ * @param {string} currency
+ * @returns {number} The currency's amount, else the '*' amount, else Infinity
+ */
+export const amountForCurrency = (amounts, currency) => amounts[currency] ?? amounts['*'] ?? Infinity;
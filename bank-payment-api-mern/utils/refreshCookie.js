@@ -0,0 +1,56 @@
+/**
+ * Refresh Token Cookie
+ * The refresh token never reaches page scripts: it travels in an httpOnly,
+ * Secure, SameSite=Strict cookie that the browser only sends to the refresh
+ * endpoint, so an XSS payload cannot read it or replay it elsewhere.
+ */
+
+export const REFRESH_COOKIE_NAME = 'refresh_token';
+export const REFRESH_COOKIE_PATH = '/api/auth/refresh';
+
+const cookieOptions = () => ({
+  httpOnly: true,
+  secure: true,
+  sameSite: 'strict',
+  path: REFRESH_COOKIE_PATH
+});
+
+/**
+ * Send a refresh token to the browser
+ * @param {Object} res - Express response
+ * @param {Object} session - { refreshToken, refreshTokenExpiresAt }
+ */
+export const setRefreshCookie = (res, { refreshToken, refreshTokenExpiresAt }) => {
+  res.cookie(REFRESH_COOKIE_NAME, refreshToken, {
+    ...cookieOptions(),
+    expires: new Date(refreshTokenExpiresAt)
+  });
+};
+
+/**
+ * Tell the browser to drop its refresh token
+ * @param {Object} res - Express response
+ */
+export const clearRefreshCookie = (res) => {
+  res.clearCookie(REFRESH_COOKIE_NAME, cookieOptions());
+};
+
+/**
+ * Refresh token sent with a request
+ * @param {Object} req - Express request
+ * @returns {string|null}
+ */
+export const readRefreshCookie = (req) => {
+  const header = req.headers.cookie;
+  if (typeof header !== 'string') {
+    return null;
+  }
+
+  for (const pair of header.split(';')) {
+    const separator = pair.indexOf('=');
+    if (separator > 0 && pair.slice(0, separator).trim() === REFRESH_COOKIE_NAME) {
+      return pair.slice(separator + 1).trim();
+    }
+  }
+  return null;
+};
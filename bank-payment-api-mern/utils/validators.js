@@ -51,6 +51,34 @@ const patterns = {
   // Blocks: Numbers, HTML tags, script tags
   bankName: /^[a-zA-Z\s&'-]{2,100}$/,
 
+  // Free-text reason (e.g. payment rejection): letters, digits, basic punctuation
+  // Blocks: HTML tags, script tags, NoSQL operators ($), backslashes
+  reason: /^[a-zA-Z0-9\s.,'()\-:\/]{5,500}$/,
+
+  // SWIFT batch / ISO 20022 message id: SB + 14-digit UTC timestamp + 6 hex
+  // Blocks: Anything not generated by iso20022Service.generateMessageId
+  batchId: /^SB[0-9]{14}[A-F0-9]{6}$/,
+
+  // ISO 8601 calendar date: YYYY-MM-DD
+  // Blocks: Times, timezones, free text
+  isoDate: /^\d{4}-(0[1-9]|1[0-2])-(0[1-9]|[12]\d|3[01])$/,
+
+  // TOTP code from an authenticator app: exactly 6 digits
+  // Blocks: Letters, symbols, partial codes
+  totpCode: /^[0-9]{6}$/,
+
+  // Two-factor recovery code: 16 hex digits, optionally in dash-separated groups of 4
+  // Blocks: Anything not generated by mfaService.generateRecoveryCodes
+  recoveryCode: /^[a-fA-F0-9]{4}(-?[a-fA-F0-9]{4}){3}$/,
+
+  // Passkey label: letters, numbers, spaces, hyphens, underscores
+  // Blocks: HTML tags, script tags, NoSQL operators ($)
+  passkeyName: /^[a-zA-Z0-9 _-]{1,100}$/,
+
+  // Password reset token: 64 lowercase hex digits (32 random bytes)
+  // Blocks: Anything not generated by passwordService.generatePasswordResetToken
+  resetToken: /^[a-f0-9]{64}$/,
+
   // Email: RFC 5322 compliant
   // Blocks: Invalid email formats, script injections
   email: /^[a-zA-Z0-9._%+-]+@[a-zA-Z0-9.-]+\.[a-zA-Z]{2,}$/,
@@ -174,6 +202,15 @@ class InputValidator {
     return patterns.bankName.test(bankName);
   }
 
+  /**
+   * Validate free-text reason (5-500 chars, basic punctuation)
+   * @param {string} reason
+   * @returns {boolean}
+   */
+  isValidReason(reason) {
+    return typeof reason === 'string' && patterns.reason.test(reason.trim());
+  }
+
   /**
    * Sanitize input by removing dangerous characters
    * @param {string} input
@@ -199,6 +236,62 @@ class InputValidator {
     return patterns.objectId.test(id);
   }
 
+  /**
+   * Validate SWIFT batch id
+   * @param {string} batchId
+   * @returns {boolean}
+   */
+  isValidBatchId(batchId) {
+    return patterns.batchId.test(batchId);
+  }
+
+  /**
+   * Validate ISO 8601 calendar date (YYYY-MM-DD) that exists in the calendar
+   * @param {string} date
+   * @returns {boolean}
+   */
+  isValidISODate(date) {
+    if (!patterns.isoDate.test(date)) return false;
+    const parsed = new Date(`${date}T00:00:00Z`);
+    return !isNaN(parsed.getTime()) && parsed.toISOString().startsWith(date);
+  }
+
+  /**
+   * Validate TOTP code (6 digits)
+   * @param {string} code
+   * @returns {boolean}
+   */
+  isValidTotpCode(code) {
+    return patterns.totpCode.test(code);
+  }
+
+  /**
+   * Validate two-factor recovery code
+   * @param {string} code
+   * @returns {boolean}
+   */
+  isValidRecoveryCode(code) {
+    return patterns.recoveryCode.test(code);
+  }
+
+  /**
+   * Validate passkey label
+   * @param {string} name
+   * @returns {boolean}
+   */
+  isValidPasskeyName(name) {
+    return patterns.passkeyName.test(name);
+  }
+
+  /**
+   * Validate password reset token
+   * @param {string} token
+   * @returns {boolean}
+   */
+  isValidResetToken(token) {
+    return patterns.resetToken.test(token);
+  }
+
   /**
    * Validate email address
    * @param {string} email
@@ -8,10 +8,13 @@ import CustomerDashboard from './pages/CustomerDashboard';
 import CreatePayment from './pages/CreatePayment';
 import EmployeeLogin from './pages/EmployeeLogin';
 import EmployeeDashboard from './pages/EmployeeDashboard';
+import AdminEmployees from './pages/AdminEmployees';
+import ChangePassword from './pages/ChangePassword';
+import ResetPassword from './pages/ResetPassword';
 
 // Protected Route Component
-function ProtectedRoute({ children, requireCustomer, requireEmployee }) {
-  const { isAuthenticated, loading, isCustomer, isEmployee } = useAuth();
+function ProtectedRoute({ children, requireCustomer, requireEmployee, requirePermission, allowPendingPasswordChange }) {
+  const { user, isAuthenticated, loading, isCustomer, isEmployee, hasPermission, logout } = useAuth();
 
   if (loading) return <div>Loading...</div>;
   if (!isAuthenticated) {
@@ -19,6 +22,11 @@ function ProtectedRoute({ children, requireCustomer, requireEmployee }) {
     return requireEmployee ? <Navigate to="/employee/login" /> : <Navigate to="/customer/login" />;
   }
 
+  // A password issued by staff must be replaced before anything else
+  if (user?.mustChangePassword && !allowPendingPasswordChange) {
+    return <Navigate to="/change-password" />;
+  }
+
   // Check role-based access
   if (requireCustomer && !isCustomer) {
     return <Navigate to="/employee/dashboard" />;
@@ -26,6 +34,15 @@ function ProtectedRoute({ children, requireCustomer, requireEmployee }) {
   if (requireEmployee && !isEmployee) {
     return <Navigate to="/customer/dashboard" />;
   }
+  if (requirePermission && !hasPermission(requirePermission)) {
+    return (
+      <div className="container" style={{ padding: '40px 20px', textAlign: 'center' }}>
+        <h2>Access denied</h2>
+        <p className="text-muted">Your role does not allow you to open this page.</p>
+        <button onClick={logout} className="btn btn-secondary">Sign out</button>
+      </div>
+    );
+  }
 
   return children;
 }
@@ -38,6 +55,7 @@ function AppRoutes() {
 
       {/* Customer Routes */}
       <Route path="/customer/login" element={<CustomerLogin />} />
+      <Route path="/customer/reset-password" element={<ResetPassword />} />
       {/* Registration route removed - customers are created by bank staff only */}
       <Route
         path="/customer/dashboard"
@@ -56,16 +74,36 @@ function AppRoutes() {
         }
       />
 
+      {/* Password change (customers and employees) */}
+      <Route
+        path="/change-password"
+        element={
+          <ProtectedRoute allowPendingPasswordChange>
+            <ChangePassword />
+          </ProtectedRoute>
+        }
+      />
+
       {/* Employee Routes */}
       <Route path="/employee/login" element={<EmployeeLogin />} />
       <Route
         path="/employee/dashboard"
         element={
-          <ProtectedRoute requireEmployee>
+          <ProtectedRoute requireEmployee requirePermission="payments:read">
             <EmployeeDashboard />
           </ProtectedRoute>
         }
       />
+
+      {/* Admin Routes */}
+      <Route
+        path="/admin/employees"
+        element={
+          <ProtectedRoute requireEmployee requirePermission="employees:manage">
+            <AdminEmployees />
+          </ProtectedRoute>
+        }
+      />
     </Routes>
   );
 }
@@ -0,0 +1,128 @@
+import { useState, useEffect } from 'react';
+import { toast } from 'react-toastify';
+import { customerSessions } from '../services/api';
+
+/**
+ * Active Sessions Component
+ * Lists the devices a customer is signed in on and lets them sign the
+ * others out (the current device signs out with Logout)
+ */
+function ActiveSessions() {
+  const [sessions, setSessions] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [signingOut, setSigningOut] = useState(null);
+
+  const fetchSessions = async () => {
+    try {
+      const response = await customerSessions.list();
+      setSessions(response.data.sessions);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to load signed-in devices');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchSessions();
+  }, []);
+
+  const handleSignOut = async (session) => {
+    if (!window.confirm('Sign this device out? It will need to sign in again.')) {
+      return;
+    }
+
+    setSigningOut(session.id);
+    try {
+      const response = await customerSessions.signOut(session.id);
+      toast.success(response.data.message);
+      fetchSessions();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to sign out device');
+    } finally {
+      setSigningOut(null);
+    }
+  };
+
+  const handleSignOutOthers = async () => {
+    if (!window.confirm('Sign out every other device? Only this one stays signed in.')) {
+      return;
+    }
+
+    setSigningOut('others');
+    try {
+      const response = await customerSessions.signOutOthers();
+      toast.success(response.data.message);
+      fetchSessions();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to sign out other devices');
+    } finally {
+      setSigningOut(null);
+    }
+  };
+
+  const hasOthers = sessions.some((session) => !session.current);
+
+  return (
+    <div className="card mb-3">
+      <div className="card-header" style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+        <h2 style={{ margin: 0 }}>🛡️ Security: Signed-in Devices</h2>
+        {hasOthers && (
+          <button onClick={handleSignOutOthers} disabled={signingOut !== null} className="btn btn-danger">
+            {signingOut === 'others' ? 'Signing out...' : 'Sign Out All Other Devices'}
+          </button>
+        )}
+      </div>
+
+      <p className="text-muted">
+        If you see a device you don&apos;t recognise, sign it out and change your password.
+      </p>
+
+      {loading ? (
+        <p className="text-muted">Loading devices...</p>
+      ) : sessions.length === 0 ? (
+        <p className="text-muted">No active sessions found.</p>
+      ) : (
+        <div style={{ overflowX: 'auto' }}>
+          <table className="table">
+            <thead>
+              <tr>
+                <th>💻 Device</th>
+                <th>🌐 IP Address</th>
+                <th>🔑 Signed In</th>
+                <th>🕒 Last Active</th>
+                <th>⚙️ Actions</th>
+              </tr>
+            </thead>
+            <tbody>
+              {sessions.map((session) => (
+                <tr key={session.id}>
+                  <td style={{ maxWidth: '320px', wordBreak: 'break-word' }}>{session.userAgent}</td>
+                  <td>{session.lastSeenIp}</td>
+                  <td>{new Date(session.signedInAt).toLocaleString()}</td>
+                  <td>{new Date(session.lastSeenAt).toLocaleString()}</td>
+                  <td>
+                    {session.current ? (
+                      <span className="badge badge-completed">This device</span>
+                    ) : (
+                      <button
+                        onClick={() => handleSignOut(session)}
+                        disabled={signingOut !== null}
+                        className="btn btn-secondary"
+                        style={{ fontSize: '14px', padding: '8px 16px' }}
+                      >
+                        {signingOut === session.id ? 'Signing out...' : 'Sign Out'}
+                      </button>
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default ActiveSessions;
@@ -0,0 +1,183 @@
+import { useState, useEffect } from 'react';
+import { toast } from 'react-toastify';
+import { employeePortal } from '../services/api';
+
+/**
+ * Approval Limits Component
+ * Managers set the largest payment, per currency, each employee may verify.
+ * '*' covers currencies without their own limit; employees without a limit
+ * use the bank defaults. Larger payments go to the Requires Manager queue.
+ */
+function ApprovalLimits() {
+  const [employees, setEmployees] = useState([]);
+  const [defaults, setDefaults] = useState({});
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(null); // employee id with a request in flight
+  const [drafts, setDrafts] = useState({}); // employee id -> { currency, amount }
+
+  const fetchLimits = async () => {
+    try {
+      const response = await employeePortal.getApprovalLimits();
+      setEmployees(response.data.employees);
+      setDefaults(response.data.defaults);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to load approval limits');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchLimits();
+  }, []);
+
+  const formatLimits = (limits) => Object.entries(limits)
+    .map(([currency, amount]) => `${currency} ${Number(amount).toLocaleString()}`)
+    .join(' · ');
+
+  const updateDraft = (employeeId, field, value) => {
+    setDrafts({
+      ...drafts,
+      [employeeId]: { currency: '', amount: '', ...drafts[employeeId], [field]: value },
+    });
+  };
+
+  const saveLimits = async (employee, limits) => {
+    setSaving(employee.id);
+    try {
+      const response = await employeePortal.setApprovalLimits(employee.id, limits);
+      toast.success(response.data.message);
+      setEmployees((current) => current.map((candidate) => (
+        candidate.id === employee.id ? { ...candidate, approvalLimits: response.data.approvalLimits } : candidate
+      )));
+      setDrafts({ ...drafts, [employee.id]: { currency: '', amount: '' } });
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to update approval limits');
+    } finally {
+      setSaving(null);
+    }
+  };
+
+  const handleSet = (employee) => {
+    const draft = drafts[employee.id] || {};
+    const currency = (draft.currency || '').trim().toUpperCase();
+    const amount = Number(draft.amount);
+
+    if (currency !== '*' && !/^[A-Z]{3}$/.test(currency)) {
+      toast.error('Enter a 3-letter currency code, or * for all other currencies');
+      return;
+    }
+    if (draft.amount === '' || !Number.isFinite(amount) || amount < 0) {
+      toast.error('Enter a limit of 0 or more');
+      return;
+    }
+
+    saveLimits(employee, { [currency]: amount });
+  };
+
+  const handleRemove = (employee, currency) => {
+    if (!window.confirm(`Remove the ${currency} limit of ${employee.username}? The bank default applies instead.`)) {
+      return;
+    }
+    saveLimits(employee, { [currency]: null });
+  };
+
+  return (
+    <div className="card" style={{ marginTop: '32px' }}>
+      <div className="card-header">
+        <h2 style={{ margin: 0 }}>📏 Approval Limits</h2>
+      </div>
+      <p className="text-muted">
+        Employees cannot verify payments above their limit; those go to the Requires Manager queue.
+        Bank defaults: {formatLimits(defaults) || 'none'}.
+      </p>
+
+      {loading ? (
+        <p className="text-muted">Loading approval limits...</p>
+      ) : employees.length === 0 ? (
+        <p className="text-muted">No employees with the Employee role.</p>
+      ) : (
+        <div style={{ overflowX: 'auto' }}>
+          <table className="table">
+            <thead>
+              <tr>
+                <th>👤 Employee</th>
+                <th>📏 Own Limits</th>
+                <th>⚙️ Set Limit</th>
+              </tr>
+            </thead>
+            <tbody>
+              {employees.map((employee) => {
+                const draft = drafts[employee.id] || { currency: '', amount: '' };
+                const ownLimits = Object.entries(employee.approvalLimits);
+
+                return (
+                  <tr key={employee.id}>
+                    <td>
+                      <div style={{ fontWeight: '600' }}>{employee.fullName}</div>
+                      <div style={{ fontSize: '13px', color: 'var(--gray-text)' }}>{employee.username}</div>
+                    </td>
+                    <td>
+                      {ownLimits.length === 0 ? (
+                        <span className="text-muted">Bank defaults</span>
+                      ) : (
+                        <div style={{ display: 'flex', gap: '8px', flexWrap: 'wrap' }}>
+                          {ownLimits.map(([currency, amount]) => (
+                            <span key={currency} className="badge badge-pending">
+                              {currency} {Number(amount).toLocaleString()}
+                              <button
+                                onClick={() => handleRemove(employee, currency)}
+                                disabled={saving !== null}
+                                title={`Remove the ${currency} limit`}
+                                style={{ marginLeft: '6px', border: 'none', background: 'none', cursor: 'pointer' }}
+                              >
+                                ✕
+                              </button>
+                            </span>
+                          ))}
+                        </div>
+                      )}
+                    </td>
+                    <td>
+                      <div style={{ display: 'flex', gap: '8px', alignItems: 'center' }}>
+                        <input
+                          type="text"
+                          value={draft.currency}
+                          onChange={(e) => updateDraft(employee.id, 'currency', e.target.value)}
+                          placeholder="USD or *"
+                          maxLength={3}
+                          className="form-input"
+                          style={{ width: '90px' }}
+                        />
+                        <input
+                          type="number"
+                          value={draft.amount}
+                          onChange={(e) => updateDraft(employee.id, 'amount', e.target.value)}
+                          placeholder="Amount"
+                          min="0"
+                          step="0.01"
+                          className="form-input"
+                          style={{ width: '140px' }}
+                        />
+                        <button
+                          onClick={() => handleSet(employee)}
+                          disabled={saving !== null}
+                          className="btn btn-primary"
+                          style={{ fontSize: '14px', padding: '8px 16px' }}
+                        >
+                          {saving === employee.id ? 'Saving...' : 'Set'}
+                        </button>
+                      </div>
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default ApprovalLimits;
@@ -0,0 +1,333 @@
+import { useState } from 'react';
+import { toast } from 'react-toastify';
+import { employeeCustomers } from '../services/api';
+import validator from '../utils/validators';
+
+const EMPTY_FORM = { fullName: '', idNumber: '', accountNumber: '', username: '' };
+
+/**
+ * Customer Onboarding Component
+ * Branch staff open customer accounts and look customers up by account or
+ * ID number to unlock them, send them a password reset link or deactivate
+ * them. Temporary passwords for new accounts are shown once, to hand to the
+ * customer in person.
+ *
+ * @param {boolean} canOnboard - Whether the employee may open and deactivate accounts
+ */
+function CustomerOnboarding({ canOnboard }) {
+  const [formData, setFormData] = useState(EMPTY_FORM);
+  const [creating, setCreating] = useState(false);
+  const [searchTerm, setSearchTerm] = useState('');
+  const [searching, setSearching] = useState(false);
+  const [results, setResults] = useState(null);
+  const [working, setWorking] = useState(null); // customer id with a request in flight
+  const [issuedPassword, setIssuedPassword] = useState(null); // { username, accountNumber, temporaryPassword }
+
+  const handleChange = (e) => {
+    setFormData({
+      ...formData,
+      [e.target.name]: e.target.value,
+    });
+  };
+
+  const showIssuedPassword = (customer, temporaryPassword) => {
+    setIssuedPassword({
+      username: customer.username,
+      accountNumber: customer.accountNumber,
+      temporaryPassword
+    });
+  };
+
+  // Show the latest state of a customer in the search results
+  const updateResult = (customer) => {
+    setResults((current) => current && current.map((result) => (result.id === customer.id ? customer : result)));
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+
+    if (!validator.isValidFullName(formData.fullName)) {
+      toast.error('Full name must be 2-100 characters, letters, spaces, hyphens, and apostrophes only');
+      return;
+    }
+    if (!validator.isValidIdNumber(formData.idNumber)) {
+      toast.error('ID number must be exactly 13 digits');
+      return;
+    }
+    if (!validator.isValidAccountNumber(formData.accountNumber)) {
+      toast.error('Account number must be 10-16 digits');
+      return;
+    }
+    if (!validator.isValidUsername(formData.username)) {
+      toast.error('Username must be 3-50 characters, letters, numbers, and underscores only');
+      return;
+    }
+
+    setCreating(true);
+    try {
+      const response = await employeeCustomers.create(formData);
+      toast.success(`Customer ${response.data.customer.username} created`);
+      showIssuedPassword(response.data.customer, response.data.temporaryPassword);
+      setFormData(EMPTY_FORM);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to create customer');
+    } finally {
+      setCreating(false);
+    }
+  };
+
+  const handleSearch = async (e) => {
+    e.preventDefault();
+
+    const term = searchTerm.trim();
+    // 13 digits is an ID number, 10-16 otherwise an account number
+    const params = validator.isValidIdNumber(term)
+      ? { idNumber: term }
+      : validator.isValidAccountNumber(term) ? { accountNumber: term } : null;
+
+    if (!params) {
+      toast.error('Enter a 10-16 digit account number or 13 digit ID number');
+      return;
+    }
+
+    setSearching(true);
+    try {
+      if (params.idNumber) {
+        // A 13 digit number may also be an account number
+        const [byId, byAccount] = await Promise.all([
+          employeeCustomers.search(params),
+          employeeCustomers.search({ accountNumber: term }),
+        ]);
+        const found = [...byId.data.customers];
+        byAccount.data.customers.forEach((customer) => {
+          if (!found.some((result) => result.id === customer.id)) found.push(customer);
+        });
+        setResults(found);
+      } else {
+        const response = await employeeCustomers.search(params);
+        setResults(response.data.customers);
+      }
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to search customers');
+    } finally {
+      setSearching(false);
+    }
+  };
+
+  /**
+   * Run one action on a customer after confirmation
+   * @param {Object} customer
+   * @param {string} confirmation - Question shown first
+   * @param {Function} request - Returns the API promise
+   */
+  const runAction = async (customer, confirmation, request) => {
+    if (!window.confirm(confirmation)) {
+      return;
+    }
+
+    setWorking(customer.id);
+    try {
+      const response = await request();
+      toast.success(response.data.message);
+      updateResult(response.data.customer);
+      if (response.data.temporaryPassword) {
+        showIssuedPassword(response.data.customer, response.data.temporaryPassword);
+      }
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to update customer');
+    } finally {
+      setWorking(null);
+    }
+  };
+
+  return (
+    <div className="card" style={{ marginTop: '32px' }}>
+      <div className="card-header">
+        <h2 style={{ margin: 0 }}>🏦 Customer Accounts</h2>
+      </div>
+
+      {issuedPassword && (
+        <div style={{ margin: '16px 0', padding: '16px', borderLeft: '4px solid var(--warning-orange)', background: 'var(--light-blue)' }}>
+          <strong>🔑 Temporary password for {issuedPassword.username} ({issuedPassword.accountNumber})</strong>
+          <p style={{ fontFamily: 'monospace', fontSize: '20px', letterSpacing: '1px', margin: '8px 0' }}>
+            {issuedPassword.temporaryPassword}
+          </p>
+          <p className="text-muted">
+            Give it to the customer in person. It is not shown again, and they must change it when they sign in.
+          </p>
+          <button onClick={() => setIssuedPassword(null)} className="btn btn-secondary">
+            Done
+          </button>
+        </div>
+      )}
+
+      {canOnboard && (
+        <>
+          <h3>🆕 Open Account</h3>
+          <p className="text-muted">Check the customer&apos;s ID document before opening an account.</p>
+          <form onSubmit={handleCreate} style={{ display: 'flex', gap: '16px', alignItems: 'flex-end', flexWrap: 'wrap', marginBottom: '24px' }}>
+            <div className="form-group" style={{ marginBottom: 0, flex: '1 1 200px' }}>
+              <label className="form-label">Full Name</label>
+              <input
+                type="text"
+                name="fullName"
+                value={formData.fullName}
+                onChange={handleChange}
+                required
+                maxLength={100}
+                className="form-input"
+                autoComplete="off"
+              />
+            </div>
+            <div className="form-group" style={{ marginBottom: 0, flex: '1 1 160px' }}>
+              <label className="form-label">ID Number</label>
+              <input
+                type="text"
+                name="idNumber"
+                value={formData.idNumber}
+                onChange={handleChange}
+                required
+                pattern="[0-9]{13}"
+                maxLength={13}
+                className="form-input"
+                autoComplete="off"
+              />
+            </div>
+            <div className="form-group" style={{ marginBottom: 0, flex: '1 1 160px' }}>
+              <label className="form-label">Account Number</label>
+              <input
+                type="text"
+                name="accountNumber"
+                value={formData.accountNumber}
+                onChange={handleChange}
+                required
+                pattern="[0-9]{10,16}"
+                maxLength={16}
+                className="form-input"
+                autoComplete="off"
+              />
+            </div>
+            <div className="form-group" style={{ marginBottom: 0, flex: '1 1 160px' }}>
+              <label className="form-label">Username</label>
+              <input
+                type="text"
+                name="username"
+                value={formData.username}
+                onChange={handleChange}
+                required
+                maxLength={50}
+                className="form-input"
+                autoComplete="off"
+              />
+            </div>
+            <button type="submit" disabled={creating} className="btn btn-primary">
+              {creating ? 'Creating...' : 'Open Account'}
+            </button>
+          </form>
+        </>
+      )}
+
+      <h3>🔎 Find Customer</h3>
+      <form onSubmit={handleSearch} style={{ display: 'flex', gap: '16px', alignItems: 'flex-end', flexWrap: 'wrap' }}>
+        <div className="form-group" style={{ marginBottom: 0, flex: '1 1 260px' }}>
+          <label className="form-label">Account Number or ID Number</label>
+          <input
+            type="text"
+            value={searchTerm}
+            onChange={(e) => setSearchTerm(e.target.value)}
+            required
+            pattern="[0-9]{10,16}"
+            maxLength={16}
+            className="form-input"
+            autoComplete="off"
+          />
+        </div>
+        <button type="submit" disabled={searching} className="btn btn-secondary">
+          {searching ? 'Searching...' : 'Search'}
+        </button>
+      </form>
+
+      {results && (results.length === 0 ? (
+        <p className="text-muted" style={{ marginTop: '16px' }}>No customer found.</p>
+      ) : (
+        <div style={{ overflowX: 'auto', marginTop: '16px' }}>
+          <table className="table">
+            <thead>
+              <tr>
+                <th>👤 Name</th>
+                <th>🔖 Username</th>
+                <th>🏦 Account</th>
+                <th>🪪 ID (last 4)</th>
+                <th>📊 Status</th>
+                <th>⚙️ Actions</th>
+              </tr>
+            </thead>
+            <tbody>
+              {results.map((customer) => (
+                <tr key={customer.id} style={{ opacity: customer.isActive ? 1 : 0.6 }}>
+                  <td>{customer.fullName}</td>
+                  <td>{customer.username}</td>
+                  <td>{customer.accountNumber}</td>
+                  <td>{customer.idNumberLast4}</td>
+                  <td>
+                    <span className={`badge ${customer.isActive ? 'badge-completed' : 'badge-pending'}`}>
+                      {customer.isActive ? 'Active' : 'Deactivated'}
+                    </span>
+                    {customer.locked && <div><small className="text-muted">Locked</small></div>}
+                    {customer.mustChangePassword && <div><small className="text-muted">Temporary password</small></div>}
+                  </td>
+                  <td>
+                    {customer.isActive && (
+                      <div style={{ display: 'flex', gap: '8px', flexWrap: 'wrap' }}>
+                        <button
+                          onClick={() => runAction(
+                            customer,
+                            `Unlock sign-in for ${customer.username}? Only do this after checking the customer's ID.`,
+                            () => employeeCustomers.unlock(customer.id)
+                          )}
+                          disabled={working !== null}
+                          className="btn btn-secondary"
+                          style={{ fontSize: '14px', padding: '8px 16px' }}
+                        >
+                          Unlock
+                        </button>
+                        <button
+                          onClick={() => runAction(
+                            customer,
+                            `Send a password reset link to ${customer.username}? Only do this after checking the customer's ID.`,
+                            () => employeeCustomers.resetCredentials(customer.id)
+                          )}
+                          disabled={working !== null}
+                          className="btn btn-secondary"
+                          style={{ fontSize: '14px', padding: '8px 16px' }}
+                        >
+                          {working === customer.id ? 'Working...' : 'Reset Credentials'}
+                        </button>
+                        {canOnboard && (
+                          <button
+                            onClick={() => runAction(
+                              customer,
+                              `Deactivate online banking for ${customer.username}? They will be signed out and unable to sign in.`,
+                              () => employeeCustomers.deactivate(customer.id)
+                            )}
+                            disabled={working !== null}
+                            className="btn btn-danger"
+                            style={{ fontSize: '14px', padding: '8px 16px' }}
+                          >
+                            Deactivate
+                          </button>
+                        )}
+                      </div>
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+export default CustomerOnboarding;
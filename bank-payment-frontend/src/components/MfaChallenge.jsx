@@ -0,0 +1,158 @@
+import { useState, useEffect } from 'react';
+import { toast } from 'react-toastify';
+import { useAuth } from '../contexts/AuthContext';
+import { mfaAuth } from '../services/api';
+import TotpSetup from './TotpSetup';
+import RecoveryCodes from './RecoveryCodes';
+
+/**
+ * MFA Challenge Component
+ * Second login step after a correct password:
+ *   purpose 'verify' - enter a code from the authenticator app (or a recovery code)
+ *   purpose 'enrol'  - set up an authenticator first (required for employees)
+ */
+function MfaChallenge({ userType, challenge, onComplete, onCancel }) {
+  const { completeMfaLogin, completeMfaEnrolment } = useAuth();
+  const [code, setCode] = useState('');
+  const [useRecoveryCode, setUseRecoveryCode] = useState(false);
+  const [enrolment, setEnrolment] = useState(null);
+  const [recoveryCodes, setRecoveryCodes] = useState(null);
+  const [loading, setLoading] = useState(false);
+
+  const isEnrolment = challenge.mfaPurpose === 'enrol';
+
+  useEffect(() => {
+    if (!isEnrolment) return;
+
+    mfaAuth.startEnrolment(challenge.challengeToken)
+      .then((response) => setEnrolment(response.data))
+      .catch((error) => {
+        toast.error(error.response?.data?.message || 'Failed to start two-factor setup');
+        onCancel();
+      });
+  }, [challenge.challengeToken]);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+
+    let result;
+    if (isEnrolment) {
+      result = await completeMfaEnrolment(userType, challenge.challengeToken, code);
+    } else {
+      result = await completeMfaLogin(
+        userType,
+        challenge.challengeToken,
+        useRecoveryCode ? { recoveryCode: code.trim() } : { code }
+      );
+    }
+
+    setLoading(false);
+
+    if (result.success) {
+      if (result.recoveryCodes) {
+        setRecoveryCodes(result.recoveryCodes);
+      } else {
+        onComplete();
+      }
+    } else if (result.challengeExpired) {
+      onCancel();
+    } else {
+      setCode('');
+    }
+  };
+
+  if (recoveryCodes) {
+    return <RecoveryCodes codes={recoveryCodes} onDone={onComplete} />;
+  }
+
+  return (
+    <form onSubmit={handleSubmit}>
+      {isEnrolment ? (
+        <>
+          <div style={{
+            background: 'var(--light-blue)',
+            padding: '16px',
+            borderRadius: 'var(--radius-md)',
+            marginBottom: '24px',
+            fontSize: '14px'
+          }}>
+            <strong>🔐 Set up two-factor authentication</strong>
+            <p style={{ margin: '8px 0 0' }}>
+              Two-factor authentication is required for your account before you can continue.
+            </p>
+          </div>
+          {enrolment ? (
+            <TotpSetup secret={enrolment.secret} otpauthUri={enrolment.otpauthUri} />
+          ) : (
+            <p className="text-center text-muted">Preparing setup...</p>
+          )}
+        </>
+      ) : (
+        <p style={{ color: 'var(--gray-text)', fontSize: '14px', marginBottom: '24px', textAlign: 'center' }}>
+          {useRecoveryCode
+            ? 'Enter one of the recovery codes you saved when you set up two-factor authentication.'
+            : 'Enter the 6-digit code from your authenticator app.'}
+        </p>
+      )}
+
+      <div className="form-group">
+        <label className="form-label">{useRecoveryCode ? 'Recovery Code' : 'Verification Code'}</label>
+        {useRecoveryCode ? (
+          <input
+            type="text"
+            value={code}
+            onChange={(e) => setCode(e.target.value)}
+            required
+            className="form-input"
+            placeholder="xxxx-xxxx-xxxx-xxxx"
+            pattern="[a-fA-F0-9]{4}(-?[a-fA-F0-9]{4}){3}"
+            autoComplete="off"
+          />
+        ) : (
+          <input
+            type="text"
+            inputMode="numeric"
+            value={code}
+            onChange={(e) => setCode(e.target.value.replace(/\D/g, '').slice(0, 6))}
+            required
+            className="form-input"
+            placeholder="123456"
+            pattern="[0-9]{6}"
+            autoComplete="one-time-code"
+            autoFocus
+          />
+        )}
+      </div>
+
+      <button
+        type="submit"
+        disabled={loading || (isEnrolment && !enrolment)}
+        className="btn btn-primary w-full"
+        style={{ marginTop: '8px' }}
+      >
+        {loading ? 'Verifying...' : isEnrolment ? '✅ Confirm and Sign In' : '🔐 Verify'}
+      </button>
+
+      <div style={{ display: 'flex', justifyContent: 'space-between', marginTop: '16px', fontSize: '14px' }}>
+        <button type="button" onClick={onCancel} className="btn btn-secondary">
+          ← Back
+        </button>
+        {!isEnrolment && (
+          <button
+            type="button"
+            onClick={() => {
+              setUseRecoveryCode(!useRecoveryCode);
+              setCode('');
+            }}
+            className="btn btn-secondary"
+          >
+            {useRecoveryCode ? 'Use authenticator code' : 'Use a recovery code'}
+          </button>
+        )}
+      </div>
+    </form>
+  );
+}
+
+export default MfaChallenge;
@@ -0,0 +1,109 @@
+import { useState } from 'react';
+import { startRegistration } from '@simplewebauthn/browser';
+import { toast } from 'react-toastify';
+import { employeeAuth } from '../services/api';
+
+/**
+ * Passkey Registration Component
+ * Offered to a signed-in employee: registers this workstation's platform
+ * authenticator (Windows Hello, Touch ID, ...) for passwordless sign-in.
+ * The password and authenticator code are asked for again first.
+ */
+function PasskeyRegistration({ onDone }) {
+  const [name, setName] = useState('');
+  const [password, setPassword] = useState('');
+  const [code, setCode] = useState('');
+  const [loading, setLoading] = useState(false);
+
+  const handleRegister = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+    try {
+      const optionsResponse = await employeeAuth.passkeyRegisterOptions(password, code);
+      const credential = await startRegistration({ optionsJSON: optionsResponse.data.options });
+      await employeeAuth.passkeyRegisterVerify(credential, name.trim() || undefined);
+      toast.success('Passkey registered. Next time, sign in with your passkey.');
+      onDone();
+    } catch (error) {
+      if (error.name === 'NotAllowedError') {
+        toast.info('Passkey registration was cancelled');
+      } else if (error.name === 'InvalidStateError') {
+        toast.info('This workstation already has a passkey for your account');
+        onDone();
+      } else {
+        toast.error(error.response?.data?.message || 'Passkey registration failed');
+      }
+    } finally {
+      setPassword('');
+      setCode('');
+      setLoading(false);
+    }
+  };
+
+  return (
+    <form onSubmit={handleRegister}>
+      <div style={{
+        background: 'var(--light-blue)',
+        padding: '16px',
+        borderRadius: 'var(--radius-md)',
+        marginBottom: '24px',
+        fontSize: '14px'
+      }}>
+        <strong>🔑 Sign in faster with a passkey</strong>
+        <p style={{ margin: '8px 0 0' }}>
+          Register this workstation so you can sign in with its fingerprint reader, face
+          recognition or PIN instead of your password and authenticator code.
+        </p>
+      </div>
+
+      <div className="form-group">
+        <label className="form-label">Passkey Name (optional)</label>
+        <input
+          type="text"
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+          className="form-input"
+          placeholder="e.g. Teller desk 3"
+          pattern="[a-zA-Z0-9 _\-]{1,100}"
+          maxLength={100}
+        />
+      </div>
+
+      <div className="form-group">
+        <label className="form-label">Password</label>
+        <input
+          type="password"
+          value={password}
+          onChange={(e) => setPassword(e.target.value)}
+          className="form-input"
+          autoComplete="current-password"
+          required
+        />
+      </div>
+
+      <div className="form-group">
+        <label className="form-label">Authenticator Code</label>
+        <input
+          type="text"
+          value={code}
+          onChange={(e) => setCode(e.target.value.replace(/\D/g, '').slice(0, 6))}
+          className="form-input"
+          inputMode="numeric"
+          autoComplete="one-time-code"
+          placeholder="6-digit code"
+          pattern="\d{6}"
+          required
+        />
+      </div>
+
+      <button type="submit" disabled={loading} className="btn btn-primary w-full">
+        {loading ? 'Waiting for authenticator...' : '🔑 Register Passkey'}
+      </button>
+      <button type="button" onClick={onDone} className="btn btn-secondary w-full" style={{ marginTop: '12px' }}>
+        Not now
+      </button>
+    </form>
+  );
+}
+
+export default PasskeyRegistration;
@@ -0,0 +1,69 @@
+import { useState } from 'react';
+
+/**
+ * Recovery Codes Component
+ * Shows the one-time recovery codes issued at enrolment. They are never
+ * shown again, so the user must confirm they saved them.
+ */
+function RecoveryCodes({ codes, onDone }) {
+  const [saved, setSaved] = useState(false);
+
+  const handleDownload = () => {
+    const blob = new Blob([`SecureBank recovery codes\n\n${codes.join('\n')}\n`], { type: 'text/plain' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = 'securebank-recovery-codes.txt';
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  return (
+    <div>
+      <div style={{
+        backgroundColor: '#fff3cd',
+        padding: '16px',
+        borderRadius: 'var(--radius-md)',
+        marginBottom: '16px',
+        border: '1px solid #ffc107',
+        color: '#856404',
+        fontSize: '14px'
+      }}>
+        <strong>Save your recovery codes.</strong> Each code can be used once to sign in if you
+        lose access to your authenticator app. They will not be shown again.
+      </div>
+
+      <div style={{
+        display: 'grid',
+        gridTemplateColumns: 'repeat(2, 1fr)',
+        gap: '8px',
+        padding: '16px',
+        background: 'var(--light-gray)',
+        borderRadius: 'var(--radius-md)',
+        fontFamily: 'monospace',
+        fontSize: '15px',
+        textAlign: 'center',
+        marginBottom: '16px'
+      }}>
+        {codes.map((code) => (
+          <span key={code}>{code}</span>
+        ))}
+      </div>
+
+      <button type="button" onClick={handleDownload} className="btn btn-secondary w-full" style={{ marginBottom: '16px' }}>
+        ⬇️ Download codes
+      </button>
+
+      <label style={{ display: 'flex', alignItems: 'center', gap: '8px', fontSize: '14px', marginBottom: '16px' }}>
+        <input type="checkbox" checked={saved} onChange={(e) => setSaved(e.target.checked)} />
+        I have saved my recovery codes
+      </label>
+
+      <button type="button" onClick={onDone} disabled={!saved} className="btn btn-primary w-full">
+        Continue
+      </button>
+    </div>
+  );
+}
+
+export default RecoveryCodes;
@@ -0,0 +1,140 @@
+import { useState } from 'react';
+import { toast } from 'react-toastify';
+import { customerPayments } from '../services/api';
+
+/**
+ * Step-Up Dialog Component
+ * Shown when a high-value payment must be confirmed: repeats the payment
+ * details and asks for the password or an authenticator code. The
+ * confirmation returned is only valid for exactly these details.
+ */
+function StepUpDialog({ challenge, payment, onConfirmed, onCancel }) {
+  const [method, setMethod] = useState(challenge.methods[0]);
+  const [password, setPassword] = useState('');
+  const [code, setCode] = useState('');
+  const [loading, setLoading] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+    try {
+      const response = await customerPayments.stepUp(
+        challenge.challengeToken,
+        method === 'totp' ? { code } : { password }
+      );
+      setPassword('');
+      await onConfirmed(response.data.confirmationToken);
+    } catch (error) {
+      toast.error(error.userMessage || error.response?.data?.message || 'Failed to confirm payment');
+      setPassword('');
+      setCode('');
+      // The challenge expired or was used: start over from the form
+      if (error.response?.status === 403) {
+        onCancel();
+      }
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const row = (label, value) => (
+    <div style={{ display: 'flex', justifyContent: 'space-between', gap: '16px' }}>
+      <span style={{ color: 'var(--gray-text)' }}>{label}:</span>
+      <strong style={{ textAlign: 'right', wordBreak: 'break-all' }}>{value}</strong>
+    </div>
+  );
+
+  return (
+    <div
+      role="dialog"
+      aria-modal="true"
+      aria-labelledby="step-up-title"
+      style={{
+        position: 'fixed',
+        inset: 0,
+        background: 'rgba(0, 0, 0, 0.5)',
+        display: 'flex',
+        alignItems: 'center',
+        justifyContent: 'center',
+        padding: '20px',
+        zIndex: 1000
+      }}
+    >
+      <div className="card" style={{ maxWidth: '480px', width: '100%', margin: 0 }}>
+        <h2 id="step-up-title" style={{ marginBottom: '8px' }}>🔐 Confirm This Payment</h2>
+        <p className="text-muted" style={{ marginBottom: '20px' }}>
+          For your security, payments of this size must be confirmed. Check the details below carefully.
+        </p>
+
+        <div style={{
+          display: 'grid',
+          gap: '8px',
+          padding: '16px',
+          marginBottom: '20px',
+          background: 'var(--light-blue)',
+          borderRadius: 'var(--radius-md)'
+        }}>
+          {row('Amount', `${Number(payment.amount).toFixed(2)} ${payment.currency}`)}
+          {row('Payee', payment.payeeFullName)}
+          {row('Account Number', payment.payeeAccountNumber)}
+          {row('Bank', payment.payeeBankName)}
+          {row('SWIFT/BIC', payment.swiftCode)}
+        </div>
+
+        <form onSubmit={handleSubmit}>
+          {method === 'totp' ? (
+            <div className="form-group">
+              <label className="form-label">Authenticator Code</label>
+              <input
+                type="text"
+                inputMode="numeric"
+                value={code}
+                onChange={(e) => setCode(e.target.value.replace(/\D/g, '').slice(0, 6))}
+                required
+                autoFocus
+                className="form-input"
+                placeholder="123456"
+                pattern="[0-9]{6}"
+                autoComplete="one-time-code"
+              />
+            </div>
+          ) : (
+            <div className="form-group">
+              <label className="form-label">Password</label>
+              <input
+                type="password"
+                value={password}
+                onChange={(e) => setPassword(e.target.value)}
+                required
+                autoFocus
+                className="form-input"
+                autoComplete="current-password"
+              />
+            </div>
+          )}
+
+          {challenge.methods.length > 1 && (
+            <button
+              type="button"
+              onClick={() => setMethod(method === 'totp' ? 'password' : 'totp')}
+              className="btn btn-secondary w-full mb-3"
+            >
+              {method === 'totp' ? 'Use my password instead' : 'Use my authenticator app instead'}
+            </button>
+          )}
+
+          <div style={{ display: 'flex', gap: '12px' }}>
+            <button type="submit" disabled={loading} className="btn btn-success" style={{ flex: 1 }}>
+              {loading ? 'Confirming...' : '✅ Confirm Payment'}
+            </button>
+            <button type="button" onClick={onCancel} disabled={loading} className="btn btn-secondary">
+              Cancel
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+}
+
+export default StepUpDialog;
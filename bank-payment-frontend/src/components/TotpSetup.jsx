@@ -0,0 +1,53 @@
+import { useState, useEffect } from 'react';
+import QRCode from 'qrcode';
+
+/**
+ * TOTP Setup Component
+ * Shows the otpauth URI as a QR code for authenticator apps, with the
+ * secret for manual entry
+ */
+function TotpSetup({ secret, otpauthUri }) {
+  const [qrCode, setQrCode] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    QRCode.toDataURL(otpauthUri, { width: 200, margin: 1 })
+      .then((dataUrl) => {
+        if (!cancelled) setQrCode(dataUrl);
+      })
+      .catch((error) => console.error('QR code error:', error));
+
+    return () => {
+      cancelled = true;
+    };
+  }, [otpauthUri]);
+
+  return (
+    <div style={{ textAlign: 'center', marginBottom: '24px' }}>
+      <p style={{ color: 'var(--gray-text)', fontSize: '14px', marginBottom: '16px' }}>
+        Scan this QR code with an authenticator app (e.g. Google Authenticator, Microsoft Authenticator)
+      </p>
+      {qrCode ? (
+        <img src={qrCode} alt="Two-factor authentication QR code" width="200" height="200" />
+      ) : (
+        <div style={{ width: '200px', height: '200px', margin: '0 auto', background: 'var(--light-gray)' }} />
+      )}
+      <p style={{ color: 'var(--gray-text)', fontSize: '13px', marginTop: '16px', marginBottom: '4px' }}>
+        Can't scan? Enter this key manually:
+      </p>
+      <code style={{
+        display: 'inline-block',
+        padding: '8px 12px',
+        background: 'var(--light-gray)',
+        borderRadius: 'var(--radius-sm)',
+        letterSpacing: '2px',
+        wordBreak: 'break-all'
+      }}>
+        {secret.match(/.{1,4}/g).join(' ')}
+      </code>
+    </div>
+  );
+}
+
+export default TotpSetup;
@@ -0,0 +1,146 @@
+import { useState } from 'react';
+import { toast } from 'react-toastify';
+import { useAuth } from '../contexts/AuthContext';
+import { customerAuth } from '../services/api';
+import TotpSetup from './TotpSetup';
+import RecoveryCodes from './RecoveryCodes';
+
+/**
+ * Two-Factor Settings Component
+ * Lets a customer switch TOTP two-factor authentication on (scan, confirm,
+ * save recovery codes) or off (with a current code)
+ */
+function TwoFactorSettings() {
+  const { user, updateUser } = useAuth();
+  const [enrolment, setEnrolment] = useState(null);
+  const [recoveryCodes, setRecoveryCodes] = useState(null);
+  const [disabling, setDisabling] = useState(false);
+  const [code, setCode] = useState('');
+  const [loading, setLoading] = useState(false);
+
+  const reset = () => {
+    setEnrolment(null);
+    setDisabling(false);
+    setCode('');
+  };
+
+  const handleStart = async () => {
+    setLoading(true);
+    try {
+      const response = await customerAuth.startMfaEnrolment();
+      setEnrolment(response.data);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to start two-factor setup');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleConfirm = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+    try {
+      const response = await customerAuth.confirmMfaEnrolment(code);
+      reset();
+      setRecoveryCodes(response.data.recoveryCodes);
+      updateUser({ mfaEnabled: true });
+      toast.success('Two-factor authentication enabled');
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to confirm two-factor setup');
+      setCode('');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleDisable = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+    try {
+      await customerAuth.disableMfa(code);
+      reset();
+      updateUser({ mfaEnabled: false });
+      toast.info('Two-factor authentication disabled');
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to disable two-factor authentication');
+      setCode('');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const codeInput = (
+    <div className="form-group">
+      <label className="form-label">Verification Code</label>
+      <input
+        type="text"
+        inputMode="numeric"
+        value={code}
+        onChange={(e) => setCode(e.target.value.replace(/\D/g, '').slice(0, 6))}
+        required
+        className="form-input"
+        placeholder="123456"
+        pattern="[0-9]{6}"
+        autoComplete="one-time-code"
+      />
+    </div>
+  );
+
+  return (
+    <div className="card mb-3">
+      <div className="card-header" style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+        <h2 style={{ margin: 0 }}>🔐 Two-Factor Authentication</h2>
+        <span className={`badge ${user?.mfaEnabled ? 'badge-completed' : 'badge-pending'}`}>
+          {user?.mfaEnabled ? 'On' : 'Off'}
+        </span>
+      </div>
+
+      {recoveryCodes ? (
+        <div style={{ maxWidth: '450px' }}>
+          <RecoveryCodes codes={recoveryCodes} onDone={() => setRecoveryCodes(null)} />
+        </div>
+      ) : enrolment ? (
+        <form onSubmit={handleConfirm} style={{ maxWidth: '450px' }}>
+          <TotpSetup secret={enrolment.secret} otpauthUri={enrolment.otpauthUri} />
+          {codeInput}
+          <div style={{ display: 'flex', gap: '12px' }}>
+            <button type="submit" disabled={loading} className="btn btn-success">
+              {loading ? 'Verifying...' : '✅ Confirm'}
+            </button>
+            <button type="button" onClick={reset} className="btn btn-secondary">Cancel</button>
+          </div>
+        </form>
+      ) : disabling ? (
+        <form onSubmit={handleDisable} style={{ maxWidth: '450px' }}>
+          <p className="text-muted">Enter a current code from your authenticator app to turn two-factor authentication off.</p>
+          {codeInput}
+          <div style={{ display: 'flex', gap: '12px' }}>
+            <button type="submit" disabled={loading} className="btn btn-danger">
+              {loading ? 'Disabling...' : 'Turn Off'}
+            </button>
+            <button type="button" onClick={reset} className="btn btn-secondary">Cancel</button>
+          </div>
+        </form>
+      ) : (
+        <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', flexWrap: 'wrap', gap: '16px' }}>
+          <p className="text-muted" style={{ margin: 0 }}>
+            {user?.mfaEnabled
+              ? 'A code from your authenticator app is required each time you sign in.'
+              : 'Protect your account with a code from an authenticator app when you sign in.'}
+          </p>
+          {user?.mfaEnabled ? (
+            <button onClick={() => setDisabling(true)} className="btn btn-secondary">
+              Turn Off
+            </button>
+          ) : (
+            <button onClick={handleStart} disabled={loading} className="btn btn-primary">
+              {loading ? 'Starting...' : 'Turn On'}
+            </button>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default TwoFactorSettings;
@@ -1,6 +1,7 @@
 import { createContext, useContext, useState, useEffect } from 'react';
-import { customerAuth, employeeAuth } from '../services/api';
+import { customerAuth, employeeAuth, mfaAuth, sessionAuth } from '../services/api';
 import { toast } from 'react-toastify';
+import { startAuthentication } from '@simplewebauthn/browser';
 import secureStorage from '../utils/secureStorage';
 import sanitizer from '../utils/sanitizer';
 import tokenRefresh from '../utils/tokenRefresh';
@@ -23,14 +24,23 @@ export const AuthProvider = ({ children }) => {
 
   // Load user from secure storage on mount
   useEffect(() => {
-    const storedToken = secureStorage.getToken();
-    const storedUser = secureStorage.getUser();
-    const storedUserType = secureStorage.getUserType();
-
-    if (storedToken && storedUser) {
-      // Check if token is expired
-      if (tokenRefresh.isTokenExpired(storedToken)) {
-        // Token expired, clear storage and don't auto-login
+    const restoreSession = async () => {
+      let storedToken = secureStorage.getToken();
+      const storedUser = secureStorage.getUser();
+      const storedUserType = secureStorage.getUserType();
+
+      if (!storedUser) {
+        setLoading(false);
+        return;
+      }
+
+      // Access token expired (or gone): try to renew it with the refresh token
+      if (!storedToken || tokenRefresh.isTokenExpired(storedToken)) {
+        storedToken = await tokenRefresh.refresh();
+      }
+
+      if (!storedToken) {
+        // Session could not be renewed, clear storage and don't auto-login
         secureStorage.clearAuth();
         setLoading(false);
         return;
@@ -44,12 +54,6 @@ export const AuthProvider = ({ children }) => {
 
       // Start token refresh monitoring
       tokenRefresh.start(
-        // onTokenExpiring callback
-        () => {
-          toast.warning('Your session will expire in 5 minutes. Please save your work.', {
-            autoClose: 10000,
-          });
-        },
         // onTokenExpired callback
         () => {
           toast.error('Your session has expired. Please login again.');
@@ -59,10 +63,14 @@ export const AuthProvider = ({ children }) => {
           setUserType(null);
           tokenRefresh.stop();
           secureStorage.clearAuth();
-        }
+        },
+        // onTokenRefreshed callback
+        (newToken) => setToken(newToken)
       );
-    }
-    setLoading(false);
+      setLoading(false);
+    };
+
+    restoreSession();
 
     // Cleanup on unmount
     return () => {
@@ -70,44 +78,76 @@ export const AuthProvider = ({ children }) => {
     };
   }, []);
 
-  const loginCustomer = async (username, accountNumber, password) => {
-    try {
-      const response = await customerAuth.login({ username, accountNumber, password });
-      const { token, username: userName, fullName } = response.data;
+  /**
+   * Store a freshly issued session (access token, refresh token, user)
+   */
+  const storeSession = ({ token, refreshTokenExpiresAt }, userData, type) => {
+    const sessionLifetime = new Date(refreshTokenExpiresAt).getTime() - Date.now();
 
-      // Sanitize user data
-      const userData = sanitizer.sanitizeUserData({ username: userName, fullName });
+    // Save to secure storage with encryption and expiration
+    // (the refresh token itself is an httpOnly cookie the page cannot read)
+    secureStorage.setToken(token, tokenRefresh.getTimeUntilExpiry(token) * 1000);
+    secureStorage.setUser(userData, sessionLifetime);
+    secureStorage.setUserType(type, sessionLifetime);
+  };
 
-      // Save to state
-      setToken(token);
-      setUser(userData);
-      setUserType('customer');
+  /**
+   * Start a session from a completed login (all factors checked)
+   */
+  const beginSession = (data, type) => {
+    const { token, username: userName, fullName, role, permissions, mfaEnabled, mustChangePassword } = data;
 
-      // Save to secure storage with encryption and expiration
-      secureStorage.setToken(token, 2 * 60 * 60 * 1000); // 2 hours
-      secureStorage.setUser(userData);
-      secureStorage.setUserType('customer');
+    // Sanitize user data
+    const userData = sanitizer.sanitizeUserData({ username: userName, fullName, role, permissions, mfaEnabled, mustChangePassword });
 
-      // Start token refresh monitoring after login
-      tokenRefresh.start(
-        () => {
-          toast.warning('Your session will expire in 5 minutes. Please save your work.', {
-            autoClose: 10000,
-          });
-        },
-        () => {
-          toast.error('Your session has expired. Please login again.');
-          setToken(null);
-          setUser(null);
-          setUserType(null);
-          tokenRefresh.stop();
-          secureStorage.clearAuth();
-          window.location.href = '/customer/login';
-        }
-      );
+    // Save to state
+    setToken(token);
+    setUser(userData);
+    setUserType(type);
 
-      toast.success(`Welcome back, ${sanitizer.escapeHTML(fullName)}!`);
-      return { success: true };
+    storeSession(data, userData, type);
+
+    // Start token refresh monitoring after login
+    tokenRefresh.start(
+      () => {
+        toast.error('Your session has expired. Please login again.');
+        setToken(null);
+        setUser(null);
+        setUserType(null);
+        tokenRefresh.stop();
+        secureStorage.clearAuth();
+        window.location.href = `/${type}/login`;
+      },
+      (newToken) => setToken(newToken)
+    );
+
+    toast.success(type === 'employee'
+      ? `Welcome, ${sanitizer.escapeHTML(fullName)}!`
+      : `Welcome back, ${sanitizer.escapeHTML(fullName)}!`);
+  };
+
+  /**
+   * Handle a password login response: either a session, or an MFA challenge
+   * to complete with completeMfaLogin / completeMfaEnrolment
+   */
+  const handleLoginResponse = (data, type) => {
+    if (data.mfaRequired) {
+      return {
+        success: true,
+        mfaRequired: true,
+        mfaPurpose: data.mfaPurpose,
+        challengeToken: data.challengeToken,
+      };
+    }
+
+    beginSession(data, type);
+    return { success: true };
+  };
+
+  const loginCustomer = async (username, accountNumber, password) => {
+    try {
+      const response = await customerAuth.login({ username, accountNumber, password });
+      return handleLoginResponse(response.data, 'customer');
     } catch (error) {
       const message = error.userMessage || error.response?.data?.message || 'Login failed';
       toast.error(message);
@@ -130,49 +170,85 @@ export const AuthProvider = ({ children }) => {
   const loginEmployee = async (username, password) => {
     try {
       const response = await employeeAuth.login({ username, password });
-      const { token, username: userName, fullName, role } = response.data;
-
-      // Sanitize user data
-      const userData = sanitizer.sanitizeUserData({ username: userName, fullName, role });
-
-      // Save to state
-      setToken(token);
-      setUser(userData);
-      setUserType('employee');
+      return handleLoginResponse(response.data, 'employee');
+    } catch (error) {
+      const message = error.userMessage || error.response?.data?.message || 'Login failed';
+      toast.error(message);
+      return { success: false, error: message };
+    }
+  };
 
-      // Save to secure storage with encryption and expiration
-      secureStorage.setToken(token, 2 * 60 * 60 * 1000); // 2 hours
-      secureStorage.setUser(userData);
-      secureStorage.setUserType('employee');
+  /**
+   * Employee sign-in with a passkey (replaces password and authenticator code)
+   */
+  const loginEmployeeWithPasskey = async () => {
+    try {
+      const optionsResponse = await employeeAuth.passkeyLoginOptions();
+      const credential = await startAuthentication({ optionsJSON: optionsResponse.data.options });
+      const response = await employeeAuth.passkeyLoginVerify(credential);
+      beginSession(response.data, 'employee');
+      return { success: true };
+    } catch (error) {
+      // The user dismissed the browser prompt or no passkey was available
+      if (error.name === 'NotAllowedError') {
+        toast.info('Passkey sign-in was cancelled');
+        return { success: false, error: error.message };
+      }
+      const message = error.userMessage || error.response?.data?.message || 'Passkey sign-in failed';
+      toast.error(message);
+      return { success: false, error: message };
+    }
+  };
 
-      // Start token refresh monitoring after login
-      tokenRefresh.start(
-        () => {
-          toast.warning('Your session will expire in 5 minutes. Please save your work.', {
-            autoClose: 10000,
-          });
-        },
-        () => {
-          toast.error('Your session has expired. Please login again.');
-          setToken(null);
-          setUser(null);
-          setUserType(null);
-          tokenRefresh.stop();
-          secureStorage.clearAuth();
-          window.location.href = '/employee/login';
-        }
-      );
+  /**
+   * Second login step: verify a TOTP code ({ code }) or a recovery code ({ recoveryCode })
+   */
+  const completeMfaLogin = async (type, challengeToken, factor) => {
+    try {
+      const response = await mfaAuth.verify(challengeToken, factor);
+      beginSession(response.data, type);
 
-      toast.success(`Welcome, ${sanitizer.escapeHTML(fullName)}!`);
+      if (response.data.remainingRecoveryCodes !== undefined) {
+        toast.warning(`Recovery code used. ${response.data.remainingRecoveryCodes} recovery codes left.`, {
+          autoClose: 10000,
+        });
+      }
       return { success: true };
     } catch (error) {
-      const message = error.userMessage || error.response?.data?.message || 'Login failed';
+      const message = error.userMessage || error.response?.data?.message || 'Verification failed';
       toast.error(message);
-      return { success: false, error: message };
+      return { success: false, error: message, challengeExpired: error.response?.status === 401 };
+    }
+  };
+
+  /**
+   * Finish the enrolment required at login; returns the recovery codes to show once
+   */
+  const completeMfaEnrolment = async (type, challengeToken, code) => {
+    try {
+      const response = await mfaAuth.confirmEnrolment(challengeToken, code);
+      beginSession(response.data, type);
+      return { success: true, recoveryCodes: response.data.recoveryCodes };
+    } catch (error) {
+      const message = error.userMessage || error.response?.data?.message || 'Verification failed';
+      toast.error(message);
+      return { success: false, error: message, challengeExpired: error.response?.status === 401 };
     }
   };
 
-  const logout = () => {
+  /**
+   * Update stored user details (e.g. after switching two-factor authentication on or off)
+   */
+  const updateUser = (changes) => {
+    const userData = sanitizer.sanitizeUserData({ ...user, ...changes });
+    setUser(userData);
+    secureStorage.setUser(userData, secureStorage.getRemainingLifetime('user') ?? undefined);
+  };
+
+  /**
+   * Forget the local session (tokens, user, refresh monitoring)
+   */
+  const clearSession = () => {
     setToken(null);
     setUser(null);
     setUserType(null);
@@ -182,10 +258,46 @@ export const AuthProvider = ({ children }) => {
 
     // Clear secure storage
     secureStorage.clearAuth();
+  };
+
+  const logout = async () => {
+    // Revoke the session on the server while the token is still stored
+    const currentToken = secureStorage.getToken();
+    if (currentToken && !tokenRefresh.isTokenExpired(currentToken)) {
+      try {
+        await (userType === 'employee' ? employeeAuth : customerAuth).logout();
+      } catch (error) {
+        console.error('Server logout failed:', error.response?.data?.message || error.message);
+      }
+    }
+
+    clearSession();
 
     toast.info('Logged out successfully');
   };
 
+  /**
+   * Change the password; the server revokes every session, so sign in again afterwards
+   */
+  const changePassword = async (currentPassword, newPassword) => {
+    try {
+      const response = await sessionAuth.changePassword(currentPassword, newPassword);
+      clearSession();
+      toast.success(response.data.message || 'Password changed. Please sign in again.');
+      return { success: true };
+    } catch (error) {
+      const message = error.userMessage || error.response?.data?.message || 'Failed to change password';
+      toast.error(message);
+      return { success: false, error: message };
+    }
+  };
+
+  /**
+   * Whether the signed-in employee's role grants a permission (e.g. 'payments:submit')
+   * Only hides actions; the API enforces the same permissions.
+   */
+  const hasPermission = (permission) => (user?.permissions || []).includes(permission);
+
   const value = {
     user,
     token,
@@ -194,7 +306,13 @@ export const AuthProvider = ({ children }) => {
     loginCustomer,
     registerCustomer,
     loginEmployee,
+    loginEmployeeWithPasskey,
+    completeMfaLogin,
+    completeMfaEnrolment,
+    updateUser,
+    changePassword,
     logout,
+    hasPermission,
     isAuthenticated: !!token,
     isCustomer: userType === 'customer',
     isEmployee: userType === 'employee',
@@ -0,0 +1,326 @@
+import { useState, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { toast } from 'react-toastify';
+import { useAuth } from '../contexts/AuthContext';
+import { adminEmployees } from '../services/api';
+import validator from '../utils/validators';
+
+const ROLES = ['Employee', 'Manager', 'Admin'];
+
+/**
+ * Admin Employees Page
+ * Admins create employee accounts, change roles, deactivate/reactivate them
+ * and force password resets. Temporary passwords are shown once only.
+ */
+function AdminEmployees() {
+  const { user, logout } = useAuth();
+  const [employees, setEmployees] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [formData, setFormData] = useState({ fullName: '', username: '', role: 'Employee' });
+  const [creating, setCreating] = useState(false);
+  const [working, setWorking] = useState(null); // employee id with a request in flight
+  const [issuedPassword, setIssuedPassword] = useState(null); // { username, temporaryPassword }
+  const navigate = useNavigate();
+
+  const fetchEmployees = async () => {
+    try {
+      const response = await adminEmployees.list();
+      setEmployees(response.data.employees);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to load employees');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchEmployees();
+  }, []);
+
+  const handleChange = (e) => {
+    setFormData({
+      ...formData,
+      [e.target.name]: e.target.value,
+    });
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+
+    if (!validator.isValidFullName(formData.fullName)) {
+      toast.error('Full name must be 2-100 characters, letters, spaces, hyphens, and apostrophes only');
+      return;
+    }
+    if (!validator.isValidUsername(formData.username)) {
+      toast.error('Username must be 3-50 characters, letters, numbers, and underscores only');
+      return;
+    }
+
+    setCreating(true);
+    try {
+      const response = await adminEmployees.create(formData);
+      toast.success(`Employee ${response.data.employee.username} created`);
+      setIssuedPassword({
+        username: response.data.employee.username,
+        temporaryPassword: response.data.temporaryPassword
+      });
+      setFormData({ fullName: '', username: '', role: 'Employee' });
+      fetchEmployees();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to create employee');
+    } finally {
+      setCreating(false);
+    }
+  };
+
+  /**
+   * Run one action on an employee after confirmation
+   * @param {Object} employee
+   * @param {string} confirmation - Question shown first
+   * @param {Function} request - Returns the API promise
+   */
+  const runAction = async (employee, confirmation, request) => {
+    if (!window.confirm(confirmation)) {
+      return;
+    }
+
+    setWorking(employee.id);
+    try {
+      const response = await request();
+      toast.success(response.data.message);
+      if (response.data.temporaryPassword) {
+        setIssuedPassword({
+          username: employee.username,
+          temporaryPassword: response.data.temporaryPassword
+        });
+      }
+      fetchEmployees();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to update employee');
+    } finally {
+      setWorking(null);
+    }
+  };
+
+  const handleRoleChange = (employee, role) => runAction(
+    employee,
+    `Change ${employee.username} from ${employee.role} to ${role}? They will be signed out.`,
+    () => adminEmployees.changeRole(employee.id, role)
+  );
+
+  const handleToggleActive = (employee) => (employee.isActive
+    ? runAction(
+      employee,
+      `Deactivate ${employee.username}? They will be signed out and unable to sign in.`,
+      () => adminEmployees.deactivate(employee.id)
+    )
+    : runAction(
+      employee,
+      `Reactivate ${employee.username}?`,
+      () => adminEmployees.reactivate(employee.id)
+    ));
+
+  const handleResetPassword = (employee) => runAction(
+    employee,
+    `Reset the password of ${employee.username}? They will be signed out and must choose a new password.`,
+    () => adminEmployees.resetPassword(employee.id)
+  );
+
+  const handleLogout = async () => {
+    await logout();
+    navigate('/employee/login');
+  };
+
+  return (
+    <div style={{ minHeight: '100vh', background: 'linear-gradient(135deg, var(--light-blue) 0%, var(--white) 100%)' }}>
+      {/* Navigation Header */}
+      <nav style={{
+        background: 'linear-gradient(135deg, var(--accent-gold) 0%, #b8860b 100%)',
+        padding: '20px 0',
+        boxShadow: 'var(--shadow-md)',
+        marginBottom: '32px'
+      }}>
+        <div style={{ maxWidth: '1200px', margin: '0 auto', padding: '0 24px', display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+          <div style={{ color: 'white' }}>
+            <div style={{ display: 'flex', alignItems: 'center', gap: '12px', marginBottom: '8px' }}>
+              <span style={{ fontSize: '32px' }}>⚙️</span>
+              <h1 style={{ margin: 0, fontSize: '28px', color: 'white' }}>Employee Administration</h1>
+            </div>
+            <p style={{ margin: 0, opacity: 0.9, fontSize: '16px' }}>Welcome, {user?.fullName}</p>
+          </div>
+          <div style={{ display: 'flex', gap: '12px' }}>
+            <button onClick={() => navigate('/employee/dashboard')} className="btn btn-secondary">
+              👔 Employee Portal
+            </button>
+            <button onClick={handleLogout} className="btn btn-danger">
+              🚪 Logout
+            </button>
+          </div>
+        </div>
+      </nav>
+
+      <div className="container">
+        {issuedPassword && (
+          <div className="card mb-3" style={{ borderLeft: '4px solid var(--warning-orange)' }}>
+            <h3 style={{ marginTop: 0 }}>🔑 Temporary password for {issuedPassword.username}</h3>
+            <p style={{ fontFamily: 'monospace', fontSize: '20px', letterSpacing: '1px' }}>
+              {issuedPassword.temporaryPassword}
+            </p>
+            <p className="text-muted">
+              Share it with the employee securely. It is not shown again, and they must change it when they sign in.
+            </p>
+            <button onClick={() => setIssuedPassword(null)} className="btn btn-secondary">
+              Done
+            </button>
+          </div>
+        )}
+
+        <div className="card mb-3">
+          <div className="card-header">
+            <h2 style={{ margin: 0 }}>➕ New Employee</h2>
+          </div>
+          <form onSubmit={handleCreate} style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(220px, 1fr))', gap: '16px', alignItems: 'end' }}>
+            <div className="form-group">
+              <label className="form-label" htmlFor="fullName">Full Name</label>
+              <input
+                id="fullName"
+                name="fullName"
+                className="form-input"
+                value={formData.fullName}
+                onChange={handleChange}
+                disabled={creating}
+                required
+              />
+            </div>
+            <div className="form-group">
+              <label className="form-label" htmlFor="username">Username</label>
+              <input
+                id="username"
+                name="username"
+                className="form-input"
+                value={formData.username}
+                onChange={handleChange}
+                disabled={creating}
+                autoComplete="off"
+                required
+              />
+            </div>
+            <div className="form-group">
+              <label className="form-label" htmlFor="role">Role</label>
+              <select id="role" name="role" className="form-select" value={formData.role} onChange={handleChange} disabled={creating}>
+                {ROLES.map((role) => (
+                  <option key={role} value={role}>{role}</option>
+                ))}
+              </select>
+            </div>
+            <div className="form-group">
+              <button type="submit" className="btn btn-primary" disabled={creating}>
+                {creating ? 'Creating...' : 'Create Employee'}
+              </button>
+            </div>
+          </form>
+        </div>
+
+        <div className="card mb-3">
+          <div className="card-header">
+            <h2 style={{ margin: 0 }}>👥 Employees</h2>
+          </div>
+
+          {loading ? (
+            <p className="text-muted">Loading employees...</p>
+          ) : employees.length === 0 ? (
+            <p className="text-muted">No employees found.</p>
+          ) : (
+            <div style={{ overflowX: 'auto' }}>
+              <table className="table">
+                <thead>
+                  <tr>
+                    <th>👤 Name</th>
+                    <th>🔖 Username</th>
+                    <th>🎖️ Role</th>
+                    <th>📊 Status</th>
+                    <th>🕒 Last Sign-in</th>
+                    <th>⚙️ Actions</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {employees.map((employee) => {
+                    const isSelf = employee.username === user?.username;
+                    const busy = working !== null;
+
+                    return (
+                      <tr key={employee.id} style={{ opacity: employee.isActive ? 1 : 0.6 }}>
+                        <td>{employee.fullName}</td>
+                        <td>{employee.username}</td>
+                        <td>
+                          <select
+                            value={employee.role}
+                            onChange={(e) => handleRoleChange(employee, e.target.value)}
+                            className="form-select"
+                            disabled={busy || isSelf || !employee.isActive}
+                          >
+                            {ROLES.map((role) => (
+                              <option key={role} value={role}>{role}</option>
+                            ))}
+                          </select>
+                        </td>
+                        <td>
+                          <span className={`badge ${employee.isActive ? 'badge-completed' : 'badge-pending'}`}>
+                            {employee.isActive ? 'Active' : 'Deactivated'}
+                          </span>
+                          {employee.locked && <div><small className="text-muted">Locked</small></div>}
+                          {employee.mustChangePassword && <div><small className="text-muted">Temporary password</small></div>}
+                        </td>
+                        <td>{employee.lastLoginAt ? new Date(employee.lastLoginAt).toLocaleString() : 'Never'}</td>
+                        <td>
+                          {isSelf ? (
+                            <span className="text-muted">You</span>
+                          ) : (
+                            <div style={{ display: 'flex', gap: '8px' }}>
+                              <button
+                                onClick={() => handleToggleActive(employee)}
+                                disabled={busy}
+                                className={`btn ${employee.isActive ? 'btn-danger' : 'btn-success'}`}
+                                style={{ fontSize: '14px', padding: '8px 16px' }}
+                              >
+                                {employee.isActive ? 'Deactivate' : 'Reactivate'}
+                              </button>
+                              {employee.isActive && (
+                                <button
+                                  onClick={() => handleResetPassword(employee)}
+                                  disabled={busy}
+                                  className="btn btn-secondary"
+                                  style={{ fontSize: '14px', padding: '8px 16px' }}
+                                >
+                                  {working === employee.id ? 'Working...' : 'Reset Password'}
+                                </button>
+                              )}
+                            </div>
+                          )}
+                        </td>
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </div>
+
+        <div style={{ textAlign: 'center', padding: '24px', fontSize: '14px', color: 'var(--gray-text)' }}>
+          🔒 Every change to an employee account is audited
+        </div>
+      </div>
+
+      <style>{`
+        .card-header {
+          padding: 20px 24px;
+          border-bottom: 2px solid var(--border-gray);
+          background: var(--light-blue);
+        }
+      `}</style>
+    </div>
+  );
+}
+
+export default AdminEmployees;
@@ -0,0 +1,164 @@
+import { useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { useAuth } from '../contexts/AuthContext';
+import PasswordStrengthIndicator from '../components/PasswordStrengthIndicator';
+
+/**
+ * Change Password Page (customers and employees)
+ * Also the gate shown after signing in with a password issued by staff:
+ * the dashboards stay blocked until a new password is chosen.
+ */
+function ChangePassword() {
+  const [formData, setFormData] = useState({
+    currentPassword: '',
+    newPassword: '',
+    confirmPassword: '',
+  });
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+  const [isPasswordValid, setIsPasswordValid] = useState(false);
+
+  const { user, userType, changePassword, logout } = useAuth();
+  const navigate = useNavigate();
+  const forced = user?.mustChangePassword;
+
+  const handleChange = (e) => {
+    setFormData({
+      ...formData,
+      [e.target.name]: e.target.value,
+    });
+    setError('');
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+
+    if (!isPasswordValid) {
+      setError('Password does not meet security requirements. Please ensure all requirements are met.');
+      return;
+    }
+
+    if (formData.newPassword !== formData.confirmPassword) {
+      setError('New passwords do not match.');
+      return;
+    }
+
+    setLoading(true);
+    const loginPath = `/${userType}/login`;
+    const result = await changePassword(formData.currentPassword, formData.newPassword);
+    setLoading(false);
+
+    if (result.success) {
+      navigate(loginPath);
+    } else {
+      setError(result.error);
+      setFormData({ ...formData, currentPassword: '' });
+    }
+  };
+
+  const handleLogout = async () => {
+    const loginPath = `/${userType}/login`;
+    await logout();
+    navigate(loginPath);
+  };
+
+  return (
+    <div style={{ minHeight: '100vh', display: 'flex', alignItems: 'center', justifyContent: 'center', padding: '20px' }}>
+      <div className="card" style={{ maxWidth: '450px', width: '100%' }}>
+        <div style={{ textAlign: 'center', marginBottom: '24px' }}>
+          <span style={{ fontSize: '40px' }}>🔑</span>
+          <h1 style={{ margin: '8px 0' }}>Change Password</h1>
+          <p className="text-muted">{user?.fullName}</p>
+        </div>
+
+        {forced && (
+          <div style={{
+            background: '#fff3cd',
+            border: '1px solid #ffc107',
+            color: '#856404',
+            padding: '12px 16px',
+            borderRadius: 'var(--radius-md)',
+            marginBottom: '24px',
+            fontSize: '14px'
+          }}>
+            Your password was issued by the bank. Choose your own password to continue.
+          </div>
+        )}
+
+        {error && (
+          <div style={{ color: 'var(--danger-red)', marginBottom: '16px', fontSize: '14px' }}>
+            {error}
+          </div>
+        )}
+
+        <form onSubmit={handleSubmit}>
+          <div className="form-group">
+            <label className="form-label">{forced ? 'Temporary Password' : 'Current Password'}</label>
+            <input
+              type="password"
+              name="currentPassword"
+              value={formData.currentPassword}
+              onChange={handleChange}
+              required
+              className="form-input"
+              autoComplete="current-password"
+            />
+          </div>
+
+          <div className="form-group">
+            <label className="form-label">New Password</label>
+            <input
+              type="password"
+              name="newPassword"
+              value={formData.newPassword}
+              onChange={handleChange}
+              required
+              maxLength={100}
+              className="form-input"
+              placeholder="Enter secure password"
+              autoComplete="new-password"
+            />
+            <PasswordStrengthIndicator
+              password={formData.newPassword}
+              onValidationChange={setIsPasswordValid}
+            />
+            <small className="form-hint">You cannot reuse one of your recent passwords.</small>
+          </div>
+
+          <div className="form-group">
+            <label className="form-label">Confirm New Password</label>
+            <input
+              type="password"
+              name="confirmPassword"
+              value={formData.confirmPassword}
+              onChange={handleChange}
+              required
+              className="form-input"
+              placeholder="Re-enter new password"
+              autoComplete="new-password"
+            />
+          </div>
+
+          <button type="submit" disabled={loading} className="btn btn-primary w-full">
+            {loading ? 'Changing Password...' : 'Change Password'}
+          </button>
+          <p className="text-muted" style={{ marginTop: '12px', fontSize: '14px', textAlign: 'center' }}>
+            You will be signed out everywhere and asked to sign in with your new password.
+          </p>
+        </form>
+
+        <button
+          type="button"
+          onClick={forced ? handleLogout : () => navigate(`/${userType}/dashboard`)}
+          className="btn btn-secondary w-full"
+          style={{ marginTop: '12px' }}
+        >
+          {forced ? '🚪 Logout' : '← Back to Dashboard'}
+        </button>
+      </div>
+    </div>
+  );
+}
+
+export default ChangePassword;
@@ -3,6 +3,7 @@ import { useNavigate } from 'react-router-dom';
 import { customerPayments } from '../services/api';
 import { toast } from 'react-toastify';
 import validator from '../utils/validators';
+import StepUpDialog from '../components/StepUpDialog';
 
 function CreatePayment() {
   const [formData, setFormData] = useState({
@@ -16,6 +17,7 @@ function CreatePayment() {
   });
   const [errors, setErrors] = useState({});
   const [loading, setLoading] = useState(false);
+  const [stepUp, setStepUp] = useState(null);
   const navigate = useNavigate();
 
   const handleChange = (e) => {
@@ -40,20 +42,35 @@ function CreatePayment() {
     setErrors({});
     setLoading(true);
 
+    await submitPayment({
+      amount: parseFloat(formData.amount),
+      currency: formData.currency,
+      provider: formData.provider,
+      payeeAccountNumber: formData.payeeAccountNumber,
+      payeeFullName: formData.payeeFullName,
+      payeeBankName: formData.payeeBankName,
+      swiftCode: formData.swiftCode.toUpperCase(),
+    });
+
+    setLoading(false);
+  };
+
+  // stepUpToken confirms a high-value payment (see StepUpDialog)
+  const submitPayment = async (payment, stepUpToken) => {
     try {
-      const response = await customerPayments.create({
-        amount: parseFloat(formData.amount),
-        currency: formData.currency,
-        provider: formData.provider,
-        payeeAccountNumber: formData.payeeAccountNumber,
-        payeeFullName: formData.payeeFullName,
-        payeeBankName: formData.payeeBankName,
-        swiftCode: formData.swiftCode.toUpperCase(),
-      });
+      await customerPayments.create(stepUpToken ? { ...payment, stepUpToken } : payment);
 
+      setStepUp(null);
       toast.success('Payment created successfully! Awaiting verification.');
       navigate('/customer/dashboard');
     } catch (error) {
+      if (error.response?.data?.stepUpRequired && !stepUpToken) {
+        setStepUp({ challenge: error.response.data, payment });
+        return;
+      }
+
+      setStepUp(null);
+
       // Enhanced error handling for rate limits
       const message = error.userMessage || error.response?.data?.message || 'Failed to create payment';
 
@@ -62,8 +79,6 @@ function CreatePayment() {
       } else {
         toast.error(message);
       }
-    } finally {
-      setLoading(false);
     }
   };
 
@@ -323,6 +338,15 @@ function CreatePayment() {
         </div>
       </div>
 
+      {stepUp && (
+        <StepUpDialog
+          challenge={stepUp.challenge}
+          payment={stepUp.payment}
+          onConfirmed={(stepUpToken) => submitPayment(stepUp.payment, stepUpToken)}
+          onCancel={() => setStepUp(null)}
+        />
+      )}
+
       <style>{`
         @keyframes spin {
           0% { transform: rotate(0deg); }
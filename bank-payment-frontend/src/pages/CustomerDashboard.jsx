@@ -3,11 +3,16 @@ import { useNavigate } from 'react-router-dom';
 import { useAuth } from '../contexts/AuthContext';
 import { customerPayments } from '../services/api';
 import { toast } from 'react-toastify';
+import { getCustomerRejectionLabel } from '../utils/rejectionCodes';
+import validator from '../utils/validators';
+import TwoFactorSettings from '../components/TwoFactorSettings';
+import ActiveSessions from '../components/ActiveSessions';
 
 function CustomerDashboard() {
   const { user, logout } = useAuth();
   const [payments, setPayments] = useState([]);
   const [loading, setLoading] = useState(true);
+  const [cancelling, setCancelling] = useState(null);
   const navigate = useNavigate();
 
   useEffect(() => {
@@ -27,8 +32,31 @@ function CustomerDashboard() {
     }
   };
 
-  const handleLogout = () => {
-    logout();
+  const handleCancelPayment = async (payment) => {
+    if (!window.confirm(`Cancel your ${payment.currency} ${payment.amount.toFixed(2)} payment to ${payment.payeeFullName}?`)) {
+      return;
+    }
+
+    const reason = (window.prompt('Reason for cancelling (optional):') || '').trim();
+    if (reason && !validator.isValidReason(reason)) {
+      toast.error('Reason must be 5-500 characters (letters, numbers and basic punctuation)');
+      return;
+    }
+
+    setCancelling(payment._id);
+    try {
+      await customerPayments.cancel(payment._id, reason || undefined);
+      toast.success('Payment cancelled');
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to cancel payment');
+    } finally {
+      setCancelling(null);
+      await fetchPayments();
+    }
+  };
+
+  const handleLogout = async () => {
+    await logout();
     navigate('/customer/login');
   };
 
@@ -39,6 +67,9 @@ function CustomerDashboard() {
       case 'Submitted': return 'badge-submitted';
       case 'Completed': return 'badge-completed';
       case 'Rejected': return 'badge-rejected';
+      case 'Failed': return 'badge-failed';
+      case 'Returned': return 'badge-returned';
+      case 'Cancelled': return 'badge-cancelled';
       default: return 'badge-pending';
     }
   };
@@ -54,6 +85,9 @@ function CustomerDashboard() {
           </div>
           <div className="navbar-menu">
             <span style={{ fontSize: '16px', fontWeight: '500' }}>👤 {user?.fullName}</span>
+            <button onClick={() => navigate('/change-password')} className="btn btn-secondary">
+              🔑 Change Password
+            </button>
             <button onClick={handleLogout} className="btn btn-danger">
               🚪 Logout
             </button>
@@ -121,6 +155,10 @@ function CustomerDashboard() {
           </div>
         </div>
 
+        {/* Security: two-factor authentication and signed-in devices */}
+        <TwoFactorSettings />
+        <ActiveSessions />
+
         {/* Payments Table */}
         <div className="card">
           <div className="card-header">
@@ -153,6 +191,7 @@ function CustomerDashboard() {
                     <th>🏦 Bank</th>
                     <th>📊 Status</th>
                     <th>✈️ SWIFT</th>
+                    <th>⚙️ Action</th>
                   </tr>
                 </thead>
                 <tbody>
@@ -167,12 +206,47 @@ function CustomerDashboard() {
                         <span className={`badge ${getStatusBadgeClass(payment.status)}`}>
                           {payment.status}
                         </span>
+                        {payment.status === 'Rejected' && payment.rejectionCode && (
+                          <div style={{ fontSize: '13px', color: 'var(--gray-text)', marginTop: '6px', maxWidth: '260px' }}>
+                            <div style={{ fontWeight: '600' }}>{getCustomerRejectionLabel(payment.rejectionCode)}</div>
+                            {payment.rejectionReason && <div>{payment.rejectionReason}</div>}
+                          </div>
+                        )}
+                        {payment.status === 'Cancelled' && payment.cancellationReason && (
+                          <div style={{ fontSize: '13px', color: 'var(--gray-text)', marginTop: '6px', maxWidth: '260px' }}>
+                            {payment.cancellationReason}
+                          </div>
+                        )}
+                        {(payment.status === 'Failed' || payment.status === 'Returned') && payment.failureReason && (
+                          <div style={{ fontSize: '13px', color: 'var(--gray-text)', marginTop: '6px', maxWidth: '260px' }}>
+                            {payment.status === 'Returned' ? 'Returned by beneficiary bank: ' : 'Rejected by SWIFT network: '}
+                            {payment.failureReason}
+                          </div>
+                        )}
                       </td>
                       <td>
-                        {payment.status === 'Submitted' ? (
+                        {payment.status === 'Completed' ? (
+                          <span style={{ color: 'var(--success-green)', fontWeight: '600' }}>✅ Delivered</span>
+                        ) : payment.status === 'Submitted' ? (
                           <span style={{ color: 'var(--success-green)', fontWeight: '600' }}>✅ Sent</span>
-                        ) : (
+                        ) : payment.status === 'Failed' || payment.status === 'Returned' ? (
+                          <span style={{ color: 'var(--danger-red)', fontWeight: '600' }}>❌ Not delivered</span>
+                        ) : payment.status === 'Pending' ? (
                           <span style={{ color: 'var(--warning-orange)', fontWeight: '600' }}>⏳ Pending</span>
+                        ) : (
+                          <span style={{ color: 'var(--gray-text)' }}>—</span>
+                        )}
+                      </td>
+                      <td>
+                        {payment.status === 'Pending' && (
+                          <button
+                            onClick={() => handleCancelPayment(payment)}
+                            disabled={cancelling === payment._id}
+                            className="btn btn-danger"
+                            style={{ fontSize: '14px', padding: '8px 16px' }}
+                          >
+                            {cancelling === payment._id ? 'Cancelling...' : 'Cancel'}
+                          </button>
                         )}
                       </td>
                     </tr>
@@ -1,6 +1,7 @@
 import { useState } from 'react';
 import { useNavigate, Link } from 'react-router-dom';
 import { useAuth } from '../contexts/AuthContext';
+import MfaChallenge from '../components/MfaChallenge';
 
 function CustomerLogin() {
   const [formData, setFormData] = useState({
@@ -9,6 +10,7 @@ function CustomerLogin() {
     password: '',
   });
   const [loading, setLoading] = useState(false);
+  const [mfaChallenge, setMfaChallenge] = useState(null);
 
   const { loginCustomer } = useAuth();
   const navigate = useNavigate();
@@ -32,7 +34,11 @@ function CustomerLogin() {
 
     setLoading(false);
 
-    if (result.success) {
+    if (result.mfaRequired) {
+      // Password accepted: continue with the second factor
+      setMfaChallenge(result);
+      setFormData({ ...formData, password: '' });
+    } else if (result.success) {
       navigate('/customer/dashboard');
     }
   };
@@ -61,76 +67,85 @@ function CustomerLogin() {
           </p>
         </div>
 
-        {/* Login Form */}
-        <form onSubmit={handleSubmit}>
-          <div className="form-group">
-            <label className="form-label">Username</label>
-            <input
-              type="text"
-              name="username"
-              value={formData.username}
-              onChange={handleChange}
-              required
-              className="form-input"
-              placeholder="Enter your username"
-              autoComplete="username"
-            />
-          </div>
-
-          <div className="form-group">
-            <label className="form-label">Account Number</label>
-            <input
-              type="text"
-              name="accountNumber"
-              value={formData.accountNumber}
-              onChange={handleChange}
-              required
-              className="form-input"
-              placeholder="Enter your account number"
-              pattern="[0-9]{10,16}"
-              autoComplete="off"
-            />
-            <small className="form-hint">10-16 digit account number</small>
-          </div>
-
-          <div className="form-group">
-            <label className="form-label">Password</label>
-            <input
-              type="password"
-              name="password"
-              value={formData.password}
-              onChange={handleChange}
-              required
-              className="form-input"
-              placeholder="Enter your password"
-              autoComplete="current-password"
-            />
-          </div>
-
-          <button
-            type="submit"
-            disabled={loading}
-            className="btn btn-primary w-full"
-            style={{ marginTop: '8px' }}
-          >
-            {loading ? (
-              <>
-                <span style={{
-                  display: 'inline-block',
-                  width: '16px',
-                  height: '16px',
-                  border: '2px solid white',
-                  borderTop: '2px solid transparent',
-                  borderRadius: '50%',
-                  animation: 'spin 0.8s linear infinite'
-                }}></span>
-                Signing in...
-              </>
-            ) : (
-              <>🔒 Sign In</>
-            )}
-          </button>
-        </form>
+        {/* Login Form (second step: two-factor authentication) */}
+        {mfaChallenge ? (
+          <MfaChallenge
+            userType="customer"
+            challenge={mfaChallenge}
+            onComplete={() => navigate('/customer/dashboard')}
+            onCancel={() => setMfaChallenge(null)}
+          />
+        ) : (
+          <form onSubmit={handleSubmit}>
+            <div className="form-group">
+              <label className="form-label">Username</label>
+              <input
+                type="text"
+                name="username"
+                value={formData.username}
+                onChange={handleChange}
+                required
+                className="form-input"
+                placeholder="Enter your username"
+                autoComplete="username"
+              />
+            </div>
+
+            <div className="form-group">
+              <label className="form-label">Account Number</label>
+              <input
+                type="text"
+                name="accountNumber"
+                value={formData.accountNumber}
+                onChange={handleChange}
+                required
+                className="form-input"
+                placeholder="Enter your account number"
+                pattern="[0-9]{10,16}"
+                autoComplete="off"
+              />
+              <small className="form-hint">10-16 digit account number</small>
+            </div>
+
+            <div className="form-group">
+              <label className="form-label">Password</label>
+              <input
+                type="password"
+                name="password"
+                value={formData.password}
+                onChange={handleChange}
+                required
+                className="form-input"
+                placeholder="Enter your password"
+                autoComplete="current-password"
+              />
+            </div>
+
+            <button
+              type="submit"
+              disabled={loading}
+              className="btn btn-primary w-full"
+              style={{ marginTop: '8px' }}
+            >
+              {loading ? (
+                <>
+                  <span style={{
+                    display: 'inline-block',
+                    width: '16px',
+                    height: '16px',
+                    border: '2px solid white',
+                    borderTop: '2px solid transparent',
+                    borderRadius: '50%',
+                    animation: 'spin 0.8s linear infinite'
+                  }}></span>
+                  Signing in...
+                </>
+              ) : (
+                <>🔒 Sign In</>
+              )}
+            </button>
+          </form>
+        )}
 
         {/* Footer Links */}
         <div style={{
@@ -156,6 +171,10 @@ function CustomerLogin() {
             </p>
           </div>
 
+          <p style={{ color: 'var(--gray-text)', fontSize: '14px', margin: 0 }}>
+            Forgot your password? Visit your branch with your ID and we'll send you a reset link.
+          </p>
+
           <div style={{ marginTop: '20px' }}>
             <Link
               to="/employee/login"
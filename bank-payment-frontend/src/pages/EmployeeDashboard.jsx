@@ -3,30 +3,71 @@ import { useNavigate } from 'react-router-dom';
 import { useAuth } from '../contexts/AuthContext';
 import { employeePortal } from '../services/api';
 import { toast } from 'react-toastify';
+import validator from '../utils/validators';
+import { REJECTION_CODES } from '../utils/rejectionCodes';
+import CustomerOnboarding from '../components/CustomerOnboarding';
+import ApprovalLimits from '../components/ApprovalLimits';
 
 function EmployeeDashboard() {
-  const { user, logout } = useAuth();
+  const { user, logout, hasPermission } = useAuth();
   const [pendingPayments, setPendingPayments] = useState([]);
+  const [escalatedPayments, setEscalatedPayments] = useState([]); // Requires Manager queue
   const [verifiedPayments, setVerifiedPayments] = useState([]);
+  const [submittedPayments, setSubmittedPayments] = useState([]);
+  const [batches, setBatches] = useState([]);
+  const [selectedBatch, setSelectedBatch] = useState(null);
   const [loading, setLoading] = useState(true);
   const [verifying, setVerifying] = useState(null);
   const [submitting, setSubmitting] = useState(false);
-  const [activeTab, setActiveTab] = useState('pending'); // 'pending' or 'verified'
+  const [selectedIds, setSelectedIds] = useState([]); // verified payments picked for the next batch
+  const [valueDate, setValueDate] = useState('');
+  const [rejectTarget, setRejectTarget] = useState(null); // paymentId with open reason picker
+  const [rejectionCode, setRejectionCode] = useState('');
+  const [rejectionReason, setRejectionReason] = useState('');
+  const [rejecting, setRejecting] = useState(false);
+  const [downloading, setDownloading] = useState(null);
+  const [activeTab, setActiveTab] = useState('pending'); // 'pending', 'escalated', 'verified', 'submitted' or 'batches'
+  const [queueFilter, setQueueFilter] = useState('all'); // 'mine', 'unassigned' or 'all' (pending and escalated tabs)
+  const [claiming, setClaiming] = useState(null); // paymentId with a claim request in flight
+  const [assignees, setAssignees] = useState([]);
   const navigate = useNavigate();
 
+  // Actions the API would refuse for this role are not shown
+  const canVerify = hasPermission('payments:verify');
+  const canSubmit = hasPermission('payments:submit');
+  const canAssistCustomers = hasPermission('customers:assist');
+  const canOnboardCustomers = hasPermission('customers:onboard');
+  const canManageEmployees = hasPermission('employees:manage');
+  const canManageApprovals = hasPermission('approvals:manage');
+  const canAssign = hasPermission('payments:assign');
+
   useEffect(() => {
     fetchPayments();
+    if (canAssign) {
+      employeePortal.getAssignees()
+        .then((response) => setAssignees(response.data.employees))
+        .catch(() => toast.error('Failed to load employees for reassignment'));
+    }
   }, []);
 
   const fetchPayments = async () => {
     setLoading(true);
     try {
-      const [pendingRes, verifiedRes] = await Promise.all([
+      const [pendingRes, verifiedRes, submittedRes, batchesRes, escalatedRes] = await Promise.all([
         employeePortal.getPendingPayments(),
         employeePortal.getVerifiedPayments(),
+        employeePortal.getAllPayments('Submitted'),
+        employeePortal.getBatches(),
+        canManageApprovals ? employeePortal.getEscalatedPayments() : null,
       ]);
       setPendingPayments(pendingRes.data.payments || []);
-      setVerifiedPayments(verifiedRes.data.payments || []);
+      setEscalatedPayments(escalatedRes?.data.payments || []);
+      const verified = verifiedRes.data.payments || [];
+      setVerifiedPayments(verified);
+      // Drop selections that are no longer Verified
+      setSelectedIds((ids) => ids.filter((id) => verified.some((payment) => payment._id === id)));
+      setSubmittedPayments(submittedRes.data.payments || []);
+      setBatches(batchesRes.data.batches || []);
     } catch (error) {
       console.error('Failed to load payments:', error);
       toast.error('Failed to load payments');
@@ -35,43 +76,232 @@ function EmployeeDashboard() {
     }
   };
 
-  const handleVerifyPayment = async (paymentId) => {
-    setVerifying(paymentId);
+  const handleVerifyPayment = async (payment) => {
+    setVerifying(payment._id);
     try {
-      await employeePortal.verifyPayment(paymentId);
-      toast.success('Payment verified successfully!');
+      const response = await employeePortal.verifyPayment(payment._id, payment.__v);
+      // Above the employee's approval limit: sent to the Requires Manager queue
+      if (response.data.escalated) {
+        toast.info(response.data.message, { autoClose: 8000 });
+      } else {
+        toast.success('Payment verified successfully!');
+      }
       await fetchPayments();
     } catch (error) {
       toast.error(error.response?.data?.message || 'Failed to verify payment');
+      // Another employee acted on this payment first: show the current state
+      if (error.response?.status === 409) {
+        await fetchPayments();
+      }
     } finally {
       setVerifying(null);
     }
   };
 
+  const openRejectPicker = (paymentId) => {
+    setRejectTarget(paymentId);
+    setRejectionCode('');
+    setRejectionReason('');
+  };
+
+  const closeRejectPicker = () => {
+    setRejectTarget(null);
+    setRejectionCode('');
+    setRejectionReason('');
+  };
+
+  const handleRejectPayment = async (payment) => {
+    if (!rejectionCode) {
+      toast.warning('Please select a rejection reason');
+      return;
+    }
+
+    const reason = rejectionReason.trim();
+    if (rejectionCode === 'OTHER' && !reason) {
+      toast.warning('Please describe the reason for rejection');
+      return;
+    }
+    if (reason && !validator.isValidReason(reason)) {
+      toast.error('Reason must be 5-500 characters (letters, numbers and basic punctuation)');
+      return;
+    }
+
+    setRejecting(true);
+    try {
+      await employeePortal.rejectPayment(payment._id, rejectionCode, reason || undefined, payment.__v);
+      toast.success('Payment rejected');
+      closeRejectPicker();
+      await fetchPayments();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to reject payment');
+      if (error.response?.status === 409) {
+        closeRejectPicker();
+        await fetchPayments();
+      }
+    } finally {
+      setRejecting(false);
+    }
+  };
+
+  // Four-eyes: employees cannot add a second verification or submit what they verified
+  const isVerifiedByMe = (payment) => (
+    payment.verifiedByUsername === user?.username
+    || (payment.verifications || []).some((verification) => verification.employeeUsername === user?.username)
+  );
+
+  const submittablePayments = verifiedPayments.filter((payment) => !isVerifiedByMe(payment));
+
+  // Claims are leases: an expired one no longer holds the payment
+  const isClaimActive = (payment) => Boolean(payment.assignedTo) && new Date(payment.claimExpiresAt) > new Date();
+  const isClaimedByMe = (payment) => isClaimActive(payment) && payment.assignedToUsername === user?.username;
+  const isClaimedByOther = (payment) => isClaimActive(payment) && !isClaimedByMe(payment);
+
+  const QUEUE_FILTERS = {
+    mine: isClaimedByMe,
+    unassigned: (payment) => !isClaimActive(payment),
+    all: () => true,
+  };
+
+  // Payments shown in the pending-style table
+  const queueSource = activeTab === 'escalated' ? escalatedPayments : pendingPayments;
+  const queuePayments = queueSource.filter(QUEUE_FILTERS[queueFilter]);
+
+  const queueFilterButtons = (
+    <div style={{ display: 'flex', gap: '8px' }}>
+      {[['mine', 'Mine'], ['unassigned', 'Unassigned'], ['all', 'All']].map(([filter, label]) => (
+        <button
+          key={filter}
+          onClick={() => setQueueFilter(filter)}
+          className={`btn ${queueFilter === filter ? 'btn-primary' : 'btn-secondary'}`}
+          style={{ fontSize: '14px', padding: '6px 14px' }}
+        >
+          {label} ({queueSource.filter(QUEUE_FILTERS[filter]).length})
+        </button>
+      ))}
+    </div>
+  );
+
+  const toggleSelected = (paymentId) => {
+    setSelectedIds((ids) => (
+      ids.includes(paymentId) ? ids.filter((id) => id !== paymentId) : [...ids, paymentId]
+    ));
+  };
+
+  const allSelected = submittablePayments.length > 0 && selectedIds.length === submittablePayments.length;
+
+  const toggleSelectAll = () => {
+    setSelectedIds(allSelected ? [] : submittablePayments.map((payment) => payment._id));
+  };
+
   const handleSubmitToSwift = async () => {
-    if (verifiedPayments.length === 0) {
-      toast.warning('No verified payments to submit');
+    if (selectedIds.length === 0) {
+      toast.warning('Select at least one verified payment to submit');
       return;
     }
 
-    if (!window.confirm(`Submit ${verifiedPayments.length} payment(s) to SWIFT?`)) {
+    if (!window.confirm(`Submit ${selectedIds.length} selected payment(s) to SWIFT?`)) {
       return;
     }
 
     setSubmitting(true);
     try {
-      const response = await employeePortal.submitToSwift();
+      const response = await employeePortal.submitToSwift(selectedIds, valueDate ? { valueDate } : {});
       toast.success(response.data.message);
+      setSelectedIds([]);
       await fetchPayments();
     } catch (error) {
       toast.error(error.response?.data?.message || 'Failed to submit to SWIFT');
+      // Someone else changed part of the selection: reload so the list is current
+      if (error.response?.status === 409) {
+        await fetchPayments();
+      }
     } finally {
       setSubmitting(false);
     }
   };
 
-  const handleLogout = () => {
-    logout();
+  const handleDownloadMt103 = async (payment) => {
+    setDownloading(payment._id);
+    try {
+      const response = await employeePortal.downloadMt103(payment._id);
+      saveBlob(response.data, `MT103_${payment.swiftMessage?.reference || payment._id}.fin`, 'text/plain');
+    } catch (error) {
+      toast.error('Failed to download MT103 message');
+    } finally {
+      setDownloading(null);
+    }
+  };
+
+  const saveBlob = (data, fileName, type) => {
+    const url = window.URL.createObjectURL(new Blob([data], { type }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    window.URL.revokeObjectURL(url);
+  };
+
+  const handleToggleBatch = async (batchId) => {
+    if (selectedBatch?.batchId === batchId) {
+      setSelectedBatch(null);
+      return;
+    }
+
+    try {
+      const response = await employeePortal.getBatch(batchId);
+      setSelectedBatch(response.data.batch);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to load batch');
+    }
+  };
+
+  const handleDispatchBatch = async (batchId) => {
+    setDownloading(`${batchId}:dispatch`);
+    try {
+      const response = await employeePortal.dispatchBatch(batchId);
+      toast.success(response.data.message);
+      await fetchPayments();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to send batch to SWIFT');
+    } finally {
+      setDownloading(null);
+    }
+  };
+
+  const handleDownloadIso20022 = async (batchId, type) => {
+    setDownloading(`${batchId}:${type}`);
+    try {
+      const response = await employeePortal.downloadIso20022(batchId, type);
+      saveBlob(response.data, `${batchId}_${type}.xml`, 'application/xml');
+    } catch (error) {
+      toast.error('Failed to download ISO 20022 file');
+    } finally {
+      setDownloading(null);
+    }
+  };
+
+  /**
+   * Claim, release or reassign a pending payment, then reload the queues
+   * @param {string} paymentId
+   * @param {Function} request - Returns the API promise
+   */
+  const runClaimAction = async (paymentId, request) => {
+    setClaiming(paymentId);
+    try {
+      const response = await request();
+      toast.success(response.data.message);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to update the claim');
+    } finally {
+      setClaiming(null);
+      await fetchPayments();
+    }
+  };
+
+  const handleLogout = async () => {
+    await logout();
     navigate('/employee/login');
   };
 
@@ -93,9 +323,19 @@ function EmployeeDashboard() {
             <p style={{ margin: 0, opacity: 0.9, fontSize: '16px' }}>Welcome, {user?.fullName}</p>
             <small style={{ opacity: 0.8 }}>{user?.role}</small>
           </div>
-          <button onClick={handleLogout} className="btn btn-danger">
-            🚪 Logout
-          </button>
+          <div style={{ display: 'flex', gap: '12px' }}>
+            {canManageEmployees && (
+              <button onClick={() => navigate('/admin/employees')} className="btn btn-secondary">
+                ⚙️ Admin
+              </button>
+            )}
+            <button onClick={() => navigate('/change-password')} className="btn btn-secondary">
+              🔑 Change Password
+            </button>
+            <button onClick={handleLogout} className="btn btn-danger">
+              🚪 Logout
+            </button>
+          </div>
         </div>
       </nav>
 
@@ -138,7 +378,7 @@ function EmployeeDashboard() {
         </div>
 
         {/* Submit to SWIFT Banner */}
-        {verifiedPayments.length > 0 && (
+        {canSubmit && verifiedPayments.length > 0 && (
           <div className="card" style={{
             marginBottom: '32px',
             background: 'linear-gradient(135deg, #d4edda 0%, #c3f9d3 100%)',
@@ -151,12 +391,23 @@ function EmployeeDashboard() {
                   <span>📤</span> Ready for SWIFT Submission
                 </h3>
                 <p style={{ margin: 0, color: '#155724', fontSize: '16px' }}>
-                  <strong>{verifiedPayments.length}</strong> payment{verifiedPayments.length !== 1 ? 's' : ''} verified and ready to submit
+                  <strong>{selectedIds.length}</strong> of <strong>{verifiedPayments.length}</strong> verified payment{verifiedPayments.length !== 1 ? 's' : ''} selected
                 </p>
               </div>
+              <label style={{ color: '#155724', fontWeight: '600', display: 'flex', alignItems: 'center', gap: '8px' }}>
+                Value date
+                <input
+                  type="date"
+                  value={valueDate}
+                  min={new Date().toISOString().substring(0, 10)}
+                  onChange={(e) => setValueDate(e.target.value)}
+                  className="form-input"
+                  style={{ width: 'auto' }}
+                />
+              </label>
               <button
                 onClick={handleSubmitToSwift}
-                disabled={submitting}
+                disabled={submitting || selectedIds.length === 0}
                 className="btn btn-success"
                 style={{ fontSize: '18px', padding: '14px 32px' }}
               >
@@ -174,7 +425,7 @@ function EmployeeDashboard() {
                     Submitting to SWIFT...
                   </>
                 ) : (
-                  <>📤 Submit to SWIFT</>
+                  <>📤 Submit selected ({selectedIds.length})</>
                 )}
               </button>
             </div>
@@ -200,6 +451,25 @@ function EmployeeDashboard() {
           >
             ⏳ Pending ({pendingPayments.length})
           </button>
+          {canManageApprovals && (
+            <button
+              onClick={() => setActiveTab('escalated')}
+              style={{
+                padding: '14px 28px',
+                backgroundColor: activeTab === 'escalated' ? 'var(--primary-blue)' : 'var(--white)',
+                color: activeTab === 'escalated' ? 'white' : 'var(--dark-text)',
+                border: activeTab === 'escalated' ? 'none' : '2px solid var(--border-gray)',
+                cursor: 'pointer',
+                borderRadius: 'var(--radius-md)',
+                fontWeight: '600',
+                fontSize: '16px',
+                transition: 'var(--transition)',
+                boxShadow: activeTab === 'escalated' ? 'var(--shadow-md)' : 'none'
+              }}
+            >
+              🧑‍💼 Requires Manager ({escalatedPayments.length})
+            </button>
+          )}
           <button
             onClick={() => setActiveTab('verified')}
             style={{
@@ -217,6 +487,40 @@ function EmployeeDashboard() {
           >
             ✅ Verified ({verifiedPayments.length})
           </button>
+          <button
+            onClick={() => setActiveTab('submitted')}
+            style={{
+              padding: '14px 28px',
+              backgroundColor: activeTab === 'submitted' ? 'var(--primary-blue)' : 'var(--white)',
+              color: activeTab === 'submitted' ? 'white' : 'var(--dark-text)',
+              border: activeTab === 'submitted' ? 'none' : '2px solid var(--border-gray)',
+              cursor: 'pointer',
+              borderRadius: 'var(--radius-md)',
+              fontWeight: '600',
+              fontSize: '16px',
+              transition: 'var(--transition)',
+              boxShadow: activeTab === 'submitted' ? 'var(--shadow-md)' : 'none'
+            }}
+          >
+            📤 Submitted ({submittedPayments.length})
+          </button>
+          <button
+            onClick={() => setActiveTab('batches')}
+            style={{
+              padding: '14px 28px',
+              backgroundColor: activeTab === 'batches' ? 'var(--primary-blue)' : 'var(--white)',
+              color: activeTab === 'batches' ? 'white' : 'var(--dark-text)',
+              border: activeTab === 'batches' ? 'none' : '2px solid var(--border-gray)',
+              cursor: 'pointer',
+              borderRadius: 'var(--radius-md)',
+              fontWeight: '600',
+              fontSize: '16px',
+              transition: 'var(--transition)',
+              boxShadow: activeTab === 'batches' ? 'var(--shadow-md)' : 'none'
+            }}
+          >
+            🗂️ Batches ({batches.length})
+          </button>
         </div>
 
         {/* Payments Table */}
@@ -226,18 +530,30 @@ function EmployeeDashboard() {
               <div className="spinner"></div>
               <p className="text-muted mt-2">Loading payments...</p>
             </div>
-          ) : activeTab === 'pending' ? (
-            // Pending Payments
-            pendingPayments.length === 0 ? (
+          ) : activeTab === 'pending' || activeTab === 'escalated' ? (
+            // Pending Payments, or the Requires Manager queue (same actions)
+            queuePayments.length === 0 ? (
               <div style={{ textAlign: 'center', padding: '60px 20px' }}>
                 <div style={{ fontSize: '64px', marginBottom: '16px' }}>✅</div>
-                <h3 style={{ marginBottom: '8px' }}>No Pending Payments</h3>
-                <p className="text-muted">All payments have been verified. Great job!</p>
+                <h3 style={{ marginBottom: '8px' }}>{activeTab === 'escalated' ? 'No Escalated Payments' : 'No Pending Payments'}</h3>
+                <p className="text-muted">
+                  {queueFilter !== 'all'
+                    ? 'Nothing matches this filter.'
+                    : activeTab === 'escalated'
+                      ? 'No payment is waiting for a Manager.'
+                      : 'All payments have been verified. Great job!'}
+                </p>
+                <div style={{ display: 'flex', justifyContent: 'center' }}>{queueFilterButtons}</div>
               </div>
             ) : (
               <>
-                <div className="card-header">
-                  <h2 style={{ margin: 0 }}>⏳ Pending Payments - Awaiting Verification</h2>
+                <div className="card-header" style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', flexWrap: 'wrap', gap: '12px' }}>
+                  <h2 style={{ margin: 0 }}>
+                    {activeTab === 'escalated'
+                      ? '🧑‍💼 Requires Manager - Above Approval Limits'
+                      : '⏳ Pending Payments - Awaiting Verification'}
+                  </h2>
+                  {queueFilterButtons}
                 </div>
                 <div style={{ overflowX: 'auto' }}>
                   <table className="table">
@@ -253,7 +569,7 @@ function EmployeeDashboard() {
                       </tr>
                     </thead>
                     <tbody>
-                      {pendingPayments.map((payment) => (
+                      {queuePayments.map((payment) => (
                         <tr key={payment._id}>
                           <td>{new Date(payment.createdAt).toLocaleString()}</td>
                           <td style={{ fontWeight: '600' }}>{payment.customerUsername}</td>
@@ -276,28 +592,331 @@ function EmployeeDashboard() {
                             {payment.swiftCode}
                           </td>
                           <td style={{ textAlign: 'center' }}>
+                            {isClaimActive(payment) && (
+                              <div style={{ fontSize: '12px', color: 'var(--gray-text)', marginBottom: '8px' }}>
+                                🔒 {isClaimedByMe(payment) ? 'Claimed by you' : `Claimed by ${payment.assignedToUsername}`} until {new Date(payment.claimExpiresAt).toLocaleTimeString()}
+                              </div>
+                            )}
+                            {canVerify && (
+                              <div style={{ display: 'flex', gap: '8px', justifyContent: 'center', marginBottom: '8px' }}>
+                                {!isClaimedByOther(payment) && (
+                                  <button
+                                    onClick={() => runClaimAction(payment._id, () => employeePortal.claimPayment(payment._id))}
+                                    disabled={claiming === payment._id}
+                                    className="btn btn-secondary"
+                                    style={{ fontSize: '13px', padding: '6px 12px' }}
+                                  >
+                                    {isClaimedByMe(payment) ? '⏱️ Renew' : '✋ Claim'}
+                                  </button>
+                                )}
+                                {(isClaimedByMe(payment) || (canAssign && isClaimActive(payment))) && (
+                                  <button
+                                    onClick={() => runClaimAction(payment._id, () => employeePortal.releasePayment(payment._id))}
+                                    disabled={claiming === payment._id}
+                                    className="btn btn-secondary"
+                                    style={{ fontSize: '13px', padding: '6px 12px' }}
+                                  >
+                                    Release
+                                  </button>
+                                )}
+                              </div>
+                            )}
+                            {canAssign && assignees.length > 0 && (
+                              <select
+                                value=""
+                                onChange={(e) => runClaimAction(payment._id, () => employeePortal.assignPayment(payment._id, e.target.value))}
+                                className="form-select"
+                                disabled={claiming === payment._id}
+                                style={{ marginBottom: '8px', fontSize: '13px' }}
+                              >
+                                <option value="">Assign to...</option>
+                                {assignees.map((assignee) => (
+                                  <option key={assignee.id} value={assignee.id}>{assignee.fullName} ({assignee.role})</option>
+                                ))}
+                              </select>
+                            )}
+                            {payment.escalatedAt && (
+                              <div style={{ fontSize: '12px', color: 'var(--gray-text)', marginBottom: '8px' }}>
+                                ⬆️ Escalated by {payment.escalatedByUsername} · above their limit of {payment.escalationLimit} {payment.currency}
+                              </div>
+                            )}
+                            {payment.verifications?.length > 0 && (
+                              <div style={{ fontSize: '12px', color: 'var(--gray-text)', marginBottom: '8px' }}>
+                                👁️ Verified by {payment.verifications.map((verification) => verification.employeeUsername).join(', ')} · second verification required
+                              </div>
+                            )}
+                            {!canVerify ? (
+                              <span style={{ fontSize: '13px', color: 'var(--gray-text)' }}>View only</span>
+                            ) : rejectTarget === payment._id ? (
+                              <div style={{ display: 'flex', flexDirection: 'column', gap: '8px', minWidth: '220px', textAlign: 'left' }}>
+                                <select
+                                  value={rejectionCode}
+                                  onChange={(e) => setRejectionCode(e.target.value)}
+                                  className="form-select"
+                                  disabled={rejecting}
+                                >
+                                  <option value="">Select reason...</option>
+                                  {REJECTION_CODES.map(({ code, label }) => (
+                                    <option key={code} value={code}>{label}</option>
+                                  ))}
+                                </select>
+                                <textarea
+                                  value={rejectionReason}
+                                  onChange={(e) => setRejectionReason(e.target.value)}
+                                  className="form-input"
+                                  placeholder={rejectionCode === 'OTHER' ? 'Reason (required)' : 'Additional notes (optional)'}
+                                  maxLength={500}
+                                  rows={2}
+                                  disabled={rejecting}
+                                />
+                                <div style={{ display: 'flex', gap: '8px' }}>
+                                  <button
+                                    onClick={() => handleRejectPayment(payment)}
+                                    disabled={rejecting}
+                                    className="btn btn-danger"
+                                    style={{ fontSize: '14px', padding: '8px 16px' }}
+                                  >
+                                    {rejecting ? 'Rejecting...' : 'Confirm'}
+                                  </button>
+                                  <button
+                                    onClick={closeRejectPicker}
+                                    disabled={rejecting}
+                                    className="btn btn-secondary"
+                                    style={{ fontSize: '14px', padding: '8px 16px' }}
+                                  >
+                                    Cancel
+                                  </button>
+                                </div>
+                              </div>
+                            ) : (
+                              <div style={{ display: 'flex', gap: '8px', justifyContent: 'center' }}>
+                                <button
+                                  onClick={() => handleVerifyPayment(payment)}
+                                  disabled={verifying === payment._id || isVerifiedByMe(payment) || isClaimedByOther(payment)}
+                                  title={isVerifiedByMe(payment)
+                                    ? 'You already verified this payment. A different employee must provide the second verification.'
+                                    : isClaimedByOther(payment) ? `Claimed by ${payment.assignedToUsername}` : undefined}
+                                  className="btn btn-success"
+                                  style={{ fontSize: '14px', padding: '10px 20px' }}
+                                >
+                                  {verifying === payment._id ? (
+                                    <>
+                                      <span style={{
+                                        display: 'inline-block',
+                                        width: '14px',
+                                        height: '14px',
+                                        border: '2px solid white',
+                                        borderTop: '2px solid transparent',
+                                        borderRadius: '50%',
+                                        animation: 'spin 0.8s linear infinite'
+                                      }}></span>
+                                      Verifying...
+                                    </>
+                                  ) : (
+                                    <>✅ Verify</>
+                                  )}
+                                </button>
+                                <button
+                                  onClick={() => openRejectPicker(payment._id)}
+                                  disabled={verifying === payment._id || isClaimedByOther(payment)}
+                                  className="btn btn-danger"
+                                  style={{ fontSize: '14px', padding: '10px 20px' }}
+                                >
+                                  ❌ Reject
+                                </button>
+                              </div>
+                            )}
+                          </td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              </>
+            )
+          ) : activeTab === 'batches' ? (
+            // SWIFT Batches
+            batches.length === 0 ? (
+              <div style={{ textAlign: 'center', padding: '60px 20px' }}>
+                <div style={{ fontSize: '64px', marginBottom: '16px' }}>🗂️</div>
+                <h3 style={{ marginBottom: '8px' }}>No Batches Yet</h3>
+                <p className="text-muted">Each SWIFT submission creates a batch that appears here.</p>
+              </div>
+            ) : (
+              <>
+                <div className="card-header">
+                  <h2 style={{ margin: 0 }}>🗂️ SWIFT Submission Batches</h2>
+                </div>
+                <div style={{ overflowX: 'auto' }}>
+                  <table className="table">
+                    <thead>
+                      <tr>
+                        <th>🔖 Batch ID</th>
+                        <th>📤 Submitted</th>
+                        <th>👔 Submitted By</th>
+                        <th>🔢 Payments</th>
+                        <th>📊 Status</th>
+                        <th>💵 Totals</th>
+                        <th>🔐 Checksum</th>
+                        <th style={{ textAlign: 'center' }}>⚙️ Files</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {batches.map((batch) => (
+                        <tr key={batch.batchId}>
+                          <td style={{ fontFamily: 'monospace', fontSize: '14px', fontWeight: '600' }}>
                             <button
-                              onClick={() => handleVerifyPayment(payment._id)}
-                              disabled={verifying === payment._id}
-                              className="btn btn-success"
-                              style={{ fontSize: '14px', padding: '10px 20px' }}
+                              onClick={() => handleToggleBatch(batch.batchId)}
+                              style={{ background: 'none', border: 'none', color: 'var(--primary-blue)', cursor: 'pointer', fontFamily: 'inherit', fontWeight: '600', padding: 0 }}
                             >
-                              {verifying === payment._id ? (
-                                <>
-                                  <span style={{
-                                    display: 'inline-block',
-                                    width: '14px',
-                                    height: '14px',
-                                    border: '2px solid white',
-                                    borderTop: '2px solid transparent',
-                                    borderRadius: '50%',
-                                    animation: 'spin 0.8s linear infinite'
-                                  }}></span>
-                                  Verifying...
-                                </>
-                              ) : (
-                                <>✅ Verify</>
+                              {selectedBatch?.batchId === batch.batchId ? '▾' : '▸'} {batch.batchId}
+                            </button>
+                          </td>
+                          <td>{new Date(batch.submittedAt).toLocaleString()}</td>
+                          <td>{batch.submittedByUsername}</td>
+                          <td style={{ fontWeight: '600' }}>{batch.paymentCount}</td>
+                          <td>
+                            <div style={{ fontWeight: '600' }}>{batch.status}</div>
+                            {batch.dispatchedAt ? (
+                              <div style={{ fontSize: '12px', color: 'var(--gray-text)' }}>
+                                Sent via {batch.gateway} {new Date(batch.dispatchedAt).toLocaleTimeString()}
+                              </div>
+                            ) : canSubmit && (
+                              <button
+                                onClick={() => handleDispatchBatch(batch.batchId)}
+                                disabled={downloading === `${batch.batchId}:dispatch`}
+                                className="btn btn-secondary"
+                                style={{ fontSize: '12px', padding: '6px 10px', marginTop: '4px' }}
+                              >
+                                🔁 Retry send
+                              </button>
+                            )}
+                          </td>
+                          <td>
+                            {batch.totals.map((total) => (
+                              <div key={total.currency} style={{ fontSize: '14px' }}>
+                                {total.currency} {total.amount.toFixed(2)} ({total.count})
+                              </div>
+                            ))}
+                          </td>
+                          <td style={{ fontFamily: 'monospace', fontSize: '12px' }} title={batch.fileChecksum}>
+                            {batch.fileChecksum.substring(0, 12)}…
+                          </td>
+                          <td style={{ textAlign: 'center', whiteSpace: 'nowrap' }}>
+                            {canSubmit && ['pacs.008.001.08', 'pain.001.001.09'].map((type) => (
+                              <button
+                                key={type}
+                                onClick={() => handleDownloadIso20022(batch.batchId, type)}
+                                disabled={downloading === `${batch.batchId}:${type}`}
+                                className="btn btn-primary"
+                                style={{ fontSize: '13px', padding: '8px 12px', marginLeft: '4px' }}
+                              >
+                                ⬇️ {type.substring(0, 8)}
+                              </button>
+                            ))}
+                          </td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+                {selectedBatch && (
+                  <div style={{ padding: '20px 24px', borderTop: '2px solid var(--border-gray)' }}>
+                    <h3 style={{ marginTop: 0 }}>Payments in {selectedBatch.batchId}</h3>
+                    <table className="table">
+                      <thead>
+                        <tr>
+                          <th>🔖 Reference</th>
+                          <th>👤 Customer</th>
+                          <th>💵 Amount</th>
+                          <th>👥 Payee</th>
+                          <th>🏦 SWIFT Code</th>
+                          <th>📊 Status</th>
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {selectedBatch.paymentIds.map((payment) => (
+                          <tr key={payment._id}>
+                            <td style={{ fontFamily: 'monospace' }}>{payment.swiftMessage?.reference || '—'}</td>
+                            <td>{payment.customerUsername}</td>
+                            <td>{payment.currency} {payment.amount.toFixed(2)}</td>
+                            <td>{payment.payeeFullName}</td>
+                            <td style={{ fontFamily: 'monospace' }}>{payment.swiftCode}</td>
+                            <td>
+                              {payment.status}
+                              {payment.failureCode && (
+                                <div style={{ fontSize: '12px', color: 'var(--gray-text)' }}>
+                                  {payment.failureCode}: {payment.failureReason}
+                                </div>
                               )}
+                            </td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  </div>
+                )}
+              </>
+            )
+          ) : activeTab === 'submitted' ? (
+            // Submitted Payments
+            submittedPayments.length === 0 ? (
+              <div style={{ textAlign: 'center', padding: '60px 20px' }}>
+                <div style={{ fontSize: '64px', marginBottom: '16px' }}>📤</div>
+                <h3 style={{ marginBottom: '8px' }}>No Submitted Payments</h3>
+                <p className="text-muted">Payments submitted to SWIFT will appear here with their MT103 messages.</p>
+              </div>
+            ) : (
+              <>
+                <div className="card-header">
+                  <h2 style={{ margin: 0 }}>📤 Submitted Payments - MT103 Messages</h2>
+                </div>
+                <div style={{ overflowX: 'auto' }}>
+                  <table className="table">
+                    <thead>
+                      <tr>
+                        <th>📤 Submitted Date</th>
+                        <th>👤 Customer</th>
+                        <th>💵 Amount</th>
+                        <th>🌍 Currency</th>
+                        <th>👥 Payee</th>
+                        <th>🔖 Reference</th>
+                        <th style={{ textAlign: 'center' }}>⚙️ MT103</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {submittedPayments.map((payment) => (
+                        <tr key={payment._id}>
+                          <td>{new Date(payment.submittedToSwiftAt).toLocaleString()}</td>
+                          <td style={{ fontWeight: '600' }}>{payment.customerUsername}</td>
+                          <td style={{ fontWeight: '700', color: 'var(--primary-blue)' }}>
+                            {payment.amount.toFixed(2)}
+                          </td>
+                          <td>{payment.currency}</td>
+                          <td>
+                            <div style={{ fontWeight: '600', marginBottom: '4px' }}>
+                              {payment.payeeFullName}
+                            </div>
+                            <div style={{ fontSize: '13px', color: 'var(--gray-text)' }}>
+                              {payment.swiftCode}
+                            </div>
+                          </td>
+                          <td style={{ fontFamily: 'monospace', fontSize: '14px', fontWeight: '600' }}>
+                            {payment.swiftMessage?.reference || '—'}
+                            {payment.swiftBatchId && (
+                              <div style={{ fontSize: '12px', color: 'var(--gray-text)', fontWeight: '400' }}>
+                                {payment.swiftBatchId}
+                              </div>
+                            )}
+                          </td>
+                          <td style={{ textAlign: 'center' }}>
+                            <button
+                              onClick={() => handleDownloadMt103(payment)}
+                              disabled={!payment.swiftMessage || downloading === payment._id}
+                              className="btn btn-primary"
+                              style={{ fontSize: '14px', padding: '10px 20px' }}
+                            >
+                              {downloading === payment._id ? 'Downloading...' : '⬇️ Download'}
                             </button>
                           </td>
                         </tr>
@@ -324,6 +943,16 @@ function EmployeeDashboard() {
                   <table className="table">
                     <thead>
                       <tr>
+                        {canSubmit && (
+                          <th>
+                            <input
+                              type="checkbox"
+                              checked={allSelected}
+                              onChange={toggleSelectAll}
+                              aria-label="Select all verified payments"
+                            />
+                          </th>
+                        )}
                         <th>✅ Verified Date</th>
                         <th>👤 Customer</th>
                         <th>💵 Amount</th>
@@ -336,6 +965,18 @@ function EmployeeDashboard() {
                     <tbody>
                       {verifiedPayments.map((payment) => (
                         <tr key={payment._id} style={{ backgroundColor: '#f8fff9' }}>
+                          {canSubmit && (
+                            <td>
+                              <input
+                                type="checkbox"
+                                checked={selectedIds.includes(payment._id)}
+                                onChange={() => toggleSelected(payment._id)}
+                                disabled={isVerifiedByMe(payment)}
+                                title={isVerifiedByMe(payment) ? 'You verified this payment. A different employee must submit it.' : undefined}
+                                aria-label={`Select payment to ${payment.payeeFullName}`}
+                              />
+                            </td>
+                          )}
                           <td>{new Date(payment.verifiedAt).toLocaleString()}</td>
                           <td style={{ fontWeight: '600' }}>{payment.customerUsername}</td>
                           <td style={{ fontWeight: '700', color: 'var(--success-green)' }}>
@@ -357,9 +998,19 @@ function EmployeeDashboard() {
                             <div style={{ fontSize: '14px', fontWeight: '600', color: 'var(--primary-blue)' }}>
                               {payment.verifiedByUsername}
                             </div>
+                            {payment.verifications?.length > 1 && (
+                              <div style={{ fontSize: '12px', color: 'var(--gray-text)' }}>
+                                + {payment.verifications.slice(0, -1).map((verification) => verification.employeeUsername).join(', ')}
+                              </div>
+                            )}
                             <div style={{ fontSize: '12px', color: 'var(--success-green)', fontWeight: '600' }}>
                               ✅ VERIFIED
                             </div>
+                            {isVerifiedByMe(payment) && (
+                              <div style={{ fontSize: '12px', color: 'var(--gray-text)' }}>
+                                Another employee must submit
+                              </div>
+                            )}
                           </td>
                         </tr>
                       ))}
@@ -371,6 +1022,10 @@ function EmployeeDashboard() {
           )}
         </div>
 
+        {/* Branch-assisted password reset */}
+        {canManageApprovals && <ApprovalLimits />}
+        {canAssistCustomers && <CustomerOnboarding canOnboard={canOnboardCustomers} />}
+
         {/* Security Notice */}
         <div style={{
           marginTop: '32px',
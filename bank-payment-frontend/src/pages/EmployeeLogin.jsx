@@ -1,6 +1,9 @@
 import { useState } from 'react';
 import { useNavigate, Link } from 'react-router-dom';
 import { useAuth } from '../contexts/AuthContext';
+import { browserSupportsWebAuthn, platformAuthenticatorIsAvailable } from '@simplewebauthn/browser';
+import MfaChallenge from '../components/MfaChallenge';
+import PasskeyRegistration from '../components/PasskeyRegistration';
 
 function EmployeeLogin() {
   const [formData, setFormData] = useState({
@@ -8,8 +11,10 @@ function EmployeeLogin() {
     password: '',
   });
   const [loading, setLoading] = useState(false);
+  const [mfaChallenge, setMfaChallenge] = useState(null);
+  const [offerPasskey, setOfferPasskey] = useState(false);
 
-  const { loginEmployee } = useAuth();
+  const { loginEmployee, loginEmployeeWithPasskey } = useAuth();
   const navigate = useNavigate();
 
   const handleChange = (e) => {
@@ -19,6 +24,25 @@ function EmployeeLogin() {
     });
   };
 
+  const handlePasskeyLogin = async () => {
+    setLoading(true);
+    const result = await loginEmployeeWithPasskey();
+    setLoading(false);
+
+    if (result.success) {
+      navigate('/employee/dashboard');
+    }
+  };
+
+  // After a password + code sign-in, offer to register this workstation's authenticator
+  const handleMfaComplete = async () => {
+    if (browserSupportsWebAuthn() && await platformAuthenticatorIsAvailable()) {
+      setOfferPasskey(true);
+    } else {
+      navigate('/employee/dashboard');
+    }
+  };
+
   const handleSubmit = async (e) => {
     e.preventDefault();
     setLoading(true);
@@ -27,7 +51,11 @@ function EmployeeLogin() {
 
     setLoading(false);
 
-    if (result.success) {
+    if (result.mfaRequired) {
+      // Password accepted: continue with the second factor
+      setMfaChallenge(result);
+      setFormData({ ...formData, password: '' });
+    } else if (result.success) {
       navigate('/employee/dashboard');
     }
   };
@@ -78,60 +106,71 @@ function EmployeeLogin() {
           </div>
         </div>
 
-        {/* Login Form */}
-        <form onSubmit={handleSubmit}>
-          <div className="form-group">
-            <label className="form-label">Employee Username</label>
-            <input
-              type="text"
-              name="username"
-              value={formData.username}
-              onChange={handleChange}
-              required
-              className="form-input"
-              placeholder="Enter employee username"
-              autoComplete="username"
-            />
-          </div>
-
-          <div className="form-group">
-            <label className="form-label">Password</label>
-            <input
-              type="password"
-              name="password"
-              value={formData.password}
-              onChange={handleChange}
-              required
-              className="form-input"
-              placeholder="Enter your password"
-              autoComplete="current-password"
-            />
-          </div>
-
-          <button
-            type="submit"
-            disabled={loading}
-            className="btn btn-primary w-full"
-            style={{ marginTop: '8px' }}
-          >
-            {loading ? (
-              <>
-                <span style={{
-                  display: 'inline-block',
-                  width: '16px',
-                  height: '16px',
-                  border: '2px solid white',
-                  borderTop: '2px solid transparent',
-                  borderRadius: '50%',
-                  animation: 'spin 0.8s linear infinite'
-                }}></span>
-                Signing in...
-              </>
-            ) : (
-              <>🔐 Sign In to Portal</>
-            )}
-          </button>
-        </form>
+        {/* Login Form (second step: two-factor authentication, then optional passkey setup) */}
+        {offerPasskey ? (
+          <PasskeyRegistration onDone={() => navigate('/employee/dashboard')} />
+        ) : mfaChallenge ? (
+          <MfaChallenge
+            userType="employee"
+            challenge={mfaChallenge}
+            onComplete={handleMfaComplete}
+            onCancel={() => setMfaChallenge(null)}
+          />
+        ) : (
+          <form onSubmit={handleSubmit}>
+            <div className="form-group">
+              <label className="form-label">Employee Username</label>
+              <input
+                type="text"
+                name="username"
+                value={formData.username}
+                onChange={handleChange}
+                required
+                className="form-input"
+                placeholder="Enter employee username"
+                autoComplete="username"
+              />
+            </div>
+
+            <div className="form-group">
+              <label className="form-label">Password</label>
+              <input
+                type="password"
+                name="password"
+                value={formData.password}
+                onChange={handleChange}
+                required
+                className="form-input"
+                placeholder="Enter your password"
+                autoComplete="current-password"
+              />
+            </div>
+
+            <button
+              type="submit"
+              disabled={loading}
+              className="btn btn-primary w-full"
+              style={{ marginTop: '8px' }}
+            >
+              {loading ? (
+                <>
+                  <span style={{
+                    display: 'inline-block',
+                    width: '16px',
+                    height: '16px',
+                    border: '2px solid white',
+                    borderTop: '2px solid transparent',
+                    borderRadius: '50%',
+                    animation: 'spin 0.8s linear infinite'
+                  }}></span>
+                  Signing in...
+                </>
+              ) : (
+                <>🔐 Sign In to Portal</>
+              )}
+            </button>
+          </form>
+        )}
 
         {/* Footer Links */}
         <div style={{
@@ -0,0 +1,155 @@
+import { useState, useEffect } from 'react';
+import { useNavigate, Link } from 'react-router-dom';
+import { toast } from 'react-toastify';
+import { customerAuth } from '../services/api';
+import PasswordStrengthIndicator from '../components/PasswordStrengthIndicator';
+
+/**
+ * Reset token from the link's fragment (#token=...)
+ */
+const readTokenFromUrl = () => new URLSearchParams(window.location.hash.slice(1)).get('token');
+
+/**
+ * Reset Password Page
+ * Completes a password reset started by bank staff at a branch
+ */
+function ResetPassword() {
+  const [token] = useState(readTokenFromUrl);
+  const [reset, setReset] = useState(null);
+  const [checking, setChecking] = useState(true);
+  const [formData, setFormData] = useState({ newPassword: '', confirmPassword: '' });
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+  const [isPasswordValid, setIsPasswordValid] = useState(false);
+  const navigate = useNavigate();
+
+  useEffect(() => {
+    // Keep the token out of the address bar and browser history
+    if (window.location.hash) {
+      window.history.replaceState(null, '', window.location.pathname);
+    }
+
+    const checkToken = async () => {
+      if (!token) {
+        setChecking(false);
+        return;
+      }
+      try {
+        const response = await customerAuth.validateResetToken(token);
+        setReset(response.data);
+      } catch (error) {
+        setError(error.userMessage || error.response?.data?.message || 'This password reset link is invalid.');
+      } finally {
+        setChecking(false);
+      }
+    };
+
+    checkToken();
+  }, [token]);
+
+  const handleChange = (e) => {
+    setFormData({
+      ...formData,
+      [e.target.name]: e.target.value,
+    });
+    setError('');
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+
+    if (!isPasswordValid) {
+      setError('Password does not meet security requirements. Please ensure all requirements are met.');
+      return;
+    }
+
+    if (formData.newPassword !== formData.confirmPassword) {
+      setError('Passwords do not match.');
+      return;
+    }
+
+    setLoading(true);
+    try {
+      const response = await customerAuth.completePasswordReset(token, formData.newPassword);
+      toast.success(response.data.message);
+      navigate('/customer/login');
+    } catch (error) {
+      setError(error.userMessage || error.response?.data?.message || 'Failed to reset password');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div style={{ minHeight: '100vh', display: 'flex', alignItems: 'center', justifyContent: 'center', padding: '20px' }}>
+      <div className="card" style={{ maxWidth: '450px', width: '100%' }}>
+        <div style={{ textAlign: 'center', marginBottom: '24px' }}>
+          <span style={{ fontSize: '40px' }}>🔑</span>
+          <h1 style={{ margin: '8px 0' }}>Reset Password</h1>
+          {reset && <p className="text-muted">Choose a new password for {reset.username}</p>}
+        </div>
+
+        {error && (
+          <div style={{ color: 'var(--danger-red)', marginBottom: '16px', fontSize: '14px' }}>
+            {error}
+          </div>
+        )}
+
+        {checking ? (
+          <p className="text-muted" style={{ textAlign: 'center' }}>Checking your reset link...</p>
+        ) : reset ? (
+          <form onSubmit={handleSubmit}>
+            <div className="form-group">
+              <label className="form-label">New Password</label>
+              <input
+                type="password"
+                name="newPassword"
+                value={formData.newPassword}
+                onChange={handleChange}
+                required
+                maxLength={100}
+                className="form-input"
+                placeholder="Enter secure password"
+                autoComplete="new-password"
+              />
+              <PasswordStrengthIndicator
+                password={formData.newPassword}
+                onValidationChange={setIsPasswordValid}
+              />
+            </div>
+
+            <div className="form-group">
+              <label className="form-label">Confirm New Password</label>
+              <input
+                type="password"
+                name="confirmPassword"
+                value={formData.confirmPassword}
+                onChange={handleChange}
+                required
+                className="form-input"
+                placeholder="Re-enter new password"
+                autoComplete="new-password"
+              />
+            </div>
+
+            <button type="submit" disabled={loading} className="btn btn-primary w-full">
+              {loading ? 'Resetting Password...' : 'Reset Password'}
+            </button>
+          </form>
+        ) : (
+          <p className="text-muted" style={{ textAlign: 'center' }}>
+            {token ? '' : 'Open the password reset link you received. '}
+            If it has expired, please visit your branch to request a new one.
+          </p>
+        )}
+
+        <div style={{ marginTop: '24px', textAlign: 'center', fontSize: '14px' }}>
+          <Link to="/customer/login">← Back to login</Link>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default ResetPassword;
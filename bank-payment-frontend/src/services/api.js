@@ -1,6 +1,7 @@
 import axios from 'axios';
 import csrfProtection from '../utils/csrfProtection';
 import secureStorage from '../utils/secureStorage';
+import tokenRefresh from '../utils/tokenRefresh';
 
 // Node.js Express API base URL (MERN Stack)
 // Backend only accepts HTTPS connections
@@ -49,22 +50,38 @@ api.interceptors.request.use((config) => {
   return config;
 });
 
+// Requests whose 401 means wrong credentials, not an expired access token
+const isAuthRequest = (url = '') => /\/(login|refresh|mfa)(\/|$)/.test(url);
+
 // Handle errors globally with security considerations
 api.interceptors.response.use(
   (response) => response,
-  (error) => {
+  async (error) => {
     // Handle 401 Unauthorized
     if (error.response?.status === 401) {
-      // Unauthorized - clear token from both storage methods
+      const originalRequest = error.config;
+
+      // Access token expired: renew the session once and retry the request
+      if (originalRequest && !originalRequest._retried && !isAuthRequest(originalRequest.url)) {
+        originalRequest._retried = true;
+        const token = await tokenRefresh.refresh();
+        if (token) {
+          originalRequest.headers.Authorization = `Bearer ${token}`;
+          return api(originalRequest);
+        }
+      }
+
+      // Session could not be renewed - clear token from both storage methods
+      const userType = secureStorage.getUserType() || localStorage.getItem('userType');
       secureStorage.clearAuth();
       localStorage.removeItem('token');
       localStorage.removeItem('user');
       localStorage.removeItem('userType');
       // Don't redirect on login failure, just let the error propagate
-      // Only redirect if user is already logged in and token expired
+      // Only redirect if user is already logged in and the session ended
       const currentPath = window.location.pathname;
       if (!currentPath.includes('/login')) {
-        window.location.href = '/customer/login';
+        window.location.href = userType === 'employee' ? '/employee/login' : '/customer/login';
       }
     }
 
@@ -88,10 +105,29 @@ api.interceptors.response.use(
   }
 );
 
+// Session (shared by customers and employees)
+export const sessionAuth = {
+  refresh: () => api.post('/auth/refresh'), // refresh token travels in an httpOnly cookie
+  changePassword: (currentPassword, newPassword) => api.post('/auth/change-password', { currentPassword, newPassword }),
+};
+
+// Two-factor authentication (second login step, shared by customers and employees)
+export const mfaAuth = {
+  verify: (challengeToken, data) => api.post('/auth/mfa/verify', { challengeToken, ...data }),
+  startEnrolment: (challengeToken) => api.post('/auth/mfa/enrol', { challengeToken }),
+  confirmEnrolment: (challengeToken, code) => api.post('/auth/mfa/enrol/confirm', { challengeToken, code }),
+};
+
 // Customer Authentication
 export const customerAuth = {
   register: (data) => api.post('/customer/auth/register', data),
   login: (data) => api.post('/customer/auth/login', data),
+  logout: () => api.post('/customer/auth/logout'),
+  startMfaEnrolment: () => api.post('/customer/auth/mfa/enrol'),
+  confirmMfaEnrolment: (code) => api.post('/customer/auth/mfa/enrol/confirm', { code }),
+  disableMfa: (code) => api.post('/customer/auth/mfa/disable', { code }),
+  validateResetToken: (token) => api.post('/customer/auth/password-reset/validate', { token }),
+  completePasswordReset: (token, newPassword) => api.post('/customer/auth/password-reset/complete', { token, newPassword }),
 };
 
 // Customer Payments
@@ -99,21 +135,68 @@ export const customerPayments = {
   create: (data) => api.post('/customer/payments/create', data),
   getMyPayments: () => api.get('/customer/payments/my-payments'),
   getById: (id) => api.get(`/customer/payments/${id}`),
+  cancel: (id, reason) => api.post(`/customer/payments/${id}/cancel`, { reason }),
+  stepUp: (challengeToken, data) => api.post('/customer/payments/step-up', { challengeToken, ...data }),
+};
+
+// Customer Sessions (signed-in devices)
+export const customerSessions = {
+  list: () => api.get('/customer/sessions'),
+  signOut: (id) => api.delete(`/customer/sessions/${id}`),
+  signOutOthers: () => api.delete('/customer/sessions'),
 };
 
 // Employee Authentication
 export const employeeAuth = {
   login: (data) => api.post('/employee/auth/login', data),
+  logout: () => api.post('/employee/auth/logout'),
+  passkeyLoginOptions: () => api.post('/employee/auth/webauthn/login/options'),
+  passkeyLoginVerify: (response) => api.post('/employee/auth/webauthn/login/verify', { response }),
+  passkeyRegisterOptions: (password, code) => api.post('/employee/auth/webauthn/register/options', { password, code }),
+  passkeyRegisterVerify: (response, name) => api.post('/employee/auth/webauthn/register/verify', { response, name }),
+  getPasskeys: () => api.get('/employee/auth/webauthn/credentials'),
+  deletePasskey: (id) => api.delete(`/employee/auth/webauthn/credentials/${id}`),
 };
 
 // Employee Portal
 export const employeePortal = {
   getPendingPayments: () => api.get('/employee/portal/pending-payments'),
-  verifyPayment: (paymentId) => api.post('/employee/portal/verify-payment', { paymentId }),
+  getEscalatedPayments: () => api.get('/employee/portal/escalated-payments'),
+  verifyPayment: (paymentId, version) => api.post('/employee/portal/verify-payment', { paymentId, version }),
   getVerifiedPayments: () => api.get('/employee/portal/verified-payments'),
-  submitToSwift: () => api.post('/employee/portal/submit-to-swift'),
+  submitToSwift: (paymentIds, options = {}) => api.post('/employee/portal/submit-to-swift', { paymentIds, ...options }),
   getAllPayments: (status) => api.get(`/employee/portal/all-payments${status ? `?status=${status}` : ''}`),
-  rejectPayment: (paymentId, reason) => api.post('/employee/portal/reject-payment', { paymentId, reason }),
+  downloadMt103: (paymentId) => api.get(`/employee/portal/payments/${paymentId}/mt103`, { responseType: 'blob' }),
+  getBatches: () => api.get('/employee/portal/batches'),
+  getBatch: (batchId) => api.get(`/employee/portal/batches/${batchId}`),
+  dispatchBatch: (batchId) => api.post(`/employee/portal/batches/${batchId}/dispatch`),
+  downloadIso20022: (batchId, type) => api.get(`/employee/portal/batches/${batchId}/iso20022?type=${type}`, { responseType: 'blob' }),
+  rejectPayment: (paymentId, rejectionCode, reason, version) => api.post('/employee/portal/reject-payment', { paymentId, rejectionCode, reason, version }),
+  claimPayment: (paymentId) => api.post(`/employee/portal/payments/${paymentId}/claim`),
+  releasePayment: (paymentId) => api.post(`/employee/portal/payments/${paymentId}/release`),
+  getAssignees: () => api.get('/employee/portal/assignees'),
+  assignPayment: (paymentId, employeeId) => api.post(`/employee/portal/payments/${paymentId}/assign`, { employeeId }),
+  getApprovalLimits: () => api.get('/employee/portal/approval-limits'),
+  setApprovalLimits: (employeeId, limits) => api.post(`/employee/portal/employees/${employeeId}/approval-limits`, { limits }),
+};
+
+// Employee: customer onboarding and account support
+export const employeeCustomers = {
+  search: (params) => api.get('/employee/customers', { params }),
+  create: (data) => api.post('/employee/customers', data),
+  deactivate: (id) => api.post(`/employee/customers/${id}/deactivate`),
+  unlock: (id) => api.post(`/employee/customers/${id}/unlock`),
+  resetCredentials: (id) => api.post(`/employee/customers/${id}/reset-credentials`),
+};
+
+// Admin: employee accounts
+export const adminEmployees = {
+  list: () => api.get('/admin/employees'),
+  create: (data) => api.post('/admin/employees', data),
+  deactivate: (id) => api.post(`/admin/employees/${id}/deactivate`),
+  reactivate: (id) => api.post(`/admin/employees/${id}/reactivate`),
+  changeRole: (id, role) => api.post(`/admin/employees/${id}/role`, { role }),
+  resetPassword: (id) => api.post(`/admin/employees/${id}/password-reset`),
 };
 
 // Health Check
@@ -0,0 +1,28 @@
+/**
+ * PAYMENT REJECTION CODES
+ *
+ * Mirrors REJECTION_CODES in the backend Payment model.
+ * `label` is shown to employees, `customerLabel` to the customer.
+ */
+
+export const REJECTION_CODES = [
+  { code: 'SANCTIONS_HIT', label: 'Sanctions screening hit', customerLabel: 'Failed compliance screening' },
+  { code: 'INVALID_BENEFICIARY', label: 'Invalid beneficiary details', customerLabel: 'Invalid beneficiary details' },
+  { code: 'INVALID_SWIFT_CODE', label: 'Invalid SWIFT code', customerLabel: 'Invalid SWIFT code' },
+  { code: 'SUSPECTED_FRAUD', label: 'Suspected fraud', customerLabel: 'Failed compliance screening' },
+  { code: 'DUPLICATE_PAYMENT', label: 'Duplicate payment', customerLabel: 'Duplicate payment' },
+  { code: 'CUSTOMER_REQUEST', label: 'Customer request', customerLabel: 'Cancelled at your request' },
+  { code: 'OTHER', label: 'Other (reason required)', customerLabel: 'Other' },
+];
+
+/**
+ * Get the employee-facing label for a rejection code
+ */
+export const getRejectionLabel = (code) =>
+  REJECTION_CODES.find((entry) => entry.code === code)?.label || code;
+
+/**
+ * Get the customer-facing label for a rejection code
+ */
+export const getCustomerRejectionLabel = (code) =>
+  REJECTION_CODES.find((entry) => entry.code === code)?.customerLabel || 'Rejected';
@@ -162,6 +162,11 @@ class Sanitizer {
       username: this.escapeHTML(userData.username || ''),
       fullName: this.escapeHTML(userData.fullName || ''),
       role: this.escapeHTML(userData.role || ''),
+      permissions: Array.isArray(userData.permissions)
+        ? userData.permissions.filter((permission) => typeof permission === 'string' && /^[a-z]+:[a-z]+$/.test(permission))
+        : [],
+      mfaEnabled: userData.mfaEnabled === true,
+      mustChangePassword: userData.mustChangePassword === true,
     };
   }
 
@@ -139,6 +139,22 @@ class SecureStorage {
     }
   }
 
+  /**
+   * Milliseconds until an item expires (null if it never expires or is missing)
+   */
+  getRemainingLifetime(key) {
+    try {
+      const item = localStorage.getItem(this.prefix + key);
+      if (!item) return null;
+
+      const { expiresAt } = JSON.parse(item);
+      return expiresAt ? Math.max(0, expiresAt - Date.now()) : null;
+    } catch (e) {
+      console.error('SecureStorage getRemainingLifetime error:', e);
+      return null;
+    }
+  }
+
   /**
    * Remove item
    */
@@ -206,10 +222,10 @@ class SecureStorage {
   /**
    * Set user data
    */
-  setUser(user) {
+  setUser(user, expiresIn = 2 * 60 * 60 * 1000) { // 2 hours default
     return this.setItem('user', user, {
       encrypt: true,
-      expiresIn: 2 * 60 * 60 * 1000, // 2 hours
+      expiresIn: expiresIn,
     });
   }
 
@@ -230,10 +246,10 @@ class SecureStorage {
   /**
    * Set user type
    */
-  setUserType(userType) {
+  setUserType(userType, expiresIn = 2 * 60 * 60 * 1000) { // 2 hours default
     return this.setItem('userType', userType, {
       encrypt: false,
-      expiresIn: 2 * 60 * 60 * 1000, // 2 hours
+      expiresIn: expiresIn,
     });
   }
 
@@ -256,6 +272,7 @@ class SecureStorage {
    */
   clearAuth() {
     this.removeToken();
+    this.removeItem('refreshToken'); // stored by older versions; now an httpOnly cookie
     this.removeUser();
     this.removeUserType();
     return true;
@@ -3,27 +3,32 @@
  *
  * Implements automatic JWT token refresh to maintain session
  * Prevents users from being logged out during active sessions
+ *
+ * Access tokens are short-lived. Shortly before one expires, the refresh
+ * token is exchanged at POST /api/auth/refresh for a new access token and a
+ * new (rotated) refresh token. The refresh token is an httpOnly cookie that
+ * only the browser sees; this utility never handles it.
  */
 
 import secureStorage from './secureStorage';
+import { sessionAuth } from '../services/api';
 
 class TokenRefresh {
   constructor() {
     this.refreshTimer = null;
-    this.warningTimer = null;
-    this.tokenLifetime = 2 * 60 * 60 * 1000; // 2 hours (match API)
-    this.refreshBeforeExpiry = 10 * 60 * 1000; // Refresh 10 minutes before expiry
-    this.warningBeforeExpiry = 5 * 60 * 1000; // Warn 5 minutes before expiry
-    this.onTokenExpiring = null;
+    this.tokenLifetime = 15 * 60 * 1000; // 15 minutes (match API)
+    this.refreshBeforeExpiry = 60 * 1000; // Refresh 1 minute before expiry
     this.onTokenExpired = null;
+    this.onTokenRefreshed = null;
+    this.refreshing = null;
   }
 
   /**
    * Start automatic token refresh
    */
-  start(onTokenExpiring, onTokenExpired) {
-    this.onTokenExpiring = onTokenExpiring;
+  start(onTokenExpired, onTokenRefreshed) {
     this.onTokenExpired = onTokenExpired;
+    this.onTokenRefreshed = onTokenRefreshed;
 
     this.scheduleRefresh();
   }
@@ -36,10 +41,6 @@ class TokenRefresh {
       clearTimeout(this.refreshTimer);
       this.refreshTimer = null;
     }
-    if (this.warningTimer) {
-      clearTimeout(this.warningTimer);
-      this.warningTimer = null;
-    }
   }
 
   /**
@@ -59,51 +60,64 @@ class TokenRefresh {
       return;
     }
 
-    const now = Date.now();
-    const timeUntilExpiry = expirationTime - now;
-    const timeUntilRefresh = timeUntilExpiry - this.refreshBeforeExpiry;
-    const timeUntilWarning = timeUntilExpiry - this.warningBeforeExpiry;
-
-    // Schedule warning
-    if (timeUntilWarning > 0) {
-      this.warningTimer = setTimeout(() => {
-        if (this.onTokenExpiring) {
-          this.onTokenExpiring();
-        }
-      }, timeUntilWarning);
+    const timeUntilRefresh = Math.max(0, expirationTime - Date.now() - this.refreshBeforeExpiry);
+
+    // Renew silently before the access token expires
+    this.refreshTimer = setTimeout(() => {
+      this.handleTokenRefresh();
+    }, timeUntilRefresh);
+  }
+
+  /**
+   * Exchange the refresh token cookie for a new access token
+   * Concurrent callers share one request (refresh tokens are single-use).
+   * @returns {Promise<string|null>} New access token, or null if the session could not be renewed
+   */
+  refresh() {
+    if (!this.refreshing) {
+      this.refreshing = this.requestRefresh().finally(() => {
+        this.refreshing = null;
+      });
     }
+    return this.refreshing;
+  }
 
-    // Schedule refresh (client-side notification only)
-    // Note: Actual refresh requires backend endpoint
-    if (timeUntilRefresh > 0) {
-      this.refreshTimer = setTimeout(() => {
-        this.handleTokenRefresh();
-      }, timeUntilRefresh);
-    } else if (timeUntilExpiry <= 0) {
-      // Token already expired
-      if (this.onTokenExpired) {
-        this.onTokenExpired();
-      }
+  /**
+   * Call the refresh endpoint and store the new access token
+   * (the browser stores the rotated refresh token cookie)
+   */
+  async requestRefresh() {
+    try {
+      const response = await sessionAuth.refresh();
+      const { token } = response.data;
+
+      secureStorage.setToken(token, this.getTimeUntilExpiry(token) * 1000);
+      return token;
+    } catch (error) {
+      console.error('Token refresh failed:', error.response?.data?.message || error.message);
+      return null;
     }
   }
 
   /**
    * Handle token refresh
-   * NOTE: This requires a refresh endpoint on the backend
-   * For now, we just notify the user to re-login
+   * Renews the session silently and reschedules; expires it if renewal fails
    */
-  handleTokenRefresh() {
-    console.log('Token refresh needed');
+  async handleTokenRefresh() {
+    const token = await this.refresh();
 
-    // In a full implementation, you would:
-    // 1. Call a /refresh-token endpoint with refresh token
-    // 2. Update the stored token with the new one
-    // 3. Reschedule the next refresh
+    if (!token) {
+      this.stop();
+      if (this.onTokenExpired) {
+        this.onTokenExpired();
+      }
+      return;
+    }
 
-    // For now, notify user to re-login
-    if (this.onTokenExpiring) {
-      this.onTokenExpiring();
+    if (this.onTokenRefreshed) {
+      this.onTokenRefreshed(token);
     }
+    this.scheduleRefresh();
   }
 
   /**
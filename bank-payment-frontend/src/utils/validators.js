@@ -36,6 +36,9 @@ const patterns = {
   // Bank Name: Letters, spaces, ampersand, hyphen, apostrophe
   bankName: /^[a-zA-Z\s&'-]{2,100}$/,
 
+  // Free-text reason: letters, digits, basic punctuation
+  reason: /^[a-zA-Z0-9\s.,'()\-:\/]{5,500}$/,
+
   // Email: RFC 5322 compliant
   email: /^[a-zA-Z0-9._%+-]+@[a-zA-Z0-9.-]+\.[a-zA-Z]{2,}$/,
 };
@@ -145,6 +148,14 @@ class InputValidator {
     return patterns.bankName.test(bankName.trim());
   }
 
+  /**
+   * Validate free-text reason (5-500 chars, basic punctuation)
+   */
+  isValidReason(reason) {
+    if (!reason || typeof reason !== 'string') return false;
+    return patterns.reason.test(reason.trim());
+  }
+
   /**
    * Validate email address
    */